@@ -10,25 +10,44 @@
  * - Limpieza menor de whitespace y comentarios redundantes.
  */
 
-import { Simulation } from './core/Simulation.js';
-import { Bond } from './core/Bond.js';
-import { MetallicCloud } from './core/MetallicCloud.js';
+import { Simulation, TICK_RATE } from './core/Simulation.js';
 import { getWorldPosition, findAtomAtPoint } from './utils/raycasting.js';
-import { showHint, playSound, loadJSON } from './utils/helpers.js';
+import { showHint, playSound, loadJSON, downloadText, readFileAsText } from './utils/helpers.js';
 import { initInteractions } from './ui/interactions.js';
 import { initAddPanelTabs } from './ui/panels.js';
 import { CrystalGenerator } from './structures/CrystalGenerator.js';
+import { elementalStructure } from './structures/ElementalCrystal.js';
+import { addHydrogens, stripHydrogens } from './structures/Hydrogens.js';
+import { MoleculeBuilder } from './structures/MoleculeBuilder.js';
 import { ElementLoader } from './data/ElementLoader.js';
 import { GroupPanel } from './ui/GroupPanel.js';
-import { BondRenderer } from './core/BondRenderer.js';
+import { SceneRenderer } from './renderer/Scene.js';
+import { createCamera, resizeCamera, CAMERA_START_Z } from './renderer/Camera.js';
 import { TemperatureSystem } from './physics/Temperature.js';
+import { ReactionEngine } from './reactions/ReactionEngine.js';
+import { parseXYZ, writeXYZ, xyzFrameToMolecule, TrajectoryRecorder, TrajectoryPlayer } from './io/XYZFormat.js';
+import { parseMOL, parseSDF, writeSDF } from './io/MOLFormat.js';
+import { parsePDB, writePDB } from './io/PDBFormat.js';
+import { parseCIF } from './io/CIFFormat.js';
+import { hillFormula } from './io/molData.js';
+import { createSnapshot, restoreSnapshot, snapshotElements } from './io/SceneSnapshot.js';
+import { encodeShareHash, decodeShareHash } from './io/ShareLink.js';
+import { findDisconnectedFragments } from './physics/MoleculeFragmentation.js';
+import { PhysicsWorkerClient } from './worker/PhysicsWorkerClient.js';
+import { DEFAULT_INTEGRATOR, FS_PER_TIME_UNIT, formatSimTime } from './physics/Integrators.js';
+import { InputRecorder, InputReplayer } from './io/InputLog.js';
+import { MoleculeDetector } from './utils/molecule-detector.js';
+import { rng } from './utils/random.js';
 
 // ── Global state ───────────────────────────────────────────────────────────
 let simulation;
 let camera, renderer, scene;
-let bondRenderer;
-let elementDatabase, molecules;
-window.elementDatabase = null; // Exposed for console debugging + CrystalGenerator
+let sceneRenderer;   // THREE.Scene + visuals sincronizados desde simulation
+let elementDatabase, molecules, reactionsData;
+let crystalStructures;   // Celdas unidad de data/crystal-structures.json (un botón cada una)
+let elementalLattices;   // data/elemental-lattices.json: red de cada elemento puro
+let moleculeDetector;   // Especies de la escena (H₂O ×12) y avisos de especie formada
+window.elementDatabase = null; // Exposed for console debugging
 let elementLoader;
 let groupPanel;
 let elementSortMode = 'number'; // 'number' | 'group'
@@ -36,9 +55,18 @@ let floorMesh;
 let ceilingMesh;
 let sphereMesh;    // Recipiente esférico — oculto por defecto
 let crystalGenerator;
+let moleculeBuilder;    // Modo Construir: vecinos, órdenes de enlace, exportar
 let lastCrystalAtoms = [];
 let lastTouchedAtom  = null;
 let bgParticles      = [];
+let trajectoryRecorder;
+let trajectoryPlayer = null;   // Reproducción de XYZ multi-frame importado
+let inputRecorder;             // Grabación de entradas (replay determinista)
+let inputReplayer    = null;   // Replay de una grabación de entradas en curso
+let physicsWorker    = null;   // stepDynamics() en Web Worker (?worker=0 → hilo principal)
+let lastFrameTime    = null;   // performance.now() del frame anterior (paso fijo)
+let autosavePending  = false;  // Autoguardado sin restaurar (faltan grupos) → no pisarlo con escena vacía
+let sharedSnapshot   = null;   // Escena recibida por enlace (#s=...)
 
 // ── Physics Lab defaults — module-level so initControls() shares them ──────
 const PHYSICS_DEFAULTS = {
@@ -50,7 +78,10 @@ const PHYSICS_DEFAULTS = {
     bondSpring:     1.0,
     bondAngles:     0.5,
     lennardJones:   0.1,
-    floorCurvature: 0.0
+    coulomb:        0.5,
+    floorCurvature: 0.0,
+    timestepFs:     100,
+    substeps:       1
 };
 
 // ── Entry point ────────────────────────────────────────────────────────────
@@ -58,10 +89,17 @@ async function init() {
     try {
         elementLoader    = new ElementLoader();
         await elementLoader.loadIndex();
+        // Enlace compartido: decodificar ya para activar los grupos que necesita
+        sharedSnapshot   = await readSharedSnapshot(location.hash);
         elementDatabase  = elementLoader.getElements();
         window.elementDatabase = elementDatabase;
 
         molecules = await loadJSON('data/moleculas.json');
+        reactionsData = await loadJSON('data/reactions.json');
+        crystalStructures = await loadJSON('data/crystal-structures.json');
+        elementalLattices = await loadJSON('data/elemental-lattices.json');
+        const moleculeLibrary = await loadJSON('data/molecule-library.json');
+        moleculeDetector = new MoleculeDetector({ molecules, library: moleculeLibrary });
 
         Object.values(elementDatabase).forEach(el => {
             if(typeof el.color === 'string') el.color = parseInt(el.color, 16);
@@ -74,47 +112,66 @@ async function init() {
         return;
     }
 
-    // Three.js setup
-    scene = new THREE.Scene();
-    scene.fog = new THREE.FogExp2(0x000000, 0.015);
-
-    camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.set(0, 0, 25);
-
-    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setClearColor(0x000000, 0);
-    document.body.appendChild(renderer.domElement);
-
-    scene.add(new THREE.AmbientLight(0xffffff, 0.5));
-    const pointLight = new THREE.PointLight(0x64c8ff, 1, 100);
-    pointLight.position.set(10, 10, 10);
-    scene.add(pointLight);
+    // Three.js setup — la simulación es headless, sceneRenderer la dibuja
+    sceneRenderer = new SceneRenderer(document.body);
+    scene    = sceneRenderer.scene;
+    renderer = sceneRenderer.renderer;
+    camera   = createCamera();
 
     createBackgroundParticles();
     createFloorPlane();
     createCeilingPlane();
     createSphereMesh();
 
-    simulation    = new Simulation(scene, elementDatabase);
+    simulation    = new Simulation(elementDatabase);
     simulation.temperature = new TemperatureSystem(simulation.physics);
-    bondRenderer  = new BondRenderer(scene, 8000);
+    simulation.reactions   = new ReactionEngine(simulation, reactionsData);
+    simulation.onBondsBroken = (bonds, fragments) => {
+        updateStats();
+        showHint(`🔥 ${bonds.length} enlace(s) roto(s) por calor → ${fragments.length} fragmento(s)`);
+    };
+    simulation.reactions.onReaction = (reaction) => {
+        updateStats();
+        showHint(`💥 ${reaction.equation}`);
+        playSound('bond');
+    };
     crystalGenerator = new CrystalGenerator(simulation);
+    moleculeBuilder  = new MoleculeBuilder(simulation);
+    trajectoryRecorder = new TrajectoryRecorder(simulation, { interval: 10 });
+    inputRecorder = new InputRecorder(simulation);
+    // ?seed=1234 → misma secuencia aleatoria en cada carga
+    if(urlSeed() !== undefined) rng.seed(urlSeed());
+    initPhysicsWorker();
 
     // initControls() is called AFTER simulation exists → no race condition
     initUI();
     initControls();
+    initFileControls();
+    initHydrogenControls();
+    initSceneControls();
+    initInputLogControls();
 
     initInteractions({
         simulation, camera, scene, renderer,
+        atomVisuals: sceneRenderer.atomVisuals,
         getWorldPosition, findAtomAtPoint,
-        updateStats, playSound, showHint
+        updateStats, playSound, showHint,
+        moleculeBuilder
     });
 
     animate();
     initMobileLayout();
 
     showHint('🧪 Selecciona un elemento y toca para agregar átomos');
+    if(sharedSnapshot) {
+        await loadSharedScene(sharedSnapshot);
+    } else {
+        await restoreAutosave();
+    }
+    window.addEventListener('hashchange', async () => {
+        const snapshot = await readSharedSnapshot(location.hash);
+        if(snapshot) await loadSharedScene(snapshot);
+    });
 }
 
 // ── Mobile layout ──────────────────────────────────────────────────────────
@@ -143,19 +200,58 @@ function initMobileLayout() {
 }
 
 // ── Render loop ────────────────────────────────────────────────────────────
-function animate() {
+function animate(now = performance.now()) {
     requestAnimationFrame(animate);
+    const elapsed = lastFrameTime === null ? 0 : now - lastFrameTime;
+    lastFrameTime = now;
 
     bgParticles.forEach(p => {
         p.position.y += p.userData.speed;
         if(p.position.y > 25) p.position.y = -25;
     });
 
-    simulation.update();
-    if(simulation.temperature) simulation.temperature.update(simulation.atoms);
-    if(bondRenderer) bondRenderer.update(simulation.bonds);
+    // Paso fijo: los ticks dependen del tiempo real, no de los Hz de la pantalla
+    let ticks;
+    if(inputReplayer) {
+        // Grabación y replay: física en el hilo principal, tick por tick
+        ticks = simulation.advance(elapsed, () => inputReplayer.tick());
+        if(inputReplayer.done) finishReplay();
+    } else if(inputRecorder.recording) {
+        ticks = simulation.advance(elapsed, () => inputRecorder.tick());
+    } else if(physicsWorker?.running) {
+        // Física en el worker: traer su último tick, química acá
+        ticks = physicsWorker.sync(trajectoryPlayer?.atoms) ? 1 : 0;
+        if(ticks) simulation.stepChemistry();
+    } else {
+        ticks = simulation.advance(elapsed);
+    }
+    for(let i = 0; i < ticks && trajectoryPlayer; i++) {
+        if(trajectoryPlayer.step()) continue;
+        trajectoryPlayer = null;
+        showHint('⏹️ Fin de la trayectoria');
+    }
+    sceneRenderer.sync(simulation);
     if(window._updateTempReadout) window._updateTempReadout();
-    renderer.render(scene, camera);
+    updateSimClock();
+    sceneRenderer.render(camera);
+}
+
+function updateSimClock() {
+    const text = formatSimTime(simulation.time);
+    const el = document.getElementById('simTime');
+    if(el && el.textContent !== text) el.textContent = text;
+}
+
+/**
+ * Física en un Web Worker. Hasta que responde (o si falla) sigue
+ * simulation.update() en animate(). ?worker=0 lo desactiva.
+ */
+function initPhysicsWorker() {
+    if(new URLSearchParams(location.search).get('worker') === '0') return;
+    if(typeof Worker === 'undefined') return;
+    physicsWorker = new PhysicsWorkerClient(simulation);
+    // Como requestAnimationFrame: pestaña oculta → no simular
+    document.addEventListener('visibilitychange', () => physicsWorker.setPaused(document.hidden));
 }
 
 // ── Scene helpers ──────────────────────────────────────────────────────────
@@ -286,15 +382,8 @@ function initUI() {
     window.elementSortMode = elementSortMode;
     refreshElementGrid();
 
-    const moleculeContainer = document.getElementById('moleculeButtons');
-    molecules.forEach((mol, idx) => {
-        const btn = document.createElement('button');
-        btn.className   = 'control-btn';
-        btn.textContent = `${mol.icon} ${mol.formula}`;
-        btn.title       = mol.name;
-        btn.addEventListener('click', () => createMolecule(idx));
-        moleculeContainer.appendChild(btn);
-    });
+    molecules.forEach((mol, idx) => addMoleculeButton(mol, idx));
+    crystalStructures.forEach(structure => addCrystalButton(structure));
 
     groupPanel = new GroupPanel(elementLoader, (groupKey, enabled) => {
         if(groupKey) {
@@ -312,6 +401,92 @@ function initUI() {
     updateStats();
 }
 
+function addMoleculeButton(mol, idx) {
+    const btn = document.createElement('button');
+    btn.className   = 'control-btn';
+    btn.textContent = `${mol.icon} ${mol.formula}`;
+    btn.title       = mol.name;
+    btn.addEventListener('click', () => createMolecule(idx));
+    document.getElementById('moleculeButtons').appendChild(btn);
+}
+
+function addCrystalButton(structure) {
+    const btn = document.createElement('button');
+    btn.className   = 'control-btn';
+    btn.textContent = `${structure.icon} ${structure.label}`;
+    btn.title       = structure.name;
+    btn.addEventListener('click', () => generateCrystal(structure));
+    document.getElementById('crystalButtons').appendChild(btn);
+}
+
+/**
+ * Supercelda de la estructura (tamaño del slider), con los defectos elegidos,
+ * enlazada y congelada. Los sitios mixtos de las aleaciones y cada tipo de
+ * defecto tienen su propia semilla.
+ */
+function generateCrystal(structure) {
+    const defects = readDefectOptions();
+    const defectElements = defects
+        ? [defects.interstitial, defects.dopant].filter(d => d.fraction > 0).map(d => d.element)
+        : [];
+    const siteElements = structure.basis.flatMap(site => [site.element, ...Object.keys(site.occupancy || {})]);
+    const missing = [...new Set([...siteElements, ...defectElements])].filter(s => !elementDatabase[s]);
+    if(missing.length) { showHint(`⚠️ Activa los grupos de: ${missing.join(', ')}`, 'warning'); return; }
+
+    const seed = parseInt(document.getElementById('occupancySeed').value) || 0;
+    const size = parseInt(document.getElementById('crystalSizeSlider').value);
+    let atoms = crystalGenerator.generate(structure, size, { seed });
+    let defectNote = '';
+    if(defects) {
+        const result = crystalGenerator.applyDefects(atoms, structure, size, defects);
+        atoms = result.atoms;
+        defectNote = ` — 🕳️ ${result.vacancies} vacantes, ${result.interstitials.length} intersticiales, ` +
+            `${result.dopants.length} dopantes`;
+    }
+    crystalGenerator.strengthenCrystalBonds(atoms, {
+        maxBondDist: structure.bond_cutoff, pairCutoffs: structure.pair_cutoffs
+    });
+    crystalGenerator.freezeCrystal(atoms, true);
+    lastCrystalAtoms = atoms;
+    document.getElementById('freezeCrystalToggle').checked = true;
+    updateStats();
+    const note = structure.note ? ` — ${structure.note}` : '';
+    showHint(`${structure.icon} ${structure.name}: ${size}×${size}×${size} celdas, ${atoms.length} átomos (congelado)${note}${defectNote}`);
+    playSound('add');
+}
+
+/**
+ * Defectos de la sección Cristales (null si todas las concentraciones están en 0)
+ * @returns {{vacancies: number, vacancySeed: number, interstitial: object, dopant: object}|null}
+ */
+function readDefectOptions() {
+    const fraction = id => parseInt(document.getElementById(id).value) / 100;
+    const symbol = id => {
+        const text = document.getElementById(id).value.trim();
+        return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+    };
+    const seed = id => parseInt(document.getElementById(id).value) || 0;
+    const options = {
+        vacancies:    fraction('vacancySlider'),
+        vacancySeed:  seed('vacancySeed'),
+        interstitial: { element: symbol('interstitialElement'), fraction: fraction('interstitialSlider'), seed: seed('interstitialSeed') },
+        dopant:       { element: symbol('dopantElement'), fraction: fraction('dopantSlider'), seed: seed('dopantSeed') }
+    };
+    if(!options.vacancies && !options.interstitial.fraction && !options.dopant.fraction) return null;
+    return options;
+}
+
+/**
+ * Cristal del elemento elegido en la grilla, con su red y constante reales
+ * (lattice_structure y lattice_constant_pm vienen en los datos avanzados del grupo)
+ */
+async function generateElementCrystal() {
+    const symbol = document.querySelector('.element-btn.selected')?.dataset.symbol;
+    if(!symbol || !elementDatabase[symbol]) { showHint('🧪 Elige un elemento en la tabla primero'); return; }
+    const element = await elementLoader.getElement(symbol, true);
+    generateCrystal(elementalStructure(element, elementalLattices));
+}
+
 function addFullscreenButton() {
     const uiPanel = document.getElementById('ui');
     if(!uiPanel) { console.error('Panel #ui no encontrado'); return; }
@@ -418,7 +593,7 @@ function initControls() {
     document.getElementById('clearBtn').addEventListener('click', () => {
         simulation.clearAll();
         updateStats();
-        camera.position.set(0, 0, 25);
+        camera.position.set(0, 0, CAMERA_START_Z);
         camera.lookAt(0, 0, 0);
         scene.rotation.set(0, 0, 0);
         showHint('🧹 Escena limpiada y cámara restablecida');
@@ -431,8 +606,24 @@ function initControls() {
             simulation.config.interactionMode = 'add';
             e.target.textContent = '➕ Agregar';
             e.target.classList.remove('btn-delete-active');
+            setBuildButtonActive(false);
+            showHint('Modo Agregar: Selecciona elemento y toca para agregar');
+        }
+    });
+
+    document.getElementById('buildBtn').addEventListener('click', () => {
+        if(simulation.config.interactionMode === 'build') {
+            simulation.config.interactionMode = 'add';
+            setBuildButtonActive(false);
             showHint('Modo Agregar: Selecciona elemento y toca para agregar');
+            return;
         }
+        simulation.config.interactionMode = 'build';
+        const modeBtn = document.getElementById('modeBtn');
+        modeBtn.textContent = '➕ Agregar';
+        modeBtn.classList.remove('btn-delete-active');
+        setBuildButtonActive(true);
+        showHint('🔧 Construir: toca un átomo para agregarle el elemento elegido; arrastra entre dos átomos para enlazar / subir el orden');
     });
 
     document.getElementById('toggleVisualization').addEventListener('click', (e) => {
@@ -535,32 +726,31 @@ function initControls() {
 
     document.getElementById('cpkColorToggle').addEventListener('change', (e) => {
         const useCPK = e.target.checked;
-        simulation.config.useCPKColors = useCPK;
-        simulation.atoms.forEach(atom => {
-            const el = atom.element;
-            if(useCPK && el.cpk_color) {
-                const c = typeof el.cpk_color === 'string'
-                    ? parseInt(el.cpk_color.replace('0x', ''), 16) : el.cpk_color;
-                atom.nucleus.material.color.setHex(c);
-                atom.nucleus.material.emissive.setHex(c);
-            } else {
-                atom.nucleus.material.color.setHex(el.color);
-                atom.nucleus.material.emissive.setHex(el.color);
-            }
-        });
+        sceneRenderer.atomVisuals.setCPKColors(useCPK);
         showHint(useCPK ? '🎨 Colores CPK activados' : '🎨 Colores por elemento activados');
     });
 
     document.getElementById('bondsToggle').addEventListener('change', (e) => {
         const show = e.target.checked;
-        simulation.bonds.forEach(bond => {
-            if(bond.atom1 && bond.atom2) bond.visible = show;
-            if(bond.electronPoints) bond.electronPoints.visible = show;
-            if(bond.structureLines) bond.structureLines.forEach(l => { l.visible = show; });
-        });
+        sceneRenderer.bondVisuals.setVisible(show);
         showHint(show ? '🔗 Enlaces visibles' : '👁️ Enlaces ocultos');
     });
 
+    document.getElementById('chargesToggle').addEventListener('change', (e) => {
+        sceneRenderer.chargeVisuals.setShowCharges(e.target.checked);
+        showHint(e.target.checked ? 'δ± Cargas parciales visibles' : 'δ± Cargas parciales ocultas');
+    });
+
+    document.getElementById('dipolesToggle').addEventListener('change', (e) => {
+        sceneRenderer.chargeVisuals.setShowDipoles(e.target.checked);
+        showHint(e.target.checked ? '➡️ Dipolos visibles' : '➡️ Dipolos ocultos');
+    });
+
+    document.getElementById('lonePairsToggle').addEventListener('change', (e) => {
+        sceneRenderer.lonePairVisuals.setVisible(e.target.checked);
+        showHint(e.target.checked ? '👥 Pares libres visibles' : '👥 Pares libres ocultos');
+    });
+
     document.getElementById('bondAnglesToggle').addEventListener('change', (e) => {
         simulation.physics.bondAnglesEnabled = e.target.checked;
         showHint(e.target.checked
@@ -573,6 +763,24 @@ function initControls() {
             ? '🌊 Fuerzas Van der Waals activadas' : '🌊 Fuerzas Van der Waals desactivadas');
     });
 
+    document.getElementById('hydrogenBondsToggle').addEventListener('change', (e) => {
+        simulation.hydrogenBonds.setEnabled(e.target.checked);
+        showHint(e.target.checked
+            ? '〰️ Puentes de hidrógeno visibles' : '〰️ Puentes de hidrógeno ocultos');
+    });
+
+    document.getElementById('hydrogenBondAttractionToggle').addEventListener('change', (e) => {
+        simulation.hydrogenBonds.setAttraction(e.target.checked);
+        showHint(e.target.checked
+            ? '🧲 Atracción de puentes de hidrógeno activada' : '🧲 Atracción de puentes de hidrógeno desactivada');
+    });
+
+    document.getElementById('reactionsToggle').addEventListener('change', (e) => {
+        simulation.reactions.setEnabled(e.target.checked);
+        showHint(e.target.checked
+            ? '⚗️ Reacciones químicas activadas' : '⚗️ Reacciones químicas desactivadas');
+    });
+
     document.getElementById('physicsModeToggle').addEventListener('change', (e) => {
         const mode     = e.target.checked ? 'realistic' : 'pedagogical';
         const modeInfo = simulation.physics.modeManager.setMode(mode);
@@ -594,8 +802,8 @@ function initControls() {
         }
     });
 
-    // Crystal controls
-    const crystalSize = () => parseInt(document.getElementById('crystalSizeSlider').value);
+    // Crystal controls (los botones de cada estructura: addCrystalButton)
+    document.getElementById('elementCrystalBtn').addEventListener('click', generateElementCrystal);
 
     document.getElementById('crystalSizeSlider').addEventListener('input', (e) => {
         ['crystalSizeValue','crystalSizeValue2','crystalSizeValue3'].forEach(id => {
@@ -603,37 +811,16 @@ function initControls() {
         });
     });
 
-    const makeCrystal = (check, gen, label) => {
-        if(!check()) return;
-        const atoms = gen();
-        crystalGenerator.strengthenCrystalBonds(atoms);
-        crystalGenerator.freezeCrystal(atoms, true);
-        lastCrystalAtoms = atoms;
-        document.getElementById('freezeCrystalToggle').checked = true;
-        updateStats();
-        showHint(label);
-        playSound('add');
-    };
-
-    document.getElementById('crystalNaCl').addEventListener('click', () => {
-        const missing = ['Na','Cl'].filter(s => !elementDatabase[s]);
-        if(missing.length) { showHint(`⚠️ Activa los grupos de: ${missing.join(', ')}`, 'warning'); return; }
-        makeCrystal(() => true, () => crystalGenerator.generateNaCl(crystalSize()), '🧂 Cristal NaCl generado (congelado)');
-    });
-
-    document.getElementById('crystalFe').addEventListener('click', () => {
-        if(!elementDatabase['Fe']) { showHint('⚠️ Activa el grupo de: Fe', 'warning'); return; }
-        makeCrystal(() => true, () => crystalGenerator.generateBCC(crystalSize(), 'Fe'), '🔩 Cristal de Hierro (BCC) generado (congelado)');
-    });
-
-    document.getElementById('crystalDiamond').addEventListener('click', () => {
-        if(!elementDatabase['C']) { showHint('⚠️ Activa el grupo de: C', 'warning'); return; }
-        makeCrystal(() => true, () => crystalGenerator.generateFCC(crystalSize(), 'C'), '💎 Cristal de Diamante (FCC) generado (congelado)');
-    });
+    [['vacancySlider', 'vacancyValue'], ['interstitialSlider', 'interstitialValue'], ['dopantSlider', 'dopantValue']]
+        .forEach(([sliderId, valueId]) => {
+            document.getElementById(sliderId).addEventListener('input', (e) => {
+                document.getElementById(valueId).textContent = e.target.value;
+            });
+        });
 
-    document.getElementById('crystalIce').addEventListener('click', () => {
-        if(!elementDatabase['O']) { showHint('⚠️ Activa el grupo de: O', 'warning'); return; }
-        makeCrystal(() => true, () => crystalGenerator.generateHexagonal(crystalSize(), 'O'), '❄️ Cristal de Hielo (Hex) generado (congelado)');
+    document.getElementById('highlightDefectsToggle').addEventListener('change', (e) => {
+        sceneRenderer.defectVisuals.setVisible(e.target.checked);
+        showHint(e.target.checked ? '🕳️ Defectos resaltados' : '🕳️ Defectos sin resaltar');
     });
 
     document.getElementById('freezeCrystalToggle').addEventListener('change', (e) => {
@@ -714,11 +901,8 @@ function initControls() {
 
     // Color ambiente (fondo, no átomos)
     document.getElementById('tempColorToggle').addEventListener('change', (e) => {
+        // sceneRenderer vuelve al gradiente neutro si se desactiva
         simulation.temperature.colorAmbient = e.target.checked;
-        if(!e.target.checked) {
-            // Restaurar gradiente neutro
-            document.documentElement.style.setProperty('--ambient-temp-rgb', '5, 5, 15');
-        }
         showHint(e.target.checked ? '🎨 Color ambiente activado' : '🎨 Color ambiente desactivado');
     });
 
@@ -871,7 +1055,7 @@ function initControls() {
     document.getElementById('tempTauSlider').addEventListener('input', (e) => {
         const v = parseInt(e.target.value);
         simulation.temperature.thermostatTau = v;
-        document.getElementById('tempTauValue').textContent = v;
+        document.getElementById('tempTauValue').textContent = formatSimTime(v * FS_PER_TIME_UNIT);
     });
 
     // Live readout update — attached to animate loop via exposed function
@@ -947,6 +1131,51 @@ function initControls() {
         document.getElementById('lennardJonesValue').textContent = v.toFixed(2);
     });
 
+    // Electrostática: Coulomb con cargas iónicas / parciales
+    document.getElementById('coulombToggle').addEventListener('change', (e) => {
+        simulation.physics.electrostatics.setEnabled(e.target.checked);
+        showHint(e.target.checked
+            ? '⚡ Fuerzas de Coulomb activadas' : '⚡ Fuerzas de Coulomb desactivadas');
+    });
+
+    document.getElementById('coulombSlider').addEventListener('input', (e) => {
+        const v = parseFloat(e.target.value);
+        simulation.physics.electrostatics.setStrength(v);
+        document.getElementById('coulombValue').textContent = v.toFixed(2);
+    });
+
+    document.getElementById('coulombDsfToggle').addEventListener('change', (e) => {
+        simulation.physics.electrostatics.setMethod(e.target.checked ? 'dsf' : 'cutoff');
+        showHint(e.target.checked ? '⚡ Coulomb: Damped Shifted Force' : '⚡ Coulomb: corte desplazado');
+    });
+
+    // Integración: Verlet/Euler, Δt y pasos por tick
+    document.getElementById('verletToggle').addEventListener('change', (e) => {
+        simulation.physics.integrator = e.target.checked ? 'verlet' : 'euler';
+        showHint(e.target.checked ? '🎯 Integrador: Velocity Verlet' : '🎯 Integrador: Euler');
+    });
+
+    document.getElementById('timestepSlider').addEventListener('input', (e) => {
+        const v = parseFloat(e.target.value);
+        simulation.physics.timestepFs = v;
+        document.getElementById('timestepValue').textContent = `${v} fs`;
+        _updateSimRateHint();
+    });
+
+    document.getElementById('substepsSlider').addEventListener('input', (e) => {
+        const v = parseInt(e.target.value);
+        simulation.physics.substeps = v;
+        document.getElementById('substepsValue').textContent = v;
+        _updateSimRateHint();
+    });
+
+    function _updateSimRateHint() {
+        const physics = simulation.physics;
+        const perSecond = physics.timestepFs * physics.substeps * TICK_RATE;
+        document.getElementById('simRateHint').textContent =
+            `${TICK_RATE} ticks/s → ${formatSimTime(perSecond)} por segundo real`;
+    }
+
     document.getElementById('floorCurvatureSlider').addEventListener('input', (e) => {
         const v = parseFloat(e.target.value);
         simulation.physics.floorCurvature = -v; // Inverted for physics
@@ -963,7 +1192,11 @@ function initControls() {
         simulation.physics.bondSpringMultiplier = PHYSICS_DEFAULTS.bondSpring;
         simulation.physics.bondAngleStrength    = PHYSICS_DEFAULTS.bondAngles;
         simulation.physics.lennardJones.setStrength(PHYSICS_DEFAULTS.lennardJones);
+        simulation.physics.electrostatics.setStrength(PHYSICS_DEFAULTS.coulomb);
         simulation.physics.floorCurvature       = -PHYSICS_DEFAULTS.floorCurvature;
+        simulation.physics.integrator           = DEFAULT_INTEGRATOR;
+        simulation.physics.timestepFs           = PHYSICS_DEFAULTS.timestepFs;
+        simulation.physics.substeps             = PHYSICS_DEFAULTS.substeps;
 
         const set = (id, v) => { document.getElementById(id).value = v; };
         set('gravityLabSlider',    PHYSICS_DEFAULTS.gravity);
@@ -974,7 +1207,11 @@ function initControls() {
         set('bondSpringSlider',    PHYSICS_DEFAULTS.bondSpring);
         set('bondAnglesSlider',    PHYSICS_DEFAULTS.bondAngles);
         set('lennardJonesSlider',  PHYSICS_DEFAULTS.lennardJones);
+        set('coulombSlider',       PHYSICS_DEFAULTS.coulomb);
         set('floorCurvatureSlider', PHYSICS_DEFAULTS.floorCurvature);
+        set('timestepSlider',      PHYSICS_DEFAULTS.timestepFs);
+        set('substepsSlider',      PHYSICS_DEFAULTS.substeps);
+        document.getElementById('verletToggle').checked = DEFAULT_INTEGRATOR === 'verlet';
 
         document.getElementById('gravityLabValue').textContent    = PHYSICS_DEFAULTS.gravity.toFixed(5);
         document.getElementById('pauliStrengthValue').textContent = PHYSICS_DEFAULTS.pauliStrength.toFixed(2);
@@ -984,14 +1221,18 @@ function initControls() {
         document.getElementById('bondSpringValue').textContent    = PHYSICS_DEFAULTS.bondSpring.toFixed(1);
         document.getElementById('bondAnglesValue').textContent    = PHYSICS_DEFAULTS.bondAngles.toFixed(2);
         document.getElementById('lennardJonesValue').textContent  = PHYSICS_DEFAULTS.lennardJones.toFixed(2);
+        document.getElementById('coulombValue').textContent       = PHYSICS_DEFAULTS.coulomb.toFixed(2);
         document.getElementById('floorCurvatureValue').textContent = PHYSICS_DEFAULTS.floorCurvature.toFixed(2);
+        document.getElementById('timestepValue').textContent      = `${PHYSICS_DEFAULTS.timestepFs} fs`;
+        document.getElementById('substepsValue').textContent      = PHYSICS_DEFAULTS.substeps;
+        _updateSimRateHint();
 
         updateFloorGeometry(PHYSICS_DEFAULTS.floorCurvature);
         showHint('🔄 Física restaurada a valores reales');
     });
 
     document.getElementById('randomizePhysics').addEventListener('click', () => {
-        const rand = (min, max) => min + Math.random() * (max - min);
+        const rand = (min, max) => rng.range(min, max);
         const v = {
             gravity:        rand(0, 0.0005),
             pauliStrength:  rand(0.1, 1.5),
@@ -1001,6 +1242,7 @@ function initControls() {
             bondSpring:     rand(0.3, 2.5),
             bondAngles:     rand(0, 0.8),
             lennardJones:   rand(0, 0.8),
+            coulomb:        rand(0, 1),
             floorCurvature: rand(-0.3, 0.3)
         };
 
@@ -1012,6 +1254,7 @@ function initControls() {
         simulation.physics.bondSpringMultiplier = v.bondSpring;
         simulation.physics.bondAngleStrength    = v.bondAngles;
         simulation.physics.lennardJones.setStrength(v.lennardJones);
+        simulation.physics.electrostatics.setStrength(v.coulomb);
         simulation.physics.floorCurvature       = -v.floorCurvature;
 
         const set = (id, val) => { document.getElementById(id).value = val; };
@@ -1023,6 +1266,7 @@ function initControls() {
         set('bondSpringSlider',    v.bondSpring);
         set('bondAnglesSlider',    v.bondAngles);
         set('lennardJonesSlider',  v.lennardJones);
+        set('coulombSlider',       v.coulomb);
         set('floorCurvatureSlider', v.floorCurvature);
 
         document.getElementById('gravityLabValue').textContent    = v.gravity.toFixed(5);
@@ -1033,6 +1277,7 @@ function initControls() {
         document.getElementById('bondSpringValue').textContent    = v.bondSpring.toFixed(1);
         document.getElementById('bondAnglesValue').textContent    = v.bondAngles.toFixed(2);
         document.getElementById('lennardJonesValue').textContent  = v.lennardJones.toFixed(2);
+        document.getElementById('coulombValue').textContent       = v.coulomb.toFixed(2);
         document.getElementById('floorCurvatureValue').textContent = v.floorCurvature.toFixed(2);
 
         updateFloorGeometry(v.floorCurvature);
@@ -1041,12 +1286,19 @@ function initControls() {
 }
 
 // ── Molecule creation ──────────────────────────────────────────────────────
-function createMolecule(index) {
-    const mol     = molecules[index];
-    const missing = [...new Set(mol.atoms
+/**
+ * Símbolos de molData.atoms cuyo grupo aún no está activado
+ */
+function missingElements(atoms) {
+    return [...new Set(atoms
         .filter(a => !elementDatabase[a.element])
         .map(a => a.element)
     )];
+}
+
+function createMolecule(index) {
+    const mol     = molecules[index];
+    const missing = missingElements(mol.atoms);
 
     if(missing.length) {
         showHint(`⚠️ Activa los grupos de: ${missing.join(', ')}`, 'warning');
@@ -1054,9 +1306,9 @@ function createMolecule(index) {
     }
 
     const offset = new THREE.Vector3(
-        (Math.random() - 0.5) * 15,
-        (Math.random() - 0.5) * 15,
-        (Math.random() - 0.5) * 5
+        rng.range(-7.5, 7.5),
+        rng.range(-7.5, 7.5),
+        rng.range(-2.5, 2.5)
     );
 
     // Usa simulation.createMolecule que respeta bonds explícitos del JSON
@@ -1067,18 +1319,561 @@ function createMolecule(index) {
     playSound('add');
 }
 
+// ── File import / export (XYZ, MOL/SDF, PDB) ───────────────────────────────
+function initFileControls() {
+    const fileInput = document.getElementById('structureFileInput');
+
+    document.getElementById('importFileBtn').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';   // Permite volver a importar el mismo archivo
+        if(!file) return;
+        try {
+            importStructureFile(await readFileAsText(file), file.name);
+        } catch(error) {
+            console.error('Error importing file:', error);
+            showHint(`❌ ${error.message}`);
+        }
+    });
+
+    document.getElementById('exportXYZBtn').addEventListener('click', () => {
+        if(simulation.atoms.length === 0) { showHint('⚠️ No hay átomos para exportar'); return; }
+        downloadText('escena.xyz', writeXYZ(simulation.atoms, 'Exportado desde el simulador'), 'chemical/x-xyz');
+        showHint(`💾 ${simulation.atoms.length} átomos exportados (XYZ)`);
+    });
+
+    document.getElementById('exportSDFBtn').addEventListener('click', () => {
+        if(simulation.atoms.length === 0) { showHint('⚠️ No hay átomos para exportar'); return; }
+        // Un registro por molécula (fragmento conexo)
+        const entries = findDisconnectedFragments(simulation.atoms).map(atoms => ({
+            name: hillFormula(atoms.map(a => a.symbol)),
+            atoms
+        }));
+        downloadText('escena.sdf', writeSDF(entries), 'chemical/x-mdl-sdfile');
+        showHint(`💾 ${entries.length} moléculas exportadas (SDF)`);
+    });
+
+    document.getElementById('exportPDBBtn').addEventListener('click', () => {
+        if(simulation.atoms.length === 0) { showHint('⚠️ No hay átomos para exportar'); return; }
+        downloadText('escena.pdb', writePDB(simulation.atoms, 'Escena exportada'), 'chemical/x-pdb');
+        showHint(`💾 ${simulation.atoms.length} átomos exportados (PDB)`);
+    });
+
+    document.getElementById('recordXYZBtn').addEventListener('click', (e) => {
+        if(!trajectoryRecorder.recording) {
+            trajectoryRecorder.start();
+            e.target.textContent = '⏹️ Detener grabación';
+            showHint('⏺️ Grabando trayectoria XYZ...');
+            return;
+        }
+        trajectoryRecorder.stop();
+        e.target.textContent = '⏺️ Grabar trayectoria';
+        downloadText('trayectoria.xyz', trajectoryRecorder.toString(), 'chemical/x-xyz');
+        showHint(`💾 Trayectoria guardada: ${trajectoryRecorder.frameCount} frames`);
+    });
+}
+
+/**
+ * Despacha por extensión. Todos los formatos producen molData con el shape
+ * de moleculas.json → simulation.createMolecule(), salvo CIF (celda unidad
+ * → CrystalGenerator).
+ */
+function importStructureFile(text, filename) {
+    const ext      = filename.split('.').pop().toLowerCase();
+    const baseName = filename.replace(/\.[^.]+$/, '');
+
+    if(ext === 'xyz') {
+        importXYZ(text, baseName);
+    } else if(ext === 'mol') {
+        spawnImportedMolecule(parseMOL(text, elementDatabase));
+    } else if(ext === 'sdf' || ext === 'sd') {
+        const records = parseSDF(text, elementDatabase);
+        if(records.length === 1) {
+            spawnImportedMolecule(records[0]);
+        } else {
+            // Multi-registro → biblioteca: un botón por molécula
+            records.forEach(mol => {
+                molecules.push(mol);
+                moleculeDetector.addReference(mol);
+                addMoleculeButton(mol, molecules.length - 1);
+            });
+            showHint(`📚 ${records.length} moléculas añadidas a la biblioteca`);
+        }
+    } else if(ext === 'pdb' || ext === 'ent') {
+        spawnImportedMolecule(parsePDB(text, elementDatabase));
+    } else if(ext === 'cif') {
+        importCIF(text);
+    } else {
+        showHint(`⚠️ Formato no soportado: .${ext}`);
+    }
+}
+
+/**
+ * Importa un .cif: cada bloque pasa a la lista de cristales (un botón, se
+ * puede regenerar con otro tamaño) y el primero se genera en la escena
+ */
+function importCIF(text) {
+    const structures = parseCIF(text, elementDatabase);
+    structures.forEach(structure => {
+        crystalStructures.push(structure);
+        addCrystalButton(structure);
+    });
+    generateCrystal(structures[0]);
+    if(structures.length > 1) console.log(`📚 ${structures.length} estructuras CIF añadidas a Cristales`);
+}
+
+/**
+ * Importa un .xyz: la frame 0 pasa por simulation.createMolecule (auto-bonding
+ * por radios covalentes); si hay más frames se reproducen como animación.
+ */
+function importXYZ(text, name) {
+    const frames = parseXYZ(text, elementDatabase);
+    const offset = new THREE.Vector3(0, 0, 0);
+    const atoms  = spawnImportedMolecule(xyzFrameToMolecule(frames[0], name), offset);
+    if(!atoms) return;
+
+    if(frames.length > 1) {
+        trajectoryPlayer = new TrajectoryPlayer(atoms, frames, offset);
+        showHint(`📂 Reproduciendo ${trajectoryPlayer.frames.length} frames`);
+    }
+}
+
+/**
+ * Crea un molData importado en la escena, con el mismo aviso de grupos
+ * inactivos que createMolecule(index).
+ * @returns {Array<Atom>|null}
+ */
+function spawnImportedMolecule(molData, offset = new THREE.Vector3(0, 0, 0)) {
+    const missing = missingElements(molData.atoms);
+    if(missing.length) {
+        showHint(`⚠️ Activa los grupos de: ${missing.join(', ')}`, 'warning');
+        return null;
+    }
+
+    const atoms = simulation.createMolecule(molData, offset);
+
+    updateStats();
+    showHint(`📂 ${molData.name} (${molData.formula}) importado: ${atoms.length} átomos`);
+    playSound('add');
+    return atoms;
+}
+
+// ── Hidrógenos: completar valencias / quitar (structures/Hydrogens.js) ────
+function initHydrogenControls() {
+    document.getElementById('addHydrogensBtn').addEventListener('click', () => {
+        if(!elementDatabase['H']) { showHint('⚠️ Activa el grupo de: H', 'warning'); return; }
+        showHydrogenScopeModal('add');
+    });
+    document.getElementById('stripHydrogensBtn').addEventListener('click', () => {
+        showHydrogenScopeModal('strip');
+    });
+    document.getElementById('exportMoleculeBtn').addEventListener('click', exportTouchedMolecule);
+}
+
+/**
+ * La molécula del último átomo tocado → entrada de data/moleculas.json
+ * (descarga + botón en la biblioteca + referencia del detector)
+ */
+function exportTouchedMolecule() {
+    const touched = lastTouchedAtom && !lastTouchedAtom.removed ? lastTouchedAtom : null;
+    if(!touched || touched.metallicCloud || touched.isCrystal) {
+        showHint('⚠️ Toca un átomo de la molécula a exportar', 'warning');
+        return;
+    }
+    const atoms = simulation.findMoleculeContaining(touched).atoms;
+    const species = moleculeDetector.identify(atoms);
+    const name = window.prompt('Nombre de la molécula', species.name);
+    if(name === null) return;
+
+    const entry = moleculeBuilder.exportMolecule(touched, { name: name.trim() || species.name });
+    if(species.recognized) entry.formula = species.formula;
+    const fileName = entry.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'molecula';
+    downloadText(`${fileName}.json`, JSON.stringify(entry, null, 2), 'application/json');
+
+    molecules.push(entry);
+    moleculeDetector.addReference(entry);
+    addMoleculeButton(entry, molecules.length - 1);
+    showHint(`🧩 ${entry.name} (${entry.formula}) exportada: ${entry.atoms.length} átomos, añadida a la biblioteca`);
+}
+
+/**
+ * Alcance: el último átomo tocado, su molécula o toda la escena
+ * @param {'add'|'strip'} action
+ */
+function showHydrogenScopeModal(action) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const touched = lastTouchedAtom && !lastTouchedAtom.removed ? lastTouchedAtom : null;
+    const modal = document.createElement('div');
+    modal.className = 'modal-box';
+    modal.innerHTML = `
+        <h3>${action === 'add' ? '💧 Agregar Hidrógenos' : '✂️ Quitar Hidrógenos'}</h3>
+        <p>${touched
+            ? `¿Dónde? (último átomo tocado: ${touched.symbol})`
+            : 'Toca un átomo primero para elegir átomo o molécula.'}</p>
+        <div class="modal-box__actions">
+            <button data-scope="atom"     class="modal-btn modal-btn--hydrogen" ${touched ? '' : 'disabled'}>⚛️ Átomo tocado</button>
+            <button data-scope="molecule" class="modal-btn modal-btn--hydrogen" ${touched ? '' : 'disabled'}>🧬 Su molécula</button>
+            <button data-scope="scene"    class="modal-btn modal-btn--hydrogen">🌐 Toda la escena</button>
+        </div>
+    `;
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+
+    modal.querySelectorAll('[data-scope]').forEach(btn => btn.addEventListener('click', () => {
+        const scope = btn.dataset.scope;
+        const atoms = scope === 'atom'     ? [touched]
+                    : scope === 'molecule' ? simulation.findMoleculeContaining(touched).atoms
+                    : simulation.atoms;
+        applyHydrogenAction(action, atoms);
+        document.body.removeChild(overlay);
+    }));
+    overlay.addEventListener('click', (e) => {
+        if(e.target === overlay) document.body.removeChild(overlay);
+    });
+}
+
+function applyHydrogenAction(action, atoms) {
+    if(action === 'add') {
+        const added = addHydrogens(simulation, atoms);
+        showHint(added.length ? `💧 ${added.length} H agregado(s)` : 'ℹ️ No hay valencias libres');
+        if(added.length) playSound('add');
+    } else {
+        const removed = stripHydrogens(simulation, atoms);
+        showHint(removed ? `✂️ ${removed} H eliminado(s)` : 'ℹ️ No hay hidrógenos terminales');
+        if(removed) playSound('delete');
+    }
+    updateStats();
+}
+
+// ── Scene snapshots (save / load / autosave) ───────────────────────────────
+const AUTOSAVE_KEY      = 'quantumChemSim.autosave';
+const AUTOSAVE_INTERVAL = 15000; // ms
+
+function initSceneControls() {
+    const fileInput = document.getElementById('sceneFileInput');
+
+    document.getElementById('saveSceneBtn').addEventListener('click', () => {
+        const snapshot = createSnapshot(simulation);
+        downloadText('escena.json', JSON.stringify(snapshot, null, 2), 'application/json');
+        showHint(`💾 Escena guardada: ${snapshot.atoms.length} átomos`);
+    });
+
+    document.getElementById('loadSceneBtn').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if(!file) return;
+        try {
+            await loadScene(JSON.parse(await readFileAsText(file)));
+        } catch(error) {
+            console.error('Error loading scene:', error);
+            showHint(`❌ ${error.message}`);
+        }
+    });
+
+    document.getElementById('shareLinkBtn').addEventListener('click', async () => {
+        const hash = await encodeShareHash(createSnapshot(simulation));
+        const url  = `${location.origin}${location.pathname}${location.search}#${hash}`;
+        if(url.length > 8000) console.warn(`⚠️ Share link is ${url.length} chars — some apps truncate long URLs`);
+        try {
+            await navigator.clipboard.writeText(url);
+            showHint(`🔗 Enlace copiado (${url.length} caracteres)`);
+        } catch(error) {
+            // Sin permiso de portapapeles → dejarlo en la barra de direcciones
+            history.replaceState(null, '', `#${hash}`);
+            showHint('🔗 Enlace listo en la barra de direcciones');
+        }
+    });
+
+    // Autoguardado periódico + al cerrar la pestaña
+    setInterval(autosaveScene, AUTOSAVE_INTERVAL);
+    window.addEventListener('beforeunload', autosaveScene);
+}
+
+function autosaveScene() {
+    if(autosavePending && simulation.atoms.length === 0) return;
+    autosavePending = false;
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(createSnapshot(simulation)));
+    } catch(error) {
+        console.warn('⚠️ Autosave failed:', error);
+    }
+}
+
+async function restoreAutosave() {
+    let snapshot = null;
+    try {
+        snapshot = JSON.parse(localStorage.getItem(AUTOSAVE_KEY));
+    } catch(error) {
+        console.warn('⚠️ Invalid autosave, ignoring:', error);
+        return;
+    }
+    if(!snapshot?.atoms?.length) return;
+
+    try {
+        if(await loadScene(snapshot)) {
+            showHint(`♻️ Escena restaurada del autoguardado (${snapshot.atoms.length} átomos)`);
+        } else {
+            autosavePending = true;
+        }
+    } catch(error) {
+        console.error('Error restoring autosave:', error);
+    }
+}
+
+// ── Input log (grabación de entradas + replay determinista) ────────────────
+function initInputLogControls() {
+    const fileInput = document.getElementById('inputLogFileInput');
+
+    document.getElementById('recordInputBtn').addEventListener('click', (e) => {
+        if(inputReplayer) { showHint('⚠️ Espera a que termine el replay'); return; }
+        if(!inputRecorder.recording) {
+            physicsWorker?.suspend();
+            resetSceneReferences();
+            inputRecorder.start({ seed: urlSeed() });
+            e.target.textContent = '⏹️ Detener entradas';
+            showHint(`⏺️ Grabando entradas (semilla ${rng.initialSeed})`);
+            return;
+        }
+        const log = inputRecorder.stop();
+        physicsWorker?.resume();
+        e.target.textContent = '⏺️ Grabar entradas';
+        downloadText('entradas.json', JSON.stringify(log), 'application/json');
+        showHint(`💾 Entradas guardadas: ${log.ticks} ticks, ${log.events.length} eventos`);
+    });
+
+    document.getElementById('replayInputBtn').addEventListener('click', () => {
+        if(inputRecorder.recording) { showHint('⚠️ Detén la grabación de entradas primero'); return; }
+        fileInput.click();
+    });
+
+    fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if(!file) return;
+        try {
+            await startReplay(JSON.parse(await readFileAsText(file)));
+        } catch(error) {
+            console.error('Error loading input log:', error);
+            showHint(`❌ ${error.message}`);
+        }
+    });
+}
+
+async function startReplay(log) {
+    const replayer = new InputReplayer(simulation, log);
+    const missing = await activateGroupsFor(replayer.elements);
+    if(missing.length) {
+        showHint(`⚠️ Activa los grupos de: ${missing.join(', ')}`, 'warning');
+        return;
+    }
+
+    physicsWorker?.suspend();
+    resetSceneReferences();
+    replayer.start();
+    inputReplayer = replayer;
+    // Los controles se sincronizan al final: sus handlers redondean valores
+    updateStats();
+    showHint(`▶️ Reproduciendo ${replayer.log.ticks} ticks (semilla ${replayer.log.seed})`);
+}
+
+function finishReplay() {
+    inputReplayer = null;
+    physicsWorker?.resume();
+    syncControlsFromSimulation();
+    updateStats();
+    showHint('⏹️ Fin del replay');
+}
+
+// La escena se recrea → soltar referencias a los átomos anteriores
+function resetSceneReferences() {
+    trajectoryPlayer = null;
+    lastCrystalAtoms = [];
+    lastTouchedAtom  = null;
+    moleculeDetector.reset();
+}
+
+/**
+ * ?seed=1234 en la URL (undefined si no hay o no es un número)
+ */
+function urlSeed() {
+    const value = new URLSearchParams(location.search).get('seed');
+    if(value === null || value.trim() === '' || !Number.isFinite(Number(value))) return undefined;
+    return Number(value);
+}
+
+/**
+ * Decodifica #s=... sin tocar la escena; activa los grupos de elementos que
+ * la escena necesita (también antes de que exista la UI, desde init()).
+ * @returns {Promise<object|null>}
+ */
+async function readSharedSnapshot(hash) {
+    try {
+        const snapshot = await decodeShareHash(hash);
+        if(snapshot) await activateGroupsFor(snapshotElements(snapshot));
+        return snapshot;
+    } catch(error) {
+        console.error('Error decoding shared link:', error);
+        showHint(`❌ ${error.message}`);
+        return null;
+    }
+}
+
+async function loadSharedScene(snapshot) {
+    try {
+        if(await loadScene(snapshot)) showHint(`🔗 Escena compartida cargada (${snapshot.atoms.length} átomos)`);
+    } catch(error) {
+        console.error('Error loading shared scene:', error);
+        showHint(`❌ ${error.message}`);
+    }
+    // Quitar el hash: al recargar manda el autoguardado (el trabajo del alumno)
+    history.replaceState(null, '', location.pathname + location.search);
+}
+
+/**
+ * Activa con elementLoader.toggleGroup los grupos que contienen los símbolos.
+ * @returns {Promise<string[]>} símbolos que no existen en ningún grupo
+ */
+async function activateGroupsFor(symbols) {
+    const { enabled, missing } = await elementLoader.ensureElements(symbols);
+    if(enabled.length && groupPanel) {
+        enabled.forEach(key => {
+            if(groupPanel.checkboxes[key]) groupPanel.checkboxes[key].checked = true;
+        });
+        groupPanel.updateStats();
+        refreshElementGrid();
+    }
+    if(enabled.length) {
+        console.log(`✅ Auto-enabled groups: ${enabled.join(', ')}`);
+    }
+    return missing;
+}
+
+/**
+ * Reemplaza la escena por un snapshot y sincroniza los controles.
+ * Activa automáticamente los grupos de elementos que falten.
+ * @returns {Promise<boolean>} false si hay símbolos desconocidos
+ */
+async function loadScene(snapshot) {
+    const missing = await activateGroupsFor(snapshotElements(snapshot));
+    if(missing.length) {
+        showHint(`⚠️ Activa los grupos de: ${missing.join(', ')}`, 'warning');
+        return false;
+    }
+
+    resetSceneReferences();
+
+    const { atoms } = restoreSnapshot(simulation, snapshot);
+    syncControlsFromSimulation();
+    updateStats();
+    showHint(`📂 Escena cargada: ${atoms.length} átomos`);
+    return true;
+}
+
+/**
+ * Refleja el estado de simulation.physics / temperature / reactions en los
+ * controles. Los sliders disparan su propio 'input' → actualizan etiquetas
+ * y mallas (piso, techo, esfera) con la misma lógica que al moverlos a mano.
+ */
+function syncControlsFromSimulation() {
+    const physics = simulation.physics;
+    const temp    = simulation.temperature;
+
+    const slider = (id, value) => {
+        const el = document.getElementById(id);
+        if(!el || value === undefined) return;
+        el.value = value;
+        el.dispatchEvent(new Event('input'));
+    };
+    const checkbox = (id, checked) => {
+        const el = document.getElementById(id);
+        if(el) el.checked = !!checked;
+    };
+
+    // Modo de temperatura antes que el slider (cambia su máximo)
+    document.getElementById(temp.mode === 'realistic' ? 'tempModeRealistic' : 'tempModeDidactic').click();
+    const targetT = temp.targetTemperature;
+
+    slider('gravitySlider',          physics.gravityStrength);
+    slider('bounceSlider',           physics.restitution);
+    slider('floorTempSlider',        physics.floorTemperature);
+    slider('ceilingTempSlider',      physics.ceilingTemperature);
+    slider('ceilingBounceSlider',    physics.ceilingRestitution);
+    slider('ceilingYSlider',         physics.ceilingY);
+    slider('ceilingCurvatureSlider', physics.ceilingCurvature);
+    slider('sphereBounceSlider',     physics.sphereRestitution);
+    slider('sphereRadiusSlider',     physics.sphereRadius);
+    slider('sphereCenterYSlider',    physics.sphereCenterY);
+    slider('gravityLabSlider',       physics.gravityConstant);
+    slider('pauliStrengthSlider',    physics.repulsionStrength);
+    slider('pauliFactorSlider',      physics.repulsionFactor);
+    slider('frictionSlider',         physics.friction);
+    slider('terminalVelSlider',      physics.terminalVelocity);
+    slider('bondSpringSlider',       physics.bondSpringMultiplier);
+    slider('bondAnglesSlider',       physics.bondAngleStrength);
+    slider('lennardJonesSlider',     physics.lennardJones.strength);
+    slider('coulombSlider',          physics.electrostatics.strength);
+    slider('floorCurvatureSlider',   -physics.floorCurvature);   // Invertido en la física
+    slider('timestepSlider',         physics.timestepFs);
+    slider('substepsSlider',         physics.substeps);
+    slider('tempSlider',             targetT);
+    slider('tempTauSlider',          temp.thermostatTau);
+
+    checkbox('gravityToggle',       physics.gravityEnabled);
+    checkbox('floorToggle',         physics.floorEnabled);
+    checkbox('repulsionToggle',     physics.repulsionEnabled);
+    checkbox('bondAnglesToggle',    physics.bondAnglesEnabled);
+    checkbox('lennardJonesToggle',  physics.lennardJones.enabled);
+    checkbox('coulombToggle',       physics.electrostatics.enabled);
+    checkbox('coulombDsfToggle',    physics.electrostatics.method === 'dsf');
+    checkbox('hydrogenBondsToggle', simulation.hydrogenBonds.enabled);
+    checkbox('hydrogenBondAttractionToggle', simulation.hydrogenBonds.attractionEnabled);
+    checkbox('reactionsToggle',     simulation.reactions?.enabled);
+    checkbox('physicsModeToggle',   physics.modeManager.currentMode === 'realistic');
+    checkbox('verletToggle',        physics.integrator === 'verlet');
+    checkbox('ceilingToggle',       physics.ceilingEnabled);
+    checkbox('sphereToggle',        physics.sphereEnabled);
+    checkbox('tempEnabledToggle',   temp.enabled);
+    checkbox('tempBondBreakToggle', temp.thermalBondBreaking);
+    checkbox('tempColorToggle',     temp.colorAmbient);
+
+    // Recipientes: la malla sigue al estado físico al cargar
+    if(ceilingMesh && physics.ceilingEnabled) ceilingMesh.visible = true;
+    if(sphereMesh) {
+        sphereMesh.visible = physics.sphereEnabled;
+        sphereMesh.material.opacity = physics.sphereEnabled ? 0.08 : 0;
+    }
+
+    document.getElementById('toggleVisualization').textContent =
+        simulation.config.visualizationMode === 'clouds' ? '☁️ Nubes' : '⚛️ Anillos';
+    document.getElementById('toggleElectrons').textContent =
+        simulation.config.electronMode === 'all' ? '⚛️ Todos' : '⚡ Valencia';
+}
+
 function updateStats() {
     const s = simulation.getStats();
     document.getElementById('atomCount').textContent     = s.atomCount;
     document.getElementById('bondCount').textContent     = s.bondCount;
     document.getElementById('moleculeCount').textContent = s.moleculeCount;
+
+    const { species, summary, formed } = moleculeDetector.detect(simulation);
+    const speciesEl = document.getElementById('speciesSummary');
+    speciesEl.textContent = summary;
+    speciesEl.title = species.filter(sp => sp.recognized).map(sp => `${sp.name} ×${sp.count}`).join('\n');
+    if(formed.length) {
+        showHint(`🎉 ¡Formaste ${formed.map(sp => `${sp.icon} ${sp.name} (${sp.formula})`.trim()).join(', ')}!`);
+    }
 }
 
 // ── Window resize ──────────────────────────────────────────────────────────
 window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    resizeCamera(camera);
+    sceneRenderer.setSize(window.innerWidth, window.innerHeight);
 });
 
 // ── selectElementInUI — O(N) fix ───────────────────────────────────────────
@@ -1104,24 +1899,8 @@ window.updateFreezeCheckbox = (atom) => {
     if(cb) cb.checked = atom.frozen || false;
 };
 
-window.Bond          = Bond;
-window.MetallicCloud = MetallicCloud;
 window.showHint      = showHint;
 
-window.getBondsVisibilityState = () => {
-    const cb = document.getElementById('bondsToggle');
-    return cb ? cb.checked : true;
-};
-
-window.applyBondsVisibilityToLines = (lines) => {
-    const v = window.getBondsVisibilityState();
-    if(Array.isArray(lines)) lines.forEach(l => { if(l) l.visible = v; });
-};
-
-window.applyBondsVisibilityToElectronSea = (pts) => {
-    if(pts) pts.visible = window.getBondsVisibilityState();
-};
-
 // ── Delete mode ────────────────────────────────────────────────────────────
 function showDeleteModeModal() {
     const overlay = document.createElement('div');
@@ -1155,6 +1934,7 @@ function showDeleteModeModal() {
 function activateDeleteMode(mode) {
     simulation.config.interactionMode = 'delete';
     simulation.config.deleteMode      = mode;
+    setBuildButtonActive(false);
     const btn = document.getElementById('modeBtn');
     btn.textContent = mode === 'atom' ? '🗑️ Borrar Átomo' : '🗑️ Borrar Estructura';
     btn.classList.add('btn-delete-active');
@@ -1164,5 +1944,9 @@ function activateDeleteMode(mode) {
     );
 }
 
+function setBuildButtonActive(active) {
+    document.getElementById('buildBtn').classList.toggle('btn-build-active', active);
+}
+
 // ── Start ──────────────────────────────────────────────────────────────────
 init();
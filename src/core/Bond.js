@@ -6,24 +6,51 @@
  *   - XPBD de distancia: corrige posiciones directamente cada frame.
  *   - targetDist se mide de la posición inicial real, no de radios estimados.
  *   - Esto garantiza que la molécula nace y se queda en su geometría.
+ *   - Solo datos: el dibujo (cilindros, electrones) lo hace renderer/BondRenderer.js.
+ *
+ * IÓNICOS: no comparten electrones. Al formarse, el menos electronegativo
+ * cede electrones al otro → ambos quedan como iones (Atom.setFormalCharge) y
+ * electronTransfer guarda cuántos pasaron, para animar la transferencia.
+ * Pasan min(lo que el catión puede ceder, lo que el anión puede aceptar)
+ * (Atom.ionCapacity): ambos cambian lo mismo → la carga total no cambia
+ * (NaCl, CaF₂, TiO₂ quedan neutros). Un enlace covalente que llega después
+ * y baja la capacidad devuelve el exceso (Na–O y luego O–H → OH⁻), y al
+ * romperse el enlace iónico los electrones vuelven.
  */
 
+import { isMetal } from './MetallicCloud.js';
+
 export const BOND_TYPES = {
     COVALENT:  { name: 'Covalente',       deltaX: [0,   0.5], color: 0xaaaaaa, emissive: 0x444444, electronColor: 0x00ffff, speed: 0.012, opacity: 0.50, glowIntensity: 0.15, glowColor: 0x888888 },
     POLAR:     { name: 'Polar Covalente', deltaX: [0.5, 1.7], color: 0x88aaff, emissive: 0x2244aa, electronColor: 0x4488ff, speed: 0.015, opacity: 0.55, glowIntensity: 0.30, glowColor: 0x4466ff },
     IONIC:     { name: 'Iónico',          deltaX: [1.7, 99 ], color: 0xffaa22, emissive: 0xaa5500, electronColor: 0xffdd00, speed: 0.008, opacity: 0.65, glowIntensity: 0.60, glowColor: 0xff8800 },
     METALLIC:  { name: 'Metálico',        deltaX: null,       color: 0xdddddd, emissive: 0x888888, electronColor: 0xffffff, speed: 0.020, opacity: 0.30, glowIntensity: 0.08, glowColor: 0xaaaaaa },
     CRYSTAL:   { name: 'Cristalino',      deltaX: null,       color: 0x66ccff, emissive: 0x224466, electronColor: 0x88eeff, speed: 0.006, opacity: 0.45, glowIntensity: 0.20, glowColor: 0x44aaff },
+    // Puente de hidrógeno (physics/HydrogenBonds.js): no es un Bond, solo se dibuja — a trazos y sin electrones
+    HYDROGEN:  { name: 'Puente de Hidrógeno', deltaX: null,   color: 0x66ffcc, emissive: 0x228866, electronColor: 0x66ffcc, speed: 0,     opacity: 0.80, glowIntensity: 0.00, glowColor: 0x66ffcc, dashed: true },
 };
 
-function getBondType(atom1, atom2) {
+// Orden de enlace soportado: 1 = simple, 2 = doble, 3 = triple
+export const MAX_BOND_ORDER = 3;
+
+/**
+ * Longitud de enlace ideal (world units, 1 wu ≈ 100 pm) por orden de enlace.
+ * Relación de Pauling: d(n) = d(1) − 0.71 Å · log10(n)
+ *   C–O 1.50 → C=O 1.29 → C≡O 1.16
+ */
+export function idealBondLength(atom1, atom2, order = 1) {
+    const r1 = atom1.element.radius_covalent_pm || 70;
+    const r2 = atom2.element.radius_covalent_pm || 70;
+    const single = (r1 + r2) / 100;
+    return Math.max(0.3, Math.min(8.0, single - 0.71 * Math.log10(order)));
+}
+
+// Tipo de enlace que tendría el par (por Δχ; dos metales → metálico)
+export function getBondType(atom1, atom2) {
     const el1 = atom1.element;
     const el2 = atom2.element;
-    const isMetallic = el1 && el2 &&
-        el1.electronegativity && el1.electronegativity < 2.0 &&
-        el2.electronegativity && el2.electronegativity < 2.0 &&
-        el1 === el2;
-    if(isMetallic) return BOND_TYPES.METALLIC;
+    // Dos metales, iguales o no (Cu–Zn en el latón): por categoría (Au sí, Si no)
+    if(isMetal(el1) && isMetal(el2)) return BOND_TYPES.METALLIC;
     if(el1?.electronegativity && el2?.electronegativity) {
         const delta = Math.abs(el1.electronegativity - el2.electronegativity);
         if(delta >= 1.7) return BOND_TYPES.IONIC;
@@ -34,30 +61,97 @@ function getBondType(atom1, atom2) {
 }
 
 export class Bond {
-    constructor(atom1, atom2, scene) {
+    /**
+     * @param {Atom} atom1
+     * @param {Atom} atom2
+     * @param {number} order - orden de enlace (1 simple, 2 doble, 3 triple)
+     */
+    constructor(atom1, atom2, order = 1) {
         this.atom1 = atom1;
         this.atom2 = atom2;
-        this.scene = scene;
+        this.order = _clampOrder(order);
         this.isCrystalBond = false;
-        this.visible = window.getBondsVisibilityState ? window.getBondsVisibilityState() : true;
         this.bondType = getBondType(atom1, atom2);
-        this._eData = [];
 
         // targetDist: distancia real en el momento de creación del enlace.
         // Es la fuente de verdad — no depende de tablas de radios.
-        this.targetDist = atom1.group.position.distanceTo(atom2.group.position);
+        this.targetDist = atom1.position.distanceTo(atom2.position);
 
         // Clamp a rango razonable por si se crea entre átomos muy lejos/cerca
         this.targetDist = Math.max(0.3, Math.min(8.0, this.targetDist));
 
-        // Stiffness XPBD: 1.0 = completamente rígido, 0.0 = sin restricción
-        // 0.8 es rígido pero deja algo de flexibilidad natural
-        this.stiffness = 0.8;
+        // Enlaces múltiples: la geometría de entrada suele ser la del enlace
+        // simple → usar la longitud de Pauling para el orden real
+        if(this.order > 1) this.targetDist = idealBondLength(atom1, atom2, this.order);
 
-        atom1.consumeValenceElectrons(1);
-        atom2.consumeValenceElectrons(1);
+        this.stiffness = _stiffnessForOrder(this.order);
+
+        this.sharesElectrons = this.bondType !== BOND_TYPES.IONIC;
+        this.electronTransfer = 0;   // Electrones que pasaron del catión al anión
+        if(this.sharesElectrons) {
+            atom1.consumeValenceElectrons(this.order);
+            atom2.consumeValenceElectrons(this.order);
+        } else {
+            this._transferElectrons();
+        }
         atom1.bonds.push(this);
         atom2.bonds.push(this);
+        if(this.sharesElectrons) {
+            _limitIonCharge(atom1);
+            _limitIonCharge(atom2);
+        }
+    }
+
+    /**
+     * Catión (menor χ) y anión del enlace
+     * @returns {[Atom, Atom]}
+     */
+    ionPair() {
+        const chi1 = this.atom1.element.electronegativity || 0;
+        const chi2 = this.atom2.element.electronegativity || 0;
+        return chi1 < chi2 ? [this.atom1, this.atom2] : [this.atom2, this.atom1];
+    }
+
+    /**
+     * Enlace iónico: el catión pierde los mismos electrones que gana el
+     * anión (Mg con dos Cl: uno por enlace → Mg²⁺, 2 × Cl⁻)
+     */
+    _transferElectrons() {
+        const [cation, anion] = this.ionPair();
+        this.shiftElectrons(Math.min(cation.ionCapacity(+1), anion.ionCapacity(-1)));
+    }
+
+    /**
+     * Pasa `count` electrones más del catión al anión (negativo: los devuelve)
+     */
+    shiftElectrons(count) {
+        if(!count) return;
+        const [cation, anion] = this.ionPair();
+        cation.setFormalCharge(cation.formalCharge + count);
+        anion.setFormalCharge(anion.formalCharge - count);
+        this.electronTransfer += count;
+    }
+
+    /**
+     * Cambia el orden de enlace: reajusta electrones de valencia,
+     * longitud objetivo y rigidez.
+     */
+    setOrder(order) {
+        const next = _clampOrder(order);
+        if(next === this.order) return;
+
+        const delta = next - this.order;
+        if(this.sharesElectrons && delta > 0) {
+            this.atom1.consumeValenceElectrons(delta);
+            this.atom2.consumeValenceElectrons(delta);
+        } else if(this.sharesElectrons) {
+            this.atom1.releaseValenceElectrons(-delta);
+            this.atom2.releaseValenceElectrons(-delta);
+        }
+
+        this.order      = next;
+        this.targetDist = idealBondLength(this.atom1, this.atom2, next);
+        this.stiffness  = _stiffnessForOrder(next);
     }
 
     /**
@@ -69,8 +163,8 @@ export class Bond {
      *   corrección = error * stiffness * 0.5 en la dirección del enlace
      */
     update() {
-        const p1 = this.atom1.group.position;
-        const p2 = this.atom2.group.position;
+        const p1 = this.atom1.position;
+        const p2 = this.atom2.position;
 
         const dir = new THREE.Vector3().subVectors(p2, p1);
         const currentDist = dir.length();
@@ -115,11 +209,51 @@ export class Bond {
     }
 
     isValid() {
-        return this.atom1.group.parent && this.atom2.group.parent;
+        return !this.atom1.removed && !this.atom2.removed;
     }
 
     remove() {
+        // Devolver los electrones compartidos (o los transferidos, en un
+        // iónico) solo si el enlace seguía registrado
+        if(this.sharesElectrons) {
+            if(this.atom1.bonds.includes(this)) this.atom1.releaseValenceElectrons(this.order);
+            if(this.atom2.bonds.includes(this)) this.atom2.releaseValenceElectrons(this.order);
+        } else if(this.atom1.bonds.includes(this) && this.atom2.bonds.includes(this)) {
+            this.shiftElectrons(-this.electronTransfer);
+        }
         this.atom1.bonds = this.atom1.bonds.filter(b => b !== this);
         this.atom2.bonds = this.atom2.bonds.filter(b => b !== this);
     }
 }
+
+/**
+ * Tras un enlace covalente nuevo: si la carga iónica del átomo ya supera lo
+ * que admite (ionCharge), sus enlaces iónicos devuelven el exceso
+ * (O²⁻ del Mg–O que gana un H → OH⁻, el Mg queda Mg⁺)
+ */
+function _limitIonCharge(atom) {
+    if(!atom.formalCharge) return;
+    const sign = Math.sign(atom.formalCharge);
+    let excess = Math.abs(atom.formalCharge) - atom.ionCharge(sign);
+    for(const bond of atom.bonds) {
+        if(excess <= 0) break;
+        if(bond.sharesElectrons || bond.electronTransfer <= 0) continue;
+        if(bond.ionPair()[sign > 0 ? 0 : 1] !== atom) continue;
+        const back = Math.min(excess, bond.electronTransfer);
+        bond.shiftElectrons(-back);
+        excess -= back;
+    }
+}
+
+function _clampOrder(order) {
+    return Math.max(1, Math.min(MAX_BOND_ORDER, Math.round(order || 1)));
+}
+
+/**
+ * Stiffness XPBD: 1.0 = completamente rígido, 0.0 = sin restricción.
+ * 0.8 (simple) es rígido pero deja algo de flexibilidad natural;
+ * dobles y triples son más cortos y más rígidos.
+ */
+function _stiffnessForOrder(order) {
+    return Math.min(1.0, 0.8 + (order - 1) * 0.1);
+}
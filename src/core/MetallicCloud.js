@@ -3,67 +3,171 @@
  * Simulates the "sea of electrons" in metallic bonds
  * Instead of discrete bonds, metal valence electrons float freely
  * throughout the crystal volume as a shared electron cloud
+ *
+ * Solo física (resortes suaves entre átomos del cristal). Los electrones
+ * libres y las líneas de estructura los dibuja renderer/BondVisuals.js.
+ *
+ * RESORTES: solo entre vecinos de la primera capa, con la distancia que
+ * tenían al crearse la nube como reposo. Cada átomo toma los que están a
+ * ≤ FIRST_SHELL_TOLERANCE × su primer vecino: los 12 de fcc, los 8 + 6 de
+ * bcc (a√3/2 y a; sin los 6 la red bcc no resiste el corte). La segunda capa
+ * de fcc (a, 1.41 × el primer vecino) queda fuera → el cristal descongelado
+ * conserva su constante de red y el orden L1₂ de Cu₃Au.
+ *
+ * ALEACIONES (latón Cu-Zn, bronce Cu-Sn, Fe-Ni, Cu₃Au):
+ *   - cada par de elementos tiene su espaciado de referencia: el promedio de
+ *     los dos (Cu–Zn entre Cu–Cu y Zn–Zn); targetDist es el promedio del
+ *     cristal (se guarda con la escena). Los resortes no lo usan: su reposo
+ *     es la distancia real de cada par
+ *   - composition: átomos y electrones libres por elemento; el renderer
+ *     reparte los colores del mar de electrones según esos electrones
  */
 
-import { makeElectronMaterial } from './electronMaterial.js';
+import { SpatialHash } from '../physics/SpatialHash.js';
 
 // Reusable objects to avoid GC pressure
 const _tempDir = new THREE.Vector3();
-const _tempForce = new THREE.Vector3();
+
+// Alcance de la nube: primeros vecinos y fragmentos (wu)
+export const METALLIC_SPRING_CUTOFF = 6;
+const FIRST_SHELL_TOLERANCE = 1.2;   // × primer vecino del átomo
+
+// Categorías con mar de electrones (los metaloides como Si o B no)
+const METAL_CATEGORIES = new Set([
+    'alkali_metal', 'alkaline_earth', 'transition_metal',
+    'post_transition_metal', 'lanthanide', 'actinide'
+]);
+
+/**
+ * ¿El elemento es un metal? Por categoría, no por electronegatividad:
+ * Au (2.54) y W (2.36) son metales, Si (1.90) no
+ * @param {object} element - entrada de elementDatabase
+ * @returns {boolean}
+ */
+export function isMetal(element) {
+    return !!element && METAL_CATEGORIES.has(element.category);
+}
 
 export class MetallicCloud {
-    constructor(atoms, scene) {
+    constructor(atoms) {
         this.atoms = atoms;
-        this.scene = scene;
-        this.freeElectrons = [];
         this.springConstant = 0.008; // Softer than regular bonds
         this.isCrystalBond = true;
         this.bondType = { name: 'Metálico' }; // For compatibility checks
         this._frameCounter = 0;
-        this._cachedBounds = null;  // Bounds calculados cada 10 frames
-        
+        this.removed = false;
+
+        // Átomos, electrones libres y espaciado por elemento (más abundante primero)
+        this.composition = this._calculateComposition(atoms);
+
         // Calculate ideal lattice spacing from covalent radius
-        this.targetDist = this._calculateLatticeSpacing(atoms[0]);
-        
-        // Calculate total free electrons (sum of valence electrons)
-        const totalValence = atoms.reduce((sum, atom) => {
-            return sum + (atom.element?.valence || 1);
-        }, 0);
-        
-        // Create free electron particles (not tied to specific atoms)
-        // Use fewer particles for performance: ~3 per valence electron
-        const particleCount = Math.min(totalValence * 3, 200);
-        this._createFreeElectrons(particleCount);
-        
-        // Create very faint structural lines between nearby atoms
-        // (just to show crystal structure, almost invisible)
-        this.structureLines = [];
-        this._createStructureLines();
-        
-        console.log(`⚗️ MetallicCloud: ${atoms.length} atoms, ${particleCount} free electrons, spacing: ${this.targetDist.toFixed(2)}`);
+        // (promedio por composición: Ni en Fe no usa solo el del primer átomo)
+        this.targetDist = this._calculateLatticeSpacing(atoms);
+
+        // Pares de elementos distintos → espaciado del par / targetDist
+        this._pairFactors = this._calculatePairFactors();
+
+        // [{ a1, a2, rest }] de la primera capa, con la distancia de ahora
+        this.springs = this._findFirstShell(atoms);
+
+        // Total free electrons (sum over species of valence × atoms) — el
+        // renderer dibuja ~3 partículas por electrón
+        this.freeElectronCount = this.composition.reduce((sum, species) => sum + species.electrons, 0);
+
+        const species = this.composition.map(c => `${c.symbol} ${c.count}`).join(', ');
+        console.log(`⚗️ MetallicCloud: ${atoms.length} atoms (${species}), ${this.freeElectronCount} free electrons, spacing: ${this.targetDist.toFixed(2)}`);
+    }
+
+    /**
+     * Por elemento: { symbol, count, electrons, spacing, color }
+     */
+    _calculateComposition(atoms) {
+        const bySymbol = new Map();
+        for(const atom of atoms) {
+            let species = bySymbol.get(atom.symbol);
+            if(!species) {
+                species = {
+                    symbol: atom.symbol, count: 0, electrons: 0,
+                    spacing: this._elementSpacing(atom.element),
+                    color: atom.element.color
+                };
+                bySymbol.set(atom.symbol, species);
+            }
+            species.count++;
+            species.electrons += atom.element.valence || 1;
+        }
+        return [...bySymbol.values()].sort((a, b) => b.count - a.count);
+    }
+
+    _calculatePairFactors() {
+        const factors = new Map();
+        for(const s1 of this.composition) {
+            for(const s2 of this.composition) {
+                factors.set(`${s1.symbol}|${s2.symbol}`, (s1.spacing + s2.spacing) / 2 / this.targetDist);
+            }
+        }
+        return factors;
+    }
+
+    /**
+     * Espaciado de referencia de un par (targetDist en un metal puro)
+     */
+    pairSpacing(a1, a2) {
+        if(this.composition.length < 2) return this.targetDist;
+        return this.targetDist * (this._pairFactors.get(`${a1.symbol}|${a2.symbol}`) ?? 1);
+    }
+
+    /**
+     * Pares a ≤ FIRST_SHELL_TOLERANCE × el primer vecino de alguno de los dos
+     */
+    _findFirstShell(atoms) {
+        const nearest = new Map();
+        const grid = new SpatialHash().rebuild(atoms, METALLIC_SPRING_CUTOFF);
+        grid.forEachPair(METALLIC_SPRING_CUTOFF, (a1, a2) => {
+            const dist = a1.position.distanceTo(a2.position);
+            if(dist <= 0.1) return;
+            nearest.set(a1, Math.min(nearest.get(a1) ?? Infinity, dist));
+            nearest.set(a2, Math.min(nearest.get(a2) ?? Infinity, dist));
+        });
+
+        const springs = [];
+        grid.forEachPair(METALLIC_SPRING_CUTOFF, (a1, a2) => {
+            const rest = a1.position.distanceTo(a2.position);
+            const shell = FIRST_SHELL_TOLERANCE * Math.max(nearest.get(a1) ?? 0, nearest.get(a2) ?? 0);
+            if(rest > 0.1 && rest <= shell) springs.push({ a1, a2, rest });
+        });
+        return springs;
+    }
+
+    /**
+     * Spacing promedio de los átomos del cristal (cada elemento pesa según
+     * cuántos átomos tiene)
+     */
+    _calculateLatticeSpacing(atoms) {
+        const total = this.composition.reduce((sum, species) => sum + species.spacing * species.count, 0);
+        return atoms.length ? total / atoms.length : 2.0;
     }
-    
+
     /**
      * Calculate lattice spacing from covalent radius
      * Metallic bonds are slightly longer than covalent
      */
-    _calculateLatticeSpacing(atom) {
-        const element = atom.element;
-        
+    _elementSpacing(element) {
+
         // Use covalent radius if available (pm)
         const radius = element.radius_covalent_pm || this._estimateCovalentRadius(element);
-        
+
         // For metallic lattices: spacing ≈ 2 × covalent radius × 1.1
         // The 1.1 factor accounts for metallic bonds being slightly longer
         const spacingPm = radius * 2 * 1.1;
-        
+
         // Convert to world units (1 world unit ≈ 100 pm)
         const worldUnits = spacingPm / 100;
-        
+
         // Clamp to reasonable range
         return Math.max(2.0, Math.min(8.0, worldUnits));
     }
-    
+
     /**
      * Estimate covalent radius if not in advanced data
      */
@@ -77,202 +181,50 @@ export class MetallicCloud {
         if(Z <= 36) return 120 + (Z - 19) * 3;
         return 150;
     }
-    
-    _createFreeElectrons(count) {
-        const bounds = this._getCrystalBounds();
-
-        // Store particle data for animation
-        this.electronData = [];
-        const posArr = new Float32Array(count * 3);
-
-        for(let i = 0; i < count; i++) {
-            const x = bounds.min.x + Math.random() * (bounds.max.x - bounds.min.x);
-            const y = bounds.min.y + Math.random() * (bounds.max.y - bounds.min.y);
-            const z = bounds.min.z + Math.random() * (bounds.max.z - bounds.min.z);
-            posArr[i*3]   = x;
-            posArr[i*3+1] = y;
-            posArr[i*3+2] = z;
-
-            this.electronData.push({
-                velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.15,
-                    (Math.random() - 0.5) * 0.15,
-                    (Math.random() - 0.5) * 0.15
-                ),
-                phase:      Math.random() * Math.PI * 2,
-                pulseSpeed: 0.05 + Math.random() * 0.05
-            });
-        }
 
-        const geo = new THREE.BufferGeometry();
-        geo.setAttribute('position', new THREE.BufferAttribute(posArr, 3));
-
-        const mat = makeElectronMaterial(0xffffff, 0.38, 0.9, false);
-
-        this.electronPoints = new THREE.Points(geo, mat);
-        this.electronPoints.renderOrder = 2;  // Draw after bonds, same as shell electrons
-        this.scene.add(this.electronPoints);
-
-        // Apply initial visibility from bonds checkbox
-        if(window.applyBondsVisibilityToElectronSea) {
-            window.applyBondsVisibilityToElectronSea(this.electronPoints);
-        }
-
-        // Keep legacy array for remove() compatibility
-        this.freeElectrons = [];
-    }
-    
-    _createStructureLines() {
-        // Very faint lines showing crystal structure
-        const maxDist = 5.5;
-        const lineMat = new THREE.LineBasicMaterial({
-            color: 0xaaaaaa,
-            transparent: true,
-            opacity: 0.12, // Very faint - just structural reference
-        });
-        
-        for(let i = 0; i < this.atoms.length; i++) {
-            for(let j = i + 1; j < this.atoms.length; j++) {
-                const a1 = this.atoms[i];
-                const a2 = this.atoms[j];
-                const dist = a1.group.position.distanceTo(a2.group.position);
-                
-                if(dist < maxDist && dist > 0.1) {
-                    const points = [
-                        a1.group.position.clone(),
-                        a2.group.position.clone()
-                    ];
-                    const geo = new THREE.BufferGeometry().setFromPoints(points);
-                    const line = new THREE.Line(geo, lineMat.clone());
-                    line.userData = { atom1: a1, atom2: a2 };
-                    this.scene.add(line);
-                    this.structureLines.push(line);
-                }
-                // Apply initial visibility from checkbox
-                if(window.applyBondsVisibilityToLines) {
-                    window.applyBondsVisibilityToLines(this.structureLines);
-                    }
-            }
-        }
-    }
-    
-    _getCrystalBounds() {
+    /**
+     * Caja que contiene los átomos del cristal (+ margen para la nube)
+     */
+    getBounds(padding = 2.5) {
         const min = new THREE.Vector3(Infinity, Infinity, Infinity);
         const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
-        const padding = 2.5; // Extra space for electron cloud
-        
+
         this.atoms.forEach(atom => {
-            const p = atom.group.position;
+            const p = atom.position;
             min.min(p);
             max.max(p);
         });
-        
+
         min.subScalar(padding);
         max.addScalar(padding);
-        
+
         return { min, max };
     }
-    
+
     update() {
         this._frameCounter++;
 
-        // Recalcular bounds solo cada 10 frames — los átomos del cristal
-        // se mueven lento, el costo de calcular O(N) cada frame no vale.
-        if(this._frameCounter % 10 === 0 || !this._cachedBounds) {
-            this._cachedBounds = this._getCrystalBounds();
-        }
-        const bounds = this._cachedBounds;
-
-        // Update free electrons via GPU buffer (every frame - cheap)
-        if(this.electronPoints && this.electronData) {
-            const positions = this.electronPoints.geometry.attributes.position;
-            const arr = positions.array;
-
-            for(let i = 0; i < this.electronData.length; i++) {
-                const d = this.electronData[i];
-
-                // Move
-                arr[i*3]   += d.velocity.x;
-                arr[i*3+1] += d.velocity.y;
-                arr[i*3+2] += d.velocity.z;
-
-                // Bounce off bounds
-                if(arr[i*3]   < bounds.min.x) { arr[i*3]   = bounds.min.x; d.velocity.x =  Math.abs(d.velocity.x); }
-                if(arr[i*3]   > bounds.max.x) { arr[i*3]   = bounds.max.x; d.velocity.x = -Math.abs(d.velocity.x); }
-                if(arr[i*3+1] < bounds.min.y) { arr[i*3+1] = bounds.min.y; d.velocity.y =  Math.abs(d.velocity.y); }
-                if(arr[i*3+1] > bounds.max.y) { arr[i*3+1] = bounds.max.y; d.velocity.y = -Math.abs(d.velocity.y); }
-                if(arr[i*3+2] < bounds.min.z) { arr[i*3+2] = bounds.min.z; d.velocity.z =  Math.abs(d.velocity.z); }
-                if(arr[i*3+2] > bounds.max.z) { arr[i*3+2] = bounds.max.z; d.velocity.z = -Math.abs(d.velocity.z); }
-
-                // Thermal perturbation
-                d.velocity.x += (Math.random() - 0.5) * 0.01;
-                d.velocity.y += (Math.random() - 0.5) * 0.01;
-                d.velocity.z += (Math.random() - 0.5) * 0.01;
-
-                // Speed clamp
-                const speed = d.velocity.length();
-                if(speed > 0.2)  d.velocity.multiplyScalar(0.2  / speed);
-                if(speed < 0.02) d.velocity.multiplyScalar(0.02 / speed);
-
-                // Pulse opacity globally via material (cheap)
-                d.phase += d.pulseSpeed;
-            }
-
-            positions.needsUpdate = true;
-            // Pulse the whole cloud opacity
-            if(this.electronData.length > 0) {
-                const t = performance.now() * 0.001;
-                this.electronPoints.material.opacity = 0.4 + Math.sin(t * 1.5) * 0.25;
-            }
-        }
-        
-        // O(N²) expensive physics: skip most frames (only every 3rd frame)
+        // Expensive physics: skip most frames (only every 3rd frame)
         if(this._frameCounter % 3 !== 0) return;
-        
-        // Update structure lines to follow frozen crystal atoms
-        this.structureLines.forEach(line => {
-            const { atom1, atom2 } = line.userData;
-            const pts = line.geometry.attributes.position.array;
-            const p1 = atom1.group.position;
-            const p2 = atom2.group.position;
-            pts[0] = p1.x; pts[1] = p1.y; pts[2] = p1.z;
-            pts[3] = p2.x; pts[4] = p2.y; pts[5] = p2.z;
-            line.geometry.attributes.position.needsUpdate = true;
-        });
-        
+
         // Soft spring: atoms maintain approximate positions relative to each other
         // (much softer than covalent - metals are malleable)
-        for(let i = 0; i < this.atoms.length; i++) {
-            for(let j = i + 1; j < this.atoms.length; j++) {
-                const a1 = this.atoms[i];
-                const a2 = this.atoms[j];
-                _tempDir.subVectors(a2.group.position, a1.group.position);
-                const dist = _tempDir.length();
-                if(dist < 6 && dist > 0.1) {
-                    // Use calculated lattice spacing (not hardcoded)
-                    const force = (dist - this.targetDist) * this.springConstant;
-                    _tempDir.normalize().multiplyScalar(force);
-                    if(!a1.frozen) {
-                        _tempForce.copy(_tempDir);
-                        a1.applyForce(_tempForce);
-                    }
-                    if(!a2.frozen) {
-                        _tempForce.copy(_tempDir).negate();
-                        a2.applyForce(_tempForce);
-                    }
-                }
-            }
+        for(const { a1, a2, rest } of this.springs) {
+            if(a1.removed || a2.removed || (a1.frozen && a2.frozen)) continue;
+            _tempDir.subVectors(a2.position, a1.position);
+            const dist = _tempDir.length();
+            if(dist <= 0.1) continue;
+            _tempDir.multiplyScalar((dist - rest) * this.springConstant / dist);
+            if(!a1.frozen) a1.applyForce(_tempDir);
+            if(!a2.frozen) a2.applyForce(_tempDir.negate());
         }
     }
-    
+
     isValid() {
-        return this.atoms.length > 0 && this.atoms[0].group.parent;
+        return !this.removed && this.atoms.length > 0 && !this.atoms[0].removed;
     }
-    
+
     remove() {
-        if(this.electronPoints) this.scene.remove(this.electronPoints);
-        this.structureLines.forEach(l => this.scene.remove(l));
-        this.freeElectrons = [];
-        this.structureLines = [];
+        this.removed = true;
     }
 }
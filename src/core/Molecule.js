@@ -25,21 +25,22 @@ export class Molecule {
     updateCenterOfMass() {
         this.centerOfMass.set(0, 0, 0);
         this.atoms.forEach(atom => {
-            this.centerOfMass.add(atom.group.position);
+            this.centerOfMass.add(atom.position);
         });
         this.centerOfMass.divideScalar(this.atoms.length);
     }
     
     moveAll(delta) {
         this.atoms.forEach(atom => {
-            atom.group.position.add(delta);
+            atom.position.add(delta);
         });
         this.updateCenterOfMass();
     }
     
     highlight(intensity) {
+        // Brillo extra del núcleo — lo aplica AtomVisuals
         this.atoms.forEach(atom => {
-            atom.nucleus.material.emissiveIntensity = 0.3 + intensity;
+            atom.highlight = intensity;
         });
     }
     
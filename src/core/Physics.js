@@ -4,7 +4,10 @@
  */
 
 import { LennardJonesForces } from '../physics/LennardJones.js';
+import { CoulombForces } from '../physics/Electrostatics.js';
 import { PhysicsModeManager, PHYSICS_MODE } from '../physics/PhysicsMode.js';
+import { SpatialHash } from '../physics/SpatialHash.js';
+import { DEFAULT_INTEGRATOR } from '../physics/Integrators.js';
 
 export class PhysicsEngine {
     constructor() {
@@ -35,11 +38,16 @@ export class PhysicsEngine {
         this.sphereCenterY = 0;
         this.sphereRestitution = 0.6;
         
+        // Integración de paso fijo (physics/Integrators.js)
+        this.integrator = DEFAULT_INTEGRATOR;
+        this.timestepFs = 100;    // Δt por paso — 100 fs = 1 unidad de tiempo del motor
+        this.substeps   = 1;      // Pasos por tick (60 ticks por segundo real)
+
         // General physics
-        this.friction = 0.98;
+        this.friction = 0.98;     // Factor de velocidad por unidad de tiempo (100 fs)
         
         // Terminal velocity (prevents atoms from moving too fast)
-        this.terminalVelocity = 2.0;  // Max speed in world units/frame
+        this.terminalVelocity = 2.0;  // Max speed in world units per time unit (100 fs)
         // Prevents atoms from "tunneling" through repulsion barriers
         
         // Atomic repulsion (Pauli exclusion principle - by Éter)
@@ -54,6 +62,9 @@ export class PhysicsEngine {
         // Lennard-Jones forces (Van der Waals)
         this.lennardJones = new LennardJonesForces();
         this.lennardJones.enabled = false; // Start disabled
+
+        // Electrostatics (Coulomb entre iones y cargas parciales)
+        this.electrostatics = new CoulombForces();
         
         // Physics mode manager (Pedagogical vs Realistic)
         this.modeManager = new PhysicsModeManager(this);
@@ -62,6 +73,7 @@ export class PhysicsEngine {
         // Reusable objects (avoid GC)
         this._delta = new THREE.Vector3();
         this._force = new THREE.Vector3();
+        this._grid  = new SpatialHash();   // Solo si se llama sin la grilla de Simulation
     }
     
     applyGravity(atom) {
@@ -77,7 +89,7 @@ export class PhysicsEngine {
     checkFloorCollision(atom) {
         if(!this.floorEnabled) return;
         
-        const position = atom.group.position;
+        const position = atom.position;
         const effectiveRadius = atom.getEffectiveRadius(); // Use electron cloud boundary
         
         // Calculate floor height at atom's XZ position (curvature)
@@ -115,87 +127,112 @@ export class PhysicsEngine {
      * Apply Pauli exclusion repulsion between all atoms
      * Prevents atoms from overlapping (designed by Éter)
      * Uses quadratic force: stronger as atoms get closer
+     *
+     * @param {Array<Atom>} atoms
+     * @param {SpatialHash} [grid] - grilla ya reconstruida este paso (Simulation.update);
+     *                               sin ella se arma una propia
      */
-    applyAtomicRepulsion(atoms) {
+    applyAtomicRepulsion(atoms, grid = null) {
         if(!this.repulsionEnabled) return;
-        
-        for(let i = 0; i < atoms.length; i++) {
-            for(let j = i + 1; j < atoms.length; j++) {
-                const a = atoms[i];
-                const b = atoms[j];
-                
-                // Skip if both frozen
-                if(a.frozen && b.frozen) continue;
 
-                // Skip directly bonded pairs — el enlace XPBD ya maneja esa distancia.
-                // Pauli entre enlazados crea fuerzas opuestas al constraint → resonancia.
-                if(a.bonds.some(b2 => b2.atom1 === b || b2.atom2 === b)) continue;
-                
-                this._delta.subVectors(b.group.position, a.group.position);
-                const dist = this._delta.length();
+        const range = this.getRepulsionRange(atoms);
+        if(!grid) grid = this._grid.rebuild(atoms, range);
+
+        // Skip directly bonded pairs — el enlace XPBD ya maneja esa distancia.
+        // Pauli entre enlazados crea fuerzas opuestas al constraint → resonancia.
+        grid.forEachPair(range, (a, b) => {
+            // Skip if both frozen
+            if(a.frozen && b.frozen) return;
+            
+            this._delta.subVectors(b.position, a.position);
+            const dist = this._delta.length();
+            
+            // Minimum distance based on nucleus radii
+            const minDist = (this._repulsionRadius(a) + this._repulsionRadius(b)) * this.repulsionFactor;
+            
+            if(dist < minDist && dist > 0.01) {
+                // Quadratic repulsion: stronger at close range
+                const overlap = minDist - dist;
+                const forceMag = (overlap * overlap) * this.repulsionStrength;
                 
-                // Minimum distance based on nucleus radii
-                // Si hay datos avanzados con radio iónico, usarlo para iones (NaCl, etc.)
-                // Solo cuando el dato existe explícitamente — sin estimaciones.
-                const rA = a.element?.radius_ionic_pm
-                    ? a.element.radius_ionic_pm / 100
-                    : a.nucleusRadius;
-                const rB = b.element?.radius_ionic_pm
-                    ? b.element.radius_ionic_pm / 100
-                    : b.nucleusRadius;
-                const minDist = (rA + rB) * this.repulsionFactor;
+                this._force.copy(this._delta).normalize().multiplyScalar(forceMag);
                 
-                if(dist < minDist && dist > 0.01) {
-                    // Quadratic repulsion: stronger at close range
-                    const overlap = minDist - dist;
-                    const forceMag = (overlap * overlap) * this.repulsionStrength;
-                    
-                    this._force.copy(this._delta).normalize().multiplyScalar(forceMag);
-                    
-                    if(!a.frozen) {
-                        a.force.sub(this._force);  // Push a away
-                    }
-                    if(!b.frozen) {
-                        b.force.add(this._force);  // Push b away
-                    }
+                if(!a.frozen) {
+                    a.force.sub(this._force);  // Push a away
+                }
+                if(!b.frozen) {
+                    b.force.add(this._force);  // Push b away
                 }
             }
+        }, { skipBonded: true });
+    }
+
+    /**
+     * Mayor minDist posible entre dos átomos de la escena
+     * (radio de consulta de la grilla de vecinos para Pauli)
+     */
+    getRepulsionRange(atoms) {
+        let maxRadius = 0;
+        for(const atom of atoms) {
+            maxRadius = Math.max(maxRadius, this._repulsionRadius(atom));
         }
+        return maxRadius * 2 * this.repulsionFactor;
+    }
+
+    /**
+     * Radio del núcleo: los iones (formalCharge ≠ 0) ya traen el radio iónico
+     * de los datos avanzados (Atom._updateRadius) → Na⁺ más chico que Cl⁻.
+     */
+    _repulsionRadius(atom) {
+        return atom.nucleusRadius;
     }
     
-    updateAtom(atom) {
+    /**
+     * Paso de Euler semi-implícito de un átomo (EulerIntegrator).
+     * La gravedad ya entró con las demás fuerzas en Simulation.computeForces().
+     * @param {Atom} atom
+     * @param {number} [dt=1] - en unidades de tiempo (FS_PER_TIME_UNIT fs)
+     */
+    updateAtom(atom, dt = 1) {
         // Skip frozen atoms (crystal mode)
         if(atom.frozen) return;
         
-        // Apply gravity
-        this.applyGravity(atom);
-        
         // Update velocity from forces: F = ma → a = F/m
         const mass = atom.element.mass || 1.0; // Use actual atomic mass
-        const acceleration = atom.force.clone().divideScalar(mass);
-        atom.velocity.add(acceleration);
-        atom.velocity.multiplyScalar(this.friction);
+        atom.velocity.addScaledVector(atom.force, dt / mass);
+        this.applyDamping(atom, dt);
+        
+        // Update position
+        atom.position.addScaledVector(atom.velocity, dt);
+        this.applyBoundaries(atom);
+        
+        // Reset forces
+        atom.force.set(0, 0, 0);
+    }
+
+    /**
+     * Fricción y velocidad terminal — ambas definidas por unidad de tiempo,
+     * así que con Δt menor se aplican en proporción (friction^Δt)
+     */
+    applyDamping(atom, dt = 1) {
+        if(this.friction < 1) {
+            atom.velocity.multiplyScalar(dt === 1 ? this.friction : Math.pow(this.friction, dt));
+        }
         
         // Apply terminal velocity (prevent tunneling through repulsion)
         const speed = atom.velocity.length();
         if(speed > this.terminalVelocity) {
             atom.velocity.multiplyScalar(this.terminalVelocity / speed);
         }
-        
-        // Update position
-        atom.group.position.add(atom.velocity);
-        
-        // Check floor collision
-        this.checkFloorCollision(atom);
+    }
 
-        // Check ceiling collision
+    /**
+     * Piso, techo y esfera después de mover el átomo
+     */
+    applyBoundaries(atom) {
+        this.checkFloorCollision(atom);
         this.checkCeilingCollision(atom);
-
-        // Check sphere container collision
         this.checkSphereCollision(atom);
-        
-        // Reset forces
-        atom.force.set(0, 0, 0);
     }
     
     setGravity(enabled, strength = null) {
@@ -207,7 +244,7 @@ export class PhysicsEngine {
     
     checkCeilingCollision(atom) {
         if(!this.ceilingEnabled) return;
-        const pos = atom.group.position;
+        const pos = atom.position;
         const r   = atom.getEffectiveRadius();
         // Simétrico al piso pero invertido: techo baja en el centro cuando curvature > 0
         const ceilH = this.ceilingY - this.ceilingCurvature * (pos.x * pos.x + pos.z * pos.z);
@@ -222,7 +259,7 @@ export class PhysicsEngine {
 
     checkSphereCollision(atom) {
         if(!this.sphereEnabled) return;
-        const pos    = atom.group.position;
+        const pos    = atom.position;
         const r      = atom.getEffectiveRadius();
         const center = new THREE.Vector3(0, this.sphereCenterY, 0);
         const dist   = pos.distanceTo(center);
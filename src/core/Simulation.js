@@ -1,6 +1,20 @@
 /**
  * Simulation.js
  * Central state manager for the simulation
+ *
+ * Headless: no crea meshes ni toca window/document. Corre igual en el
+ * navegador, en Node o en un Worker:
+ *
+ *   const sim = new Simulation(elementDatabase);
+ *   sim.addAtom(new THREE.Vector3(0, 0, 0), 'O');
+ *   for(let i = 0; i < 1000; i++) sim.update();   // 1000 ticks
+ *
+ * Un tick = physics.substeps pasos de physics.timestepFs (physics/Integrators.js).
+ * En tiempo real hay TICK_RATE ticks por segundo sin importar los Hz de la
+ * pantalla: advance(ms) acumula el tiempo de cada frame y corre los que tocan.
+ *
+ * En el navegador, renderer/Scene.js (SceneRenderer.sync) dibuja el estado
+ * y worker/physics.worker.js corre stepDynamics() fuera del hilo principal.
  */
 
 import { Atom } from './Atom.js';
@@ -8,27 +22,48 @@ import { Bond } from './Bond.js';
 import { Molecule } from './Molecule.js';
 import { PhysicsEngine } from './Physics.js';
 import { applyBondAngleConstraints } from '../physics/BondAngleConstraints.js';
+import { findDisconnectedFragments } from '../physics/MoleculeFragmentation.js';
+import { SpatialHash } from '../physics/SpatialHash.js';
+import { HydrogenBondDetector } from '../physics/HydrogenBonds.js';
+import { getIntegrator, FS_PER_TIME_UNIT } from '../physics/Integrators.js';
+
+export const TICK_RATE = 60;                  // Ticks por segundo real
+export const TICK_MS   = 1000 / TICK_RATE;
+const MAX_TICKS_PER_FRAME = 4;                // Tras una pausa larga, no intentar alcanzar
 
 export class Simulation {
-    constructor(scene, elementDatabase) {
-        this.scene = scene;
+    constructor(elementDatabase) {
         this.elementDatabase = elementDatabase;
         
         // Physics engine
         this.physics = new PhysicsEngine();
         
+        // Subsistemas opcionales — asignados desde app.js
+        this.temperature = null;     // TemperatureSystem
+        this.reactions   = null;     // ReactionEngine (tras cargar reactions.json)
+        this.recorder    = null;     // TrajectoryRecorder (solo mientras graba XYZ)
+        this.onBondsBroken = null;   // Callback (bonds, fragments) → UI
+        
         // State
         this.atoms = [];
         this.bonds = [];
+        this.spatialHash = new SpatialHash();   // Reconstruida en cada computeForces()
+        this.hydrogenBonds = new HydrogenBondDetector();   // Puentes D–H···A (fuera de this.bonds)
+        this.vacancies = [];      // Sitios vacíos de cristal { anchor: Atom, offset } (CrystalGenerator.applyDefects)
+        this.time = 0;            // Tiempo simulado (fs)
+        this.stepCount = 0;       // Pasos de integración desde clearAll()
+        this._accumulatorMs = 0;  // Tiempo real aún no simulado (advance)
+        // Preferencias de visualización: se guardan con la escena,
+        // el renderer las lee cada frame
         this.config = {
             visualizationMode: 'clouds', // 'clouds' or 'shells'
             electronMode: 'all',          // 'all' or 'valence'
-            interactionMode: 'add'        // 'add' or 'delete'
+            interactionMode: 'add'        // 'add', 'delete' or 'build'
         };
     }
     
     addAtom(position, elementSymbol) {
-        const atom = new Atom(position, elementSymbol, this.elementDatabase, this.scene, this.config);
+        const atom = new Atom(position, elementSymbol, this.elementDatabase);
         this.atoms.push(atom);
         
         // Auto-bonding con threshold reducido.
@@ -41,15 +76,15 @@ export class Simulation {
             const r2 = (other.element.radius_covalent_pm || 70) / 100;
             const threshold = (r1 + r2) * 1.3;
 
-            const distance = atom.group.position.distanceTo(other.group.position);
+            const distance = atom.position.distanceTo(other.position);
             if(distance > threshold) return;
 
             const maxA = atom.element.max_bonds  || atom.element.valence  || 4;
             const maxB = other.element.max_bonds || other.element.valence || 4;
-            if(atom.bonds.length  >= maxA) return;
-            if(other.bonds.length >= maxB) return;
+            if(atom.getBondOrderSum()  >= maxA) return;
+            if(other.getBondOrderSum() >= maxB) return;
 
-            const bond = new Bond(atom, other, this.scene);
+            const bond = new Bond(atom, other);
             this.bonds.push(bond);
         });
         
@@ -58,7 +93,8 @@ export class Simulation {
     
     /**
      * Crea una molécula desde datos del JSON.
-     * Si el JSON trae "bonds" explícitos, los usa directamente.
+     * Si el JSON trae "bonds" explícitos, los usa directamente
+     * (con "order" opcional: 1 simple, 2 doble, 3 triple).
      * Si no (moléculas legacy), usa auto-bonding con threshold reducido.
      *
      * @param {object} molData - objeto del moleculas.json
@@ -71,20 +107,22 @@ export class Simulation {
         molData.atoms.forEach(atomData => {
             const pos = new THREE.Vector3(...atomData.position).add(offset);
             // Crear átomo sin que dispare auto-bonding (bandera temporal)
-            const atom = new Atom(pos, atomData.element, this.elementDatabase, this.scene, this.config);
+            const atom = new Atom(pos, atomData.element, this.elementDatabase);
             atom._skipAutoBond = true;
+            // Carga del ion (MOL "M  CHG", PDB) antes de los enlaces
+            if(atomData.charge) atom.setFormalCharge(atomData.charge);
             this.atoms.push(atom);
             createdAtoms.push(atom);
         });
 
         // Paso 2: crear enlaces
         if(molData.bonds && molData.bonds.length > 0) {
-            // Bonds explícitos del JSON — fuente de verdad
+            // Bonds explícitos del JSON — fuente de verdad ({ from, to, order? })
             molData.bonds.forEach(bondData => {
                 const a1 = createdAtoms[bondData.from];
                 const a2 = createdAtoms[bondData.to];
                 if(!a1 || !a2) return;
-                const bond = new Bond(a1, a2, this.scene);
+                const bond = new Bond(a1, a2, bondData.order || 1);
                 this.bonds.push(bond);
             });
         } else {
@@ -96,12 +134,12 @@ export class Simulation {
                     const r1 = (a.element.radius_covalent_pm || 70) / 100;
                     const r2 = (b.element.radius_covalent_pm || 70) / 100;
                     const threshold = (r1 + r2) * 1.3;
-                    const dist = a.group.position.distanceTo(b.group.position);
+                    const dist = a.position.distanceTo(b.position);
                     if(dist > threshold) continue;
                     const maxA = a.element.max_bonds || a.element.valence || 4;
                     const maxB = b.element.max_bonds || b.element.valence || 4;
-                    if(a.bonds.length >= maxA || b.bonds.length >= maxB) continue;
-                    const bond = new Bond(a, b, this.scene);
+                    if(a.getBondOrderSum() >= maxA || b.getBondOrderSum() >= maxB) continue;
+                    const bond = new Bond(a, b);
                     this.bonds.push(bond);
                 }
             }
@@ -112,9 +150,45 @@ export class Simulation {
         return createdAtoms;
     }
 
+    /**
+     * Elimina un enlace del grafo y de simulation.bonds.
+     * Usado por el motor de reacciones al recablear reactivos → productos.
+     */
+    removeBond(bond) {
+        bond.remove();
+        const index = this.bonds.indexOf(bond);
+        if(index > -1) this.bonds.splice(index, 1);
+    }
+
+    /**
+     * Disociación térmica: elimina los enlaces marcados por
+     * TemperatureSystem._checkThermalBondBreaking() y re-divide las moléculas.
+     * @returns {Array<Array<Atom>>} fragmentos resultantes que contenían enlaces rotos
+     */
+    breakMarkedBonds() {
+        const marked = this.bonds.filter(b => b._markedForThermalBreak);
+        if(marked.length === 0) return [];
+
+        const affected = new Set();
+        marked.forEach(bond => {
+            affected.add(bond.atom1);
+            affected.add(bond.atom2);
+            this.removeBond(bond);
+        });
+
+        // DFS por enlaces desde los átomos afectados → moléculas resultantes
+        const fragments = findDisconnectedFragments([...affected]);
+
+        console.log(`🔥 ${marked.length} enlace(s) roto(s) por calor → ${fragments.length} fragmento(s)`);
+        if(this.onBondsBroken) this.onBondsBroken(marked, fragments);
+        return fragments;
+    }
+
     removeAtom(atom) {
         const index = this.atoms.indexOf(atom);
         if(index > -1) {
+            // Sus enlaces se van con él (si no, los vecinos los siguen contando)
+            [...atom.bonds].forEach(bond => this.removeBond(bond));
             atom.remove();
             this.atoms.splice(index, 1);
         }
@@ -142,12 +216,25 @@ export class Simulation {
     
     setVisualizationMode(mode) {
         this.config.visualizationMode = mode;
-        this.atoms.forEach(atom => atom.setVisualizationMode(mode));
     }
     
     setElectronMode(mode) {
         this.config.electronMode = mode;
-        this.atoms.forEach(atom => atom.updateElectronVisibility());
+    }
+    
+    /**
+     * Tamaño de celda de la grilla: el mayor radio que se consulta este paso
+     * (así cada consulta mira solo las 27 celdas vecinas)
+     */
+    _neighborRange() {
+        let range = this.physics.repulsionEnabled ? this.physics.getRepulsionRange(this.atoms) : 0;
+        if(this.physics.lennardJones.enabled) {
+            range = Math.max(range, this.physics.lennardJones.cutoffDistance);
+        }
+        if(this.physics.electrostatics.enabled) {
+            range = Math.max(range, this.physics.electrostatics.cutoffDistance);
+        }
+        return range || 4.0;
     }
     
     clearAll() {
@@ -155,23 +242,69 @@ export class Simulation {
         this.bonds.forEach(b => b.remove());
         this.atoms.length = 0;
         this.bonds.length = 0;
+        this.vacancies.length = 0;
+        this.time = 0;
+        this.stepCount = 0;
+        // Contadores de "cada N pasos" desde cero → misma fase en un replay
+        this.temperature?.reset();
+        this.reactions?.reset();
+        this.hydrogenBonds.reset();
+    }
+
+    /**
+     * Avanza la simulación según el tiempo real transcurrido (requestAnimationFrame).
+     * A 30, 60 o 144 Hz se simula lo mismo por segundo.
+     * @param {number} elapsedMs - tiempo real desde el frame anterior
+     * @param {Function} [tick] - corre un tick (por defecto update(); io/InputLog.js
+     *                            graba o reproduce entradas alrededor de cada uno)
+     * @returns {number} ticks corridos (0 si este frame no alcanzó uno)
+     */
+    advance(elapsedMs, tick = () => this.update()) {
+        this._accumulatorMs = Math.min(this._accumulatorMs + elapsedMs, TICK_MS * MAX_TICKS_PER_FRAME);
+        let ticks = 0;
+        while(this._accumulatorMs >= TICK_MS) {
+            this._accumulatorMs -= TICK_MS;
+            tick();
+            ticks++;
+        }
+        return ticks;
     }
     
+    /**
+     * Un tick completo: dinámica (substeps) + química.
+     * Con worker/PhysicsWorkerClient.js, stepDynamics() corre en el Worker
+     * y el hilo principal solo llama stepChemistry().
+     */
     update() {
-        // Fase 1: Fuerzas de campo
-        this.physics.applyAtomicRepulsion(this.atoms);
-        this.physics.lennardJones.applyForces(this.atoms);
+        this.stepDynamics();
+        this.stepChemistry();
+    }
 
-        // Fase 2: Fuerzas de enlace (springs)
-        this.bonds.forEach(bond => {
-            if(bond.isValid()) bond.update();
-        });
+    /**
+     * physics.substeps pasos de integración (un tick) y la marca de los
+     * enlaces a disociar (_markedForThermalBreak; no cambia la topología)
+     */
+    stepDynamics() {
+        // Puentes de hidrógeno del tick para la restricción de atracción
+        if(this.hydrogenBonds.attractionEnabled) this.hydrogenBonds.detect(this.atoms);
 
-        // Fase 3: Integración (fuerza → velocidad → posición)
-        this.atoms.forEach(atom => {
-            this.physics.updateAtom(atom);
-            atom.update();
-        });
+        const substeps = Math.max(1, Math.round(this.physics.substeps) || 1);
+        for(let i = 0; i < substeps; i++) this.stepPhysics();
+
+        // Disociación térmica: marca una vez por tick, no por paso
+        if(this.temperature) this.temperature.markBondBreaks(this.bonds);
+    }
+
+    /**
+     * Un paso de Δt = physics.timestepFs: integración (fuerzas + enlaces XPBD
+     * dentro del integrador), ángulos y termostato.
+     */
+    stepPhysics() {
+        const physics = this.physics;
+        const dt = physics.timestepFs / FS_PER_TIME_UNIT;
+
+        // Fases 0–3: el integrador decide cuándo pedir las fuerzas
+        getIntegrator(physics.integrator).step(this, dt);
 
         // Fase 4: XPBD — corrección angular post-integración
         // Después de integrar, corregir posiciones para respetar geometría molecular.
@@ -184,32 +317,91 @@ export class Simulation {
                 applyBondAngleConstraints(atom, this.physics.bondAngleStrength);
             });
         }
+
+        // Fase 4b: atracción débil de los puentes de hidrógeno (opcional)
+        this.hydrogenBonds.applyAttraction();
+
+        // Fase 5: Termostato
+        if(this.temperature) this.temperature.update(this.atoms, dt);
+
+        this.time += physics.timestepFs;
+        this.stepCount++;
+    }
+
+    /**
+     * Fases 0–2: deja en atom.force las fuerzas de la configuración actual
+     * y aplica las restricciones de enlace. La llaman los integradores.
+     */
+    computeForces() {
+        // Fase 0: Grilla de vecinos — una por paso, la comparten todas las fuerzas
+        this.spatialHash.rebuild(this.atoms, this._neighborRange());
+
+        // Fase 1: Fuerzas de campo
+        this.physics.applyAtomicRepulsion(this.atoms, this.spatialHash);
+        this.physics.lennardJones.applyForces(this.atoms, this.spatialHash);
+        this.physics.electrostatics.applyForces(this.atoms, this.spatialHash);
+        this.atoms.forEach(atom => {
+            if(!atom.frozen) this.physics.applyGravity(atom);
+        });
+
+        // Fase 2: Fuerzas de enlace (springs)
+        this.bonds.forEach(bond => {
+            if(bond.isValid()) bond.update();
+        });
+    }
+
+    /**
+     * Fases 5b–7: todo lo que recablea el grafo o lee el estado final del paso.
+     */
+    stepChemistry() {
+        // Fase 5b: Disociación térmica de los enlaces marcados
+        if(this.temperature) this.breakMarkedBonds();
+
+        // Fase 6: Reacciones químicas (recablea enlaces tras colisiones energéticas)
+        if(this.reactions) this.reactions.update();
+
+        // Fase 7: Grabación de trayectoria (estado final del paso)
+        if(this.recorder) this.recorder.update();
+
+        // Fase 8: Puentes de hidrógeno para dibujar (geometría final del tick)
+        this.hydrogenBonds.refresh(this.atoms);
     }
     
-    getStats() {
-        // Count molecules using DFS
+    /**
+     * Componentes conexas: DFS por enlaces; los átomos de una nube metálica
+     * (sin enlaces propios) van juntos
+     * @returns {Array<Array<Atom>>}
+     */
+    findComponents() {
         const visited = new Set();
-        let moleculeCount = 0;
-        
-        const dfs = (atom) => {
-            visited.add(atom);
-            atom.bonds.forEach(bond => {
-                const neighbor = bond.atom1 === atom ? bond.atom2 : bond.atom1;
-                if(!visited.has(neighbor)) dfs(neighbor);
-            });
-        };
-        
-        for(const atom of this.atoms) {
-            if(!visited.has(atom)) {
-                moleculeCount++;
-                dfs(atom);
+        const components = [];
+
+        for(const start of this.atoms) {
+            if(visited.has(start)) continue;
+            const component = [];
+            const stack = [start];
+            visited.add(start);
+            while(stack.length) {
+                const atom = stack.pop();
+                component.push(atom);
+                const neighbors = atom.bonds.map(bond => bond.atom1 === atom ? bond.atom2 : bond.atom1);
+                if(atom.metallicCloud) neighbors.push(...atom.metallicCloud.atoms);
+                for(const neighbor of neighbors) {
+                    if(!neighbor || visited.has(neighbor)) continue;
+                    visited.add(neighbor);
+                    stack.push(neighbor);
+                }
             }
+            components.push(component);
         }
-        
+        return components;
+    }
+
+    getStats() {
         return {
             atomCount: this.atoms.length,
             bondCount: this.bonds.length,
-            moleculeCount: moleculeCount
+            moleculeCount: this.findComponents().length
         };
     }
 }
@@ -108,6 +108,44 @@ export class ElementLoader {
         return false;
     }
     
+    /**
+     * Make sure every symbol is loaded, enabling whichever groups contain them.
+     * Used when opening shared links / saved scenes that need inactive groups.
+     * @param {string[]} symbols
+     * @returns {Promise<{enabled: string[], missing: string[]}>} groups turned on + unknown symbols
+     */
+    async ensureElements(symbols) {
+        const enabled = [];
+        let pending = symbols.filter(s => !this.elements[s]);
+
+        for(const [key, group] of Object.entries(this.index.groups)) {
+            if(pending.length === 0) break;
+            if(this.activeGroups.has(key)) continue;
+
+            const groupSymbols = await this._getGroupSymbols(key, group);
+            if(!pending.some(s => groupSymbols.includes(s))) continue;
+
+            await this.toggleGroup(key, true);
+            enabled.push(key);
+            pending = pending.filter(s => !this.elements[s]);
+        }
+
+        return { enabled, missing: pending };
+    }
+    
+    /**
+     * Symbols of a group without activating it (cached)
+     */
+    async _getGroupSymbols(groupKey, group) {
+        if(!this._groupSymbols) this._groupSymbols = {};
+        if(!this._groupSymbols[groupKey]) {
+            const response = await fetch(`data/${group.file}`);
+            const data = await response.json();
+            this._groupSymbols[groupKey] = Object.keys(data.elements);
+        }
+        return this._groupSymbols[groupKey];
+    }
+    
     /**
      * Unload a group (remove its elements)
      */
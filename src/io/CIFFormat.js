@@ -0,0 +1,284 @@
+/**
+ * CIFFormat.js
+ * Crystallographic Information File (CIF 1.1) → celda unidad de
+ * data/crystal-structures.json (CrystalGenerator.generate)
+ *
+ * SE LEE:
+ *   _cell_length_a/b/c, _cell_angle_alpha/beta/gamma     (incertidumbre "5.640(2)" ignorada)
+ *   operaciones de simetría   _space_group_symop_operation_xyz
+ *                             _symmetry_equiv_pos_as_xyz   ("-x+1/2, y, -z")
+ *   sitios                    _atom_site_type_symbol (o _atom_site_label),
+ *                             _atom_site_fract_x/y/z, _atom_site_occupancy
+ *   nombre                    _chemical_name_mineral / _common / _systematic, data_
+ *   fórmula                   _chemical_formula_sum ("O2 Ti" → TiO₂, catión primero)
+ *
+ * EXPANSIÓN:
+ *   Cada sitio × cada operación, llevado a [0, 1). Dos imágenes a menos de
+ *   SITE_MERGE_DISTANCE Å son el mismo átomo (posiciones especiales, coordenadas
+ *   redondeadas en el archivo). Sin operaciones → identidad + el centrado de la
+ *   primera letra del grupo H-M ("F m -3 m" → F).
+ *   Ocupación parcial: en cada posición queda el sitio más ocupado; el
+ *   desorden (hielo con H de ocupación ½) no se resuelve.
+ *
+ * Cada bloque data_ con celda y sitios es una estructura; un archivo puede
+ * traer varias.
+ */
+
+import { subscriptFormula, normalizeSymbol } from './molData.js';
+
+const SITE_MERGE_DISTANCE = 0.5;   // Å
+const SYMOP_TAGS = ['_space_group_symop_operation_xyz', '_symmetry_equiv_pos_as_xyz'];
+const NAME_TAGS  = ['_chemical_name_mineral', '_chemical_name_common', '_chemical_name_systematic'];
+const CENTERINGS = 'PIFABC';
+
+/**
+ * @param {string} text - contenido de un .cif
+ * @param {object} [elementDatabase] - para distinguir "OW1" (O) de "Os"
+ * @returns {Array<object>} estructuras { id, name, label, icon, formula, spaceGroup, cell, basis }
+ */
+export function parseCIF(text, elementDatabase = null) {
+    const structures = _readBlocks(_tokenize(text))
+        .map(block => _toStructure(block, elementDatabase))
+        .filter(Boolean);
+    if(structures.length === 0) throw new Error('CIF: ningún bloque con celda y sitios atómicos');
+    return structures;
+}
+
+/**
+ * "-x+1/2, y, -z" → matriz 3×4 (filas [cx, cy, cz, t])
+ * @param {string} operation
+ * @returns {Array<Array<number>>}
+ */
+export function parseSymmetryOperation(operation) {
+    const parts = operation.replace(/['"\s]/g, '').toLowerCase().split(',');
+    if(parts.length !== 3) throw new Error(`CIF: operación de simetría inválida "${operation}"`);
+
+    return parts.map(part => {
+        const row = [0, 0, 0, 0];
+        for(const term of part.split(/(?=[+-])/)) {
+            if(!term) continue;
+            const m = term.match(/^([+-]?)(\d*\.?\d*(?:\/\d+)?)\*?([xyz]?)$/);
+            if(!m || (!m[2] && !m[3])) throw new Error(`CIF: término inválido "${term}" en "${operation}"`);
+            const sign = m[1] === '-' ? -1 : 1;
+            const value = m[2] ? _fraction(m[2]) : 1;
+            if(m[3]) row['xyz'.indexOf(m[3])] += sign * value;
+            else     row[3] += sign * value;
+        }
+        return row;
+    });
+}
+
+// ── Lectura ────────────────────────────────────────────────────────────────
+
+/**
+ * Tokens de CIF: palabras, 'cadenas', "cadenas" y campos ;…; multilínea.
+ * Los comentarios (#) se descartan. quoted → nunca es un tag.
+ */
+function _tokenize(text) {
+    const tokens = [];
+    const lines = text.split(/\r?\n/);
+    const word = /'(.*?)'(?=\s|$)|"(.*?)"(?=\s|$)|(#.*$)|(\S+)/g;
+
+    for(let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if(line.startsWith(';')) {
+            const parts = [line.slice(1)];
+            while(++i < lines.length && !lines[i].startsWith(';')) parts.push(lines[i]);
+            tokens.push({ value: parts.join('\n').trim(), quoted: true });
+            continue;
+        }
+        for(const m of line.matchAll(word)) {
+            if(m[3] !== undefined) break;
+            const quoted = m[1] !== undefined || m[2] !== undefined;
+            tokens.push({ value: m[1] ?? m[2] ?? m[4], quoted });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Bloques data_ → { name, tags: Map, loops: [{ tags, rows }] } (tags en minúscula)
+ */
+function _readBlocks(tokens) {
+    const blocks = [];
+    let block = null;
+    const isTag     = t => !t.quoted && t.value.startsWith('_');
+    const isKeyword = t => !t.quoted && /^(loop_|data_|save_|global_)/i.test(t.value);
+
+    let i = 0;
+    while(i < tokens.length) {
+        const token = tokens[i];
+        if(!token.quoted && /^data_/i.test(token.value)) {
+            block = { name: token.value.slice(5), tags: new Map(), loops: [] };
+            blocks.push(block);
+            i++;
+        } else if(!block) {
+            i++;   // Antes del primer data_
+        } else if(!token.quoted && token.value.toLowerCase() === 'loop_') {
+            const loop = { tags: [], rows: [] };
+            i++;
+            while(i < tokens.length && isTag(tokens[i])) loop.tags.push(tokens[i++].value.toLowerCase());
+            const values = [];
+            while(i < tokens.length && !isTag(tokens[i]) && !isKeyword(tokens[i])) values.push(tokens[i++].value);
+            for(let v = 0; v + loop.tags.length <= values.length; v += loop.tags.length) {
+                loop.rows.push(values.slice(v, v + loop.tags.length));
+            }
+            if(loop.tags.length) block.loops.push(loop);
+        } else if(isTag(token)) {
+            const next = tokens[i + 1];
+            if(next && !isTag(next) && !isKeyword(next)) {
+                block.tags.set(token.value.toLowerCase(), next.value);
+                i += 2;
+            } else {
+                i++;
+            }
+        } else {
+            i++;
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Columnas del primer loop que tenga `tag` → [{ tag: valor, ... }]
+ */
+function _loopRows(block, tag) {
+    const loop = block.loops.find(l => l.tags.includes(tag));
+    if(!loop) return [];
+    return loop.rows.map(row => Object.fromEntries(loop.tags.map((t, k) => [t, row[k]])));
+}
+
+// ── Estructura ─────────────────────────────────────────────────────────────
+
+function _toStructure(block, elementDatabase) {
+    const cell = {
+        a:     _number(block.tags.get('_cell_length_a')),
+        b:     _number(block.tags.get('_cell_length_b')),
+        c:     _number(block.tags.get('_cell_length_c')),
+        alpha: _number(block.tags.get('_cell_angle_alpha') ?? '90'),
+        beta:  _number(block.tags.get('_cell_angle_beta')  ?? '90'),
+        gamma: _number(block.tags.get('_cell_angle_gamma') ?? '90')
+    };
+    const sites = _loopRows(block, '_atom_site_fract_x');
+    if(Object.values(cell).some(v => !Number.isFinite(v)) || sites.length === 0) return null;
+
+    const spaceGroup = block.tags.get('_space_group_name_h-m_alt') ||
+                       block.tags.get('_symmetry_space_group_name_h-m') || '';
+    const symopTag = SYMOP_TAGS.find(tag => _loopRows(block, tag).length || block.tags.has(tag));
+    let operations = ['x,y,z'];
+    if(symopTag) {
+        const listed = _loopRows(block, symopTag).map(row => row[symopTag]);
+        operations = listed.length ? listed : [block.tags.get(symopTag)];
+    }
+
+    const asymmetric = sites.map(row => ({
+        element:   _siteElement(row['_atom_site_type_symbol'] || row['_atom_site_label'], elementDatabase),
+        position:  ['_atom_site_fract_x', '_atom_site_fract_y', '_atom_site_fract_z'].map(t => _number(row[t])),
+        occupancy: _number(row['_atom_site_occupancy'] ?? '1')
+    })).filter(site => site.element && site.position.every(Number.isFinite));
+    // Más ocupado primero: gana la posición al fusionar
+    asymmetric.sort((s1, s2) => (s2.occupancy || 0) - (s1.occupancy || 0));
+
+    const basis = _expandSites(asymmetric, operations.map(parseSymmetryOperation), cell);
+    if(basis.length === 0) return null;
+
+    const name = NAME_TAGS.map(tag => block.tags.get(tag)).find(v => v && v !== '?' && v !== '.') ||
+                 block.name || 'CIF';
+    const formula = _formula(block.tags.get('_chemical_formula_sum'), basis, elementDatabase);
+    const structure = {
+        id: `cif-${block.name}`,
+        name: name.replace(/\s+/g, ' ').trim(),
+        label: formula,
+        icon: '📐',
+        formula,
+        spaceGroup: spaceGroup.trim(),
+        cell,
+        basis
+    };
+    // Sin operaciones en el archivo: al menos el centrado del símbolo H-M
+    const centering = spaceGroup.trim().charAt(0).toUpperCase();
+    if(!symopTag && CENTERINGS.includes(centering) && centering !== 'P') structure.centering = centering;
+
+    console.log(`📐 CIF ${structure.name}: ${asymmetric.length} sitios × ${operations.length} operaciones → ${basis.length} átomos/celda`);
+    return structure;
+}
+
+function _expandSites(sites, operations, cell) {
+    const basis = [];
+    for(const site of sites) {
+        for(const op of operations) {
+            const position = op.map(([cx, cy, cz, t]) =>
+                _wrap(cx * site.position[0] + cy * site.position[1] + cz * site.position[2] + t));
+            if(basis.some(other => _cellDistance(cell, other.position, position) < SITE_MERGE_DISTANCE)) continue;
+            basis.push({ element: site.element, position: position.map(f => Number(f.toFixed(5))) });
+        }
+    }
+    return basis;
+}
+
+/**
+ * Distancia (Å) entre dos posiciones fraccionarias, con la imagen periódica más cercana
+ */
+function _cellDistance(cell, f1, f2) {
+    const rad = Math.PI / 180;
+    const d = f1.map((f, k) => {
+        const x = f - f2[k];
+        return x - Math.round(x);
+    });
+    const [a, b, c] = [cell.a * d[0], cell.b * d[1], cell.c * d[2]];
+    const sq = a * a + b * b + c * c +
+        2 * a * b * Math.cos(cell.gamma * rad) +
+        2 * a * c * Math.cos(cell.beta  * rad) +
+        2 * b * c * Math.cos(cell.alpha * rad);
+    return Math.sqrt(Math.max(0, sq));
+}
+
+/**
+ * "Na1+", "O2-", "Ca1" → símbolo. Con la base de elementos, "OW1" es O (no Ow)
+ */
+function _siteElement(token, elementDatabase) {
+    if(!token) return null;
+    const symbol = normalizeSymbol(token);
+    if(!symbol) return null;
+    if(elementDatabase && !elementDatabase[symbol] && elementDatabase[symbol.charAt(0)]) return symbol.charAt(0);
+    return symbol;
+}
+
+/**
+ * "Ca F2" / "Ca1 F2" → CaF₂; sin _chemical_formula_sum, la celda reducida
+ * (Na4Cl4 → NaCl). Catión (menor electronegatividad) primero si hay base de elementos.
+ */
+function _formula(sum, basis, elementDatabase) {
+    const counts = new Map();
+    if(sum && sum !== '?') {
+        for(const [, symbol, n] of sum.matchAll(/([A-Z][a-z]?)(\d*\.?\d*)/g)) {
+            counts.set(symbol, (counts.get(symbol) || 0) + (n ? parseFloat(n) : 1));
+        }
+    } else {
+        basis.forEach(site => counts.set(site.element, (counts.get(site.element) || 0) + 1));
+        const divisor = [...counts.values()].reduce(_gcd);
+        counts.forEach((n, symbol) => counts.set(symbol, n / divisor));
+    }
+    const chi = symbol => elementDatabase?.[symbol]?.electronegativity ?? 0;
+    const symbols = [...counts.keys()].sort((s1, s2) => chi(s1) - chi(s2) || s1.localeCompare(s2));
+    return subscriptFormula(symbols.map(s => s + (counts.get(s) !== 1 ? counts.get(s) : '')).join(''));
+}
+
+function _number(value) {
+    if(value === undefined || value === '?' || value === '.') return NaN;
+    return parseFloat(String(value).replace(/\(\d+\)$/, ''));
+}
+
+function _fraction(text) {
+    const [num, den] = text.split('/');
+    return den ? parseFloat(num) / parseFloat(den) : parseFloat(num);
+}
+
+function _wrap(f) {
+    const w = f - Math.floor(f);
+    return w > 1 - 1e-6 ? 0 : w;
+}
+
+function _gcd(a, b) {
+    return b ? _gcd(b, a % b) : a;
+}
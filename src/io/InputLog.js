@@ -0,0 +1,206 @@
+/**
+ * InputLog.js
+ * Grabación de las entradas del usuario y replay tick por tick.
+ *
+ * InputRecorder arranca desde un snapshot exacto de la escena y una semilla
+ * (utils/random.js). Antes de cada tick anota lo que cambió la UI desde el
+ * tick anterior:
+ *   - topología: átomos/moléculas/cristales agregados o borrados (SceneChanges)
+ *   - ajustes: sliders y toggles del Laboratorio (createSettings)
+ *   - pins: átomos arrastrados (posición + velocidad)
+ * Lo que cambia la química dentro del tick (disociación, reacciones) no se
+ * graba: el replay lo vuelve a calcular igual.
+ *
+ * InputReplayer restaura el snapshot y la semilla y repite los eventos en el
+ * mismo tick → la misma corrida, frame por frame. Ambos corren la física en el
+ * hilo principal (el worker avanza a su propio ritmo).
+ *
+ *   simulation.advance(elapsed, () => recorder.tick());
+ *   simulation.advance(elapsed, () => replayer.tick());
+ *
+ * ── FORMATO (JSON) ──────────────────────────────────────────────────────────
+ *   { format, version, savedAt, seed, rng, ticks, elements,
+ *     start:  cambio 'load' de SceneChanges (state como array),
+ *     events: [{ tick, change?, settings?, pins?, rng }] }
+ *   rng = estado del generador tras la entrada (la UI también sortea: offsets
+ *         de moléculas, "Randomizar física")
+ */
+
+import { createSettings, restoreSettings } from './SceneSnapshot.js';
+import { SceneChangeTracker, applySceneChange, collectPins, applyPins } from './SceneChanges.js';
+import { rng, randomSeed } from '../utils/random.js';
+
+export const INPUT_LOG_FORMAT  = 'quantum-chemistry-simulator/input-log';
+export const INPUT_LOG_VERSION = 1;
+
+export class InputRecorder {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.recording = false;
+        this.ticks  = 0;
+        this.events = [];
+    }
+
+    /**
+     * Siembra el generador y reinicia la escena desde su propio snapshot exacto.
+     * @param {object} [options]
+     * @param {number} [options.seed] - por defecto una semilla nueva
+     */
+    start({ seed = randomSeed() } = {}) {
+        const sim = this.simulation;
+        rng.seed(seed);
+
+        this._tracker  = new SceneChangeTracker(sim, { precise: true });
+        this._start    = this._tracker.take();
+        this._reload(this._start);
+
+        this._rng      = rng.getState();
+        this._settings = JSON.stringify(createSettings(sim));
+        this._pinned   = new Set();
+        this._elements = new Set(sim.atoms.map(a => a.symbol));
+        this.events    = [];
+        this.ticks     = 0;
+        this.recording = true;
+        console.log(`⏺️ Input log: recording (seed ${seed})`);
+    }
+
+    /**
+     * Un tick grabado: entradas pendientes → simulation.update()
+     */
+    tick() {
+        const event = this._capture();
+        if(event) this.events.push(event);
+
+        this.simulation.update();
+        // Lo que cambió la química lo repite el replay por su cuenta
+        this._tracker.take();
+        this.ticks++;
+    }
+
+    /**
+     * @returns {object} log serializable con JSON.stringify
+     */
+    stop() {
+        this.recording = false;
+        console.log(`⏹️ Input log: ${this.ticks} ticks, ${this.events.length} events`);
+        return {
+            format:   INPUT_LOG_FORMAT,
+            version:  INPUT_LOG_VERSION,
+            savedAt:  new Date().toISOString(),
+            seed:     this._rng.seed,
+            rng:      this._rng,
+            ticks:    this.ticks,
+            elements: [...this._elements],
+            start:    _changeToJSON(this._start),
+            events:   this.events
+        };
+    }
+
+    /**
+     * Un 'load' recrea la escena en el replay (aceleraciones y contadores a
+     * cero) → la corrida grabada pasa por lo mismo.
+     */
+    _reload(change) {
+        applySceneChange(this.simulation, change);
+        // Átomos nuevos → la referencia del tracker también
+        this._tracker.reset();
+        this._tracker.take();
+    }
+
+    _capture() {
+        const sim = this.simulation;
+        const event = { tick: this.ticks };
+
+        const change = this._tracker.take();
+        if(change) {
+            event.change = _changeToJSON(change);
+            sim.atoms.forEach(a => this._elements.add(a.symbol));
+            if(change.type === 'load') this._reload(change);
+        }
+
+        const settings = createSettings(sim);
+        const json = JSON.stringify(settings);
+        if(json !== this._settings) {
+            this._settings = json;
+            event.settings = settings;
+        }
+
+        const { pins, held } = collectPins(sim.atoms, null, this._pinned);
+        this._pinned = held;
+        if(pins) event.pins = Array.from(pins);
+
+        if(!event.change && !event.settings && !event.pins) return null;
+        event.rng = rng.getState();
+        return event;
+    }
+}
+
+export class InputReplayer {
+    /**
+     * @param {Simulation} simulation
+     * @param {object|string} log - salida de InputRecorder.stop() (objeto o JSON)
+     */
+    constructor(simulation, log) {
+        const data = typeof log === 'string' ? JSON.parse(log) : log;
+        if(!data || data.format !== INPUT_LOG_FORMAT) {
+            throw new Error('El archivo no es una grabación de entradas del simulador');
+        }
+        if(data.version > INPUT_LOG_VERSION) {
+            throw new Error(`Versión de grabación no soportada: ${data.version} (máx. ${INPUT_LOG_VERSION})`);
+        }
+        this.simulation = simulation;
+        this.log  = data;
+        this.tickIndex = 0;
+    }
+
+    /** Símbolos que hay que tener cargados antes de start() */
+    get elements() {
+        return this.log.elements;
+    }
+
+    get done() {
+        return this.tickIndex >= this.log.ticks;
+    }
+
+    /**
+     * Escena y generador como al empezar la grabación
+     */
+    start() {
+        applySceneChange(this.simulation, _changeFromJSON(this.log.start));
+        rng.setState(this.log.rng);
+        this.tickIndex = 0;
+        this._next = 0;
+        console.log(`▶️ Input log: replaying ${this.log.ticks} ticks (seed ${this.log.seed})`);
+    }
+
+    /**
+     * Un tick: entradas grabadas para este tick → simulation.update()
+     * @returns {boolean} false si la grabación ya terminó
+     */
+    tick() {
+        if(this.done) return false;
+        const sim = this.simulation;
+        const events = this.log.events;
+
+        while(this._next < events.length && events[this._next].tick === this.tickIndex) {
+            const event = events[this._next++];
+            if(event.change)   applySceneChange(sim, _changeFromJSON(event.change));
+            if(event.settings) restoreSettings(sim, event.settings);
+            if(event.pins)     applyPins(sim, event.pins);
+            rng.setState(event.rng);
+        }
+
+        sim.update();
+        this.tickIndex++;
+        return true;
+    }
+}
+
+// state viaja como array: JSON.stringify no sabe de Float64Array
+function _changeToJSON(change) {
+    return { ...change, state: Array.from(change.state) };
+}
+
+function _changeFromJSON(change) {
+    return { ...change, state: Float64Array.from(change.state) };
+}
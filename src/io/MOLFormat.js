@@ -0,0 +1,210 @@
+/**
+ * MOLFormat.js
+ * MDL Molfile V2000 y SDF (varios registros = biblioteca de moléculas)
+ *
+ * ESTRUCTURA DE UN REGISTRO:
+ *   línea 1   nombre
+ *   línea 2   programa / fecha
+ *   línea 3   comentario
+ *   línea 4   counts: aaabbb ... V2000
+ *   átomos    xxxxx.xxxxyyyyy.yyyyzzzzz.zzzz aaa dd ccc ...
+ *   enlaces   111222ttt ...          (1-based, ttt = orden 1/2/3)
+ *   M  CHG / M  END
+ * SDF: registros separados por "$$$$", con campos "> <NOMBRE>" tras M  END.
+ *
+ * UNIDADES: Å = world units (1 wu ≈ 100 pm).
+ */
+
+import { buildMolData, internalBonds, normalizeSymbol } from './molData.js';
+
+// Columna "ccc" del bloque de átomos → carga formal
+const CHARGE_CODES = { 1: 3, 2: 2, 3: 1, 5: -1, 6: -2, 7: -3 };
+
+/**
+ * @param {string} text - un .mol (un registro)
+ * @returns {object} molData con bonds explícitos (order incluido)
+ */
+export function parseMOL(text, elementDatabase = null) {
+    return _parseRecord(text.split(/\r?\n/), elementDatabase, 'MOL');
+}
+
+/**
+ * @param {string} text - un .sdf con uno o más registros
+ * @returns {Array<object>} un molData por registro
+ */
+export function parseSDF(text, elementDatabase = null) {
+    const records = text.split(/^\$\$\$\$\s*$/m)
+        .map(r => r.replace(/^\r?\n/, ''))
+        .filter(r => r.trim() !== '');
+
+    if(records.length === 0) throw new Error('SDF: archivo vacío');
+    return records.map((record, i) => {
+        const lines   = record.split(/\r?\n/);
+        const molData = _parseRecord(lines, elementDatabase, `SDF #${i + 1}`);
+        const fields  = _dataFields(lines);
+        const name    = fields.NAME || fields.PUBCHEM_IUPAC_NAME || fields.COMMON_NAME;
+        if(name) molData.name = name;
+        return molData;
+    });
+}
+
+/**
+ * Serializa átomos como Molfile V2000. Los enlaces se leen de atom.bonds
+ * (solo los internos al conjunto).
+ */
+export function writeMOL(atoms, name = 'Molecula') {
+    const bonds = internalBonds(atoms);
+    if(atoms.length > 999 || bonds.length > 999) {
+        throw new Error('MOL V2000: máximo 999 átomos/enlaces por registro');
+    }
+
+    const lines = [
+        name.replace(/\r?\n/g, ' '),
+        '  QuantumChemSim',
+        '',
+        `${_pad(atoms.length, 3)}${_pad(bonds.length, 3)}  0  0  0  0  0  0  0  0999 V2000`
+    ];
+
+    atoms.forEach(atom => {
+        const p = atom.position;
+        lines.push(`${_num(p.x)}${_num(p.y)}${_num(p.z)} ${atom.symbol.padEnd(3)} 0  0  0  0  0  0  0  0  0  0  0  0`);
+    });
+    bonds.forEach(b => {
+        lines.push(`${_pad(b.from + 1, 3)}${_pad(b.to + 1, 3)}${_pad(b.order, 3)}  0`);
+    });
+
+    const charged = atoms
+        .map((a, i) => ({ i, charge: a.formalCharge || 0 }))
+        .filter(c => c.charge !== 0);
+    // M  CHG admite hasta 8 entradas por línea
+    for(let k = 0; k < charged.length; k += 8) {
+        const chunk = charged.slice(k, k + 8);
+        lines.push(`M  CHG${_pad(chunk.length, 3)}` +
+            chunk.map(c => `${_pad(c.i + 1, 4)}${_pad(c.charge, 4)}`).join(''));
+    }
+
+    lines.push('M  END');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Varios grupos de átomos (p. ej. cada molécula de la escena) → SDF
+ * @param {Array<{name: string, atoms: Array<Atom>}>} entries
+ */
+export function writeSDF(entries) {
+    return entries.map(({ name, atoms }) =>
+        writeMOL(atoms, name) + `> <NAME>\n${name}\n\n$$$$\n`
+    ).join('');
+}
+
+// ── Parsing ─────────────────────────────────────────────────────────────────
+
+function _parseRecord(lines, elementDatabase, label) {
+    const counts = lines[3] || '';
+    if(/V3000/.test(counts)) throw new Error(`${label}: formato V3000 no soportado (solo V2000)`);
+
+    const [nAtoms, nBonds] = _intPair(counts);
+    if(!Number.isFinite(nAtoms) || !Number.isFinite(nBonds)) {
+        throw new Error(`${label}: línea de conteo inválida: "${counts}"`);
+    }
+    if(lines.length < 4 + nAtoms + nBonds) {
+        throw new Error(`${label}: registro incompleto (${nAtoms} átomos, ${nBonds} enlaces)`);
+    }
+
+    const atoms = [];
+    for(let i = 0; i < nAtoms; i++) {
+        const line = lines[4 + i];
+        const atom = _parseAtomLine(line, elementDatabase);
+        if(!atom) throw new Error(`${label}: línea de átomo inválida (${5 + i}): "${line}"`);
+        atoms.push(atom);
+    }
+
+    const bonds = [];
+    for(let i = 0; i < nBonds; i++) {
+        const line = lines[4 + nAtoms + i];
+        const [a, b, type] = _intPair(line, 3);
+        const from = a - 1;
+        const to   = b - 1;
+        if(!atoms[from] || !atoms[to] || from === to) {
+            throw new Error(`${label}: enlace inválido (${5 + nAtoms + i}): "${line}"`);
+        }
+        const bond = { from, to };
+        // 1/2/3 = simple/doble/triple · 4 = aromático (se deja simple) · resto = query
+        if(type === 2 || type === 3) bond.order = type;
+        bonds.push(bond);
+    }
+
+    // Bloque de propiedades: M  CHG reemplaza las cargas del bloque de átomos
+    for(let i = 4 + nAtoms + nBonds; i < lines.length; i++) {
+        const line = lines[i];
+        if(line.startsWith('M  END')) break;
+        if(line.startsWith('M  CHG')) {
+            atoms.forEach(a => { delete a.charge; });
+            const parts = line.slice(6).trim().split(/\s+/).map(Number);
+            for(let k = 1; k + 1 < parts.length; k += 2) {
+                const atom = atoms[parts[k] - 1];
+                if(atom && parts[k + 1]) atom.charge = parts[k + 1];
+            }
+        }
+    }
+
+    const name = (lines[0] || '').trim() || label;
+    return buildMolData(name, atoms, bonds);
+}
+
+function _parseAtomLine(line = '', elementDatabase) {
+    // Columnas fijas: x 0-10, y 10-20, z 20-30, símbolo 31-34, ccc 36-39.
+    // Fallback a separación por espacios para archivos escritos a mano.
+    let x = parseFloat(line.slice(0, 10));
+    let y = parseFloat(line.slice(10, 20));
+    let z = parseFloat(line.slice(20, 30));
+    let symbol = line.slice(31, 34).trim();
+    let code   = _int(line, 36, 3);
+
+    if([x, y, z].some(v => !Number.isFinite(v)) || !/^[A-Za-z]+$/.test(symbol)) {
+        const parts = line.trim().split(/\s+/);
+        [x, y, z] = parts.slice(0, 3).map(Number);
+        symbol = parts[3] || '';
+        code   = parseInt(parts[5], 10);
+        if([x, y, z].some(v => !Number.isFinite(v)) || !symbol) return null;
+    }
+
+    const atom = { element: normalizeSymbol(symbol, elementDatabase), position: [x, y, z] };
+    if(CHARGE_CODES[code]) atom.charge = CHARGE_CODES[code];
+    return atom;
+}
+
+/**
+ * Campos de datos SDF tras M  END:  "> <NAME>" + valor en la línea siguiente
+ */
+function _dataFields(lines) {
+    const fields = {};
+    for(let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(/^>.*<([^>]+)>/);
+        if(match && lines[i + 1] !== undefined) fields[match[1]] = lines[i + 1].trim();
+    }
+    return fields;
+}
+
+/**
+ * Enteros de 3 columnas alineados a la derecha ("  1  2  2").
+ * Si la línea no respeta las columnas (escrita a mano) → separación por espacios.
+ */
+function _intPair(line = '', count = 2) {
+    if(/^[ \d]{2}\d[ \d]{2}\d/.test(line)) {
+        return Array.from({ length: count }, (_, k) => _int(line, k * 3, 3));
+    }
+    return line.trim().split(/\s+/).slice(0, count).map(v => parseInt(v, 10));
+}
+
+function _int(line = '', start, length) {
+    return parseInt(line.slice(start, start + length), 10);
+}
+
+function _pad(n, width) {
+    return String(n).padStart(width);
+}
+
+function _num(v) {
+    return v.toFixed(4).padStart(10);
+}
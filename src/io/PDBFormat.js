@@ -0,0 +1,168 @@
+/**
+ * PDBFormat.js
+ * Protein Data Bank: registros ATOM / HETATM / CONECT
+ *
+ * COLUMNAS (0-based, fijas):
+ *   ATOM/HETATM  serial 6-11 · nombre 12-16 · altLoc 16 · resName 17-20
+ *                x 30-38 · y 38-46 · z 46-54 · elemento 76-78 · carga 78-80
+ *   CONECT       serial 6-11 · vecinos 11-16, 16-21, 21-26, 26-31
+ *
+ * ENLACES:
+ *   Con CONECT → bonds explícitos. Un par repetido indica enlace múltiple
+ *   (convención de OpenBabel/PyMOL). Sin CONECT → auto-bonding por radios
+ *   covalentes en Simulation.createMolecule().
+ *
+ * Solo se lee el primer MODEL; de las posiciones alternativas (altLoc) solo la "A".
+ */
+
+import { buildMolData, internalBonds, normalizeSymbol } from './molData.js';
+
+/**
+ * @param {string} text - contenido de un .pdb
+ * @returns {object} molData (bonds solo si hay CONECT)
+ */
+export function parsePDB(text, elementDatabase = null) {
+    const lines  = text.split(/\r?\n/);
+    const atoms  = [];
+    const serialToIndex = new Map();
+    const pairCount     = new Map();   // "i-j" (i<j) → veces listado desde cada lado
+    let name = '';
+    let inFirstModel = true;
+
+    for(const line of lines) {
+        const record = line.slice(0, 6).trim();
+
+        if(record === 'ENDMDL') inFirstModel = false;
+        if(record === 'HEADER' && !name) name = line.slice(10, 50).trim();
+        if((record === 'COMPND' || record === 'TITLE') && !name) {
+            name = line.slice(10).replace(/^\s*\d*\s*MOLECULE:/, '').replace(/;\s*$/, '').trim();
+        }
+
+        if((record === 'ATOM' || record === 'HETATM') && inFirstModel) {
+            const altLoc = line.charAt(16);
+            if(altLoc !== ' ' && altLoc !== '' && altLoc !== 'A') continue;
+
+            const x = parseFloat(line.slice(30, 38));
+            const y = parseFloat(line.slice(38, 46));
+            const z = parseFloat(line.slice(46, 54));
+            if([x, y, z].some(v => !Number.isFinite(v))) {
+                throw new Error(`PDB: coordenadas inválidas: "${line}"`);
+            }
+
+            const atom = {
+                element:  _elementOf(line, elementDatabase),
+                position: [x, y, z]
+            };
+            const charge = _charge(line.slice(78, 80));
+            if(charge) atom.charge = charge;
+
+            serialToIndex.set(parseInt(line.slice(6, 11), 10), atoms.length);
+            atoms.push(atom);
+        }
+
+        if(record === 'CONECT') {
+            const from = serialToIndex.get(parseInt(line.slice(6, 11), 10));
+            if(from === undefined) continue;
+            const seen = new Map();
+            for(let col = 11; col < 31; col += 5) {
+                const to = serialToIndex.get(parseInt(line.slice(col, col + 5), 10));
+                if(to === undefined || to === from) continue;
+                seen.set(to, (seen.get(to) || 0) + 1);
+            }
+            seen.forEach((count, to) => {
+                const key = from < to ? `${from}-${to}` : `${to}-${from}`;
+                // Cada lado lista el enlace; nos quedamos con el mayor conteo
+                pairCount.set(key, Math.max(pairCount.get(key) || 0, count));
+            });
+        }
+    }
+
+    if(atoms.length === 0) throw new Error('PDB: no hay registros ATOM/HETATM');
+
+    const bonds = [];
+    pairCount.forEach((count, key) => {
+        const [from, to] = key.split('-').map(Number);
+        const bond = { from, to };
+        if(count > 1) bond.order = Math.min(3, count);
+        bonds.push(bond);
+    });
+
+    return buildMolData(name || 'PDB', atoms, bonds);
+}
+
+/**
+ * Serializa átomos como HETATM + CONECT (los enlaces múltiples se repiten).
+ */
+export function writePDB(atoms, name = 'Molecula') {
+    if(atoms.length > 99999) throw new Error('PDB: máximo 99999 átomos');
+
+    const lines = [`COMPND    ${name.replace(/\r?\n/g, ' ')}`];
+    const counts = {};
+
+    atoms.forEach((atom, i) => {
+        const p      = atom.position;
+        const symbol = atom.symbol;
+        counts[symbol] = (counts[symbol] || 0) + 1;
+        // Nombre de átomo: símbolos de 1 letra empiezan en la columna 14
+        const atomName = symbol.length === 1
+            ? ` ${(symbol + counts[symbol]).slice(0, 3).padEnd(3)}`
+            : (symbol.toUpperCase() + counts[symbol]).slice(0, 4).padEnd(4);
+
+        lines.push(
+            'HETATM' +
+            String(i + 1).padStart(5) + ' ' +
+            atomName + ' ' +
+            'UNL' + ' A' + '   1' + '    ' +
+            p.x.toFixed(3).padStart(8) +
+            p.y.toFixed(3).padStart(8) +
+            p.z.toFixed(3).padStart(8) +
+            '  1.00' + '  0.00' + ' '.repeat(10) +
+            symbol.toUpperCase().padStart(2) +
+            _chargeField(atom.formalCharge)
+        );
+    });
+
+    // CONECT: cada átomo lista sus vecinos (máx. 4 por línea)
+    const neighbors = atoms.map(() => []);
+    internalBonds(atoms).forEach(({ from, to, order }) => {
+        for(let k = 0; k < order; k++) {
+            neighbors[from].push(to + 1);
+            neighbors[to].push(from + 1);
+        }
+    });
+    neighbors.forEach((list, i) => {
+        for(let k = 0; k < list.length; k += 4) {
+            lines.push('CONECT' + String(i + 1).padStart(5) +
+                list.slice(k, k + 4).map(n => String(n).padStart(5)).join(''));
+        }
+    });
+
+    lines.push('END');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Columnas 76-78; si faltan (PDB antiguos) se deduce del nombre del átomo.
+ */
+function _elementOf(line, elementDatabase) {
+    const column = line.slice(76, 78).trim();
+    if(column) return normalizeSymbol(column, elementDatabase);
+
+    // Nombre alineado a la columna 13 → símbolo de 2 letras (" CA " es Cα, "CA  " es calcio)
+    const atomName = line.slice(12, 16);
+    const twoLetter = atomName.charAt(0) !== ' ' && /[A-Za-z]/.test(atomName.charAt(1));
+    const letters = atomName.replace(/[^A-Za-z]/g, '');
+    return normalizeSymbol(twoLetter ? letters.slice(0, 2) : letters.slice(0, 1), elementDatabase);
+}
+
+// "2+" → 2, "1-" → -1
+function _charge(field = '') {
+    const match = field.trim().match(/^(\d)([+-])$/);
+    if(!match) return 0;
+    return parseInt(match[1], 10) * (match[2] === '-' ? -1 : 1);
+}
+
+function _chargeField(charge) {
+    if(!charge) return '  ';
+    return `${Math.abs(charge)}${charge < 0 ? '-' : '+'}`;
+}
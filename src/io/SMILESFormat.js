@@ -0,0 +1,138 @@
+/**
+ * SMILESFormat.js
+ * Lector de SMILES (subconjunto) → grafo de la molécula con H explícitos
+ *
+ * Lo usa la biblioteca de referencia (data/molecule-library.json) del
+ * detector de especies: una línea por molécula en lugar de coordenadas.
+ *
+ * SOPORTADO:
+ *   átomos orgánicos   B C N O P S F Cl Br I   (H implícitos)
+ *   entre corchetes    [Na] [NH4+] [OH-] [Fe+2] (H y carga explícitos, sin implícitos)
+ *   enlaces            - = #   (simple por defecto)
+ *   ramas              CC(C)C
+ *   anillos            C1CCCCC1, %10
+ * NO: aromáticos en minúscula (benceno = C1=CC=CC=C1), estereo (/ \ @),
+ *     isótopos, '.' (varias moléculas).
+ *
+ * H implícitos: la valencia normal más chica que alcanza (N 3 o 5, S 2/4/6):
+ *   CCO → C₂H₆O (etanol)    C=O → CH₂O    OC(=O)C → C₂H₄O₂
+ *
+ * Sin posiciones: el resultado es { atoms: [{ element, charge? }],
+ * bonds: [{ from, to, order }] } — el shape de moleculas.json sin "position".
+ */
+
+const BOND_SYMBOLS = { '-': 1, '=': 2, '#': 3 };
+const ORGANIC_VALENCES = {
+    B: [3], C: [4], N: [3, 5], O: [2], P: [3, 5], S: [2, 4, 6],
+    F: [1], Cl: [1], Br: [1], I: [1]
+};
+const ORGANIC_ATOM = /^(Cl|Br|[BCNOPSFI])/;
+const BRACKET_ATOM = /^\[(\d*)([A-Z][a-z]?)(H\d*)?([+-]\d*|\++|-+)?\]/;
+
+/**
+ * @param {string} smiles
+ * @returns {{atoms: Array<{element: string, charge?: number}>, bonds: Array<{from: number, to: number, order: number}>}}
+ */
+export function parseSMILES(smiles) {
+    const text = String(smiles).trim();
+    if(!text) throw new Error('SMILES: vacío');
+
+    const atoms = [];
+    const bonds = [];
+    const implicit = [];      // true si el átomo recibe H implícitos
+    const explicitH = [];     // H escritos entre corchetes
+    const branches = [];      // pila de átomos previos al abrir '('
+    const rings = new Map();  // número de anillo → { atom, order }
+    let prev = -1;
+    let order = 0;            // 0 = enlace sin símbolo (simple)
+
+    const connect = (a, b, o) => {
+        if(a === b || bonds.some(x => (x.from === a && x.to === b) || (x.from === b && x.to === a))) {
+            throw new Error(`SMILES: enlace repetido en "${text}"`);
+        }
+        bonds.push({ from: a, to: b, order: o || 1 });
+    };
+    const addAtom = (atom, hasImplicit, hCount) => {
+        const index = atoms.length;
+        atoms.push(atom);
+        implicit.push(hasImplicit);
+        explicitH.push(hCount);
+        if(prev >= 0) connect(prev, index, order);
+        prev = index;
+        order = 0;
+    };
+
+    let i = 0;
+    while(i < text.length) {
+        const rest = text.slice(i);
+        const ch = text[i];
+        let m;
+
+        if((m = rest.match(BRACKET_ATOM))) {
+            const [, , element, h, sign] = m;
+            const atom = { element };
+            const charge = _parseCharge(sign);
+            if(charge) atom.charge = charge;
+            addAtom(atom, false, h ? parseInt(h.slice(1) || '1', 10) : 0);
+            i += m[0].length;
+        } else if((m = rest.match(ORGANIC_ATOM))) {
+            addAtom({ element: m[1] }, true, 0);
+            i += m[1].length;
+        } else if(ch in BOND_SYMBOLS) {
+            order = BOND_SYMBOLS[ch];
+            i++;
+        } else if(ch === '(') {
+            if(prev < 0) throw new Error(`SMILES: rama sin átomo en "${text}"`);
+            branches.push(prev);
+            i++;
+        } else if(ch === ')') {
+            if(!branches.length) throw new Error(`SMILES: ')' sin '(' en "${text}"`);
+            prev = branches.pop();
+            i++;
+        } else if(/[0-9%]/.test(ch)) {
+            const digits = ch === '%' ? text.slice(i + 1, i + 3) : ch;
+            if(!/^\d+$/.test(digits) || prev < 0) throw new Error(`SMILES: anillo inválido en "${text}"`);
+            const open = rings.get(digits);
+            if(open) {
+                connect(open.atom, prev, order || open.order);
+                rings.delete(digits);
+            } else {
+                rings.set(digits, { atom: prev, order });
+            }
+            order = 0;
+            i += ch === '%' ? 3 : 1;
+        } else {
+            throw new Error(`SMILES: símbolo no soportado "${ch}" en "${text}"`);
+        }
+    }
+    if(branches.length) throw new Error(`SMILES: falta ')' en "${text}"`);
+    if(rings.size) throw new Error(`SMILES: anillo sin cerrar en "${text}"`);
+
+    // H explícitos al final, cada uno enlazado a su átomo
+    const heavy = atoms.length;
+    for(let a = 0; a < heavy; a++) {
+        const count = implicit[a] ? _implicitHydrogens(atoms[a].element, bonds, a) : explicitH[a];
+        for(let k = 0; k < count; k++) {
+            bonds.push({ from: a, to: atoms.length, order: 1 });
+            atoms.push({ element: 'H' });
+        }
+    }
+    return { atoms, bonds };
+}
+
+/**
+ * "+" → 1, "++" → 2, "-2" → −2, "+3" → 3
+ */
+function _parseCharge(sign) {
+    if(!sign) return 0;
+    const unit = sign[0] === '+' ? 1 : -1;
+    if(/\d/.test(sign)) return unit * parseInt(sign.slice(1), 10);
+    return unit * sign.length;
+}
+
+function _implicitHydrogens(element, bonds, index) {
+    const valences = ORGANIC_VALENCES[element];
+    const used = bonds.reduce((sum, b) => sum + (b.from === index || b.to === index ? b.order : 0), 0);
+    const valence = valences.find(v => v >= used);
+    return valence === undefined ? 0 : valence - used;
+}
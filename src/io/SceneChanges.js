@@ -0,0 +1,363 @@
+/**
+ * SceneChanges.js
+ * Cambios de topología de la escena como datos planos, para repetirlos sobre
+ * otra Simulation alineada por índice:
+ *   - worker/PhysicsWorkerClient.js → la copia de physics.worker.js
+ *   - io/InputLog.js                → el replay de una grabación
+ *
+ * ── CAMBIOS ─────────────────────────────────────────────────────────────────
+ *   { type: 'load',   version, scene, time, state }            escena completa (createSnapshot) + reloj (fs)
+ *   { type: 'add',    version, atoms, bonds, metallicClouds, state }   átomos/enlaces nuevos al final
+ *   { type: 'delete', version, atoms, bonds, state }           índices a quitar (orden ascendente)
+ *   state = buffer de estado con la topología nueva (las reacciones y la
+ *           UI también cambian posiciones y velocidades)
+ *
+ * ── BUFFER DE ESTADO (Float64Array) ─────────────────────────────────────────
+ *   [version, step, count, seq,  x0, y0, z0, vx0, vy0, vz0,  x1, ...]
+ *   seq = contador de secuencia (seqlock) en los primeros 4 bytes del slot 3,
+ *         como Int32 con Atomics: impar mientras writeState escribe. readState
+ *         copia el buffer y lo descarta si seq era impar o cambió en el medio
+ *         → con SharedArrayBuffer un frame nunca mezcla átomos de dos pasos.
+ *
+ * ── PINS (átomos que mueve el usuario) ──────────────────────────────────────
+ *   Float64Array de PIN_STRIDE por átomo [i, x, y, z, vx, vy, vz, arrastrando]
+ */
+
+import { createSnapshot, serializeAtoms, serializeBonds, restoreSnapshot, appendScene } from './SceneSnapshot.js';
+
+export const HEADER_SIZE = 4;
+export const ATOM_STRIDE = 6;     // posición + velocidad
+export const PIN_STRIDE  = 8;     // índice, posición, velocidad, arrastrando (0/1)
+
+const SEQUENCE_BYTE     = 3 * 8;   // slot 3 de la cabecera
+const MAX_READ_ATTEMPTS = 3;       // después se saltea el frame
+
+let _readCopy = new Float64Array(0);   // copia estable del buffer compartido
+
+/**
+ * Float64s necesarios para `count` átomos
+ */
+export function stateLength(count) {
+    return HEADER_SIZE + count * ATOM_STRIDE;
+}
+
+/**
+ * Escribe posiciones y velocidades de los átomos en el buffer de estado.
+ * @returns {boolean} false si el buffer es demasiado chico
+ */
+export function writeState(array, atoms, version, step) {
+    if(array.length < stateLength(atoms.length)) return false;
+
+    const sequence = _sequence(array);
+    const start = Atomics.load(sequence, 0);
+    Atomics.store(sequence, 0, start + 1);   // impar: escribiendo
+
+    array[0] = version;
+    array[1] = step;
+    array[2] = atoms.length;
+    for(let i = 0; i < atoms.length; i++) {
+        const o = HEADER_SIZE + i * ATOM_STRIDE;
+        const p = atoms[i].position;
+        const v = atoms[i].velocity;
+        array[o]   = p.x; array[o+1] = p.y; array[o+2] = p.z;
+        array[o+3] = v.x; array[o+4] = v.y; array[o+5] = v.z;
+    }
+
+    Atomics.store(sequence, 0, start + 2);
+    return true;
+}
+
+/**
+ * Copia el buffer de estado a los átomos (salvo los que devuelve skip(atom) = true).
+ * @returns {number|null} step del estado leído; null si el buffer es de otra
+ *          versión, de otra cantidad de átomos o se estaba escribiendo
+ */
+export function readState(array, atoms, version, skip = null) {
+    const data = _stableCopy(array, stateLength(atoms.length));
+    if(!data || data[0] !== version || data[2] !== atoms.length) return null;
+
+    for(let i = 0; i < atoms.length; i++) {
+        const atom = atoms[i];
+        if(skip && skip(atom)) continue;
+        const o = HEADER_SIZE + i * ATOM_STRIDE;
+        atom.position.set(data[o], data[o+1], data[o+2]);
+        atom.velocity.set(data[o+3], data[o+4], data[o+5]);
+    }
+    return data[1];
+}
+
+/**
+ * Los primeros `length` valores del buffer tal como los dejó un writeState
+ * completo (seqlock); null si el escritor no suelta el buffer
+ */
+function _stableCopy(array, length) {
+    if(array.length < length) return null;
+    const sequence = _sequence(array);
+    if(_readCopy.length < length) _readCopy = new Float64Array(length);
+
+    for(let attempt = 0; attempt < MAX_READ_ATTEMPTS; attempt++) {
+        const before = Atomics.load(sequence, 0);
+        if(before & 1) continue;
+        _readCopy.set(array.subarray(0, length));
+        if(Atomics.load(sequence, 0) === before) return _readCopy;
+    }
+    return null;
+}
+
+function _sequence(array) {
+    return new Int32Array(array.buffer, array.byteOffset + SEQUENCE_BYTE, 1);
+}
+
+/**
+ * Detecta qué cambió en simulation.atoms / simulation.bonds desde la última
+ * llamada a take(). La réplica tiene los átomos en el mismo orden; sus enlaces
+ * quedan en el orden de appendScene (Bond primero, MetallicCloud después),
+ * que es el que usan los índices de 'delete' y bondAt().
+ */
+export class SceneChangeTracker {
+    /**
+     * @param {Simulation} simulation
+     * @param {object} [options]
+     * @param {boolean} [options.precise=false] - 'load'/'add' sin redondear (replays exactos)
+     */
+    constructor(simulation, { precise = false } = {}) {
+        this.simulation = simulation;
+        this.precise  = precise;
+        this.version  = 0;             // sube con cada cambio
+        this._needsLoad = true;
+        this._atoms   = [];            // simulation.atoms tal como los tiene la réplica
+        this._bonds   = [];            // simulation.bonds en el orden de la réplica
+        this._atomSig = [];
+        this._bondSig = new Map();     // enlace → firma (cambió → 'load')
+    }
+
+    /**
+     * El próximo take() devuelve un 'load' completo
+     */
+    reset() {
+        this._needsLoad = true;
+    }
+
+    /**
+     * Enlace con ese índice en la réplica
+     */
+    bondAt(index) {
+        return this._bonds[index];
+    }
+
+    /**
+     * Cambio desde el take() anterior; la escena actual pasa a ser la referencia.
+     * @returns {object|null} null si no cambió nada
+     */
+    take() {
+        const sim = this.simulation;
+        const diff = this._needsLoad ? null : this._diff();
+        if(diff && diff.none) return null;
+
+        this.version++;
+        let change;
+
+        if(!diff) {
+            change = {
+                type: 'load', version: this.version,
+                scene: createSnapshot(sim, { precise: this.precise }),
+                time: sim.time
+            };
+            this._bonds = _replicaOrder(sim.bonds.filter(_synced));
+        } else if(diff.added) {
+            const index = new Map(sim.atoms.map((a, i) => [a, i]));
+            change = {
+                type: 'add', version: this.version,
+                atoms: serializeAtoms(sim.atoms.slice(this._atoms.length), { precise: this.precise }),
+                ...serializeBonds(diff.bonds, index, { precise: this.precise })
+            };
+            this._bonds.push(..._replicaOrder(diff.bonds));
+        } else {
+            change = {
+                type: 'delete', version: this.version,
+                atoms: diff.atoms, bonds: diff.bonds
+            };
+            const gone = new Set(diff.bonds);
+            this._bonds = this._bonds.filter((b, i) => !gone.has(i));
+        }
+
+        change.state = new Float64Array(stateLength(sim.atoms.length));
+        writeState(change.state, sim.atoms, this.version, 0);
+
+        this._needsLoad = false;
+        this._atoms = sim.atoms.slice();
+        this._atomSig = this._atoms.map(_atomSig);
+        this._bondSig = new Map(this._bonds.map(b => [b, _bondSig(b)]));
+        return change;
+    }
+
+    /**
+     * Átomos: alineados por índice con la réplica (solo se agregan al final o se quitan).
+     * Enlaces: this._bonds es la lista de la réplica, en su orden; los que ya no
+     * son válidos en simulation.bonds cuentan como quitados.
+     * @returns {object|null} {none} | {added, bonds} | {atoms, bonds} (índices borrados),
+     *                        o null si hace falta un 'load' completo
+     */
+    _diff() {
+        const sim = this.simulation;
+        const atoms = _listDiff(this._atoms, sim.atoms);
+        if(!atoms) return null;
+
+        const current = new Set();
+        const addedBonds = [];
+        for(const bond of sim.bonds) {
+            if(!_synced(bond)) continue;
+            current.add(bond);
+            if(!this._bondSig.has(bond)) addedBonds.push(bond);
+        }
+        const removedBonds = [];
+        this._bonds.forEach((bond, i) => {
+            if(!current.has(bond)) removedBonds.push(i);
+        });
+
+        const added   = atoms.added || addedBonds.length > 0;
+        const removed = atoms.removed.length > 0 || removedBonds.length > 0;
+        if(added && removed) return null;
+
+        // Lo que sigue en la escena no debe haber cambiado (congelar, orden de enlace...)
+        for(let i = 0; i < this._atoms.length; i++) {
+            const atom = this._atoms[i];
+            if(!atom.removed && _atomSig(atom) !== this._atomSig[i]) return null;
+        }
+        for(const [bond, sig] of this._bondSig) {
+            if(current.has(bond) && _bondSig(bond) !== sig) return null;
+        }
+
+        if(added) return { added: true, bonds: addedBonds };
+        if(!removed) return { none: true };
+        return { atoms: atoms.removed, bonds: removedBonds };
+    }
+}
+
+/**
+ * Repite un cambio de SceneChangeTracker.take() sobre la réplica
+ */
+export function applySceneChange(simulation, change) {
+    switch(change.type) {
+        case 'load':
+            restoreSnapshot(simulation, change.scene);
+            simulation.time = change.time;   // clearAll() lo puso en 0
+            break;
+        case 'add':
+            appendScene(simulation, change);
+            break;
+        case 'delete':
+            _removeIndices(simulation, change.atoms, change.bonds);
+            break;
+        default:
+            throw new Error(`Cambio de escena desconocido: ${change.type}`);
+    }
+    readState(change.state, simulation.atoms, change.version);
+}
+
+/**
+ * Átomos arrastrados (isDragging o isHeld(atom)) → pins. Un átomo recién
+ * soltado lleva un último pin con su velocidad final.
+ * @param {Array<Atom>} atoms
+ * @param {Function|null} isHeld - atom => boolean (p. ej. TrajectoryPlayer)
+ * @param {Set<Atom>} previous - `held` de la llamada anterior
+ * @returns {{pins: Float64Array|null, held: Set<Atom>}}
+ */
+export function collectPins(atoms, isHeld, previous) {
+    const pins = [];
+    const held = new Set();
+
+    atoms.forEach((atom, i) => {
+        const now = atom.isDragging || (isHeld !== null && isHeld(atom));
+        if(!now && !previous.has(atom)) return;
+        const p = atom.position, v = atom.velocity;
+        pins.push(i, p.x, p.y, p.z, v.x, v.y, v.z, now ? 1 : 0);
+        if(now) held.add(atom);
+    });
+
+    return { pins: pins.length ? new Float64Array(pins) : null, held };
+}
+
+export function applyPins(simulation, pins) {
+    for(let o = 0; o + PIN_STRIDE <= pins.length; o += PIN_STRIDE) {
+        const atom = simulation.atoms[pins[o]];
+        if(!atom) continue;
+        atom.position.set(pins[o+1], pins[o+2], pins[o+3]);
+        atom.velocity.set(pins[o+4], pins[o+5], pins[o+6]);
+        atom.isDragging = pins[o+7] === 1;
+    }
+}
+
+/**
+ * Mismo efecto que simulation.removeAtom / removeBond en el original.
+ * Índices ascendentes → se recorren al revés para no desplazar los pendientes.
+ */
+function _removeIndices(simulation, atomIndices, bondIndices) {
+    for(let k = bondIndices.length - 1; k >= 0; k--) {
+        const bond = simulation.bonds[bondIndices[k]];
+        if(bond) simulation.removeBond(bond);
+    }
+
+    const removed = new Set();
+    for(let k = atomIndices.length - 1; k >= 0; k--) {
+        const atom = simulation.atoms[atomIndices[k]];
+        if(!atom) continue;
+        removed.add(atom);
+        simulation.removeAtom(atom);
+    }
+
+    // interactions.js saca los átomos borrados de su MetallicCloud
+    if(removed.size) {
+        simulation.bonds.forEach(bond => {
+            if(bond.atoms) bond.atoms = bond.atoms.filter(a => !removed.has(a));
+        });
+    }
+}
+
+/**
+ * prev → next: ¿solo se agregaron elementos al final, o solo se quitaron
+ * (conservando el orden)? null si fue otra cosa.
+ */
+function _listDiff(prev, next) {
+    if(next.length >= prev.length) {
+        let prefix = true;
+        for(let i = 0; i < prev.length; i++) {
+            if(prev[i] !== next[i]) { prefix = false; break; }
+        }
+        if(prefix) return { added: next.length > prev.length, removed: [] };
+    }
+
+    const removed = [];
+    let j = 0;
+    for(let i = 0; i < prev.length; i++) {
+        if(j < next.length && prev[i] === next[j]) j++;
+        else removed.push(i);
+    }
+    return j === next.length ? { added: false, removed } : null;
+}
+
+function _atomSig(atom) {
+    return (atom.frozen ? 1 : 0) | (atom.isCrystal ? 2 : 0) | (atom.metallicCloud ? 4 : 0);
+}
+
+/**
+ * ¿Existe este enlace en la réplica? (lo mismo que serializeBonds deja pasar)
+ */
+function _synced(bond) {
+    if(bond.atoms) return !bond.removed && bond.atoms.length > 0;
+    return bond.atom1 !== bond.atom2 && bond.isValid();
+}
+
+/**
+ * appendScene crea primero los Bond y después las MetallicCloud
+ */
+function _replicaOrder(bonds) {
+    return [...bonds.filter(b => !b.atoms), ...bonds.filter(b => b.atoms)];
+}
+
+// Los átomos que salen de una nube los filtra la réplica al borrar → no entran en la firma
+function _bondSig(bond) {
+    if(bond.atoms) return `cloud ${bond.targetDist} ${bond.springConstant}`;
+    return `${bond.order || 1} ${bond.targetDist} ${bond.stiffness} ${bond.bondType?.name} `
+         + `${bond.isCrystalBond ? bond.springConstant : '-'}`;
+}
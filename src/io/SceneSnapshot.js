@@ -0,0 +1,342 @@
+/**
+ * SceneSnapshot.js
+ * Guardado / carga completa de la escena como JSON versionado.
+ *
+ * INCLUYE:
+ *   - átomos (posición, velocidad, frozen, isCrystal, carga del ion, defecto)
+ *   - vacantes de los cristales (átomo ancla + desplazamiento)
+ *   - enlaces (orden, targetDist, rigidez, tipo cristalino, electrones transferidos)
+ *   - MetallicCloud (índices de átomos + espaciado)
+ *   - PhysicsEngine (piso / techo / esfera, curvaturas, restitución, temperaturas...)
+ *   - TemperatureSystem (activado, modo, objetivo, termostato)
+ *   - Lennard-Jones, electrostática, puentes de hidrógeno, reacciones, modo de física
+ *     y modo de visualización
+ *
+ * VERSIONES:
+ *   Cada cambio incompatible del formato sube SNAPSHOT_VERSION y añade un
+ *   paso a _migrate() para que los archivos viejos sigan cargando.
+ *
+ * No toca el DOM: app.js se encarga de descargar/subir archivos,
+ * de localStorage y de sincronizar los controles.
+ */
+
+import { Atom } from '../core/Atom.js';
+import { Bond, BOND_TYPES } from '../core/Bond.js';
+import { MetallicCloud } from '../core/MetallicCloud.js';
+
+export const SNAPSHOT_FORMAT  = 'quantum-chemistry-simulator/scene';
+export const SNAPSHOT_VERSION = 1;
+
+// Ajustes escalares de PhysicsEngine que se guardan tal cual
+const PHYSICS_KEYS = [
+    'gravityEnabled', 'gravityStrength', 'gravityConstant',
+    'floorEnabled', 'floorY', 'restitution', 'floorCurvature', 'floorTemperature',
+    'ceilingEnabled', 'ceilingY', 'ceilingRestitution', 'ceilingCurvature', 'ceilingTemperature',
+    'sphereEnabled', 'sphereRadius', 'sphereCenterY', 'sphereRestitution',
+    'friction', 'terminalVelocity', 'integrator', 'timestepFs', 'substeps',
+    'repulsionEnabled', 'repulsionStrength', 'repulsionFactor',
+    'bondAnglesEnabled', 'bondAngleStrength', 'bondSpringMultiplier'
+];
+
+const TEMPERATURE_KEYS = [
+    'enabled', 'mode', 'targetTemperature',
+    'thermostatEnabled', 'thermostatTau',
+    'thermalBondBreaking', 'bondBreakingScale', 'colorAmbient'
+];
+
+/**
+ * @param {Simulation} simulation
+ * @param {object} [options]
+ * @param {boolean} [options.precise=false] - sin redondear (replays exactos, io/SceneChanges.js)
+ * @returns {object} snapshot serializable con JSON.stringify
+ */
+export function createSnapshot(simulation, { precise = false } = {}) {
+    const atoms = simulation.atoms;
+    const index = new Map(atoms.map((a, i) => [a, i]));
+
+    return {
+        format:  SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        savedAt: new Date().toISOString(),
+        atoms:   serializeAtoms(atoms, { precise }),
+        ...serializeBonds(simulation.bonds, index, { precise }),
+        vacancies: simulation.vacancies
+            .filter(v => index.has(v.anchor))
+            .map(v => ({ anchor: index.get(v.anchor), offset: _vec(v.offset) })),
+        ...createSettings(simulation)
+    };
+}
+
+/**
+ * Átomos → datos planos (elemento, posición, velocidad, flags)
+ */
+export function serializeAtoms(atoms, { precise = false } = {}) {
+    const vec = precise ? v => [v.x, v.y, v.z] : _vec;
+    return atoms.map(atom => {
+        const data = {
+            element:  atom.symbol,
+            position: vec(atom.position),
+            velocity: vec(atom.velocity)
+        };
+        if(atom.frozen)    data.frozen = true;
+        if(atom.isCrystal) data.isCrystal = true;
+        if(atom.defect)    data.defect = atom.defect;
+        if(atom.formalCharge) data.charge = atom.formalCharge;
+        return data;
+    });
+}
+
+/**
+ * Enlaces y nubes metálicas → datos planos con índices de átomo.
+ * Los que apuntan a átomos fuera de `index` (ya borrados) se omiten.
+ * @param {Array} bonds - simulation.bonds (o un tramo)
+ * @param {Map<Atom, number>} index - átomo → índice en simulation.atoms
+ * @param {object} [options]
+ * @param {boolean} [options.precise=false] - targetDist sin redondear
+ * @returns {{bonds: Array, metallicClouds: Array}}
+ */
+export function serializeBonds(bonds, index, { precise = false } = {}) {
+    const out = { bonds: [], metallicClouds: [] };
+    const round = precise ? v => v : _round;
+
+    bonds.forEach(bond => {
+        if(bond instanceof MetallicCloud) {
+            out.metallicClouds.push({
+                atoms:          bond.atoms.map(a => index.get(a)).filter(i => i !== undefined),
+                targetDist:     round(bond.targetDist),
+                springConstant: bond.springConstant
+            });
+            return;
+        }
+        if(!bond.atom1 || !bond.atom2) return;
+        const from = index.get(bond.atom1);
+        const to   = index.get(bond.atom2);
+        if(from === undefined || to === undefined) return;
+
+        const data = {
+            from, to,
+            order:      bond.order || 1,
+            targetDist: round(bond.targetDist),
+            stiffness:  bond.stiffness
+        };
+        if(bond.isCrystalBond) {
+            data.isCrystalBond  = true;
+            data.springConstant = bond.springConstant;
+        }
+        if(bond.bondType === BOND_TYPES.CRYSTAL) data.crystalType = true;
+        if(bond.electronTransfer) data.transfer = bond.electronTransfer;
+        out.bonds.push(data);
+    });
+
+    return out;
+}
+
+/**
+ * Solo los ajustes (física, modo, LJ, electrostática, temperatura, reacciones, visualización)
+ */
+export function createSettings(simulation) {
+    const physics = simulation.physics;
+    const settings = {
+        physics: Object.fromEntries(PHYSICS_KEYS.map(k => [k, physics[k]])),
+        physicsMode: physics.modeManager.currentMode,
+        lennardJones: {
+            enabled:        physics.lennardJones.enabled,
+            strength:       physics.lennardJones.strength,
+            cutoffDistance: physics.lennardJones.cutoffDistance
+        },
+        electrostatics: {
+            enabled:        physics.electrostatics.enabled,
+            strength:       physics.electrostatics.strength,
+            cutoffDistance: physics.electrostatics.cutoffDistance,
+            method:         physics.electrostatics.method
+        },
+        hydrogenBonds: {
+            enabled:    simulation.hydrogenBonds.enabled,
+            attraction: simulation.hydrogenBonds.attractionEnabled,
+            strength:   simulation.hydrogenBonds.strength
+        },
+        config: {
+            visualizationMode: simulation.config.visualizationMode,
+            electronMode:      simulation.config.electronMode
+        }
+    };
+
+    if(simulation.temperature) {
+        settings.temperature = Object.fromEntries(
+            TEMPERATURE_KEYS.map(k => [k, simulation.temperature[k]])
+        );
+    }
+    if(simulation.reactions) {
+        settings.reactions = { enabled: simulation.reactions.enabled };
+    }
+    return settings;
+}
+
+/**
+ * Símbolos que el snapshot necesita (para avisar de grupos inactivos antes de cargar)
+ */
+export function snapshotElements(snapshot) {
+    return [...new Set((snapshot.atoms || []).map(a => a.element))];
+}
+
+/**
+ * Reemplaza la escena actual por la del snapshot.
+ * @param {Simulation} simulation
+ * @param {object|string} snapshot - objeto o texto JSON
+ * @returns {{atoms: Array<Atom>, bonds: number}} resumen de lo restaurado
+ */
+export function restoreSnapshot(simulation, snapshot) {
+    const data = _migrate(typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot);
+
+    const missing = snapshotElements(data).filter(s => !simulation.elementDatabase[s]);
+    if(missing.length) {
+        throw new Error(`Elementos no cargados: ${missing.join(', ')}`);
+    }
+
+    // Ajustes primero: el modo de física sobreescribe ángulos/LJ/resortes,
+    // luego los valores guardados mandan
+    restoreSettings(simulation, data);
+
+    simulation.clearAll();
+
+    const atoms = appendScene(simulation, data);
+    (data.vacancies || []).forEach(({ anchor, offset }) => {
+        if(atoms[anchor]) simulation.vacancies.push({ anchor: atoms[anchor], offset: new THREE.Vector3(...offset) });
+    });
+    return { atoms, bonds: data.bonds.length + data.metallicClouds.length };
+}
+
+/**
+ * Agrega átomos, enlaces y nubes a la escena actual sin borrar nada.
+ * Los índices from/to/atoms se refieren a simulation.atoms ya extendido.
+ * @returns {Array<Atom>} átomos creados
+ */
+export function appendScene(simulation, { atoms = [], bonds = [], metallicClouds = [] }) {
+    const created = atoms.map(a => {
+        const atom = new Atom(new THREE.Vector3(...a.position), a.element, simulation.elementDatabase);
+        if(a.frozen)    atom.frozen = true;
+        if(a.isCrystal) atom.isCrystal = true;
+        if(a.defect)    atom.defect = a.defect;
+        simulation.atoms.push(atom);
+        if(simulation.temperature) simulation.temperature.initAtom(atom);
+        // initAtom puede sortear velocidades térmicas → se respetan las guardadas
+        if(a.velocity) atom.velocity.set(...a.velocity);
+        return atom;
+    });
+
+    const all = simulation.atoms;
+    bonds.forEach(b => {
+        const a1 = all[b.from];
+        const a2 = all[b.to];
+        if(!a1 || !a2 || a1 === a2) return;
+        const bond = new Bond(a1, a2, b.order || 1);
+        if(!bond.sharesElectrons) bond.electronTransfer = b.transfer || 0;
+        if(b.targetDist !== undefined) bond.targetDist = b.targetDist;
+        if(b.stiffness  !== undefined) bond.stiffness  = b.stiffness;
+        if(b.crystalType) bond.setCrystalType();
+        if(b.isCrystalBond) {
+            bond.isCrystalBond  = true;
+            bond.springConstant = b.springConstant;
+        }
+        simulation.bonds.push(bond);
+    });
+    // Las cargas guardadas mandan sobre lo que transfirieron los Bond al
+    // recrearse (y transfer, arriba, es lo que el enlace devuelve al romperse)
+    created.forEach((atom, i) => atom.setFormalCharge(atoms[i].charge || 0));
+
+    metallicClouds.forEach(c => {
+        const cloudAtoms = c.atoms.map(i => all[i]).filter(Boolean);
+        if(cloudAtoms.length === 0) return;
+        const cloud = new MetallicCloud(cloudAtoms);
+        if(c.targetDist !== undefined)     cloud.targetDist     = c.targetDist;
+        if(c.springConstant !== undefined) cloud.springConstant = c.springConstant;
+        cloudAtoms.forEach(a => { a.metallicCloud = cloud; });
+        simulation.bonds.push(cloud);
+    });
+
+    return created;
+}
+
+/**
+ * Aplica la salida de createSettings() (o las mismas claves de un snapshot)
+ */
+export function restoreSettings(simulation, data) {
+    const physics = simulation.physics;
+
+    if(data.physicsMode && data.physicsMode !== physics.modeManager.currentMode) {
+        physics.modeManager.setMode(data.physicsMode);
+    }
+    PHYSICS_KEYS.forEach(k => {
+        if(data.physics?.[k] !== undefined) physics[k] = data.physics[k];
+    });
+
+    if(data.lennardJones) {
+        physics.lennardJones.setEnabled(!!data.lennardJones.enabled);
+        if(data.lennardJones.strength !== undefined) physics.lennardJones.setStrength(data.lennardJones.strength);
+        if(data.lennardJones.cutoffDistance !== undefined) physics.lennardJones.setCutoff(data.lennardJones.cutoffDistance);
+    }
+
+    if(data.electrostatics) {
+        const es = data.electrostatics;
+        physics.electrostatics.setEnabled(!!es.enabled);
+        if(es.strength !== undefined) physics.electrostatics.setStrength(es.strength);
+        if(es.cutoffDistance !== undefined) physics.electrostatics.setCutoff(es.cutoffDistance);
+        if(es.method) physics.electrostatics.setMethod(es.method);
+    }
+
+    if(data.hydrogenBonds) {
+        const hb = data.hydrogenBonds;
+        simulation.hydrogenBonds.setEnabled(!!hb.enabled);
+        simulation.hydrogenBonds.setAttraction(!!hb.attraction);
+        if(hb.strength !== undefined) simulation.hydrogenBonds.setStrength(hb.strength);
+    }
+
+    const temp = simulation.temperature;
+    if(temp && data.temperature) {
+        const t = data.temperature;
+        if(t.mode && t.mode !== temp.mode) temp.setMode(t.mode);
+        if(t.targetTemperature !== undefined) temp.setTargetTemperature(t.targetTemperature);
+        TEMPERATURE_KEYS.forEach(k => {
+            if(k === 'mode' || k === 'targetTemperature' || k === 'enabled') return;
+            if(t[k] !== undefined) temp[k] = t[k];
+        });
+        if(temp.enabled !== !!t.enabled) temp.setEnabled(!!t.enabled);
+    }
+
+    if(simulation.reactions && data.reactions) {
+        simulation.reactions.setEnabled(!!data.reactions.enabled);
+    }
+
+    if(data.config) {
+        if(data.config.visualizationMode) simulation.config.visualizationMode = data.config.visualizationMode;
+        if(data.config.electronMode)      simulation.config.electronMode      = data.config.electronMode;
+    }
+}
+
+/**
+ * Valida y actualiza snapshots de versiones anteriores al formato actual.
+ */
+function _migrate(data) {
+    if(!data || data.format !== SNAPSHOT_FORMAT) {
+        throw new Error('El archivo no es una escena guardada del simulador');
+    }
+    if(typeof data.version !== 'number' || data.version > SNAPSHOT_VERSION) {
+        throw new Error(`Versión de escena no soportada: ${data.version} (máx. ${SNAPSHOT_VERSION})`);
+    }
+    // v1 es la versión actual — aquí irán los pasos v1 → v2, etc.
+    return {
+        ...data,
+        atoms:          data.atoms || [],
+        bonds:          data.bonds || [],
+        metallicClouds: data.metallicClouds || [],
+        physics:        data.physics || {}
+    };
+}
+
+function _vec(v) {
+    return [_round(v.x), _round(v.y), _round(v.z)];
+}
+
+function _round(v) {
+    return Math.round(v * 1e5) / 1e5;
+}
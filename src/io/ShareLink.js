@@ -0,0 +1,173 @@
+/**
+ * ShareLink.js
+ * Escena + ajustes del Laboratorio de Física codificados en el hash de la URL.
+ *
+ *   https://.../index.html#s=1.<base64url>
+ *
+ * El payload es una versión compacta del snapshot de SceneSnapshot.js:
+ *   - tabla de elementos + arrays planos de enteros (posiciones en centésimas de Å)
+ *   - sin velocidades ni targetDist (se recalculan al crear los enlaces;
+ *     con temperatura activa, initAtom() sortea velocidades térmicas)
+ *   - comprimido con deflate-raw cuando el navegador tiene CompressionStream
+ *
+ * Los sliders del Laboratorio (gravedad, Pauli, fricción, resortes, ángulos,
+ * Lennard-Jones, curvatura...) viven en simulation.physics → viajan en "p".
+ */
+
+import { SNAPSHOT_FORMAT, SNAPSHOT_VERSION } from './SceneSnapshot.js';
+
+const HASH_KEY      = 's';
+const LINK_VERSION  = 1;
+const POS_SCALE     = 100;   // 0.01 Å de resolución
+
+// Flags por átomo / enlace (bits)
+const ATOM_FROZEN    = 1;
+const ATOM_CRYSTAL   = 2;
+const ATOM_CHARGE_SHIFT = 2;   // bits 2-5 = carga del ion + CHARGE_BIAS (0 = neutro)
+const CHARGE_BIAS    = 8;
+const BOND_CRYSTAL   = 4;    // bits 0-1 = orden
+const BOND_CRYSTAL_T = 8;
+
+/**
+ * @param {object} snapshot - salida de createSnapshot()
+ * @returns {Promise<string>} hash sin "#", p. ej. "s=1.eJx..."
+ */
+export async function encodeShareHash(snapshot) {
+    const json  = JSON.stringify(compactSnapshot(snapshot));
+    const bytes = new TextEncoder().encode(json);
+    const deflated = await _deflate(bytes);
+    // "1." = deflate, "1j" = JSON sin comprimir (navegadores sin CompressionStream)
+    const payload = deflated ? `${LINK_VERSION}.${_toBase64Url(deflated)}`
+                             : `${LINK_VERSION}j${_toBase64Url(bytes)}`;
+    return `${HASH_KEY}=${payload}`;
+}
+
+/**
+ * @param {string} hash - location.hash (con o sin "#")
+ * @returns {Promise<object|null>} snapshot completo, o null si el hash no es una escena
+ */
+export async function decodeShareHash(hash) {
+    const params  = new URLSearchParams(hash.replace(/^#/, ''));
+    const payload = params.get(HASH_KEY);
+    if(!payload) return null;
+
+    const match = payload.match(/^(\d+)([.j])(.+)$/);
+    if(!match) throw new Error('Enlace de escena inválido');
+    if(parseInt(match[1], 10) > LINK_VERSION) {
+        throw new Error('El enlace es de una versión más nueva del simulador');
+    }
+
+    let bytes = _fromBase64Url(match[3]);
+    if(match[2] === '.') bytes = await _inflate(bytes);
+    return expandSnapshot(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+/**
+ * Snapshot completo → forma compacta para la URL
+ */
+export function compactSnapshot(snapshot) {
+    const elements = [...new Set(snapshot.atoms.map(a => a.element))];
+    const elIndex  = new Map(elements.map((e, i) => [e, i]));
+
+    const atoms = [];
+    snapshot.atoms.forEach(a => {
+        const flags = (a.frozen ? ATOM_FROZEN : 0) | (a.isCrystal ? ATOM_CRYSTAL : 0) |
+            (a.charge ? (a.charge + CHARGE_BIAS) << ATOM_CHARGE_SHIFT : 0);
+        atoms.push(elIndex.get(a.element), ...a.position.map(v => Math.round(v * POS_SCALE)), flags);
+    });
+
+    const bonds = [];
+    snapshot.bonds.forEach(b => {
+        const flags = (b.order || 1) |
+            (b.isCrystalBond ? BOND_CRYSTAL : 0) |
+            (b.crystalType ? BOND_CRYSTAL_T : 0);
+        bonds.push(b.from, b.to, flags);
+    });
+
+    const compact = { e: elements, a: atoms, b: bonds, p: snapshot.physics };
+    if(snapshot.metallicClouds?.length) compact.c = snapshot.metallicClouds.map(c => c.atoms);
+    if(snapshot.physicsMode)  compact.m  = snapshot.physicsMode;
+    if(snapshot.lennardJones) compact.lj = snapshot.lennardJones;
+    if(snapshot.electrostatics) compact.es = snapshot.electrostatics;
+    if(snapshot.hydrogenBonds)  compact.hb = snapshot.hydrogenBonds;
+    if(snapshot.temperature)  compact.t  = snapshot.temperature;
+    if(snapshot.reactions)    compact.r  = snapshot.reactions.enabled ? 1 : 0;
+    if(snapshot.config)       compact.v  = snapshot.config;
+    return compact;
+}
+
+/**
+ * Forma compacta → snapshot completo (lo que espera restoreSnapshot)
+ */
+export function expandSnapshot(compact) {
+    const atoms = [];
+    for(let i = 0; i + 4 < compact.a.length; i += 5) {
+        const [el, x, y, z, flags] = compact.a.slice(i, i + 5);
+        const atom = {
+            element:  compact.e[el],
+            position: [x / POS_SCALE, y / POS_SCALE, z / POS_SCALE]
+        };
+        if(flags & ATOM_FROZEN)  atom.frozen = true;
+        if(flags & ATOM_CRYSTAL) atom.isCrystal = true;
+        const charge = (flags >> ATOM_CHARGE_SHIFT) & 15;
+        if(charge) atom.charge = charge - CHARGE_BIAS;
+        atoms.push(atom);
+    }
+
+    const bonds = [];
+    for(let i = 0; i + 2 < compact.b.length; i += 3) {
+        const [from, to, flags] = compact.b.slice(i, i + 3);
+        const bond = { from, to, order: (flags & 3) || 1 };
+        if(flags & BOND_CRYSTAL) {
+            bond.isCrystalBond  = true;
+            bond.springConstant = 0.01;   // Mismo valor que strengthenCrystalBonds()
+        }
+        if(flags & BOND_CRYSTAL_T) bond.crystalType = true;
+        bonds.push(bond);
+    }
+
+    const snapshot = {
+        format:  SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        atoms,
+        bonds,
+        metallicClouds: (compact.c || []).map(indices => ({ atoms: indices })),
+        physics: compact.p || {}
+    };
+    if(compact.m)  snapshot.physicsMode  = compact.m;
+    if(compact.lj) snapshot.lennardJones = compact.lj;
+    if(compact.es) snapshot.electrostatics = compact.es;
+    if(compact.hb) snapshot.hydrogenBonds  = compact.hb;
+    if(compact.t)  snapshot.temperature  = compact.t;
+    if(compact.r !== undefined) snapshot.reactions = { enabled: !!compact.r };
+    if(compact.v)  snapshot.config = compact.v;
+    return snapshot;
+}
+
+// ── Compresión / base64url ──────────────────────────────────────────────────
+
+async function _deflate(bytes) {
+    if(typeof CompressionStream === 'undefined') return null;
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function _inflate(bytes) {
+    if(typeof DecompressionStream === 'undefined') {
+        throw new Error('Este navegador no puede abrir enlaces comprimidos');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function _toBase64Url(bytes) {
+    let binary = '';
+    for(let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function _fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
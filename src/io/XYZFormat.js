@@ -0,0 +1,195 @@
+/**
+ * XYZFormat.js
+ * Importación / exportación en formato XYZ (una o varias frames)
+ *
+ * FORMATO (por frame):
+ *   <número de átomos>
+ *   <línea de comentario>
+ *   <símbolo> <x> <y> <z>      ← Ångström
+ *   ...
+ * Un archivo multi-frame es simplemente varias frames concatenadas.
+ *
+ * UNIDADES:
+ *   1 world unit ≈ 100 pm = 1 Å → las coordenadas se usan tal cual.
+ *
+ * ENLACES:
+ *   XYZ no guarda enlaces. Al importar se construye un molData sin "bonds"
+ *   → Simulation.createMolecule() aplica su auto-bonding por radios covalentes.
+ */
+
+import { buildMolData, centroid, normalizeSymbol } from './molData.js';
+
+/**
+ * @param {string} text - contenido de un archivo .xyz
+ * @param {object} [elementDatabase] - para traducir números atómicos a símbolos
+ * @returns {Array<{comment: string, atoms: Array<{element: string, position: number[]}>}>}
+ */
+export function parseXYZ(text, elementDatabase = null) {
+    const lines  = text.split(/\r?\n/);
+    const frames = [];
+    let i = 0;
+
+    while(i < lines.length) {
+        const header = lines[i].trim();
+        if(header === '') { i++; continue; }
+
+        const count = parseInt(header, 10);
+        if(!Number.isFinite(count) || count < 0 || String(count) !== header.split(/\s+/)[0]) {
+            throw new Error(`XYZ: se esperaba el número de átomos en la línea ${i + 1}`);
+        }
+        if(i + 1 + count >= lines.length) {
+            throw new Error(`XYZ: frame ${frames.length + 1} incompleta (faltan átomos)`);
+        }
+
+        const comment = (lines[i + 1] || '').trim();
+        const atoms   = [];
+        for(let k = 0; k < count; k++) {
+            const lineNo = i + 2 + k;
+            const parts  = (lines[lineNo] || '').trim().split(/\s+/);
+            const [x, y, z] = parts.slice(1, 4).map(Number);
+            if(parts.length < 4 || [x, y, z].some(v => !Number.isFinite(v))) {
+                throw new Error(`XYZ: línea de átomo inválida (${lineNo + 1}): "${lines[lineNo] || ''}"`);
+            }
+            atoms.push({
+                element:  normalizeSymbol(parts[0], elementDatabase),
+                position: [x, y, z]
+            });
+        }
+
+        frames.push({ comment, atoms });
+        i += 2 + count;
+    }
+
+    if(frames.length === 0) throw new Error('XYZ: archivo vacío');
+    return frames;
+}
+
+/**
+ * Serializa átomos como una frame XYZ.
+ * @param {Array<Atom>} atoms - normalmente simulation.atoms
+ * @param {string} comment
+ */
+export function writeXYZ(atoms, comment = '') {
+    const lines = [String(atoms.length), comment.replace(/\r?\n/g, ' ')];
+    atoms.forEach(atom => {
+        const p = atom.position;
+        lines.push(`${atom.symbol.padEnd(2)} ${_fmt(p.x)} ${_fmt(p.y)} ${_fmt(p.z)}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Convierte una frame en el mismo shape que moleculas.json, centrada en el origen.
+ * Sin "bonds" → auto-bonding por radios covalentes.
+ */
+export function xyzFrameToMolecule(frame, name = 'XYZ') {
+    return buildMolData(frame.comment || name, frame.atoms);
+}
+
+/**
+ * Graba la simulación como trayectoria XYZ multi-frame.
+ * Se engancha en simulation.recorder → Simulation.update() llama a update().
+ *
+ * Uso:
+ *   const rec = new TrajectoryRecorder(simulation, { interval: 10 });
+ *   rec.start();  ...  rec.stop();
+ *   downloadText('trayectoria.xyz', rec.toString());
+ */
+export class TrajectoryRecorder {
+    /**
+     * @param {Simulation} simulation
+     * @param {object} options
+     * @param {number} options.interval  - frames de simulación entre capturas
+     * @param {number} options.maxFrames - límite de memoria (se descartan las más antiguas)
+     */
+    constructor(simulation, { interval = 10, maxFrames = 2000 } = {}) {
+        this.simulation = simulation;
+        this.interval   = interval;
+        this.maxFrames  = maxFrames;
+        this.recording  = false;
+        this.frames     = [];   // strings XYZ ya serializados
+        this._step      = 0;
+    }
+
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    start() {
+        this.frames    = [];
+        this._step     = 0;
+        this.recording = true;
+        this.simulation.recorder = this;
+        this.capture();
+    }
+
+    stop() {
+        this.recording = false;
+        if(this.simulation.recorder === this) this.simulation.recorder = null;
+    }
+
+    /**
+     * Llamar una vez por frame desde Simulation.update()
+     */
+    update() {
+        if(!this.recording) return;
+        this._step++;
+        if(this._step % this.interval === 0) this.capture();
+    }
+
+    capture() {
+        const comment = `frame ${this.frames.length} step ${this._step}`;
+        this.frames.push(writeXYZ(this.simulation.atoms, comment));
+        if(this.frames.length > this.maxFrames) this.frames.shift();
+    }
+
+    toString() {
+        return this.frames.join('');
+    }
+}
+
+/**
+ * Reproduce una trayectoria importada sobre los átomos creados desde la frame 0.
+ * Las posiciones se desplazan igual que la frame 0 (centrado + offset).
+ */
+export class TrajectoryPlayer {
+    /**
+     * @param {Array<Atom>} atoms  - átomos creados por createMolecule(frames[0])
+     * @param {Array<object>} frames - salida de parseXYZ()
+     * @param {THREE.Vector3} offset - mismo offset usado en createMolecule
+     */
+    constructor(atoms, frames, offset) {
+        this.atoms   = atoms;
+        this.frames  = frames.filter(f => f.atoms.length === atoms.length);
+        this.index   = 0;
+        this.stride  = 1;   // frames de trayectoria por frame de render
+        this.playing = this.frames.length > 1;
+
+        const c = centroid(frames[0].atoms);
+        this._shift = new THREE.Vector3(offset.x - c[0], offset.y - c[1], offset.z - c[2]);
+    }
+
+    /**
+     * Avanza una frame. Devuelve false al terminar (los átomos quedan libres).
+     */
+    step() {
+        if(!this.playing) return false;
+
+        this.index += this.stride;
+        if(this.index >= this.frames.length) {
+            this.playing = false;
+            return false;
+        }
+
+        const frame = this.frames[this.index];
+        this.atoms.forEach((atom, k) => {
+            atom.position.set(...frame.atoms[k].position).add(this._shift);
+            atom.velocity.set(0, 0, 0);
+        });
+        return true;
+    }
+}
+
+function _fmt(v) {
+    return v.toFixed(5).padStart(12);
+}
@@ -0,0 +1,89 @@
+/**
+ * molData.js
+ * Helpers compartidos por los formatos de archivo (XYZ, MOL/SDF, PDB).
+ *
+ * Todos los parsers producen el mismo shape que data/moleculas.json:
+ *   { name, formula, icon, atoms: [{ element, position }], bonds?: [{ from, to, order? }] }
+ * → se crean con Simulation.createMolecule(molData, offset).
+ */
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+
+/**
+ * Fórmula en notación de Hill: C primero, luego H, luego el resto alfabético.
+ * Sin carbono → todo alfabético.
+ */
+export function hillFormula(symbols) {
+    const counts = {};
+    symbols.forEach(s => { counts[s] = (counts[s] || 0) + 1; });
+
+    const order = Object.keys(counts).sort();
+    if(counts.C) {
+        order.splice(order.indexOf('C'), 1);
+        if(counts.H) order.splice(order.indexOf('H'), 1);
+        order.unshift(...(counts.H ? ['C', 'H'] : ['C']));
+    }
+    return order.map(s => s + (counts[s] > 1 ? counts[s] : '')).join('');
+}
+
+/**
+ * "C2H6O" → "C₂H₆O" (mismo estilo que los botones de moleculas.json)
+ */
+export function subscriptFormula(formula) {
+    return formula.replace(/\d/g, d => SUBSCRIPTS[d]);
+}
+
+/**
+ * "CL" → "Cl", "fe" → "Fe", "C12" → "C", "8" → "O" (si hay base de datos)
+ */
+export function normalizeSymbol(token, elementDatabase = null) {
+    if(/^\d+$/.test(token) && elementDatabase) {
+        const z  = parseInt(token, 10);
+        const el = Object.values(elementDatabase).find(e => e.number === z);
+        if(el) return el.symbol;
+    }
+    const letters = token.replace(/[^A-Za-z]/g, '');
+    return letters.charAt(0).toUpperCase() + letters.slice(1, 2).toLowerCase();
+}
+
+/**
+ * Arma un molData centrado en el origen, para que createMolecule(molData, offset)
+ * lo coloque donde se pida. Sin bonds → auto-bonding por radios covalentes.
+ */
+export function buildMolData(name, atoms, bonds = null) {
+    const center = centroid(atoms);
+    const molData = {
+        name,
+        formula: subscriptFormula(hillFormula(atoms.map(a => a.element))),
+        icon:    '📂',
+        atoms:   atoms.map(a => ({ ...a, position: a.position.map((v, k) => v - center[k]) }))
+    };
+    if(bonds && bonds.length > 0) molData.bonds = bonds;
+    return molData;
+}
+
+/**
+ * Enlaces Atom–Atom internos a un conjunto de átomos, con índices locales.
+ * Ignora MetallicCloud (no tiene atom1/atom2) y enlaces hacia fuera del conjunto.
+ * @returns {Array<{from, to, order}>}
+ */
+export function internalBonds(atoms) {
+    const index = new Map(atoms.map((a, i) => [a, i]));
+    const bonds = [];
+    atoms.forEach((atom, i) => {
+        atom.bonds.forEach(bond => {
+            if(!bond.atom1 || !bond.atom2 || bond.atom1 !== atom) return;
+            const j = index.get(bond.atom2);
+            if(j === undefined) return;
+            bonds.push({ from: i, to: j, order: bond.order || 1 });
+        });
+    });
+    return bonds;
+}
+
+export function centroid(atoms) {
+    const c = [0, 0, 0];
+    if(atoms.length === 0) return c;
+    atoms.forEach(a => { c[0] += a.position[0]; c[1] += a.position[1]; c[2] += a.position[2]; });
+    return c.map(v => v / atoms.length);
+}
@@ -7,16 +7,40 @@
  *     para evitar que la energía de corrección se acumule como cinética
  *   - Sin damping → el ángulo se corrige pero la velocidad acumulada
  *     lo vuelve a deformar → aleteo
+ *
+ * ÁNGULO IDEAL:
+ *   - VSEPR (physics/VSEPR.js): la forma AXₙEₘ cuenta enlaces y pares libres
+ *     → NH₃ 107° ≠ SO₃ 120°, y un ángulo por par en SF₄, ClF₃, XeF₄...
+ *   - Si VSEPR no aplica (metales de transición): ideal_bond_angle del
+ *     elemento o _defaultAngle(n)
+ *   - Átomo con enlaces de cristal: los ángulos de la red, tomados la primera
+ *     vez que se corrige (90° en NaCl, 70.5° en CsCl; el C de la cara del
+ *     diamante sigue en 109.5° aunque le falten enlaces). Se vuelven a tomar
+ *     si cambian sus enlaces
+ *   - Sin VSEPR y con algún enlace iónico (NaCl armado a mano) no se corrige:
+ *     _defaultAngle(n) no es el ángulo de ningún ion. El B del BF₃ sí tiene
+ *     VSEPR aunque sus enlaces sean iónicos (ver VSEPR.electronDomains)
  */
 
+import { vseprGeometry, vseprPairAngles } from './VSEPR.js';
+
 const DEG = Math.PI / 180;
 
+// Átomo → { bonds, angles } con los ángulos de la red (rad)
+const _latticeAngles = new WeakMap();
+
 export function applyBondAngleConstraints(centerAtom, strength = 0.5) {
     const bonds = centerAtom.bonds;
     if(bonds.length < 2 || bonds.length > 6) return;
 
-    const el    = centerAtom.element;
-    const ideal = el?.ideal_bond_angle || _defaultAngle(bonds.length);
+    const el       = centerAtom.element;
+    const lattice  = bonds.some(b => b.isCrystalBond);
+    const geometry = lattice ? null : vseprGeometry(centerAtom);
+    if(!lattice && !geometry && bonds.some(b => !b.sharesElectrons)) return;
+    const targets  = lattice ? _latticePairAngles(centerAtom)
+                   : geometry ? vseprPairAngles(centerAtom, geometry).map(angle => angle * DEG)
+                   : null;
+    const idealRad = (el?.ideal_bond_angle || _defaultAngle(bonds.length)) * DEG;
 
     // Stiffness según número de vecinos
     // Más suave para estructuras grandes — cristales solo con factor mínimo
@@ -24,17 +48,18 @@ export function applyBondAngleConstraints(centerAtom, strength = 0.5) {
                     : bonds.length <= 4 ? strength * 0.4
                     : strength * 0.15;
 
-    const targetRad = ideal * DEG;
-    const center    = centerAtom.group.position;
+    const center = centerAtom.position;
+    let pair = 0;
 
     for(let i = 0; i < bonds.length; i++) {
         for(let j = i + 1; j < bonds.length; j++) {
             const a1 = bonds[i].atom1 === centerAtom ? bonds[i].atom2 : bonds[i].atom1;
             const a2 = bonds[j].atom1 === centerAtom ? bonds[j].atom2 : bonds[j].atom1;
+            const targetRad = targets ? targets[pair++] : idealRad;
             if(a1.frozen && a2.frozen) continue;
 
-            const r1 = new THREE.Vector3().subVectors(a1.group.position, center);
-            const r2 = new THREE.Vector3().subVectors(a2.group.position, center);
+            const r1 = new THREE.Vector3().subVectors(a1.position, center);
+            const r2 = new THREE.Vector3().subVectors(a2.position, center);
             const len1 = r1.length();
             const len2 = r2.length();
             if(len1 < 0.01 || len2 < 0.01) continue;
@@ -43,8 +68,8 @@ export function applyBondAngleConstraints(centerAtom, strength = 0.5) {
             const d2  = r2.clone().divideScalar(len2);
             const dot = THREE.MathUtils.clamp(d1.dot(d2), -1, 1);
 
-            // Octaédrico: no corregir pares opuestos (ya están a 180°)
-            if(bonds.length === 6 && dot < -0.7) continue;
+            // Octaédrico sin VSEPR: no corregir pares opuestos (ya están a 180°)
+            if(!lattice && !geometry && bonds.length === 6 && dot < -0.7) continue;
 
             const currentAngle = Math.acos(dot);
             const error        = currentAngle - targetRad;
@@ -61,15 +86,35 @@ export function applyBondAngleConstraints(centerAtom, strength = 0.5) {
             );
 
             // ── Corrección de posición ──────────────────────────────────────
+            // Girar +θ alrededor de d1×d2 acerca d1 a d2 → a1 gira +half y
+            // a2 −half: error > 0 cierra el ángulo, error < 0 lo abre
+            const moved = new THREE.Vector3();
+            const m1 = a1.element?.mass || 1.0;
+            const m2 = a2.element?.mass || 1.0;
             if(!a1.frozen) {
-                a1.group.position.copy(center).add(
-                    r1.applyQuaternion(new THREE.Quaternion().setFromAxisAngle(axis, -half))
+                moved.addScaledVector(a1.position, -m1);
+                a1.position.copy(center).add(
+                    r1.applyQuaternion(new THREE.Quaternion().setFromAxisAngle(axis,  half))
                 );
+                moved.addScaledVector(a1.position, m1);
             }
             if(!a2.frozen) {
-                a2.group.position.copy(center).add(
-                    r2.applyQuaternion(new THREE.Quaternion().setFromAxisAngle(axis,  half))
+                moved.addScaledVector(a2.position, -m2);
+                a2.position.copy(center).add(
+                    r2.applyQuaternion(new THREE.Quaternion().setFromAxisAngle(axis, -half))
                 );
+                moved.addScaledVector(a2.position, m2);
+            }
+
+            // El giro desplaza el centro de masa de los tres: se lo devuelve
+            // trasladando a los tres por igual (no cambia el ángulo). Sin esto
+            // una red que no llega a cumplir todos sus ángulos se va moviendo
+            // sola, aun con velocidades en 0
+            if(!centerAtom.frozen && !a1.frozen && !a2.frozen) {
+                const shift = moved.divideScalar(m1 + m2 + (el?.mass || 1.0));
+                a1.position.sub(shift);
+                a2.position.sub(shift);
+                center.sub(shift);
             }
 
             // ── Velocity damping en dirección de corrección ─────────────────
@@ -90,6 +135,31 @@ export function applyBondAngleConstraints(centerAtom, strength = 0.5) {
     }
 }
 
+/**
+ * Ángulos (rad) de cada par i < j de enlaces, medidos cuando el átomo se
+ * corrige por primera vez con estos enlaces (el cristal recién armado)
+ */
+function _latticePairAngles(atom) {
+    const saved = _latticeAngles.get(atom);
+    if(saved && saved.bonds.length === atom.bonds.length &&
+       saved.bonds.every((bond, i) => bond === atom.bonds[i])) {
+        return saved.angles;
+    }
+
+    const dirs = atom.bonds.map(bond => {
+        const other = bond.atom1 === atom ? bond.atom2 : bond.atom1;
+        return new THREE.Vector3().subVectors(other.position, atom.position).normalize();
+    });
+    const angles = [];
+    for(let i = 0; i < dirs.length; i++) {
+        for(let j = i + 1; j < dirs.length; j++) {
+            angles.push(Math.acos(THREE.MathUtils.clamp(dirs[i].dot(dirs[j]), -1, 1)));
+        }
+    }
+    _latticeAngles.set(atom, { bonds: atom.bonds.slice(), angles });
+    return angles;
+}
+
 function _defaultAngle(n) {
     switch(n) {
         case 2: return 180;
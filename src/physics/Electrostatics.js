@@ -0,0 +1,202 @@
+/**
+ * Electrostatics.js
+ * Fuerzas de Coulomb entre cargas atómicas (iones y cargas parciales)
+ *
+ * ── CARGAS (atom.charge, en e) ──────────────────────────────────────────────
+ *   assignCharges(atoms) las recalcula en cada paso con el mismo modelo que
+ *   muestran los halos δ± (physics/PartialCharges.js):
+ *   - Carga formal del ion (atom.formalCharge, la fija el Bond IONIC al
+ *     transferir electrones): Na⁺ +1, Mg²⁺ +2, Cl⁻ −1, O²⁻ −2
+ *   - Covalente / polar: Gasteiger sobre cada grupo de átomos unidos por
+ *     enlaces que comparten electrones → H₂O: O −0.33, H +0.16
+ *   La suma de cada molécula neutra es 0. Átomos sueltos: su carga formal.
+ *
+ * ── SUMA ────────────────────────────────────────────────────────────────────
+ *   Pares dentro de cutoffDistance por la grilla de Simulation, sin pares
+ *   1-2 ni 1-3 (enlaces y ángulos ya fijan esas distancias). El motor no
+ *   tiene otra repulsión de corto alcance que la frene (Pauli actúa a ~0.5 wu),
+ *   así que por debajo del contacto (0.8 × radios de Van der Waals) la fuerza
+ *   se congela y una pared la vuelve repulsiva: O···H ≈ 1.85 Å, Na⁺···Cl⁻ ≈ 2.7 Å.
+ *   'dsf'    Damped Shifted Force (Fennell & Gezelter 2006): erfc(αr) amortigua
+ *            el largo alcance y la fuerza llega a 0 justo en el cutoff
+ *   'cutoff' Coulomb con fuerza desplazada: F = k·qᵢqⱼ·(1/r² − 1/Rc²)
+ *
+ * ── UNIDADES ────────────────────────────────────────────────────────────────
+ *   e²/4πε₀ = 14.40 eV·Å = 1389 Da·Å³/(100 fs)² en unidades del motor.
+ *   A escala real dos iones a 3 Å se atraen ~300× más fuerte que la barrera
+ *   de Pauli que los separa → como Lennard-Jones, escala didáctica:
+ *   k = COULOMB_K · DIDACTIC_SCALE · strength (pantalla dieléctrica fuerte).
+ */
+
+import { SpatialHash } from './SpatialHash.js';
+import { gasteigerCharges } from './PartialCharges.js';
+
+export const COULOMB_K       = 1389.35;   // e²/4πε₀ en Da·Å³/(100 fs)²
+const DIDACTIC_SCALE         = 0.002;
+const CONTACT_FACTOR         = 0.8;       // × suma de radios de Van der Waals
+const WALL_WIDTH             = 0.15;
+
+export const ELECTROSTATICS_METHODS = ['dsf', 'cutoff'];
+
+// Reusable objects
+const _delta = new THREE.Vector3();
+const _force = new THREE.Vector3();
+
+export class CoulombForces {
+    constructor() {
+        this.enabled = false;
+        this.strength = 0.5;          // 0-1 (× escala didáctica)
+        this.cutoffDistance = 10.0;   // wu (≈ 10 Å)
+        this.method = 'dsf';
+        this.alpha = 0.2;             // Amortiguamiento DSF (1/wu)
+
+        this._grid = new SpatialHash();   // Solo si se llama sin la grilla de Simulation
+    }
+
+    /**
+     * Cargas + fuerzas entre todos los pares cargados a menos de cutoffDistance.
+     * @param {Array<Atom>} atoms
+     * @param {SpatialHash} [grid] - grilla ya reconstruida este paso (Simulation.computeForces)
+     */
+    applyForces(atoms, grid = null) {
+        if(!this.enabled) return;
+        assignCharges(atoms);
+        if(!grid) grid = this._grid.rebuild(atoms, this.cutoffDistance);
+
+        const k = COULOMB_K * DIDACTIC_SCALE * this.strength;
+        const rc = this.cutoffDistance;
+        const shift = this._pairForce(rc);
+
+        grid.forEachPair(rc, (a, b) => {
+            if(a.charge === 0 || b.charge === 0) return;
+            if(a.frozen && b.frozen) return;
+            if(_sharesNeighbor(a, b)) return;
+
+            _delta.subVectors(b.position, a.position);
+            const r = _delta.length();
+            if(r < 0.1 || r >= rc) return;
+
+            // > 0 repulsión (cargas del mismo signo)
+            const qq = a.charge * b.charge;
+            const contact = CONTACT_FACTOR * (_vdwRadius(a) + _vdwRadius(b));
+            let forceMag = qq * (this._pairForce(Math.max(r, contact)) - shift);
+            if(r < contact) {
+                // Pared de contacto: un par ± se detiene en (1 − WALL_WIDTH)·contacto
+                const x = (contact - r) / (WALL_WIDTH * contact);
+                forceMag += Math.abs(qq) * this._pairForce(contact) * x * x;
+            }
+            _force.copy(_delta).multiplyScalar(k * forceMag / r);
+
+            if(!a.frozen) a.force.sub(_force);
+            if(!b.frozen) b.force.add(_force);
+        }, { skipBonded: true });
+    }
+
+    /**
+     * Fuerza por par de cargas unitarias a distancia r (sin desplazar)
+     */
+    _pairForce(r) {
+        if(this.method === 'cutoff') return 1 / (r * r);
+        const a = this.alpha;
+        return _erfc(a * r) / (r * r) + (2 * a / Math.sqrt(Math.PI)) * Math.exp(-a * a * r * r) / r;
+    }
+
+    /**
+     * Set enabled state
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Set strength (0-1)
+     */
+    setStrength(strength) {
+        this.strength = Math.max(0, Math.min(1, strength));
+    }
+
+    /**
+     * Set cutoff distance
+     */
+    setCutoff(distance) {
+        this.cutoffDistance = Math.max(3, distance);
+    }
+
+    /**
+     * 'dsf' | 'cutoff'
+     */
+    setMethod(method) {
+        if(ELECTROSTATICS_METHODS.includes(method)) this.method = method;
+    }
+}
+
+/**
+ * atom.charge = carga formal + parcial de Gasteiger (ver cabecera)
+ * @param {Array<Atom>} atoms
+ */
+export function assignCharges(atoms) {
+    const visited = new Set();
+    for(const atom of atoms) {
+        if(visited.has(atom)) continue;
+        const group = _covalentGroup(atom, visited);
+        if(group.bonds.length > 0) {
+            gasteigerCharges(group);
+            group.atoms.forEach(a => { a.charge = a.partialCharge; });
+        } else {
+            atom.charge = atom.formalCharge;
+        }
+    }
+}
+
+/**
+ * Átomos unidos a atom por enlaces que comparten electrones (los iónicos
+ * cortan: cada ion entra con su carga formal)
+ * @returns {{atoms: Array<Atom>, bonds: Array<Bond>}}
+ */
+function _covalentGroup(atom, visited) {
+    const atoms = [atom];
+    const bonds = new Set();
+    visited.add(atom);
+    for(let i = 0; i < atoms.length; i++) {
+        for(const bond of atoms[i].bonds) {
+            if(!bond.sharesElectrons) continue;
+            bonds.add(bond);
+            const other = bond.atom1 === atoms[i] ? bond.atom2 : bond.atom1;
+            if(!visited.has(other)) {
+                visited.add(other);
+                atoms.push(other);
+            }
+        }
+    }
+    return { atoms, bonds: [...bonds] };
+}
+
+/**
+ * ¿Par 1-3? (ambos enlazados al mismo átomo)
+ */
+function _sharesNeighbor(a, b) {
+    for(const bondA of a.bonds) {
+        const middle = bondA.atom1 === a ? bondA.atom2 : bondA.atom1;
+        for(const bondB of middle.bonds) {
+            if(bondB.atom1 === b || bondB.atom2 === b) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Radio de Van der Waals en wu (misma estimación que LennardJones si falta el dato)
+ */
+function _vdwRadius(atom) {
+    const el = atom.element;
+    return (el.vanderwaals_radius_pm || (el.radius_covalent_pm || 100) * 1.5) / 100;
+}
+
+/**
+ * erfc(x), Abramowitz & Stegun 7.1.26 (error < 1.5e-7)
+ */
+function _erfc(x) {
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    return poly * Math.exp(-x * x);
+}
@@ -0,0 +1,227 @@
+/**
+ * HydrogenBonds.js
+ * Puentes de hidrógeno D–H···A entre moléculas distintas
+ *
+ * ── CRITERIOS (geométricos, como VMD / MDAnalysis) ──────────────────────────
+ *   D, A ∈ {N, O, F}; H enlazado a D; A en otra molécula
+ *   H···A ≤ maxDistance   (2.5 Å)
+ *   D···A ≤ maxDonorAcceptor (3.5 Å)
+ *   ángulo D–H···A ≥ minAngle (120°, 180° = lineal)
+ *
+ * Cada HydrogenBond se parece a un Bond (atom1 = H, atom2 = A, bondType =
+ * BOND_TYPES.HYDROGEN) para que BondRenderer lo dibuje, pero NO entra en
+ * simulation.bonds: no consume valencia, no se guarda y no cambia la
+ * topología (snapshots, worker, reacciones lo ignoran).
+ *
+ * ── ATRACCIÓN (opcional) ────────────────────────────────────────────────────
+ *   Restricción de posición débil, como BondAngleConstraints: si H···A está
+ *   más lejos que targetDistance (1.9 Å) traslada D y A (cada uno con sus
+ *   vecinos enlazados) una fracción de la diferencia por paso, repartida por
+ *   masa. No suma velocidad → el agua líquida se agrupa sin calentarse.
+ */
+
+import { BOND_TYPES } from '../core/Bond.js';
+import { SpatialHash } from './SpatialHash.js';
+
+const HB_ELEMENTS = new Set(['N', 'O', 'F']);
+const MAX_CORRECTION = 0.05;   // wu por paso
+
+// Reusable objects
+const _dh = new THREE.Vector3();
+const _ha = new THREE.Vector3();
+
+export class HydrogenBond {
+    constructor(donor, hydrogen, acceptor) {
+        this.donor = donor;
+        this.hydrogen = hydrogen;
+        this.acceptor = acceptor;
+        // Interfaz de Bond que usa BondRenderer
+        this.atom1 = hydrogen;
+        this.atom2 = acceptor;
+        this.bondType = BOND_TYPES.HYDROGEN;
+        this.order = 1;
+        this.springConstant = 0;
+    }
+
+    isValid() {
+        return !this.donor.removed && !this.hydrogen.removed && !this.acceptor.removed;
+    }
+
+    get distance() {
+        return this.hydrogen.position.distanceTo(this.acceptor.position);
+    }
+}
+
+export class HydrogenBondDetector {
+    constructor() {
+        this.enabled = false;             // Detectar y dibujar
+        this.attractionEnabled = false;   // Restricción de atracción débil
+        this.strength = 0.3;              // 0-1
+        this.maxDistance = 2.5;           // H···A (wu ≈ Å)
+        this.maxDonorAcceptor = 3.5;      // D···A
+        this.minAngle = 120;              // D–H···A (grados)
+        this.targetDistance = 1.9;        // H···A del agua líquida
+
+        this.bonds = [];                  // HydrogenBond[] de la última detección
+        this._grid = new SpatialHash();
+        this._fresh = false;
+    }
+
+    /**
+     * Busca todos los puentes D–H···A con la geometría actual.
+     * @param {Array<Atom>} atoms
+     * @returns {Array<HydrogenBond>}
+     */
+    detect(atoms) {
+        this.bonds = [];
+        this._fresh = true;
+
+        // Candidatos: H unido a N/O/F y aceptores N/O/F
+        const candidates = [];
+        const donorOf = new Map();
+        for(const atom of atoms) {
+            if(HB_ELEMENTS.has(atom.symbol)) {
+                candidates.push(atom);
+            } else if(atom.symbol === 'H' && atom.bonds.length === 1) {
+                const bond = atom.bonds[0];
+                const donor = bond.atom1 === atom ? bond.atom2 : bond.atom1;
+                if(!HB_ELEMENTS.has(donor.symbol)) continue;
+                donorOf.set(atom, donor);
+                candidates.push(atom);
+            }
+        }
+        if(donorOf.size === 0) return this.bonds;
+
+        const molecule = _moleculeIds(candidates);
+        const cosMax = Math.cos(this.minAngle * Math.PI / 180);
+        this._grid.rebuild(candidates, this.maxDistance);
+
+        for(const [hydrogen, donor] of donorOf) {
+            let best = null;
+            let bestDist = Infinity;
+
+            this._grid.forEachNeighbor(hydrogen, this.maxDistance, acceptor => {
+                if(!HB_ELEMENTS.has(acceptor.symbol)) return;
+                if(molecule.get(acceptor) === molecule.get(hydrogen)) return;
+                if(donor.position.distanceTo(acceptor.position) > this.maxDonorAcceptor) return;
+
+                // Ángulo en H entre H→D y H→A: lineal ⇒ cos = −1
+                _dh.subVectors(donor.position, hydrogen.position);
+                _ha.subVectors(acceptor.position, hydrogen.position);
+                const dist = _ha.length();
+                const cos = _dh.dot(_ha) / (_dh.length() * dist || 1);
+                if(cos > cosMax) return;
+
+                // Un H dona a un solo aceptor: el más cercano
+                if(dist < bestDist) {
+                    best = acceptor;
+                    bestDist = dist;
+                }
+            });
+
+            if(best) this.bonds.push(new HydrogenBond(donor, hydrogen, best));
+        }
+        return this.bonds;
+    }
+
+    /**
+     * Fin de tick (Simulation.stepChemistry): detecta para dibujar, salvo que
+     * stepDynamics ya lo haya hecho este tick para la atracción.
+     */
+    refresh(atoms) {
+        if(this.enabled && !this._fresh) this.detect(atoms);
+        else if(!this.enabled && !this.attractionEnabled) this.bonds = [];
+        this._fresh = false;
+    }
+
+    /**
+     * Un paso de la restricción de atracción sobre los puentes detectados
+     */
+    applyAttraction() {
+        if(!this.attractionEnabled || this.strength <= 0) return;
+
+        for(const hb of this.bonds) {
+            if(!hb.isValid()) continue;
+            _ha.subVectors(hb.acceptor.position, hb.hydrogen.position);
+            const dist = _ha.length();
+            if(dist <= this.targetDistance || dist < 1e-6) continue;
+
+            // D y A se trasladan junto con sus vecinos enlazados: la
+            // corrección no dobla ángulos (una molécula de agua entera)
+            const donor = _localGroup(hb.donor);
+            const acceptor = _localGroup(hb.acceptor);
+            const wD = donor.frozen ? 0 : 1 / donor.mass;
+            const wA = acceptor.frozen ? 0 : 1 / acceptor.mass;
+            const wSum = wD + wA;
+            if(wSum === 0) continue;
+
+            const correction = Math.min(MAX_CORRECTION, (dist - this.targetDistance) * this.strength * 0.1);
+            _ha.multiplyScalar(correction / (dist * wSum));
+            donor.atoms.forEach(atom => atom.position.addScaledVector(_ha, wD));
+            acceptor.atoms.forEach(atom => atom.position.addScaledVector(_ha, -wA));
+        }
+    }
+
+    /**
+     * Sin puentes (Simulation.clearAll)
+     */
+    reset() {
+        this.bonds = [];
+        this._fresh = false;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    setAttraction(enabled) {
+        this.attractionEnabled = enabled;
+    }
+
+    /**
+     * Set attraction strength (0-1)
+     */
+    setStrength(strength) {
+        this.strength = Math.max(0, Math.min(1, strength));
+    }
+}
+
+/**
+ * Átomo + vecinos enlazados, con su masa total
+ */
+function _localGroup(center) {
+    const atoms = [center];
+    for(const bond of center.bonds) {
+        const other = bond.atom1 === center ? bond.atom2 : bond.atom1;
+        if(other) atoms.push(other);
+    }
+    return {
+        atoms,
+        mass:   atoms.reduce((sum, a) => sum + (a.element.mass || 1.0), 0),
+        frozen: atoms.some(a => a.frozen)
+    };
+}
+
+/**
+ * Componente conexa (por enlaces) de cada candidato → id de molécula
+ */
+function _moleculeIds(candidates) {
+    const ids = new Map();
+    let next = 0;
+    for(const start of candidates) {
+        if(ids.has(start)) continue;
+        const id = next++;
+        const stack = [start];
+        ids.set(start, id);
+        while(stack.length) {
+            const atom = stack.pop();
+            for(const bond of atom.bonds) {
+                const other = bond.atom1 === atom ? bond.atom2 : bond.atom1;
+                if(!other || ids.has(other)) continue;
+                ids.set(other, id);
+                stack.push(other);
+            }
+        }
+    }
+    return ids;
+}
@@ -0,0 +1,117 @@
+/**
+ * Integrators.js
+ * Integradores de paso fijo para Simulation.stepPhysics()
+ *
+ * ── UNIDADES DE TIEMPO ──────────────────────────────────────────────────────
+ *   El motor mide velocidades en unidades de mundo (1 wu ≈ 1 Å) por UNIDAD DE
+ *   TIEMPO, y 1 unidad de tiempo = FS_PER_TIME_UNIT femtosegundos. Era lo que
+ *   antes duraba "un frame"; ahora es una definición, no depende de los Hz de
+ *   la pantalla. Todas las fuerzas, velocidad terminal y termostato siguen
+ *   calibradas en esa unidad → Δt = 100 fs reproduce la dinámica de siempre.
+ *
+ *   physics.timestepFs  Δt de cada paso (fs)
+ *   physics.substeps    pasos por tick (Simulation.update() = un tick, 60/s)
+ *   physics.integrator  'verlet' | 'euler' (clave de INTEGRATORS)
+ *
+ * ── INTERFAZ ────────────────────────────────────────────────────────────────
+ *   integrator.step(simulation, dt)   dt en unidades de tiempo
+ *   Usa simulation.computeForces() (grilla, campos, enlaces) y deja a
+ *   Simulation los ángulos y el termostato.
+ *
+ *   registerIntegrator('rk4', new MyIntegrator());   // más integradores
+ */
+
+export const FS_PER_TIME_UNIT = 100;
+
+/**
+ * Euler semi-implícito — el integrador original:
+ *   v += F/m·Δt,  x += v·Δt
+ * Con Δt = 1 es idéntico a PhysicsEngine.updateAtom() de siempre.
+ */
+export class EulerIntegrator {
+    constructor() {
+        this.name  = 'euler';
+        this.label = 'Euler (clásico)';
+    }
+
+    step(simulation, dt) {
+        const physics = simulation.physics;
+        simulation.computeForces();
+        simulation.atoms.forEach(atom => physics.updateAtom(atom, dt));
+    }
+}
+
+/**
+ * Velocity Verlet (kick–drift–kick):
+ *   v(t+½) = v(t) + ½·a(t)·Δt
+ *   x(t+Δt) = x(t) + v(t+½)·Δt
+ *   a(t+Δt) = F(x(t+Δt)) / m
+ *   v(t+Δt) = v(t+½) + ½·a(t+Δt)·Δt
+ * Segundo orden y simpléctico: sin fricción la energía oscila en vez de
+ * derivar. La aceleración del paso anterior vive en atom.acceleration.
+ * Los enlaces XPBD corrigen posiciones después del drift (como RATTLE).
+ */
+export class VelocityVerletIntegrator {
+    constructor() {
+        this.name  = 'verlet';
+        this.label = 'Velocity Verlet';
+    }
+
+    step(simulation, dt) {
+        const physics = simulation.physics;
+        const atoms = simulation.atoms;
+        const half = dt * 0.5;
+
+        // Kick ½ + drift con la aceleración del paso anterior
+        for(const atom of atoms) {
+            if(atom.frozen) continue;
+            atom.velocity.addScaledVector(atom.acceleration, half);
+            atom.position.addScaledVector(atom.velocity, dt);
+            physics.applyBoundaries(atom);
+        }
+
+        // Fuerzas en las posiciones nuevas (y restricciones de enlace)
+        simulation.computeForces();
+
+        // Kick ½ con la aceleración nueva
+        for(const atom of atoms) {
+            if(atom.frozen) {
+                atom.force.set(0, 0, 0);
+                atom.acceleration.set(0, 0, 0);
+                continue;
+            }
+            const mass = atom.element.mass || 1.0;
+            atom.acceleration.copy(atom.force).divideScalar(mass);
+            atom.velocity.addScaledVector(atom.acceleration, half);
+            physics.applyDamping(atom, dt);
+            atom.force.set(0, 0, 0);
+        }
+    }
+}
+
+export const INTEGRATORS = {
+    verlet: new VelocityVerletIntegrator(),
+    euler:  new EulerIntegrator()
+};
+
+export const DEFAULT_INTEGRATOR = 'verlet';
+
+export function registerIntegrator(name, integrator) {
+    INTEGRATORS[name] = integrator;
+}
+
+/**
+ * Integrador por nombre; uno desconocido (escena de otra versión) → el por defecto
+ */
+export function getIntegrator(name) {
+    return INTEGRATORS[name] ?? INTEGRATORS[DEFAULT_INTEGRATOR];
+}
+
+/**
+ * "850 fs", "12.4 ps", "3.21 ns" — reloj de tiempo simulado
+ */
+export function formatSimTime(fs) {
+    if(fs < 1000)   return `${Math.round(fs)} fs`;
+    if(fs < 1e6)    return `${(fs / 1000).toFixed(1)} ps`;
+    return `${(fs / 1e6).toFixed(2)} ns`;
+}
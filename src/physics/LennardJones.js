@@ -6,6 +6,8 @@
  * NOTE: THREE.js is loaded globally via script tag in index.html
  */
 
+import { SpatialHash } from './SpatialHash.js';
+
 // Reusable objects
 const _delta = new THREE.Vector3();
 const _force = new THREE.Vector3();
@@ -16,73 +18,54 @@ export class LennardJonesForces {
         this.strength = 0.1; // 0-1 scale (start very weak)
         this.cutoffDistance = 8.0; // Only calculate for nearby atoms
         
-        // Performance: skip every N frames for distant atoms
-        this.frameSkip = 3;
-        this._frameCounter = 0;
+        this._grid = new SpatialHash();   // Solo si se llama sin la grilla de Simulation
     }
     
     /**
      * Apply Lennard-Jones forces between all non-bonded atom pairs
+     * closer than cutoffDistance.
+     *
+     * La atracción cae como 1/r⁷: a 8 wu ya es ~2% de la máxima (Ar–Ar),
+     * así que más allá del cutoff se descarta del todo (antes se calculaba
+     * 1 de cada 3 frames recorriendo todos los pares).
+     *
      * @param {Array<Atom>} atoms - All atoms in simulation
+     * @param {SpatialHash} [grid] - grilla ya reconstruida este paso (Simulation.update)
      */
-    applyForces(atoms) {
+    applyForces(atoms, grid = null) {
         if(!this.enabled) return;
+        if(!grid) grid = this._grid.rebuild(atoms, this.cutoffDistance);
         
-        this._frameCounter++;
-        const skipFrame = this._frameCounter % this.frameSkip !== 0;
-        
-        for(let i = 0; i < atoms.length; i++) {
-            for(let j = i + 1; j < atoms.length; j++) {
-                const a = atoms[i];
-                const b = atoms[j];
-                
-                // Skip frozen atoms
-                if(a.frozen && b.frozen) continue;
-                
-                // Skip if bonded (they already have spring forces)
-                if(this._areBonded(a, b)) continue;
-                
-                // Skip if part of same metallic cloud
-                if(a.metallicCloud && a.metallicCloud === b.metallicCloud) continue;
-                
-                // Calculate distance
-                _delta.subVectors(b.group.position, a.group.position);
-                const r = _delta.length();
-                
-                // Skip if too far (cutoff for performance)
-                if(r > this.cutoffDistance) {
-                    // For distant atoms, only calculate every N frames
-                    if(skipFrame) continue;
-                }
-                
-                if(r < 0.1) continue; // Avoid singularity
-                
-                // Get Lennard-Jones parameters
-                const params = this._getLJParameters(a, b);
-                
-                // Calculate force magnitude: F = -dV/dr
-                const forceMag = this._calculateForceMagnitude(r, params);
-                
-                // Apply force (normalized direction)
-                _force.copy(_delta).normalize().multiplyScalar(forceMag * this.strength);
-                
-                if(!a.frozen) {
-                    a.applyForce(_force);
-                }
-                if(!b.frozen) {
-                    b.applyForce(_force.clone().negate());
-                }
+        // skipBonded: los enlazados ya tienen spring forces
+        grid.forEachPair(this.cutoffDistance, (a, b) => {
+            // Skip frozen atoms
+            if(a.frozen && b.frozen) return;
+            
+            // Skip if part of same metallic cloud
+            if(a.metallicCloud && a.metallicCloud === b.metallicCloud) return;
+            
+            // Calculate distance
+            _delta.subVectors(b.position, a.position);
+            const r = _delta.length();
+            
+            if(r < 0.1) return; // Avoid singularity
+            
+            // Get Lennard-Jones parameters
+            const params = this._getLJParameters(a, b);
+            
+            // Calculate force magnitude: F = -dV/dr
+            const forceMag = this._calculateForceMagnitude(r, params);
+            
+            // Apply force (normalized direction)
+            _force.copy(_delta).normalize().multiplyScalar(forceMag * this.strength);
+            
+            if(!a.frozen) {
+                a.applyForce(_force);
             }
-        }
-    }
-    
-    /**
-     * Check if two atoms are bonded
-     */
-    _areBonded(atom1, atom2) {
-        return atom1.bonds.some(bond => 
-            bond.atom1 === atom2 || bond.atom2 === atom2
-        );
+            if(!b.frozen) {
+                b.force.sub(_force);
+            }
+        }, { skipBonded: true });
     }
     
     /**
@@ -163,7 +146,8 @@ export class LennardJonesForces {
         const { sigma, epsilon } = params;
         
         const sr = sigma / r;
-        const sr6 = Math.pow(sr, 6);
+        const sr2 = sr * sr;
+        const sr6 = sr2 * sr2 * sr2;   // Math.pow es ~5× más lento y esto corre por cada par
         const sr12 = sr6 * sr6;
         
         // Force = 24ε/r [2(σ/r)¹² - (σ/r)⁶]
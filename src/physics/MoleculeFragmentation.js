@@ -4,6 +4,13 @@
  * and splits them into separate independent structures
  */
 
+import { Bond } from '../core/Bond.js';
+import { MetallicCloud, METALLIC_SPRING_CUTOFF } from '../core/MetallicCloud.js';
+import { SpatialHash } from './SpatialHash.js';
+
+// Grilla para el modo espacial — solo contiene los átomos analizados
+const _fragmentGrid = new SpatialHash(METALLIC_SPRING_CUTOFF);
+
 /**
  * Find all connected components (molecules) in atom graph
  * Uses Depth-First Search on bond connections OR spatial proximity
@@ -14,6 +21,7 @@
 export function findDisconnectedFragments(atoms, useSpatial = false) {
     const visited = new Set();
     const fragments = [];
+    if(useSpatial) _fragmentGrid.rebuild(atoms, METALLIC_SPRING_CUTOFF);
     
     for(const atom of atoms) {
         if(visited.has(atom)) continue;
@@ -32,14 +40,10 @@ export function findDisconnectedFragments(atoms, useSpatial = false) {
             
             if(useSpatial) {
                 // Use spatial proximity (for MetallicClouds without explicit bonds)
-                const maxDist = 6.0; // Same as MetallicCloud physics cutoff
-                for(const other of atoms) {
-                    if(visited.has(other)) continue;
-                    const dist = current.group.position.distanceTo(other.group.position);
-                    if(dist < maxDist) {
-                        stack.push(other);
-                    }
-                }
+                // Same cutoff as MetallicCloud physics
+                _fragmentGrid.forEachNeighbor(current, METALLIC_SPRING_CUTOFF, other => {
+                    if(!visited.has(other)) stack.push(other);
+                });
             } else {
                 // Use explicit bonds
                 for(const bond of current.bonds) {
@@ -85,8 +89,6 @@ export function checkMetallicCloudFragmentation(cloud) {
  * @param {Simulation} simulation - Simulation instance
  */
 export function splitMetallicCloud(cloud, fragments, simulation) {
-    const scene = cloud.scene;
-    
     // Remove original cloud
     cloud.remove();
     
@@ -109,41 +111,15 @@ export function splitMetallicCloud(cloud, fragments, simulation) {
         } else if(fragment.length === 2) {
             // Two atoms - create simple bond
             const [a1, a2] = fragment;
-            const bond = new window.Bond(a1, a2, scene);
+            const bond = new Bond(a1, a2);
             simulation.bonds.push(bond);
             console.log('🔗 Fragment → simple bond (2 atoms)');
             
         } else {
             // 3+ atoms - create new metallic cloud
-            const MetallicCloud = window.MetallicCloud;
-            if(MetallicCloud) {
-                const newCloud = new MetallicCloud(fragment, scene);
-                simulation.bonds.push(newCloud);
-                console.log(`⚗️ Fragment → new metallic cloud (${fragment.length} atoms)`);
-            } else {
-                console.warn('⚠️ MetallicCloud not available, creating bonds');
-                // Fallback: create bonds between nearby atoms
-                createFallbackBonds(fragment, simulation, scene);
-            }
-        }
-    }
-}
-
-/**
- * Create bonds between nearby atoms as fallback
- */
-function createFallbackBonds(atoms, simulation, scene) {
-    for(let i = 0; i < atoms.length; i++) {
-        for(let j = i + 1; j < atoms.length; j++) {
-            const a1 = atoms[i];
-            const a2 = atoms[j];
-            const dist = a1.group.position.distanceTo(a2.group.position);
-            
-            // Bond if close enough
-            if(dist < 4.0) {
-                const bond = new window.Bond(a1, a2, scene);
-                simulation.bonds.push(bond);
-            }
+            const newCloud = new MetallicCloud(fragment);
+            simulation.bonds.push(newCloud);
+            console.log(`⚗️ Fragment → new metallic cloud (${fragment.length} atoms)`);
         }
     }
 }
@@ -0,0 +1,137 @@
+/**
+ * PartialCharges.js
+ * Cargas parciales δ+/δ− por igualación iterativa de electronegatividad
+ * (estilo Gasteiger-Marsili, PEOE) sobre el grafo de enlaces de una molécula.
+ *
+ * ── ELECTRONEGATIVIDAD ORBITAL ───────────────────────────────────────────────
+ *   χ(q) = a + b·q  (eV)
+ *   a = χ Pauling de los JSON de grupo llevada a la escala de Mulliken:
+ *       χ_M ≈ χ_P / 0.336 + 0.615   (H 7.2, C 8.2, O 10.9)
+ *   b = dureza (IE − EA) / 2 con ionization_energy_eV + electron_affinity_ev;
+ *       sin datos, b = a
+ *
+ * ── ITERACIÓN ───────────────────────────────────────────────────────────────
+ *   Se parte de la carga formal de cada átomo (Na⁺ +1, el O del OH⁻ −1) y
+ *   se itera solo sobre los enlaces que comparten electrones: un enlace
+ *   iónico ya movió sus electrones (bond.electronTransfer).
+ *   En cada vuelta k, por cada enlace A–B con χ_B > χ_A pasa hacia B
+ *     Δq = (χ_B − χ_A) / χ⁺_A · DAMPING^k      (χ⁺_A = a + b: A como catión)
+ *   El amortiguamiento converge en ~6 vueltas. La carga total de la molécula
+ *   se conserva → una molécula neutra suma 0, y un ion suma su carga.
+ *   H₂O: O −0.33, H +0.16 (Gasteiger original: −0.41 / +0.21)
+ *
+ * ── DIPOLOS (convención química: la flecha apunta a δ−) ─────────────────────
+ *   enlace:   carga transferida × longitud, de atom δ+ hacia atom δ−
+ *   molécula: −Σ qᵢ·(rᵢ − centro) → suma de los dipolos de enlace
+ *   1 e·Å = 4.803 D
+ *
+ * Las mismas cargas se muestran (renderer/ChargeVisuals.js) y empujan
+ * (atom.charge de physics/Electrostatics.js).
+ */
+
+export const DEBYE_PER_E_ANGSTROM = 4.803;
+const PAULING_TO_MULLIKEN = 0.336;
+const MULLIKEN_OFFSET     = 0.615;
+const DAMPING             = 0.5;
+const DEFAULT_ITERATIONS  = 6;
+
+/**
+ * Cargas de una molécula (simulation.findMoleculeContaining): formal + parcial.
+ * Deja atom.partialCharge y bond.chargeTransfer en cada átomo / enlace.
+ * @param {Molecule} molecule
+ * @param {object} [options]
+ * @param {number} [options.iterations=6]
+ * @returns {{charges: Map<Atom, number>, transfers: Map<Bond, number>}}
+ *          transfers: carga que pasó de bond.atom1 a bond.atom2 (< 0 al revés)
+ */
+export function gasteigerCharges(molecule, { iterations = DEFAULT_ITERATIONS } = {}) {
+    const charges   = new Map();
+    const params    = new Map();
+    const transfers = new Map();
+
+    for(const atom of molecule.atoms) {
+        charges.set(atom, atom.formalCharge || 0);
+        params.set(atom, orbitalElectronegativity(atom.element));
+    }
+    const inMolecule = molecule.bonds.filter(b => !b.atoms && charges.has(b.atom1) && charges.has(b.atom2));
+    const bonds = inMolecule.filter(b => b.sharesElectrons !== false);
+    for(const bond of inMolecule) {
+        transfers.set(bond, bond.sharesElectrons === false ? _ionicTransfer(bond) : 0);
+    }
+
+    let damping = 1;
+    for(let k = 0; k < iterations; k++) {
+        damping *= DAMPING;
+        // χ de esta vuelta con las cargas de la anterior
+        const chi = new Map();
+        for(const [atom, q] of charges) {
+            const p = params.get(atom);
+            chi.set(atom, p.a + p.b * q);
+        }
+
+        for(const bond of bonds) {
+            const { atom1, atom2 } = bond;
+            const diff = chi.get(atom2) - chi.get(atom1);
+            if(diff === 0) continue;
+            // Se divide por χ⁺ del que cede electrones
+            const donor = diff > 0 ? atom1 : atom2;
+            const p = params.get(donor);
+            const dq = diff / (p.a + p.b) * damping;
+
+            charges.set(atom1, charges.get(atom1) + dq);
+            charges.set(atom2, charges.get(atom2) - dq);
+            transfers.set(bond, transfers.get(bond) + dq);
+        }
+    }
+
+    for(const [atom, q] of charges) atom.partialCharge = q;
+    for(const [bond, dq] of transfers) bond.chargeTransfer = dq;
+    return { charges, transfers };
+}
+
+/**
+ * Electrones que el enlace iónico pasó de atom1 a atom2 (< 0 al revés)
+ */
+function _ionicTransfer(bond) {
+    const [cation] = bond.ionPair();
+    return cation === bond.atom1 ? bond.electronTransfer : -bond.electronTransfer;
+}
+
+/**
+ * Parámetros a, b de χ(q) = a + b·q para un elemento (ver cabecera)
+ */
+export function orbitalElectronegativity(element) {
+    const pauling = element.electronegativity || 2.0;
+    const a = pauling / PAULING_TO_MULLIKEN + MULLIKEN_OFFSET;
+    const ie = element.ionization_energy_eV;
+    const ea = element.electron_affinity_ev;
+    const b = ie ? (ie - (ea || 0)) / 2 : a;
+    return { a, b };
+}
+
+/**
+ * Dipolo de un enlace en e·Å, apuntando al extremo δ− (usa bond.chargeTransfer)
+ * @param {Bond} bond
+ * @param {THREE.Vector3} target
+ */
+export function bondDipole(bond, target = new THREE.Vector3()) {
+    const dq = bond.chargeTransfer || 0;
+    return target.subVectors(bond.atom2.position, bond.atom1.position).multiplyScalar(dq);
+}
+
+/**
+ * Dipolo de la molécula en e·Å, apuntando al lado δ− (usa atom.partialCharge)
+ * @param {Molecule} molecule
+ * @param {THREE.Vector3} target
+ */
+export function moleculeDipole(molecule, target = new THREE.Vector3()) {
+    target.set(0, 0, 0);
+    const center = molecule.centerOfMass;
+    for(const atom of molecule.atoms) {
+        const q = atom.partialCharge || 0;
+        target.x -= q * (atom.position.x - center.x);
+        target.y -= q * (atom.position.y - center.y);
+        target.z -= q * (atom.position.z - center.z);
+    }
+    return target;
+}
@@ -0,0 +1,184 @@
+/**
+ * SpatialHash.js
+ * Grilla uniforme de vecinos (spatial hashing) compartida por las fuerzas de campo.
+ *
+ * Antes cada proveedor recorría todos los pares (O(N²)): con un cristal
+ * 10×10×10 eso son ~500k pares por frame solo para Pauli, y Lennard-Jones
+ * encima buscaba en la lista de enlaces de cada par.
+ *
+ * Ahora Simulation.update() reconstruye la grilla una vez por paso y:
+ *   - PhysicsEngine.applyAtomicRepulsion  → forEachPair(minDist máx.)
+ *   - LennardJonesForces.applyForces       → forEachPair(cutoff)
+ *   - CoulombForces.applyForces            → forEachPair(cutoff)
+ *   - findDisconnectedFragments(useSpatial) → grilla propia de celda 6 wu
+ *   - new MetallicCloud (primera capa)     → grilla propia de celda 6 wu
+ *
+ * Con celda ≥ radio de consulta cada átomo mira solo 27 celdas → O(N).
+ *
+ *   const grid = new SpatialHash();
+ *   grid.rebuild(atoms, 8.0);
+ *   grid.forEachPair(8.0, (a, b) => { ... }, { skipBonded: true });
+ */
+
+// Claves numéricas exactas (sin colisiones) mientras |celda| < CELL_OFFSET
+const CELL_OFFSET = 1024;
+const CELL_SPAN   = CELL_OFFSET * 2;
+
+// Marcas para saltar pares enlazados sin recorrer atom.bonds por cada par.
+// Contador global → marcas únicas aunque haya varias grillas vivas.
+let _markCounter = 0;
+
+// Distancia² (por eje) de la coordenada v a la celda c — 0 si v cae dentro
+function _gap(v, c, size) {
+    const d = Math.max(c * size - v, v - (c + 1) * size, 0);
+    return d * d;
+}
+
+export class SpatialHash {
+    constructor(cellSize = 4.0) {
+        this.cellSize = cellSize;
+        this.atoms = [];
+        this._cells = new Map();              // clave → índices de átomos
+        this._index = new Map();              // átomo → índice en this.atoms
+        this._coords = new Int32Array(0);     // índice → (cx, cy, cz) de su celda
+        this._xyz    = new Float64Array(0);   // índice → posición al reconstruir
+    }
+
+    /**
+     * Vuelve a repartir los átomos en celdas. Llamar una vez por paso.
+     * @param {Array<Atom>} atoms
+     * @param {number} [cellSize] - idealmente el mayor radio que se vaya a consultar
+     */
+    rebuild(atoms, cellSize = this.cellSize) {
+        this.cellSize = Math.max(0.5, cellSize);
+        this.atoms = atoms;
+
+        // Reusar las listas de celdas; si quedaron muchas vacías (átomos que
+        // se fueron lejos), empezar de cero para no crecer sin límite
+        if(this._cells.size > atoms.length * 4 + 64) this._cells.clear();
+        for(const list of this._cells.values()) list.length = 0;
+        this._index.clear();
+
+        if(this._coords.length < atoms.length * 3) {
+            this._coords = new Int32Array(atoms.length * 6);
+            this._xyz    = new Float64Array(atoms.length * 6);
+        }
+
+        for(let i = 0; i < atoms.length; i++) {
+            const p = atoms[i].position;
+            const cx = this._cellCoord(p.x);
+            const cy = this._cellCoord(p.y);
+            const cz = this._cellCoord(p.z);
+            const key = this._key(cx, cy, cz);
+
+            let list = this._cells.get(key);
+            if(!list) {
+                list = [];
+                this._cells.set(key, list);
+            }
+            list.push(i);
+            this._index.set(atoms[i], i);
+
+            this._coords[i*3]   = cx;
+            this._coords[i*3+1] = cy;
+            this._coords[i*3+2] = cz;
+            this._xyz[i*3]   = p.x;
+            this._xyz[i*3+1] = p.y;
+            this._xyz[i*3+2] = p.z;
+        }
+        return this;
+    }
+
+    /**
+     * Cada par (a, b) con distancia < radius, una sola vez, con a antes que b
+     * en el array de átomos (mismo orden que el doble bucle i < j de antes).
+     * Las posiciones son las del último rebuild().
+     * @param {number} radius
+     * @param {Function} callback - (a, b) => void
+     * @param {object} [options]
+     * @param {boolean} [options.skipBonded=false] - omitir pares con Bond directo
+     */
+    forEachPair(radius, callback, { skipBonded = false } = {}) {
+        const atoms = this.atoms;
+        for(let i = 0; i < atoms.length; i++) {
+            const a = atoms[i];
+            const mark = skipBonded ? this._markBonded(a) : 0;
+            this._scan(i, radius, i, b => {
+                if(skipBonded && b._spatialMark === mark) return;
+                callback(a, b);
+            });
+        }
+    }
+
+    /**
+     * Vecinos de un átomo de la grilla a distancia < radius (sin él mismo).
+     * @param {Atom} atom
+     * @param {number} radius
+     * @param {Function} callback - (other) => void
+     */
+    forEachNeighbor(atom, radius, callback) {
+        const index = this._index.get(atom);
+        if(index === undefined) return;
+        this._scan(index, radius, -1, callback);
+    }
+
+    // ── Internos ────────────────────────────────────────────────────────────
+
+    /**
+     * Recorre las celdas alrededor del átomo `index` y llama visit(b) para
+     * cada átomo con índice > minIndex a distancia < radius (sin él mismo).
+     * Las celdas cuyo punto más cercano ya queda fuera del radio se saltan.
+     */
+    _scan(index, radius, minIndex, visit) {
+        const atoms = this.atoms;
+        const xyz = this._xyz;
+        const size = this.cellSize;
+        const r2 = radius * radius;
+        const reach = Math.ceil(radius / size);
+
+        const ax = xyz[index*3], ay = xyz[index*3+1], az = xyz[index*3+2];
+        const cx = this._coords[index*3];
+        const cy = this._coords[index*3+1];
+        const cz = this._coords[index*3+2];
+        const lo = -CELL_OFFSET, hi = CELL_OFFSET - 1;
+
+        for(let x = Math.max(lo, cx - reach); x <= Math.min(hi, cx + reach); x++) {
+            const gx = _gap(ax, x, size);
+            if(gx >= r2) continue;
+            for(let y = Math.max(lo, cy - reach); y <= Math.min(hi, cy + reach); y++) {
+                const gxy = gx + _gap(ay, y, size);
+                if(gxy >= r2) continue;
+                for(let z = Math.max(lo, cz - reach); z <= Math.min(hi, cz + reach); z++) {
+                    if(gxy + _gap(az, z, size) >= r2) continue;
+                    const list = this._cells.get(this._key(x, y, z));
+                    if(!list) continue;
+                    for(let k = 0; k < list.length; k++) {
+                        const j = list[k];
+                        if(j <= minIndex || j === index) continue;
+                        const dx = xyz[j*3] - ax, dy = xyz[j*3+1] - ay, dz = xyz[j*3+2] - az;
+                        if(dx*dx + dy*dy + dz*dz < r2) visit(atoms[j]);
+                    }
+                }
+            }
+        }
+    }
+
+    _markBonded(atom) {
+        const mark = ++_markCounter;
+        for(const bond of atom.bonds) {
+            const other = bond.atom1 === atom ? bond.atom2 : bond.atom1;
+            if(other) other._spatialMark = mark;
+        }
+        return mark;
+    }
+
+    _cellCoord(value) {
+        const c = Math.floor(value / this.cellSize);
+        // Átomos que salieron volando muy lejos comparten la celda del borde
+        return Math.max(-CELL_OFFSET + 1, Math.min(CELL_OFFSET - 2, c));
+    }
+
+    _key(cx, cy, cz) {
+        return ((cx + CELL_OFFSET) * CELL_SPAN + (cy + CELL_OFFSET)) * CELL_SPAN + (cz + CELL_OFFSET);
+    }
+}
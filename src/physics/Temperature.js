@@ -13,18 +13,20 @@
  *   Usa k_B real = 1.380649e-23 J/K.
  *   Masas en kg (Da × 1.66054e-27).
  *   Velocidades calculadas en m/s, luego convertidas a unidades del simulador
- *   con WORLD_SCALE = 1e-10 m / 1 unidad (orden de magnitud Ångström).
- *   Los números son físicamente correctos. Las velocidades son exageradas
- *   visualmente porque el mundo 3D no tiene escala temporal real —
- *   esto se documenta en la UI con honestidad.
+ *   con WORLD_SCALE = 1e-10 m / 1 unidad (orden de magnitud Ångström) y
+ *   TIME_SCALE = 1 unidad de tiempo del integrador (FS_PER_TIME_UNIT fs).
+ *   Como el paso es fijo en fs, T y energías no dependen de los Hz de la pantalla.
  *
  * ── INTEGRACIÓN ─────────────────────────────────────────────────────────────
  *   Desde Simulation.js:
  *     import { TemperatureSystem } from '../physics/Temperature.js';
  *     this.temperature = new TemperatureSystem(this.physics);
  *
- *   En Simulation.update():
- *     this.temperature.update(this.atoms, this.bonds);
+ *   En Simulation.stepPhysics():
+ *     this.temperature.update(this.atoms, dt);
+ *
+ *   En Simulation.stepDynamics(), tras los substeps (una vez por tick):
+ *     this.temperature.markBondBreaks(this.bonds);
  *
  *   En Simulation.addAtom():
  *     this.temperature.initAtom(atom);
@@ -34,6 +36,9 @@
  *   Fallback a umbrales genéricos pedagógicos.
  */
 
+import { FS_PER_TIME_UNIT } from './Integrators.js';
+import { rng } from '../utils/random.js';
+
 // ── Constantes ─────────────────────────────────────────────────────────────
 
 // Boltzmann real (J/K)
@@ -43,15 +48,30 @@ const K_BOLTZMANN_REAL = 1.380649e-23;
 const K_BOLTZMANN_DIDACTIC = 0.0001;
 
 // 1 unidad de mundo ≈ 1 Å = 1e-10 m
-// Usada para convertir m/s → unidades/frame en modo REALISTIC
-// (asumiendo ~60 fps → 1 frame ≈ 0.0167 s en tiempo real, pero la sim no corre en tiempo real)
-// Aplicamos solo la escala espacial; el tiempo lo ajusta TIME_SCALE
-const WORLD_SCALE  = 1e-10; // m por unidad de mundo
-const TIME_SCALE   = 1e-13; // s por frame (ajustado para que 300K se vea "vivo" sin explotar)
+// Usada para convertir m/s → unidades de mundo por unidad de tiempo en modo REALISTIC
+const WORLD_SCALE  = 1e-10;                    // m por unidad de mundo
+const TIME_SCALE   = FS_PER_TIME_UNIT * 1e-15; // s por unidad de tiempo del integrador (100 fs)
 
 // Dalton → kg
 const DALTON_TO_KG = 1.66054e-27;
 
+// Boltzmann en eV/K — para convertir energías de enlace (eV) a temperatura equivalente
+const K_BOLTZMANN_EV = 8.617333e-5;
+
+// Fracción de la energía de enlace real que debe superar un choque para romperlo.
+// Un enlace se muestrea cada pocos frames: no hay tiempo para esperar la cola de
+// Boltzmann real (la disociación térmica real ocurre a 3000 K+). Con 4% un O–H
+// se rompe de forma visible entre ~1000 y 2000 K en modo didáctico.
+const THERMAL_BREAK_FRACTION = 0.04;
+
+// Energías típicas de enlace (eV) cuando no hay datos avanzados
+const BOND_ENERGY_FALLBACK_EV = {
+    IONIC:    4.3,   // NaCl(g)
+    POLAR:    4.5,   // O–H, C–O
+    COVALENT: 3.6,   // C–C
+    DEFAULT:  3.5,
+};
+
 // Límites del slider
 const TEMP_MIN  = 0;
 const TEMP_MAX_DIDACTIC  = 2000;   // K pedagógicos
@@ -84,7 +104,7 @@ export class TemperatureSystem {
 
         // Termostato Berendsen
         this.thermostatEnabled = true;
-        this.thermostatTau     = 60;     // Frames para converger (mayor = más suave)
+        this.thermostatTau     = 60;     // Unidades de tiempo (×100 fs) para converger (mayor = más suave)
 
         // Ruptura de enlaces por temperatura
         this.thermalBondBreaking = false;
@@ -92,6 +112,7 @@ export class TemperatureSystem {
 
         // Visualización de color ambiente (gradiente CSS del fondo)
         this.colorAmbient = true;   // Colorea el fondo, NO los átomos
+        this.ambientRGB   = '5, 5, 15';   // "r, g, b" — renderer/Scene.js lo lleva a --ambient-temp-rgb
 
         // Colores del gradiente ambiente
         this._ambientCold   = '10, 15, 40';    // RGB azul oscuro frío
@@ -102,9 +123,7 @@ export class TemperatureSystem {
         // Reusable — evitar GC en hot path
         this._tempVec    = new THREE.Vector3();
         this._frameCount = 0;
-
-        // Cache de color base por átomo (para restaurar al desactivar)
-        this._baseColors = new WeakMap();
+        this._tickCount  = 0;
     }
 
     // ── API pública ──────────────────────────────────────────────────────────
@@ -135,15 +154,20 @@ export class TemperatureSystem {
         return this.mode === TEMP_MODE.REALISTIC ? TEMP_MAX_REALISTIC : TEMP_MAX_DIDACTIC;
     }
 
+    /**
+     * Escena nueva (Simulation.clearAll): medición y contador desde cero
+     */
+    reset() {
+        this.currentTemperature = 0;
+        this._frameCount = 0;
+        this._tickCount  = 0;
+    }
+
     /**
      * Inicializar un átomo recién creado con velocidad térmica.
      * Llamar desde Simulation.addAtom() si temperature está habilitada.
-     * También guarda el color base para restauración.
      */
     initAtom(atom) {
-        // Guardar color base
-        this._baseColors.set(atom, atom.nucleus.material.color.getHex());
-
         // Aplicar velocidad inicial si temperatura activa y > 0
         if(this.enabled && this.targetTemperature > 0) {
             this._applyMaxwellBoltzmann(atom, this.targetTemperature);
@@ -151,9 +175,10 @@ export class TemperatureSystem {
     }
 
     /**
-     * Update principal — llamar en Simulation.update() al final del loop.
+     * Update principal — llamar en Simulation.stepPhysics() al final de cada paso.
+     * @param {number} [dt=1] - Δt del paso en unidades de tiempo (FS_PER_TIME_UNIT fs)
      */
-    update(atoms, bonds) {
+    update(atoms, dt = 1) {
         if(!this.enabled || !atoms || atoms.length === 0) return;
 
         this._frameCount++;
@@ -165,20 +190,29 @@ export class TemperatureSystem {
 
         // Termostato
         if(this.thermostatEnabled && this.currentTemperature > 0.001) {
-            this._applyBerendsenThermostat(atoms);
-        }
-
-        // Ruptura de enlaces
-        if(this.thermalBondBreaking && bonds && this._frameCount % 5 === 0) {
-            this._checkThermalBondBreaking(bonds);
+            this._applyBerendsenThermostat(atoms, dt);
         }
 
-        // Color ambiente (fondo CSS)
+        // Color ambiente (fondo CSS, aplicado por el renderer)
         if(this.colorAmbient && this._frameCount % 10 === 0) {
             this._updateAmbientColor();
         }
     }
 
+    /**
+     * Ruptura de enlaces — llamar una vez por tick, después de los substeps
+     * (Simulation.stepDynamics()). Cada 5 ticks, no cada 5 pasos: con más
+     * substeps el tick no se revisa más veces y la química no cambia.
+     */
+    markBondBreaks(bonds) {
+        if(!this.enabled || !this.thermalBondBreaking || !bonds) return;
+
+        this._tickCount++;
+        if(this._tickCount % 5 === 0) {
+            this._checkThermalBondBreaking(bonds);
+        }
+    }
+
     /**
      * Info para la UI del panel.
      */
@@ -206,7 +240,7 @@ export class TemperatureSystem {
      *
      * REALISTIC:
      *   v_rms = sqrt(3 * k_B * T / m_kg)   [m/s]
-     *   → convertir a unidades de mundo: v_world = v_ms * TIME_SCALE / WORLD_SCALE
+     *   → convertir a unidades de mundo: v_world = v_ms * TIME_SCALE / WORLD_SCALE   [wu/100 fs]
      */
     _applyMaxwellBoltzmann(atom, temperature) {
         if(temperature <= 0) { atom.velocity.set(0, 0, 0); return; }
@@ -217,7 +251,7 @@ export class TemperatureSystem {
         if(this.mode === TEMP_MODE.REALISTIC) {
             const mass_kg = mass_sim * DALTON_TO_KG;
             const v_ms    = Math.sqrt(2 * K_BOLTZMANN_REAL * temperature / mass_kg); // m/s
-            vp = v_ms * TIME_SCALE / WORLD_SCALE; // → unidades/frame
+            vp = v_ms * TIME_SCALE / WORLD_SCALE; // → unidades de mundo / unidad de tiempo
         } else {
             vp = Math.sqrt(2 * K_BOLTZMANN_DIDACTIC * temperature / mass_sim);
         }
@@ -246,28 +280,32 @@ export class TemperatureSystem {
         }, 0);
 
         const avgEk = totalEk / free.length;
+        return (2/3) * avgEk / this._kEffective();
+    }
 
+    /**
+     * Constante de Boltzmann expresada en unidades del simulador (Da·(wu/100 fs)²/K).
+     * REALISTIC deshace la conversión de unidades para obtener K reales.
+     */
+    _kEffective() {
         if(this.mode === TEMP_MODE.REALISTIC) {
-            // Deshacer la conversión de unidades para obtener K reales
             const unitConv = TIME_SCALE / WORLD_SCALE;
-            const k_eff    = K_BOLTZMANN_REAL * unitConv * unitConv * DALTON_TO_KG;
-            return (2/3) * avgEk / k_eff;
-        } else {
-            return (2/3) * avgEk / K_BOLTZMANN_DIDACTIC;
+            return K_BOLTZMANN_REAL * unitConv * unitConv / DALTON_TO_KG;
         }
+        return K_BOLTZMANN_DIDACTIC;
     }
 
     // ── Termostato Berendsen ─────────────────────────────────────────────────
 
     /**
-     * λ = sqrt(1 + (1/τ) × (T_target/T_actual − 1))
+     * λ = sqrt(1 + (Δt/τ) × (T_target/T_actual − 1))
      * Escala velocidades de átomos libres para converger a T objetivo.
      * Estable, simple, sin oscilaciones. No conserva NVT estrictamente
      * pero es perfecto para pedagogía.
      */
-    _applyBerendsenThermostat(atoms) {
+    _applyBerendsenThermostat(atoms, dt = 1) {
         const ratio     = this.targetTemperature / this.currentTemperature;
-        const lambdaSq  = 1 + (1 / this.thermostatTau) * (ratio - 1);
+        const lambdaSq  = 1 + (dt / this.thermostatTau) * (ratio - 1);
         if(lambdaSq <= 0) return;
         const lambda = Math.sqrt(lambdaSq);
 
@@ -299,6 +337,10 @@ export class TemperatureSystem {
 
     // ── Ruptura de enlaces por temperatura ───────────────────────────────────
 
+    /**
+     * Marca con bond._markedForThermalBreak los enlaces cuyo choque relativo
+     * supera el umbral. Simulation.breakMarkedBonds() los elimina después.
+     */
     _checkThermalBondBreaking(bonds) {
         bonds.forEach(bond => {
             if(!bond.atom1 || !bond.atom2) return;
@@ -327,14 +369,33 @@ export class TemperatureSystem {
                    (this.mode === TEMP_MODE.REALISTIC ? 1e-9 : 1e-6);
         }
 
-        // Estimación por electronegatividad
+        // Enlaces múltiples más fuertes (C=C ≈ 1.7 × C–C): aprox. order^0.8
+        const orderFactor = Math.pow(bond.order || 1, 0.8);
+        return this._evToSimEnergy(this._bondEnergyEV(el1, el2)) * orderFactor * THERMAL_BREAK_FRACTION;
+    }
+
+    /**
+     * Energía de enlace en eV.
+     * Con datos avanzados: media geométrica de bond_energy_ev (regla de Pauling).
+     * Sin ellos: estimación por diferencia de electronegatividad.
+     */
+    _bondEnergyEV(el1, el2) {
+        if(el1.bond_energy_ev && el2?.bond_energy_ev) {
+            return Math.sqrt(el1.bond_energy_ev * el2.bond_energy_ev);
+        }
+
         if(el1.electronegativity && el2?.electronegativity) {
             const diff = Math.abs(el1.electronegativity - el2.electronegativity);
-            if(diff > 1.7) return 0.08;  // Iónico
-            if(diff > 0.4) return 0.04;  // Covalente polar
-            return 0.02;                 // Covalente puro
+            if(diff > 1.7) return BOND_ENERGY_FALLBACK_EV.IONIC;
+            if(diff > 0.4) return BOND_ENERGY_FALLBACK_EV.POLAR;
+            return BOND_ENERGY_FALLBACK_EV.COVALENT;
         }
-        return 0.03;
+        return BOND_ENERGY_FALLBACK_EV.DEFAULT;
+    }
+
+    /** eV → temperatura equivalente (K) → energía en unidades del simulador */
+    _evToSimEnergy(eV) {
+        return (eV / K_BOLTZMANN_EV) * this._kEffective();
     }
 
     // ── Color ambiente (gradiente CSS del fondo) ──────────────────────────────
@@ -376,25 +437,21 @@ export class TemperatureSystem {
             b = Math.round(this._lerp(5, 0, f));
         }
 
-        document.documentElement.style.setProperty(
-            '--ambient-temp-rgb', `${r}, ${g}, ${b}`
-        );
+        this.ambientRGB = `${r}, ${g}, ${b}`;
     }
 
     _lerp(a, b, t) { return a + (b - a) * t; }
 
     _restoreAllColors() {
         // Restaurar gradiente neutro
-        document.documentElement.style.setProperty('--ambient-temp-rgb', '5, 5, 15');
+        this.ambientRGB = this._ambientNeutral;
     }
 
     // ── Utilidades ────────────────────────────────────────────────────────────
 
-    /** Box-Muller gaussian (media 0, σ 1) */
+    /** Box-Muller gaussian (media 0, σ 1) — del generador con semilla */
     _gaussian() {
-        const u = Math.max(1e-10, Math.random());
-        const v = Math.random();
-        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        return rng.gaussian();
     }
 }
 
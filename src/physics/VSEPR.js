@@ -0,0 +1,296 @@
+/**
+ * VSEPR.js
+ * Geometría molecular por repulsión de pares de electrones (AXₙEₘ)
+ *
+ * ── DOMINIOS ────────────────────────────────────────────────────────────────
+ *   X = átomos enlazados (un enlace doble o triple es un solo dominio)
+ *   E = pares libres = ⌊(electrones de valencia − Σ órdenes de enlace) / 2⌋
+ *       con la capa externa de atom.getElectronShells() → cuenta la carga
+ *       del ion (H₃O⁺: O con 5 → AX₃E, NH₄⁺: N con 4 → AX₄)
+ *   H₂O: O 6 − 2 = 4 → E = 2 → AX₂E₂      CO₂: C 4 − 4 = 0 → AX₂
+ *   SF₄: S 6 − 4 = 2 → AX₄E                XeF₄: Xe 8 − 4 = 4 → AX₄E₂
+ *   Enlace iónico de una molécula (B–F, Δχ 1.94): cuenta como simple para
+ *   el catión no metálico, con los electrones que cedió de vuelta en su
+ *   capa → BF₃: B 3 − 3 = 0 → AX₃ (120°)
+ *
+ * ── GEOMETRÍAS ──────────────────────────────────────────────────────────────
+ *   Cada AXₙEₘ da el ángulo X–A–X de cada par de enlaces (vseprPairAngles).
+ *   Las formas de 5 y 6 dominios tienen ligandos en posiciones opuestas
+ *   ("trans": los axiales de la bipirámide, las diagonales del cuadrado): se
+ *   eligen los `trans` pares más abiertos sin repetir ligando y el resto de
+ *   los ángulos sale del rol de cada ligando
+ *     trans  entre los dos de un par opuesto        (PCl₅ axial–axial 180°)
+ *     cis    entre ligandos de pares opuestos distintos (XeF₄ 90°)
+ *     mixed  entre uno de un par opuesto y uno libre (PCl₅ axial–ecuatorial 90°)
+ *     free   entre dos libres                        (PCl₅ ecuatorial 120°, CH₄ 109.5°)
+ *   Los pares libres ocupan más lugar → los ángulos se cierran
+ *   (NH₃ 107°, H₂O 104.5°, SF₄ 102° / 173°).
+ *
+ * Solo elementos de los grupos principales con enlaces covalentes: metales
+ * de transición, lantánidos, actínidos, iones de una red iónica, aniones y
+ * cationes metálicos devuelven null y BondAngleConstraints usa
+ * ideal_bond_angle del elemento (o no corrige, si hay enlaces iónicos).
+ */
+
+import { isMetal } from '../core/MetallicCloud.js';
+
+// Categorías donde la capa externa NO son los electrones de valencia (capas d / f)
+const NON_VSEPR_CATEGORIES = new Set(['transition_metal', 'lanthanide', 'actinide']);
+
+const RELAX_ITERATIONS = 40;
+const RELAX_STEP       = 0.3;
+const RELAX_MAX_MOVE   = 0.2;   // rad por iteración
+const SYMMETRIC_SUM_SQ = 0.05;  // |Σ direcciones de enlace|² bajo el cual se anulan
+const LONE_PAIR_WEIGHT = 1.2;   // Un par libre repele más que un enlace
+
+// Reusable objects
+const _sum  = new THREE.Vector3();
+const _dir  = new THREE.Vector3();
+const _push = new THREE.Vector3();
+const _u    = new THREE.Vector3();
+const _v    = new THREE.Vector3();
+
+/**
+ * Formas AXₙEₘ por "X,E" (número estérico X + E de 2 a 6)
+ *   trans: pares de ligandos opuestos; angles: grados por rol (ver cabecera)
+ */
+export const VSEPR_GEOMETRIES = {
+    '2,0': { name: 'Lineal',                    trans: 0, angles: { free: 180 } },                          // CO₂, BeCl₂
+    '3,0': { name: 'Trigonal plana',            trans: 0, angles: { free: 120 } },                          // SO₃
+    '2,1': { name: 'Angular',                   trans: 0, angles: { free: 117 } },                          // SO₂, O₃
+    '4,0': { name: 'Tetraédrica',               trans: 0, angles: { free: 109.5 } },                        // CH₄
+    '3,1': { name: 'Piramidal trigonal',        trans: 0, angles: { free: 107 } },                          // NH₃
+    '2,2': { name: 'Angular',                   trans: 0, angles: { free: 104.5 } },                        // H₂O
+    '5,0': { name: 'Bipirámide trigonal',       trans: 1, angles: { trans: 180, mixed: 90, free: 120 } },   // PCl₅
+    '4,1': { name: 'Balancín',                  trans: 1, angles: { trans: 173, mixed: 87, free: 102 } },   // SF₄
+    '3,2': { name: 'Forma de T',                trans: 1, angles: { trans: 175, mixed: 87.5 } },            // ClF₃
+    '2,3': { name: 'Lineal',                    trans: 0, angles: { free: 180 } },                          // XeF₂
+    '6,0': { name: 'Octaédrica',                trans: 3, angles: { trans: 180, cis: 90 } },                // SF₆
+    '5,1': { name: 'Pirámide de base cuadrada', trans: 2, angles: { trans: 170, cis: 90, mixed: 85 } },     // BrF₅
+    '4,2': { name: 'Cuadrada plana',            trans: 2, angles: { trans: 180, cis: 90 } },                // XeF₄
+};
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+
+/**
+ * Dominios de electrones del átomo central
+ * @param {Atom} atom
+ * @returns {{bonding: number, lonePairs: number}|null} null si VSEPR no aplica
+ */
+export function electronDomains(atom) {
+    const el = atom.element;
+    if(!el || NON_VSEPR_CATEGORIES.has(el.category)) return null;
+    if(atom.metallicCloud) return null;
+
+    let orderSum = 0;
+    let given = 0;   // Electrones que cedió por sus enlaces iónicos
+    for(const bond of atom.bonds) {
+        if(!bond.sharesElectrons) {
+            // Red iónica, anión o catión metálico → no es un dominio VSEPR
+            if(bond.isCrystalBond || isMetal(el) || bond.ionPair()[0] !== atom) return null;
+            given += bond.electronTransfer;
+        }
+        orderSum += bond.order || 1;
+    }
+
+    const shells = atom.getElectronShells(atom.formalCharge - given);
+    const valence = shells.length ? shells[shells.length - 1] : 0;
+    return {
+        bonding:   atom.bonds.length,
+        lonePairs: Math.max(0, Math.floor((valence - orderSum) / 2))
+    };
+}
+
+/**
+ * Forma AXₙEₘ del átomo central
+ * @param {Atom} atom
+ * @returns {{notation: string, name: string, trans: number, angles: object, bonding: number, lonePairs: number}|null}
+ */
+export function vseprGeometry(atom) {
+    const domains = electronDomains(atom);
+    if(!domains || domains.bonding < 2) return null;
+
+    const shape = VSEPR_GEOMETRIES[`${domains.bonding},${domains.lonePairs}`];
+    if(!shape) return null;
+    return {
+        notation: vseprNotation(domains.bonding, domains.lonePairs),
+        ...shape,
+        ...domains
+    };
+}
+
+/**
+ * Ángulo ideal (grados) de cada par de enlaces i < j de atom.bonds, en el
+ * orden de un doble bucle for(i) for(j > i)
+ * @param {Atom} atom
+ * @param {object} geometry - vseprGeometry(atom)
+ * @returns {number[]}
+ */
+export function vseprPairAngles(atom, geometry) {
+    const { angles, trans } = geometry;
+    const center = atom.position;
+    const dirs = atom.bonds.map(bond => {
+        const other = bond.atom1 === atom ? bond.atom2 : bond.atom1;
+        return new THREE.Vector3().subVectors(other.position, center).normalize();
+    });
+
+    const pairs = [];
+    for(let i = 0; i < dirs.length; i++) {
+        for(let j = i + 1; j < dirs.length; j++) pairs.push({ i, j, cos: dirs[i].dot(dirs[j]) });
+    }
+
+    // Pares opuestos: los más abiertos, sin repetir ligando
+    const partner = new Map();
+    if(trans > 0) {
+        const byOpening = pairs.slice().sort((a, b) => a.cos - b.cos);
+        for(const p of byOpening) {
+            if(partner.size >= trans * 2) break;
+            if(partner.has(p.i) || partner.has(p.j)) continue;
+            partner.set(p.i, p.j);
+            partner.set(p.j, p.i);
+        }
+    }
+
+    return pairs.map(({ i, j }) => {
+        if(partner.get(i) === j) return angles.trans;
+        const inI = partner.has(i);
+        const inJ = partner.has(j);
+        if(inI && inJ) return angles.cis;
+        if(inI || inJ) return angles.mixed;
+        return angles.free;
+    });
+}
+
+/**
+ * "AX₂E₂", "AX₄", ...
+ */
+export function vseprNotation(bonding, lonePairs) {
+    const sub = n => n > 1 ? String(n).split('').map(d => SUBSCRIPTS[d]).join('') : '';
+    return `AX${sub(bonding)}${lonePairs > 0 ? `E${sub(lonePairs)}` : ''}`;
+}
+
+/**
+ * Direcciones (unitarias, desde el átomo) de los pares libres con la
+ * geometría actual: se reparten sobre la esfera alejándose de los enlaces y
+ * entre sí, como en el modelo de repulsión.
+ *   NH₃ → opuesto a los 3 H    H₂O → dos lóbulos fuera del plano H–O–H
+ *   XeF₄ → arriba y abajo del plano    XeF₂ → ecuador, a 120°
+ * @param {Atom} atom
+ * @param {number} count - pares libres (electronDomains)
+ * @param {Array<THREE.Vector3>} [target] - se reutilizan sus vectores
+ * @returns {Array<THREE.Vector3>}
+ */
+export function lonePairDirections(atom, count, target = []) {
+    return domainDirections(atom, 0, count, target);
+}
+
+/**
+ * Direcciones de dominios NUEVOS alrededor del átomo: `bonding` enlaces que
+ * aún no existen (structures/Hydrogens.js) seguidos de `lonePairs` pares
+ * libres. Los enlaces actuales quedan fijos; un par libre repele
+ * LONE_PAIR_WEIGHT veces más que un enlace.
+ *   C suelto + 4 → tetraedro    CH₃ + 1 → opuesto a los 3 H
+ * @param {Atom} atom
+ * @param {number} bonding - enlaces nuevos (primeros en target)
+ * @param {number} lonePairs
+ * @param {Array<THREE.Vector3>} [target] - se reutilizan sus vectores
+ * @returns {Array<THREE.Vector3>}
+ */
+export function domainDirections(atom, bonding, lonePairs, target = []) {
+    const count = bonding + lonePairs;
+    target.length = Math.min(target.length, count);
+    if(count === 0) return target;
+
+    const center = atom.position;
+    const bondDirs = atom.bonds.map(bond => {
+        const other = bond.atom1 === atom ? bond.atom2 : bond.atom1;
+        return new THREE.Vector3().subVectors(other.position, center).normalize();
+    });
+
+    // Semillas alrededor de un eje, cerca del mínimo para no quedar trabadas
+    // entre dos enlaces:
+    //   sin enlaces → uno sobre el eje y el resto en un cono a arccos(−1/(n−1))
+    //                 (n = 4: el tetraedro exacto)
+    //   enlaces de un lado (H₂O, NH₃, ClF₃) → eje opuesto a ellos, abiertas
+    //                 60° fuera del plano del primer enlace
+    //   enlaces en un plano que se anulan (XeF₄) → normal al plano, una de cada lado
+    //   enlaces en línea (XeF₂) → eje del enlace, en el ecuador (90°)
+    let spread = count > 1 ? Math.PI / 3 : 0;
+    let alternate = false;
+    let apex = false;
+    _sum.set(0, 0, 0);
+    bondDirs.forEach(d => _sum.sub(d));
+    if(bondDirs.length === 0) {
+        _sum.set(0, 1, 0);
+        spread = count > 1 ? Math.acos(-1 / (count - 1)) : 0;
+        apex = true;
+    } else if(_sum.lengthSq() < SYMMETRIC_SUM_SQ && bondDirs.length === 2) {
+        _sum.copy(bondDirs[0]);
+        spread = Math.PI / 2;
+    } else if(_sum.lengthSq() < SYMMETRIC_SUM_SQ) {
+        // Normal al plano: el primer ligando que no esté enfrente del [0]
+        for(let k = 1; k < bondDirs.length; k++) {
+            _sum.crossVectors(bondDirs[0], bondDirs[k]);
+            if(_sum.lengthSq() > 0.5) break;
+        }
+        alternate = true;
+    }
+    if(_sum.lengthSq() < 1e-4) _sum.set(0, 1, 0);
+    _sum.normalize();
+    // Cono perpendicular al plano eje–enlace: las semillas no caen en el
+    // plano de los enlaces (ahí la repulsión se anula y no salen)
+    if(bondDirs.length > 0) _u.crossVectors(_sum, bondDirs[0]);
+    if(bondDirs.length === 0 || _u.lengthSq() < 1e-4) _perpendicular(_sum, _u);
+    _u.normalize();
+    _v.crossVectors(_sum, _u);
+
+    for(let k = 0; k < count; k++) {
+        const dir = target[k] || (target[k] = new THREE.Vector3());
+        if(alternate) {
+            dir.copy(_sum).multiplyScalar(k % 2 ? -1 : 1);
+            continue;
+        }
+        if(apex && k === 0) {
+            dir.copy(_sum);
+            continue;
+        }
+        const ring = apex ? count - 1 : count;
+        const phi = 2 * Math.PI * (apex ? k - 1 : k) / ring;
+        dir.copy(_sum).multiplyScalar(Math.cos(spread))
+            .addScaledVector(_u, Math.sin(spread) * Math.cos(phi))
+            .addScaledVector(_v, Math.sin(spread) * Math.sin(phi))
+            .normalize();
+    }
+
+    // Repulsión sobre la esfera unitaria (enlaces fijos, dominios nuevos móviles)
+    const weight = j => j < bonding ? 1 : LONE_PAIR_WEIGHT;
+    for(let it = 0; it < RELAX_ITERATIONS; it++) {
+        for(let k = 0; k < count; k++) {
+            const dir = target[k];
+            _push.set(0, 0, 0);
+            for(const b of bondDirs) _addRepulsion(dir, b, 1);
+            for(let j = 0; j < count; j++) {
+                if(j !== k) _addRepulsion(dir, target[j], weight(j));
+            }
+            // Solo la componente tangente mueve el punto sobre la esfera
+            _push.addScaledVector(dir, -_push.dot(dir)).multiplyScalar(RELAX_STEP);
+            if(_push.length() > RELAX_MAX_MOVE) _push.setLength(RELAX_MAX_MOVE);
+            dir.add(_push).normalize();
+        }
+    }
+    return target;
+}
+
+function _addRepulsion(dir, other, weight) {
+    _dir.subVectors(dir, other);
+    const d2 = Math.max(_dir.lengthSq(), 1e-3);
+    _push.addScaledVector(_dir, weight / (d2 * Math.sqrt(d2)));
+}
+
+/**
+ * Un vector unitario perpendicular a `dir` → target
+ */
+function _perpendicular(dir, target) {
+    const ref = Math.abs(dir.y) < 0.9 ? _dir.set(0, 1, 0) : _dir.set(1, 0, 0);
+    return target.crossVectors(dir, ref).normalize();
+}
@@ -1 +1,343 @@
+/**
+ * ReactionEngine.js
+ * Motor de reacciones químicas dirigido por data/reactions.json
+ *
+ * FUNCIONAMIENTO:
+ *   1. Cada N frames se buscan los fragmentos conexos (moléculas) de la escena.
+ *   2. Se filtran los que coinciden (grafo + elementos) con algún reactivo.
+ *   3. Si dos fragmentos reactivos están en contacto y su energía cinética
+ *      relativa supera la energía de activación → se recablean sus Bond
+ *      según las plantillas de productos.
+ *   4. Las cargas de los iones salen de los enlaces nuevos: HCl + NaOH deja
+ *      Na⁺ Cl⁻ y un H₂O neutro, no un O²⁻ con dos H.
+ *
+ * FORMATO DE reactions.json:
+ *   reactants[i].atoms  → [{ element }]        (mismo shape que moleculas.json)
+ *   reactants[i].bonds  → [{ from, to }]       (índices locales al reactivo)
+ *   products[j].bonds   → [{ from, to, order? }] (índices GLOBALES: reactivos concatenados)
+ *   products[j].atoms   → [idx]                (átomos sueltos, p. ej. radicales H·)
+ *
+ * UNIDADES:
+ *   activation_energy / energy_release en unidades del simulador
+ *   (½·m[Da]·v[wu/frame]²) — misma escala que Temperature.js modo didáctico.
+ */
 
+import { Bond, idealBondLength } from '../core/Bond.js';
+import { findDisconnectedFragments } from '../physics/MoleculeFragmentation.js';
+
+// Reusable objects (avoid GC)
+const _vRel = new THREE.Vector3();
+const _dir  = new THREE.Vector3();
+
+export class ReactionEngine {
+    /**
+     * @param {Simulation} simulation
+     * @param {object} data - contenido de data/reactions.json
+     */
+    constructor(simulation, data) {
+        this.simulation = simulation;
+        this.reactions  = (data?.reactions || []).filter(r => r.reactants?.length === 2);
+
+        this.enabled       = false;
+        this.checkInterval = 5;    // Frames entre búsquedas de colisiones
+        this.contactFactor = 1.6;  // × suma de radios covalentes = distancia de contacto
+        this.cooldown      = 60;   // Frames que un producto no puede volver a reaccionar
+        this.onReaction    = null; // Callback (reaction, productAtoms) → UI
+
+        this._frameCount = 0;
+        this._lastReacted = new WeakMap(); // atom → frame de su última reacción
+
+        console.log(`⚗️ ReactionEngine: ${this.reactions.length} reacciones cargadas`);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Escena nueva (Simulation.clearAll): contador y enfriamientos a cero
+     */
+    reset() {
+        this._frameCount = 0;
+        this._lastReacted = new WeakMap();
+    }
+
+    /**
+     * Llamar una vez por frame desde Simulation.update()
+     */
+    update() {
+        if(!this.enabled || this.reactions.length === 0) return;
+
+        this._frameCount++;
+        if(this._frameCount % this.checkInterval !== 0) return;
+
+        const fragments = this._getReactiveFragments();
+        if(fragments.length < 2) return;
+
+        const consumed = new Set();
+
+        for(let i = 0; i < fragments.length; i++) {
+            if(consumed.has(fragments[i])) continue;
+            for(let j = i + 1; j < fragments.length; j++) {
+                if(consumed.has(fragments[j])) continue;
+                if(consumed.has(fragments[i])) break;
+
+                const fA = fragments[i];
+                const fB = fragments[j];
+                if(!this._inContact(fA, fB)) continue;
+
+                const energy = this._collisionEnergy(fA, fB);
+                const match  = this._findReaction(fA, fB, energy);
+                if(!match) continue;
+
+                this._execute(match.reaction, match.mapping);
+                consumed.add(fA);
+                consumed.add(fB);
+            }
+        }
+    }
+
+    // ── Detección de fragmentos ──────────────────────────────────────────────
+
+    /**
+     * Fragmentos libres (sin cristal, sin nube metálica, sin congelar)
+     * que coinciden con al menos un reactivo de alguna reacción.
+     */
+    _getReactiveFragments() {
+        const free = this.simulation.atoms.filter(a =>
+            !a.frozen && !a.metallicCloud && !a.isCrystal && !a.isDragging &&
+            !this._inCooldown(a)
+        );
+
+        return findDisconnectedFragments(free).filter(fragment =>
+            this.reactions.some(r => r.reactants.some(t => _sameComposition(t, fragment)))
+        );
+    }
+
+    _inCooldown(atom) {
+        const last = this._lastReacted.get(atom);
+        return last !== undefined && this._frameCount - last < this.cooldown;
+    }
+
+    _inContact(fA, fB) {
+        for(const a of fA) {
+            for(const b of fB) {
+                const r1 = (a.element.radius_covalent_pm || 70) / 100;
+                const r2 = (b.element.radius_covalent_pm || 70) / 100;
+                const contact = (r1 + r2) * this.contactFactor;
+                if(a.position.distanceToSquared(b.position) < contact * contact) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Energía cinética relativa de los centros de masa:
+     *   E = ½ · μ · |v_A − v_B|²   con μ = M_A·M_B / (M_A + M_B)
+     */
+    _collisionEnergy(fA, fB) {
+        const mA = _fragmentMass(fA);
+        const mB = _fragmentMass(fB);
+        _vRel.copy(_comVelocity(fA, mA)).sub(_comVelocity(fB, mB));
+        const mu = (mA * mB) / (mA + mB);
+        return 0.5 * mu * _vRel.lengthSq();
+    }
+
+    // ── Emparejamiento con plantillas ────────────────────────────────────────
+
+    _findReaction(fA, fB, energy) {
+        for(const reaction of this.reactions) {
+            if(energy < (reaction.activation_energy ?? 0)) continue;
+
+            const [tA, tB] = reaction.reactants;
+            for(const [x, y] of [[fA, fB], [fB, fA]]) {
+                const mapA = matchTemplate(tA, x);
+                if(!mapA) continue;
+                const mapB = matchTemplate(tB, y);
+                if(!mapB) continue;
+                return { reaction, mapping: [...mapA, ...mapB] };
+            }
+        }
+        return null;
+    }
+
+    // ── Recableado de enlaces ────────────────────────────────────────────────
+
+    /**
+     * @param {object} reaction
+     * @param {Array<Atom>} mapping - índice global de plantilla → Atom real
+     */
+    _execute(reaction, mapping) {
+        const sim     = this.simulation;
+        const atomSet = new Set(mapping);
+
+        // 1. Romper todos los enlaces internos de los reactivos
+        const oldBonds = sim.bonds.filter(b =>
+            b.atom1 && b.atom2 && atomSet.has(b.atom1) && atomSet.has(b.atom2)
+        );
+        oldBonds.forEach(b => sim.removeBond(b));
+
+        // Cargas que ya no sostiene ningún enlace iónico (un Na⁺ / OH⁻ leído
+        // de un MOL o de una escena vieja) → fuera, los productos las rehacen
+        mapping.forEach(atom => {
+            const supported = _ionicCharge(atom);
+            if(atom.formalCharge !== supported) atom.setFormalCharge(supported);
+        });
+
+        // 2. Formar los enlaces de los productos
+        const products = reaction.products.map(product => {
+            const atoms = new Set();
+            (product.bonds || []).forEach(({ from, to, order = 1 }) => {
+                const a1 = mapping[from];
+                const a2 = mapping[to];
+                if(!a1 || !a2) return;
+                const bond = new Bond(a1, a2, order);
+                // Longitud de equilibrio desde radios covalentes, no desde la
+                // distancia del choque (que puede ser cualquiera)
+                bond.targetDist = idealBondLength(a1, a2, bond.order);
+                sim.bonds.push(bond);
+                atoms.add(a1);
+                atoms.add(a2);
+            });
+            (product.atoms || []).forEach(idx => { if(mapping[idx]) atoms.add(mapping[idx]); });
+            return [...atoms];
+        });
+
+        // 3. Energía liberada → separa los productos desde el centro de la reacción
+        if(reaction.energy_release > 0 && products.length > 1) {
+            this._releaseEnergy(products, reaction.energy_release);
+        }
+
+        mapping.forEach(a => this._lastReacted.set(a, this._frameCount));
+
+        console.log(`💥 Reacción: ${reaction.equation || reaction.id}`);
+        if(this.onReaction) this.onReaction(reaction, mapping);
+    }
+
+    /**
+     * Reparte energy_release como energía cinética radial entre los productos.
+     * Conserva el momento total (los impulsos apuntan desde el centro de masa).
+     */
+    _releaseEnergy(products, energy) {
+        const all    = products.flat();
+        const center = new THREE.Vector3();
+        let totalMass = 0;
+        all.forEach(a => {
+            const m = a.element.mass || 1.0;
+            center.addScaledVector(a.position, m);
+            totalMass += m;
+        });
+        center.divideScalar(totalMass);
+
+        const perProduct = energy / products.length;
+        products.forEach(atoms => {
+            if(atoms.length === 0) return;
+            const mass = _fragmentMass(atoms);
+            const com  = new THREE.Vector3();
+            atoms.forEach(a => com.addScaledVector(a.position, a.element.mass || 1.0));
+            com.divideScalar(mass);
+
+            _dir.subVectors(com, center);
+            if(_dir.lengthSq() < 1e-6) _dir.set(0, 1, 0);
+            _dir.normalize();
+
+            // E = ½·M·v² → v = sqrt(2E/M)
+            const speed = Math.sqrt(2 * perProduct / mass);
+            atoms.forEach(a => a.velocity.addScaledVector(_dir, speed));
+        });
+    }
+}
+
+/**
+ * Carga que sostienen los enlaces iónicos del átomo (+ como catión, − como anión)
+ */
+function _ionicCharge(atom) {
+    return atom.bonds.reduce((sum, bond) => {
+        if(bond.sharesElectrons || !bond.electronTransfer) return sum;
+        return sum + (bond.ionPair()[0] === atom ? bond.electronTransfer : -bond.electronTransfer);
+    }, 0);
+}
+
+// ── Helpers de grafo ────────────────────────────────────────────────────────
+
+/**
+ * Comprueba rápido si un fragmento tiene la misma composición que la plantilla
+ * (mismo número de átomos por elemento). Filtro barato antes del isomorfismo.
+ */
+function _sameComposition(template, atoms) {
+    if(template.atoms.length !== atoms.length) return false;
+    const counts = {};
+    template.atoms.forEach(t => { counts[t.element] = (counts[t.element] || 0) + 1; });
+    for(const a of atoms) {
+        if(!counts[a.symbol]) return false;
+        counts[a.symbol]--;
+    }
+    return true;
+}
+
+/**
+ * Isomorfismo plantilla → fragmento por backtracking.
+ * Los reactivos son moléculas pequeñas (< 10 átomos) → coste despreciable.
+ *
+ * @param {object} template - { atoms: [{element}], bonds: [{from,to}] }
+ * @param {Array<Atom>} atoms - fragmento conexo real
+ * @returns {Array<Atom>|null} mapping[i] = átomo real para el índice i de la plantilla
+ */
+export function matchTemplate(template, atoms) {
+    if(!_sameComposition(template, atoms)) return null;
+
+    const n     = template.atoms.length;
+    const tBonds = template.bonds || [];
+
+    // El fragmento no puede tener más enlaces internos que la plantilla
+    const atomSet = new Set(atoms);
+    let internal = 0;
+    atoms.forEach(a => a.bonds.forEach(b => {
+        if(b.atom1 === a && atomSet.has(b.atom2)) internal++;
+    }));
+    if(internal !== tBonds.length) return null;
+
+    const tAdj = Array.from({ length: n }, () => new Set());
+    tBonds.forEach(({ from, to }) => { tAdj[from].add(to); tAdj[to].add(from); });
+
+    const mapping = new Array(n).fill(null);
+    const used    = new Set();
+
+    const bonded = (a, b) => a.bonds.some(bd => bd.atom1 === b || bd.atom2 === b);
+
+    const assign = (i) => {
+        if(i === n) return true;
+        for(const atom of atoms) {
+            if(used.has(atom)) continue;
+            if(atom.symbol !== template.atoms[i].element) continue;
+
+            // Todos los vecinos ya asignados deben coincidir con la plantilla
+            let ok = true;
+            for(let k = 0; k < i && ok; k++) {
+                if(tAdj[i].has(k) !== bonded(atom, mapping[k])) ok = false;
+            }
+            if(!ok) continue;
+
+            mapping[i] = atom;
+            used.add(atom);
+            if(assign(i + 1)) return true;
+            used.delete(atom);
+            mapping[i] = null;
+        }
+        return false;
+    };
+
+    return assign(0) ? mapping : null;
+}
+
+function _fragmentMass(atoms) {
+    return atoms.reduce((sum, a) => sum + (a.element.mass || 1.0), 0);
+}
+
+function _comVelocity(atoms, totalMass) {
+    const v = new THREE.Vector3();
+    atoms.forEach(a => v.addScaledVector(a.velocity, a.element.mass || 1.0));
+    return v.divideScalar(totalMass);
+}
@@ -1 +1,396 @@
+/**
+ * AtomVisuals.js
+ * Meshes de cada átomo (núcleo, anillos de Bohr, nube de probabilidad)
+ *
+ * El Atom del core es solo datos. AtomVisuals.sync(atoms, config) se llama
+ * una vez por frame: crea los meshes de átomos nuevos, borra los de átomos
+ * que ya no están en la simulación y copia atom.position → group.position.
+ *
+ * Los iones (atom.formalCharge ≠ 0) muestran las capas con los electrones
+ * ganados o perdidos, el radio iónico y una etiqueta "+", "2−"... Si la
+ * carga cambia (enlace iónico nuevo) el AtomVisual se rehace.
+ */
 
+import { makeElectronMaterial } from './electronMaterial.js';
+import { makeTextSprite, disposeTextSprite } from './textSprite.js';
+
+// Reusable objects to avoid GC pressure (no new objects per frame)
+const _tempVec = new THREE.Vector3();
+
+/**
+ * Color del núcleo: CPK si está activado y el elemento lo trae, si no el color del grupo.
+ */
+function nucleusColor(element, useCPK) {
+    if(useCPK && element.cpk_color) {
+        return typeof element.cpk_color === 'string'
+            ? parseInt(element.cpk_color.replace('0x', ''), 16)
+            : element.cpk_color;
+    }
+    return element.color;
+}
+
+/**
+ * Etiqueta de la carga de un ion: +1 → "+", −2 → "2−"
+ */
+function formatIonCharge(charge) {
+    const magnitude = Math.abs(charge) > 1 ? Math.abs(charge) : '';
+    return `${magnitude}${charge > 0 ? '+' : '−'}`;
+}
+
+export class AtomVisual {
+    constructor(atom, scene, { visualizationMode = 'clouds', useCPKColors = false } = {}) {
+        this.atom = atom;
+        this.scene = scene;
+        this.element = atom.element;
+        this.nucleusRadius = atom.nucleusRadius;
+        this.formalCharge = atom.formalCharge;
+        this.electronShells = atom.getElectronShells();   // con la carga del ion
+        this.visualizationMode = visualizationMode;
+        this.group = new THREE.Group();
+
+        this._createNucleus(useCPKColors);
+        this._createShells();
+        this._createCloudParticles();
+        this._createChargeBadge();
+
+        this.group.position.copy(atom.position);
+        this.scene.add(this.group);
+    }
+
+    _createNucleus(useCPK) {
+        const nucleusGeo = new THREE.SphereGeometry(this.nucleusRadius, 32, 32);
+        const displayColor = nucleusColor(this.element, useCPK);
+
+        const nucleusMat = new THREE.MeshPhongMaterial({
+            color: displayColor,
+            emissive: displayColor,
+            emissiveIntensity: 0.3,
+            shininess: 100
+        });
+        this.nucleus = new THREE.Mesh(nucleusGeo, nucleusMat);
+        this.group.add(this.nucleus);
+    }
+
+    _createShells() {
+        this.shells      = [];   // ring Lines (one per shell)
+        this._shellData  = [];   // animation data per electron
+        this._shellRadii = [];   // radius per shell
+
+        let radius = this.nucleusRadius + 0.6;
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+        // Count total electrons for Points buffer
+        const totalE = this.electronShells.reduce((a, b) => a + b, 0);
+        const ePosArr    = new Float32Array(totalE * 3);
+        const eColorArr  = new Float32Array(totalE * 3); // cyan tint per shell
+
+        let eIndex = 0;
+
+        this.electronShells.forEach((electronCount, shellIndex) => {
+            // ── Shell ring (Line - 1 object, stays cheap) ──────────────────
+            const segments = 48;
+            const pts = [];
+            for(let i = 0; i <= segments; i++) {
+                const a = (i / segments) * Math.PI * 2;
+                pts.push(new THREE.Vector3(Math.cos(a) * radius, 0, Math.sin(a) * radius));
+            }
+            const shellGeo = new THREE.BufferGeometry().setFromPoints(pts);
+            const shellMat = new THREE.LineBasicMaterial({
+                color: 0x64c8ff, transparent: true, opacity: 0.25
+            });
+            const shell = new THREE.Line(shellGeo, shellMat);
+            shell.rotation.x = shellIndex * goldenAngle * 0.5;
+            shell.rotation.y = shellIndex * goldenAngle * 0.7;
+            shell.rotation.z = shellIndex * goldenAngle * 0.3;
+            shell.userData = {
+                rotSpeedX: (Math.random() - 0.5) * 0.01,
+                rotSpeedY: (Math.random() - 0.5) * 0.01,
+                rotSpeedZ: (Math.random() - 0.5) * 0.01
+            };
+            shell.visible = (this.visualizationMode === 'shells');
+            this.group.add(shell);
+            this.shells.push(shell);
+            this._shellRadii.push(radius);
+
+            // ── Electron data (no Mesh — goes into shared Points) ──────────
+            const isValence = (shellIndex === this.electronShells.length - 1);
+            // Valence electrons slightly brighter cyan, inner shells dimmer
+            const brightness = isValence ? 1.0 : 0.5 + shellIndex * 0.1;
+
+            for(let i = 0; i < electronCount; i++) {
+                const eData = {
+                    angle:      (i / electronCount) * Math.PI * 2,
+                    radius,
+                    speed:      0.02 + Math.random() * 0.01,
+                    shellIndex,
+                    isValence,
+                    bufferIdx:  eIndex,   // position in Points buffer
+                };
+                this._shellData.push(eData);
+
+                // Initial position
+                ePosArr[eIndex*3]   = Math.cos(eData.angle) * radius;
+                ePosArr[eIndex*3+1] = 0;
+                ePosArr[eIndex*3+2] = Math.sin(eData.angle) * radius;
+
+                // Color: cyan with brightness by shell depth
+                eColorArr[eIndex*3]   = 0 * brightness;
+                eColorArr[eIndex*3+1] = 1 * brightness;
+                eColorArr[eIndex*3+2] = 1 * brightness;
+
+                eIndex++;
+            }
+
+            radius += 0.6 + this.nucleusRadius * 0.3;
+        });
+
+        // ── Single Points for ALL shell electrons ────────────────────────
+        const eGeo = new THREE.BufferGeometry();
+        eGeo.setAttribute('position', new THREE.BufferAttribute(ePosArr, 3));
+        eGeo.setAttribute('color',    new THREE.BufferAttribute(eColorArr, 3));
+        this._shellPoints = new THREE.Points(eGeo, makeElectronMaterial(0x00ffff, 0.32, 1.0, true));
+        this._shellPoints.visible = (this.visualizationMode === 'shells');
+        this._shellPoints.renderOrder = 2;  // Draw after bonds (0) and bond electrons (1)
+        this.group.add(this._shellPoints);
+    }
+
+    _createCloudParticles() {
+        const totalElectrons = this.electronShells.reduce((a, b) => a + b, 0);
+        const particlesPerElectron = 8;
+        const count = totalElectrons * particlesPerElectron;
+        const cloudScale = this.nucleusRadius * 2.5;
+
+        // Store particle data for animation (replaces userData on each mesh)
+        this.cloudData = [];
+        for(let i = 0; i < count; i++) {
+            const r = (Math.random() * 0.5 + 0.5) * cloudScale * (1 + Math.random() * 0.8);
+            this.cloudData.push({
+                baseR:  r,
+                theta:  Math.random() * Math.PI * 2,
+                phi:    Math.acos(2 * Math.random() - 1),
+                speed:  0.01 + Math.random() * 0.02,
+                phase:  Math.random() * Math.PI * 2
+            });
+        }
+
+        // Single GPU Points object — 1 draw call instead of `count` draw calls
+        const positions = new Float32Array(count * 3);
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const mat = makeElectronMaterial(this.element.color, 0.26, 0.6, false);
+
+        this.cloudPoints = new THREE.Points(geo, mat);
+        this.cloudPoints.visible = (this.visualizationMode === 'clouds');
+        this.cloudPoints.renderOrder = 3;  // Draw last (after nucleus, bonds, electrons)
+        this.group.add(this.cloudPoints);
+    }
+
+    _createChargeBadge() {
+        this.chargeBadge = null;
+        if(!this.formalCharge) return;
+        const color = this.formalCharge > 0 ? '#88bbff' : '#ff8888';
+        this.chargeBadge = makeTextSprite(formatIonCharge(this.formalCharge), color);
+        this.chargeBadge.scale.set(1.0, 0.375, 1);
+        this.chargeBadge.position.set(this.nucleusRadius + 0.3, this.nucleusRadius + 0.3, 0);
+        this.group.add(this.chargeBadge);
+    }
+
+    setVisualizationMode(mode) {
+        this.visualizationMode = mode;
+        const showShells = (mode === 'shells');
+        const showClouds = (mode === 'clouds');
+
+        this.shells.forEach(shell => shell.visible = showShells);
+        if(this._shellPoints) this._shellPoints.visible = showShells;
+        if(this.cloudPoints)  this.cloudPoints.visible  = showClouds;
+    }
+
+    setColor(hex) {
+        this.nucleus.material.color.setHex(hex);
+        this.nucleus.material.emissive.setHex(hex);
+    }
+
+    /**
+     * Copia el estado del Atom y anima electrones.
+     * @param {object} config - simulation.config (visualizationMode, electronMode)
+     */
+    update(config) {
+        const atom = this.atom;
+        this.group.position.copy(atom.position);
+
+        const visualizationMode = config.visualizationMode || 'clouds';
+        if(visualizationMode !== this.visualizationMode) this.setVisualizationMode(visualizationMode);
+
+        // Nucleus rotation
+        this.nucleus.rotation.x += 0.01;
+        this.nucleus.rotation.y += 0.01;
+
+        // Energy-based glow (+ resaltado de molécula arrastrada)
+        const energy = atom.velocity.length();
+        this.nucleus.material.emissiveIntensity = 0.3 + energy * 2 + (atom.highlight || 0);
+
+        if(visualizationMode === 'shells') {
+            // Rotate shells (each with unique rotation speeds)
+            this.shells.forEach(shell => {
+                shell.rotation.x += shell.userData.rotSpeedX;
+                shell.rotation.y += shell.userData.rotSpeedY;
+                shell.rotation.z += shell.userData.rotSpeedZ;
+            });
+
+            // Animate shell electrons → write into GPU Points buffer
+            const pos  = this._shellPoints.geometry.attributes.position;
+            const col  = this._shellPoints.geometry.attributes.color;
+            const pArr = pos.array;
+            const cArr = col.array;
+            const electronMode = config.electronMode || 'all';
+            // Los primeros `sharedElectrons` de la capa de valencia están en enlaces
+            let inBond = atom.sharedElectrons || 0;
+
+            for(let i = 0; i < this._shellData.length; i++) {
+                const d = this._shellData[i];
+
+                const bonded = d.isValence && inBond > 0;
+                if(bonded) inBond--;
+
+                // Hide in-bond or filtered electrons → move far away (cheap cull)
+                const hide = bonded ||
+                    (electronMode === 'valence' && !d.isValence);
+
+                if(hide) {
+                    pArr[i*3] = 9999; pArr[i*3+1] = 9999; pArr[i*3+2] = 9999;
+                    continue;
+                }
+
+                // Advance angle in the shell's local plane
+                d.angle += d.speed;
+
+                // Shell i rotates with shells[shellIndex]
+                const shell = this.shells[d.shellIndex];
+                if(!shell) continue;
+
+                // Local coords on the orbit circle
+                const lx = Math.cos(d.angle) * d.radius;
+                const lz = Math.sin(d.angle) * d.radius;
+
+                // Transform to group-local space via shell rotation matrix
+                _tempVec.set(lx, 0, lz);
+                _tempVec.applyQuaternion(shell.quaternion);
+
+                pArr[i*3]   = _tempVec.x;
+                pArr[i*3+1] = _tempVec.y;
+                pArr[i*3+2] = _tempVec.z;
+
+                // Valence electrons brighter
+                const b = d.isValence ? 1.0 : 0.5;
+                cArr[i*3]   = 0;
+                cArr[i*3+1] = b;
+                cArr[i*3+2] = b;
+            }
+
+            pos.needsUpdate = true;
+            col.needsUpdate = true;
+        } else {
+            // Animate cloud — write directly into GPU buffer
+            const positions = this.cloudPoints.geometry.attributes.position;
+            const arr = positions.array;
+            let avgOpacity = 0;
+
+            for(let i = 0; i < this.cloudData.length; i++) {
+                const d = this.cloudData[i];
+                d.phase += d.speed;
+                const r = d.baseR * (1 + Math.sin(d.phase) * 0.2);
+                arr[i*3]   = r * Math.sin(d.phi) * Math.cos(d.theta);
+                arr[i*3+1] = r * Math.sin(d.phi) * Math.sin(d.theta);
+                arr[i*3+2] = r * Math.cos(d.phi);
+                avgOpacity += 0.2 + Math.sin(d.phase) * 0.15;
+            }
+
+            positions.needsUpdate = true; // Tell GPU to re-upload buffer
+            this.cloudPoints.material.opacity =
+                this.cloudData.length > 0
+                    ? avgOpacity / this.cloudData.length
+                    : 0.3;
+        }
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.group.traverse(obj => {
+            if(obj.isSprite) return disposeTextSprite(obj);
+            if(obj.geometry) obj.geometry.dispose();
+            if(obj.material) obj.material.dispose();
+        });
+    }
+}
+
+/**
+ * Todos los AtomVisual de la escena, indexados por Atom.
+ */
+export class AtomVisuals {
+    constructor(scene) {
+        this.scene = scene;
+        this.useCPKColors = false;
+        this._visuals = new Map();   // Atom → AtomVisual
+        this._frame = 0;
+    }
+
+    /**
+     * Llamar una vez por frame con simulation.atoms.
+     */
+    sync(atoms, config) {
+        this._frame++;
+        for(const atom of atoms) {
+            let visual = this._visuals.get(atom);
+            // Ion nuevo o neutralizado → otras capas, otro radio
+            if(visual && visual.formalCharge !== atom.formalCharge) {
+                visual.dispose();
+                visual = null;
+            }
+            if(!visual) {
+                visual = new AtomVisual(atom, this.scene, {
+                    visualizationMode: config.visualizationMode,
+                    useCPKColors:      this.useCPKColors
+                });
+                this._visuals.set(atom, visual);
+            }
+            visual._seenFrame = this._frame;
+            visual.update(config);
+        }
+
+        // Átomos que ya no están en la simulación → liberar sus meshes
+        for(const [atom, visual] of this._visuals) {
+            if(visual._seenFrame !== this._frame) {
+                visual.dispose();
+                this._visuals.delete(atom);
+            }
+        }
+    }
+
+    get(atom) {
+        return this._visuals.get(atom) || null;
+    }
+
+    setCPKColors(useCPK) {
+        this.useCPKColors = useCPK;
+        for(const visual of this._visuals.values()) {
+            visual.setColor(nucleusColor(visual.element, useCPK));
+        }
+    }
+
+    /**
+     * Átomo cuyo núcleo intersecta el rayo (el más cercano), o null.
+     */
+    pick(raycaster) {
+        const meshes = [];
+        for(const visual of this._visuals.values()) meshes.push(visual.nucleus);
+        const intersects = raycaster.intersectObjects(meshes);
+        if(intersects.length === 0) return null;
+
+        const mesh = intersects[0].object;
+        for(const [atom, visual] of this._visuals) {
+            if(visual.nucleus === mesh) return atom;
+        }
+        return null;
+    }
+}
@@ -0,0 +1,362 @@
+/**
+ * BondRenderer.js
+ * GPU-instanced renderer for all bonds in the scene.
+ *
+ * Instead of 1 Mesh per bond (N draw calls),
+ * we use InstancedMesh: 1 draw call for ALL bonds of the same type.
+ *
+ * Electrons travelling along bonds → 1 Points object total.
+ *
+ * Double / triple bonds (bond.order) are drawn as 2-3 parallel cylinders,
+ * each carrying its own electron pair.
+ *
+ * Dashed types (BOND_TYPES.HYDROGEN) are short thin cylinders along the
+ * bond, no electrons.
+ *
+ * Ionic bonds share no electrons: the ones transferred when the bond formed
+ * (bond.electronTransfer) travel once from the cation to the anion.
+ *
+ * Usage:
+ *   const renderer = new BondRenderer(scene, maxBonds)
+ *   // each frame:
+ *   renderer.update(bonds, hydrogenBonds)
+ *
+ * Electron animation state lives here (WeakMap per bond), not on the Bond.
+ */
+
+import { BOND_TYPES, MAX_BOND_ORDER } from '../core/Bond.js';
+import { makeElectronMaterial } from './electronMaterial.js';
+
+// Reusable math objects (avoid GC pressure per frame)
+const _start     = new THREE.Vector3();
+const _end       = new THREE.Vector3();
+const _dir       = new THREE.Vector3();
+const _mid       = new THREE.Vector3();
+const _unitDir   = new THREE.Vector3();
+const _perp      = new THREE.Vector3();
+const _offset    = new THREE.Vector3();
+const _lineStart = new THREE.Vector3();
+const _lineEnd   = new THREE.Vector3();
+const _xAxis     = new THREE.Vector3(1, 0, 0);
+const _up        = new THREE.Vector3(0, 1, 0);
+const _quat      = new THREE.Quaternion();
+const _scale     = new THREE.Vector3();
+const _matrix    = new THREE.Matrix4();
+const _color     = new THREE.Color();
+
+const CYLINDER_GEO  = new THREE.CylinderGeometry(0.08, 0.08, 1, 7);
+const GLOW_GEO      = new THREE.CylinderGeometry(0.22, 0.22, 1, 7);
+
+// Separation between parallel lines of a multiple bond (world units)
+const LINE_SPACING  = 0.2;
+
+// Dashed bonds: one dash + gap every DASH_PERIOD, thinner than a bond
+const DASH_PERIOD   = 0.3;
+const DASH_FILL     = 0.55;
+const DASH_WIDTH    = 0.5;
+
+// Ionic transfer: each electron starts this far (in progress) after the previous
+const TRANSFER_STAGGER = 0.3;
+
+function makeMat(color, emissive, opacity, isBasic = false) {
+    if(isBasic) return new THREE.MeshBasicMaterial({
+        color, transparent: true, opacity, depthWrite: false
+    });
+    return new THREE.MeshPhongMaterial({
+        color, emissive, emissiveIntensity: 0.2,
+        transparent: true, opacity
+    });
+}
+
+export class BondRenderer {
+    constructor(scene, maxBonds = 4000) {
+        this.scene    = scene;
+        this.maxBonds = maxBonds;
+        this.visible  = true;          // "Mostrar enlaces" checkbox
+        this._eState  = new WeakMap(); // bond → [{ progress, speed }]
+
+        // One InstancedMesh pair (cylinder + glow) per bond type
+        this._instancedMeshes = {};   // type → { cylinder, glow }
+        this._typeSlots       = {};   // type → current slot index this frame
+
+        for(const [key, bt] of Object.entries(BOND_TYPES)) {
+            const cylinder = new THREE.InstancedMesh(CYLINDER_GEO, makeMat(bt.color, bt.emissive, bt.opacity), maxBonds);
+            // GLOW DISABLED for better electron visibility (can re-enable later)
+            // const glow     = new THREE.InstancedMesh(GLOW_GEO,     makeMat(bt.glowColor, 0x000000, bt.glowIntensity * 0.4, true), maxBonds);
+            cylinder.count = 0;
+            // glow.count     = 0;
+            cylinder.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            // glow.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            // InstancedMesh supports per-instance color
+            cylinder.instanceColor = null; // we'll tint via material emissiveIntensity globally
+            
+            // Force render order: bonds first (0), then electrons (1)
+            cylinder.renderOrder = 0;
+            // glow.renderOrder = 0;
+            
+            scene.add(cylinder);
+            // scene.add(glow);
+            this._instancedMeshes[key] = { cylinder, glow: null };
+            this._typeSlots[key] = 0;
+        }
+
+        // Single Points pool for ALL bond electrons (2 per line, up to triple bonds)
+        this._maxElectrons = maxBonds * 2 * MAX_BOND_ORDER;
+        this._electronData = [];   // { progress, speed, bondIndex, isIonic, ... }
+        this._electronPos  = new Float32Array(this._maxElectrons * 3);
+        const eGeo = new THREE.BufferGeometry();
+        eGeo.setAttribute('position', new THREE.BufferAttribute(this._electronPos, 3));
+        this._electronPoints = new THREE.Points(eGeo, makeElectronMaterial(0x00ffff, 0.42, 1.3, true));
+        // Per-electron colors
+        this._electronColors = new Float32Array(this._maxElectrons * 3);
+        eGeo.setAttribute('color', new THREE.BufferAttribute(this._electronColors, 3));
+        this._electronPoints.count = 0;
+        this._electronPoints.renderOrder = 1;  // Draw AFTER bonds (renderOrder: 0)
+        scene.add(this._electronPoints);
+
+        this._electronSlot = 0;
+    }
+
+    /**
+     * Call once per frame with the current bonds array.
+     * Re-writes all instance matrices and electron positions.
+     * @param {Array} bonds - simulation.bonds
+     * @param {Array} [hydrogenBonds] - HydrogenBond[] (own toggle, ignores `visible`)
+     */
+    update(bonds, hydrogenBonds = []) {
+        // Reset slot counters
+        for(const key of Object.keys(BOND_TYPES)) {
+            this._typeSlots[key] = 0;
+        }
+        this._electronSlot = 0;
+
+        // Hidden → every count stays 0 (nothing drawn)
+        for(const bond of (this.visible ? bonds : [])) {
+            // Skip MetallicCloud or anything without atom1/atom2
+            if(!bond.atom1 || !bond.atom2) continue;
+            if(!bond.isValid()) continue;
+
+            _start.copy(bond.atom1.position);
+            _end.copy(bond.atom2.position);
+            _dir.subVectors(_end, _start);
+            const length = _dir.length();
+            if(length < 0.01) continue;
+
+            _unitDir.copy(_dir).divideScalar(length);
+            _quat.setFromUnitVectors(_up, _unitDir);
+            _scale.set(1, length, 1);
+
+            const typeKey = this._bondTypeKey(bond.bondType);
+            const { cylinder, glow } = this._instancedMeshes[typeKey];
+            const lines = bond.order || 1;
+            if(lines > 1) this._perpendicular(_unitDir);
+
+            // Tension-based emissive tint via color channel
+            const tension = Math.abs((length - 3.5) * bond.springConstant);
+            const intensity = Math.min(1, 0.3 + tension * 40);
+            _color.setScalar(intensity);
+
+            for(let line = 0; line < lines; line++) {
+                const slot = this._typeSlots[typeKey]++;
+                if(slot >= this.maxBonds) break;
+
+                this._lineOffset(line, lines);
+                _mid.addVectors(_start, _end).multiplyScalar(0.5).add(_offset);
+                _matrix.compose(_mid, _quat, _scale);
+                cylinder.setMatrixAt(slot, _matrix);
+                // glow.setMatrixAt(slot, _matrix);  // GLOW DISABLED
+                cylinder.setColorAt(slot, _color);
+            }
+
+            // Electrons
+            if(bond.bondType === BOND_TYPES.IONIC) this._updateTransferElectrons(bond, _start, _end);
+            else this._updateBondElectrons(bond, _start, _end, length);
+        }
+
+        for(const bond of hydrogenBonds) {
+            if(bond.isValid()) this._updateDashes(bond);
+        }
+
+        // Commit instance counts + flag updates
+        for(const [key, bt] of Object.entries(BOND_TYPES)) {
+            const { cylinder, glow } = this._instancedMeshes[key];
+            cylinder.count = this._typeSlots[key];
+            // glow.count     = this._typeSlots[key];  // GLOW DISABLED
+            // Subir a la GPU solo las instancias usadas (el pool es de maxBonds).
+            // count 0 → nada que subir
+            if(cylinder.count === 0) continue;
+            cylinder.instanceMatrix.updateRange.count = cylinder.count * 16;
+            cylinder.instanceMatrix.needsUpdate = true;
+            // glow.instanceMatrix.needsUpdate     = true;  // GLOW DISABLED
+            if(cylinder.instanceColor) {
+                cylinder.instanceColor.updateRange.count = cylinder.count * 3;
+                cylinder.instanceColor.needsUpdate = true;
+            }
+        }
+
+        // Commit electrons
+        const eCount = this._electronSlot;
+        const { position, color } = this._electronPoints.geometry.attributes;
+        if(eCount > 0) {
+            position.updateRange.count = eCount * 3;
+            color.updateRange.count    = eCount * 3;
+            position.needsUpdate = true;
+            color.needsUpdate    = true;
+        }
+        this._electronPoints.geometry.setDrawRange(0, eCount);
+    }
+
+    /**
+     * Dashed line between atom1 and atom2 (instances of the bond type's cylinder)
+     */
+    _updateDashes(bond) {
+        _start.copy(bond.atom1.position);
+        _end.copy(bond.atom2.position);
+        _dir.subVectors(_end, _start);
+        const length = _dir.length();
+        if(length < 0.01) return;
+
+        _unitDir.copy(_dir).divideScalar(length);
+        _quat.setFromUnitVectors(_up, _unitDir);
+
+        const dashes = Math.max(1, Math.round(length / DASH_PERIOD));
+        const period = length / dashes;
+        _scale.set(DASH_WIDTH, period * DASH_FILL, DASH_WIDTH);
+        _color.setScalar(1);
+
+        const typeKey = this._bondTypeKey(bond.bondType);
+        const { cylinder } = this._instancedMeshes[typeKey];
+        for(let i = 0; i < dashes; i++) {
+            const slot = this._typeSlots[typeKey]++;
+            if(slot >= this.maxBonds) break;
+            _mid.copy(_start).addScaledVector(_unitDir, (i + 0.5) * period);
+            _matrix.compose(_mid, _quat, _scale);
+            cylinder.setMatrixAt(slot, _matrix);
+            cylinder.setColorAt(slot, _color);
+        }
+    }
+
+    /**
+     * Unit vector perpendicular to the bond → _perp.
+     * Any perpendicular works; cylinders are round.
+     */
+    _perpendicular(unitDir) {
+        const ref = Math.abs(unitDir.y) < 0.9 ? _up : _xAxis;
+        _perp.crossVectors(unitDir, ref).normalize();
+    }
+
+    /**
+     * Offset of line `line` out of `lines`, centred on the bond axis → _offset.
+     * 1 line: 0 | 2 lines: ±0.5·spacing | 3 lines: 0, ±spacing
+     */
+    _lineOffset(line, lines) {
+        if(lines <= 1) return _offset.set(0, 0, 0);
+        const k = line - (lines - 1) / 2;
+        return _offset.copy(_perp).multiplyScalar(k * LINE_SPACING);
+    }
+
+    _updateBondElectrons(bond, start, end, length) {
+        const bt = bond.bondType;
+        const lines = bond.order || 1;
+        // One shared pair per line
+        const numE = 2 * lines;
+
+        // Grow electronData array lazily
+        let eData = this._eState.get(bond);
+        if(!eData) {
+            eData = [];
+            this._eState.set(bond, eData);
+        }
+        while(eData.length < numE) {
+            eData.push({
+                progress: (eData.length % 2) * 0.5,
+                speed: bt.speed
+            });
+        }
+        if(eData.length > numE) eData.length = numE;
+
+        // Electron color as RGB 0-1
+        _color.setHex(bt.electronColor);
+
+        for(let i = 0; i < numE; i++) {
+            const slot = this._electronSlot++;
+            if(slot >= this._maxElectrons) break;
+
+            const e = eData[i];
+            e.progress += e.speed;
+            if(e.progress > 1) e.progress -= 1;
+
+            const t = e.progress;
+
+            // Pair i/2 travels along its own line
+            this._lineOffset(Math.floor(i / 2), numE > 1 ? lines : 1);
+            _lineStart.copy(start).add(_offset);
+            _lineEnd.copy(end).add(_offset);
+
+            const px = _lineStart.x + (_lineEnd.x - _lineStart.x) * t;
+            const py = _lineStart.y + (_lineEnd.y - _lineStart.y) * t;
+            const pz = _lineStart.z + (_lineEnd.z - _lineStart.z) * t;
+
+            this._electronPos[slot*3]   = px;
+            this._electronPos[slot*3+1] = py;
+            this._electronPos[slot*3+2] = pz;
+            this._electronColors[slot*3]   = _color.r;
+            this._electronColors[slot*3+1] = _color.g;
+            this._electronColors[slot*3+2] = _color.b;
+        }
+    }
+
+    /**
+     * Ionic bond: bond.electronTransfer electrons go from the cation (lower
+     * electronegativity) to the anion, staggered, once. After that they are
+     * part of the anion's shells (AtomVisual) and nothing is drawn here.
+     */
+    _updateTransferElectrons(bond, start, end) {
+        const bt = bond.bondType;
+        let eData = this._eState.get(bond);
+        if(!eData) {
+            eData = [];
+            for(let i = 0; i < (bond.electronTransfer || 0); i++) {
+                eData.push({ progress: -i * TRANSFER_STAGGER, speed: bt.speed });
+            }
+            this._eState.set(bond, eData);
+        }
+
+        const x1 = bond.atom1.element?.electronegativity || 0;
+        const x2 = bond.atom2.element?.electronegativity || 0;
+        const towardAtom1 = x1 > x2;
+        _color.setHex(bt.electronColor);
+
+        for(const e of eData) {
+            if(e.progress >= 1) continue;
+            e.progress += e.speed;
+            if(e.progress < 0 || e.progress >= 1) continue;
+
+            const slot = this._electronSlot++;
+            if(slot >= this._maxElectrons) break;
+
+            const t = towardAtom1 ? 1 - e.progress : e.progress;
+            this._electronPos[slot*3]   = start.x + (end.x - start.x) * t;
+            this._electronPos[slot*3+1] = start.y + (end.y - start.y) * t;
+            this._electronPos[slot*3+2] = start.z + (end.z - start.z) * t;
+            this._electronColors[slot*3]   = _color.r;
+            this._electronColors[slot*3+1] = _color.g;
+            this._electronColors[slot*3+2] = _color.b;
+        }
+    }
+
+    _bondTypeKey(bondType) {
+        for(const [key, bt] of Object.entries(BOND_TYPES)) {
+            if(bt === bondType) return key;
+        }
+        return 'COVALENT';
+    }
+
+    dispose() {
+        for(const { cylinder, glow } of Object.values(this._instancedMeshes)) {
+            this.scene.remove(cylinder);
+            // this.scene.remove(glow);  // GLOW DISABLED (null now)
+        }
+        this.scene.remove(this._electronPoints);
+    }
+}
@@ -1 +1,280 @@
+/**
+ * BondVisuals.js
+ * Dibujo de todo lo que vive en simulation.bonds:
+ *   - Bond            → BondRenderer (InstancedMesh por tipo + electrones)
+ *   - MetallicCloud   → MetallicCloudVisual (mar de electrones + líneas de estructura;
+ *                       en aleaciones, electrones con el color de cada elemento)
+ *
+ * BondVisuals.sync(bonds) se llama una vez por frame. Las nubes nuevas
+ * reciben su visual y las que salieron de simulation.bonds se liberan.
+ */
 
+import { BondRenderer } from './BondRenderer.js';
+import { makeElectronMaterial } from './electronMaterial.js';
+
+// Reusable objects to avoid GC pressure
+const _center = new THREE.Vector3();
+const _delta  = new THREE.Vector3();
+const _white  = new THREE.Color(0xffffff);
+
+const STRUCTURE_LINE_DIST = 5.5;   // Vecinos que se unen con línea tenue
+const ALLOY_WHITE_MIX     = 0.35;  // Electrones de aleación: color del elemento → blanco
+
+export class MetallicCloudVisual {
+    constructor(cloud, scene, visible = true) {
+        this.cloud = cloud;
+        this.scene = scene;
+        this._frameCounter = 0;
+        this._atomCount = cloud.atoms.length;
+        this._cachedBounds = cloud.getBounds();
+        this._lastCenter = this._centroid(new THREE.Vector3());
+
+        // Use fewer particles for performance: ~3 per valence electron
+        this._createFreeElectrons(Math.min(cloud.freeElectronCount * 3, 200));
+        this._createStructureLines();
+        this.setVisible(visible);
+    }
+
+    _createFreeElectrons(count) {
+        const bounds = this._cachedBounds;
+
+        // Store particle data for animation
+        this.electronData = [];
+        const posArr = new Float32Array(count * 3);
+
+        for(let i = 0; i < count; i++) {
+            posArr[i*3]   = bounds.min.x + Math.random() * (bounds.max.x - bounds.min.x);
+            posArr[i*3+1] = bounds.min.y + Math.random() * (bounds.max.y - bounds.min.y);
+            posArr[i*3+2] = bounds.min.z + Math.random() * (bounds.max.z - bounds.min.z);
+
+            this.electronData.push({
+                velocity: new THREE.Vector3(
+                    (Math.random() - 0.5) * 0.15,
+                    (Math.random() - 0.5) * 0.15,
+                    (Math.random() - 0.5) * 0.15
+                ),
+                phase:      Math.random() * Math.PI * 2,
+                pulseSpeed: 0.05 + Math.random() * 0.05
+            });
+        }
+
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(posArr, 3));
+
+        // Aleación: cada electrón con el color de su elemento, en proporción
+        // a los electrones libres que aporta (latón: ~70 % Cu, ~30 % Zn)
+        const alloy = (this.cloud.composition?.length || 0) > 1;
+        if(alloy) geo.setAttribute('color', new THREE.BufferAttribute(this._compositionColors(count), 3));
+
+        const mat = makeElectronMaterial(0xffffff, 0.38, 0.9, alloy);
+
+        this.electronPoints = new THREE.Points(geo, mat);
+        this.electronPoints.renderOrder = 2;  // Draw after bonds, same as shell electrons
+        this.scene.add(this.electronPoints);
+    }
+
+    /**
+     * Colores por partícula (RGB) repartidos según composition[].electrons,
+     * aclarados hacia el blanco para que el mar siga brillando
+     */
+    _compositionColors(count) {
+        const composition = this.cloud.composition;
+        const total = composition.reduce((sum, c) => sum + c.electrons, 0) || 1;
+        const colors = new Float32Array(count * 3);
+        const color = new THREE.Color();
+        let species = 0;
+        let cumulative = composition[0].electrons / total;
+        for(let i = 0; i < count; i++) {
+            while((i + 0.5) / count > cumulative && species < composition.length - 1) {
+                species++;
+                cumulative += composition[species].electrons / total;
+            }
+            color.set(composition[species].color ?? 0xffffff).lerp(_white, ALLOY_WHITE_MIX);
+            color.toArray(colors, i * 3);
+        }
+        return colors;
+    }
+
+    /**
+     * Very faint lines showing crystal structure (just a reference, almost invisible).
+     * One LineSegments for all pairs; rebuilt when the cloud loses atoms.
+     */
+    _createStructureLines() {
+        const atoms = this.cloud.atoms;
+        this._linePairs = [];
+        for(let i = 0; i < atoms.length; i++) {
+            for(let j = i + 1; j < atoms.length; j++) {
+                const dist = atoms[i].position.distanceTo(atoms[j].position);
+                if(dist < STRUCTURE_LINE_DIST && dist > 0.1) this._linePairs.push(atoms[i], atoms[j]);
+            }
+        }
+
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this._linePairs.length * 3), 3));
+        const mat = new THREE.LineBasicMaterial({
+            color: 0xaaaaaa,
+            transparent: true,
+            opacity: 0.12, // Very faint - just structural reference
+        });
+        this.structureLines = new THREE.LineSegments(geo, mat);
+        this.scene.add(this.structureLines);
+        this._updateStructureLines();
+    }
+
+    _updateStructureLines() {
+        const attr = this.structureLines.geometry.attributes.position;
+        const pts  = attr.array;
+        this._linePairs.forEach((atom, k) => {
+            pts[k*3]   = atom.position.x;
+            pts[k*3+1] = atom.position.y;
+            pts[k*3+2] = atom.position.z;
+        });
+        attr.needsUpdate = true;
+        this.structureLines.geometry.computeBoundingSphere();
+    }
+
+    _centroid(target) {
+        target.set(0, 0, 0);
+        const atoms = this.cloud.atoms;
+        if(atoms.length === 0) return target;
+        atoms.forEach(a => target.add(a.position));
+        return target.divideScalar(atoms.length);
+    }
+
+    setVisible(visible) {
+        this.electronPoints.visible = visible;
+        this.structureLines.visible = visible;
+    }
+
+    update() {
+        this._frameCounter++;
+
+        // Átomos borrados del cristal → rehacer líneas
+        if(this.cloud.atoms.length !== this._atomCount) {
+            this._atomCount = this.cloud.atoms.length;
+            this.scene.remove(this.structureLines);
+            this.structureLines.geometry.dispose();
+            this.structureLines.material.dispose();
+            const visible = this.electronPoints.visible;
+            this._createStructureLines();
+            this.structureLines.visible = visible;
+            this._cachedBounds = null;
+        }
+
+        // El cristal se arrastra entero → los electrones acompañan
+        // (si no, se amontonan contra el borde viejo de la caja)
+        this._centroid(_center);
+        _delta.subVectors(_center, this._lastCenter);
+        this._lastCenter.copy(_center);
+
+        const positions = this.electronPoints.geometry.attributes.position;
+        const arr = positions.array;
+        const moved = _delta.lengthSq() > 1e-10;
+
+        // Recalcular bounds solo cada 10 frames — los átomos del cristal
+        // se mueven lento, el costo de calcular O(N) cada frame no vale.
+        if(this._frameCounter % 10 === 0 || !this._cachedBounds) {
+            this._cachedBounds = this.cloud.getBounds();
+        } else if(moved) {
+            this._cachedBounds.min.add(_delta);
+            this._cachedBounds.max.add(_delta);
+        }
+        const bounds = this._cachedBounds;
+
+        // Update free electrons via GPU buffer (every frame - cheap)
+        for(let i = 0; i < this.electronData.length; i++) {
+            const d = this.electronData[i];
+
+            // Move
+            arr[i*3]   += d.velocity.x + (moved ? _delta.x : 0);
+            arr[i*3+1] += d.velocity.y + (moved ? _delta.y : 0);
+            arr[i*3+2] += d.velocity.z + (moved ? _delta.z : 0);
+
+            // Bounce off bounds
+            if(arr[i*3]   < bounds.min.x) { arr[i*3]   = bounds.min.x; d.velocity.x =  Math.abs(d.velocity.x); }
+            if(arr[i*3]   > bounds.max.x) { arr[i*3]   = bounds.max.x; d.velocity.x = -Math.abs(d.velocity.x); }
+            if(arr[i*3+1] < bounds.min.y) { arr[i*3+1] = bounds.min.y; d.velocity.y =  Math.abs(d.velocity.y); }
+            if(arr[i*3+1] > bounds.max.y) { arr[i*3+1] = bounds.max.y; d.velocity.y = -Math.abs(d.velocity.y); }
+            if(arr[i*3+2] < bounds.min.z) { arr[i*3+2] = bounds.min.z; d.velocity.z =  Math.abs(d.velocity.z); }
+            if(arr[i*3+2] > bounds.max.z) { arr[i*3+2] = bounds.max.z; d.velocity.z = -Math.abs(d.velocity.z); }
+
+            // Thermal perturbation
+            d.velocity.x += (Math.random() - 0.5) * 0.01;
+            d.velocity.y += (Math.random() - 0.5) * 0.01;
+            d.velocity.z += (Math.random() - 0.5) * 0.01;
+
+            // Speed clamp
+            const speed = d.velocity.length();
+            if(speed > 0.2)  d.velocity.multiplyScalar(0.2  / speed);
+            if(speed < 0.02) d.velocity.multiplyScalar(0.02 / speed);
+
+            d.phase += d.pulseSpeed;
+        }
+
+        positions.needsUpdate = true;
+        // Pulse the whole cloud opacity
+        if(this.electronData.length > 0) {
+            const t = performance.now() * 0.001;
+            this.electronPoints.material.opacity = 0.4 + Math.sin(t * 1.5) * 0.25;
+        }
+
+        // Structure lines follow the atoms (every 3rd frame is enough)
+        if(this._frameCounter % 3 === 0) this._updateStructureLines();
+    }
+
+    dispose() {
+        this.scene.remove(this.electronPoints);
+        this.electronPoints.geometry.dispose();
+        this.electronPoints.material.dispose();
+        this.scene.remove(this.structureLines);
+        this.structureLines.geometry.dispose();
+        this.structureLines.material.dispose();
+    }
+}
+
+export class BondVisuals {
+    constructor(scene, maxBonds = 8000) {
+        this.scene = scene;
+        this.visible = true;
+        this.bondRenderer = new BondRenderer(scene, maxBonds);
+        this._clouds = new Map();   // MetallicCloud → MetallicCloudVisual
+        this._frame = 0;
+    }
+
+    /**
+     * Llamar una vez por frame con simulation.bonds.
+     * @param {Array} [hydrogenBonds] - puentes de hidrógeno a trazos (HydrogenBondDetector)
+     */
+    sync(bonds, hydrogenBonds = []) {
+        this._frame++;
+        for(const bond of bonds) {
+            if(bond.atom1 || !bond.atoms) continue;   // Solo MetallicCloud
+            if(!bond.isValid()) continue;
+            let visual = this._clouds.get(bond);
+            if(!visual) {
+                visual = new MetallicCloudVisual(bond, this.scene, this.visible);
+                this._clouds.set(bond, visual);
+            }
+            visual._seenFrame = this._frame;
+            visual.update();
+        }
+
+        for(const [cloud, visual] of this._clouds) {
+            if(visual._seenFrame !== this._frame) {
+                visual.dispose();
+                this._clouds.delete(cloud);
+            }
+        }
+
+        this.bondRenderer.update(bonds, hydrogenBonds);
+    }
+
+    /**
+     * "Mostrar enlaces": cilindros, mar de electrones y líneas de estructura.
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.bondRenderer.visible = visible;
+        this._clouds.forEach(visual => visual.setVisible(visible));
+    }
+}
@@ -1 +1,24 @@
+/**
+ * Camera.js
+ * Cámara perspectiva de la vista 3D + límites de zoom compartidos
+ * por ratón (rueda) y táctil (pellizco).
+ */
 
+export const CAMERA_START_Z = 25;
+export const CAMERA_MIN_Z   = 5;
+export const CAMERA_MAX_Z   = 50;
+
+export function createCamera(width = window.innerWidth, height = window.innerHeight) {
+    const camera = new THREE.PerspectiveCamera(60, width / height, 0.1, 1000);
+    camera.position.set(0, 0, CAMERA_START_Z);
+    return camera;
+}
+
+export function resizeCamera(camera, width = window.innerWidth, height = window.innerHeight) {
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+}
+
+export function clampCameraZoom(camera) {
+    camera.position.z = Math.max(CAMERA_MIN_Z, Math.min(CAMERA_MAX_Z, camera.position.z));
+}
@@ -0,0 +1,287 @@
+/**
+ * ChargeVisuals.js
+ * Cargas parciales y dipolos sobre la escena (physics/PartialCharges.js):
+ *   - halo por átomo: azul δ+, rojo δ− (intensidad ∝ |q|)
+ *   - etiqueta "δ+0.17" sobre el núcleo (moléculas de hasta MAX_LABELED_ATOMS)
+ *   - flecha por enlace polar / iónico y flecha del dipolo de la molécula con
+ *     su valor en Debye (convención química: apuntan al extremo δ−)
+ *
+ * Las cargas se recalculan cuando cambia la topología o cada
+ * CHARGE_REFRESH_FRAMES frames; las flechas siguen las posiciones cada frame.
+ */
+
+import { BOND_TYPES } from '../core/Bond.js';
+import { gasteigerCharges, bondDipole, moleculeDipole, DEBYE_PER_E_ANGSTROM } from '../physics/PartialCharges.js';
+import { makeTextSprite, setSpriteText, disposeTextSprite } from './textSprite.js';
+
+const CHARGE_REFRESH_FRAMES = 30;
+const MAX_LABELED_ATOMS     = 40;
+const FULL_COLOR_CHARGE     = 0.5;    // |q| con el color más intenso
+const MIN_BOND_DIPOLE       = 0.02;   // e·Å
+const MIN_MOLECULE_DIPOLE   = 0.1;    // D
+const ARROW_WU_PER_DEBYE    = 0.8;
+const POSITIVE_COLOR = new THREE.Color(0x3388ff);
+const NEGATIVE_COLOR = new THREE.Color(0xff3344);
+const BOND_ARROW_COLOR     = 0xffdd55;
+const MOLECULE_ARROW_COLOR = 0xff66ff;
+
+// Reusable objects
+const _vec = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _mid = new THREE.Vector3();
+
+const _haloGeometry = new THREE.SphereGeometry(1, 16, 12);
+
+function formatCharge(q) {
+    return `δ${q >= 0 ? '+' : '−'}${Math.abs(q).toFixed(2)}`;
+}
+
+export class ChargeVisuals {
+    constructor(scene) {
+        this.scene = scene;
+        this.showCharges = false;
+        this.showDipoles = false;
+
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+
+        this._halos   = new Map();   // Atom → { halo, label }
+        this._arrows  = new Map();   // Bond → ArrowHelper
+        this._molArrows = [];        // [{ arrow, label }] reutilizados por índice
+        this._molecules = [];
+        this._frame = 0;
+        this._topology = '';
+    }
+
+    setShowCharges(show) {
+        this.showCharges = show;
+        if(!this.enabled) this.clear();
+    }
+
+    setShowDipoles(show) {
+        this.showDipoles = show;
+        if(!this.enabled) this.clear();
+    }
+
+    get enabled() {
+        return this.showCharges || this.showDipoles;
+    }
+
+    /**
+     * Llamar una vez por frame (SceneRenderer.sync)
+     */
+    sync(simulation) {
+        if(!this.enabled) return;
+        this._frame++;
+
+        const topology = `${simulation.atoms.length}:${simulation.bonds.length}`;
+        if(topology !== this._topology || this._frame % CHARGE_REFRESH_FRAMES === 0) {
+            this._topology = topology;
+            this._molecules = this._computeCharges(simulation);
+        }
+
+        this._syncHalos();
+        this._syncBondArrows();
+        this._syncMoleculeArrows();
+    }
+
+    /**
+     * Una pasada de findMoleculeContaining por molécula → gasteigerCharges
+     */
+    _computeCharges(simulation) {
+        const molecules = [];
+        const visited = new Set();
+        for(const atom of simulation.atoms) {
+            if(visited.has(atom) || atom.bonds.length === 0) continue;
+            const molecule = simulation.findMoleculeContaining(atom);
+            molecule.atoms.forEach(a => visited.add(a));
+            gasteigerCharges(molecule);
+            molecules.push(molecule);
+        }
+        // Átomos sueltos: neutros
+        for(const atom of simulation.atoms) {
+            if(!visited.has(atom)) atom.partialCharge = 0;
+        }
+        return molecules;
+    }
+
+    _syncHalos() {
+        const seen = new Set();
+        if(this.showCharges) {
+            for(const molecule of this._molecules) {
+                const labeled = molecule.atoms.length <= MAX_LABELED_ATOMS;
+                for(const atom of molecule.atoms) {
+                    if(atom.removed) continue;
+                    seen.add(atom);
+                    this._updateHalo(atom, labeled);
+                }
+            }
+        }
+        for(const [atom, entry] of this._halos) {
+            if(!seen.has(atom)) {
+                this._disposeHalo(entry);
+                this._halos.delete(atom);
+            }
+        }
+    }
+
+    _updateHalo(atom, labeled) {
+        let entry = this._halos.get(atom);
+        if(!entry) {
+            const halo = new THREE.Mesh(_haloGeometry, new THREE.MeshBasicMaterial({
+                transparent: true, depthWrite: false
+            }));
+            halo.renderOrder = 4;
+            this.group.add(halo);
+            entry = { halo, label: null };
+            this._halos.set(atom, entry);
+        }
+
+        const q = atom.partialCharge || 0;
+        const t = Math.min(1, Math.abs(q) / FULL_COLOR_CHARGE);
+        entry.halo.material.color.copy(q >= 0 ? POSITIVE_COLOR : NEGATIVE_COLOR);
+        entry.halo.material.opacity = 0.1 + 0.45 * t;
+        entry.halo.scale.setScalar(atom.nucleusRadius * 1.8);
+        entry.halo.position.copy(atom.position);
+
+        if(labeled && !entry.label) {
+            entry.label = makeTextSprite('');
+            this.group.add(entry.label);
+        } else if(!labeled && entry.label) {
+            this._disposeSprite(entry.label);
+            entry.label = null;
+        }
+        if(entry.label) {
+            setSpriteText(entry.label, formatCharge(q), q >= 0 ? '#88bbff' : '#ff8888');
+            entry.label.position.copy(atom.position);
+            entry.label.position.y += atom.nucleusRadius + 0.6;
+        }
+    }
+
+    _syncBondArrows() {
+        const seen = new Set();
+        if(this.showDipoles) {
+            for(const molecule of this._molecules) {
+                for(const bond of molecule.bonds) {
+                    if(bond.atoms || !bond.isValid()) continue;
+                    if(bond.bondType !== BOND_TYPES.POLAR && bond.bondType !== BOND_TYPES.IONIC) continue;
+                    bondDipole(bond, _vec);
+                    if(_vec.length() < MIN_BOND_DIPOLE) continue;
+                    seen.add(bond);
+                    this._updateBondArrow(bond, _vec);
+                }
+            }
+        }
+        for(const [bond, arrow] of this._arrows) {
+            if(!seen.has(bond)) {
+                this._disposeArrow(arrow);
+                this._arrows.delete(bond);
+            }
+        }
+    }
+
+    /**
+     * Flecha a lo largo del enlace, centrada, de δ+ a δ−
+     */
+    _updateBondArrow(bond, dipole) {
+        const length = bond.atom1.position.distanceTo(bond.atom2.position) * 0.7;
+        _dir.copy(dipole).normalize();
+        _mid.addVectors(bond.atom1.position, bond.atom2.position).multiplyScalar(0.5);
+        _vec.copy(_dir).multiplyScalar(-length / 2).add(_mid);
+
+        let arrow = this._arrows.get(bond);
+        if(!arrow) {
+            arrow = new THREE.ArrowHelper(_dir, _vec, length, BOND_ARROW_COLOR);
+            this._setOnTop(arrow);
+            this.group.add(arrow);
+            this._arrows.set(bond, arrow);
+        }
+        arrow.position.copy(_vec);
+        arrow.setDirection(_dir);
+        arrow.setLength(length, Math.min(0.35, length * 0.3), 0.15);
+    }
+
+    _syncMoleculeArrows() {
+        let used = 0;
+        if(this.showDipoles) {
+            for(const molecule of this._molecules) {
+                if(molecule.atoms.some(a => a.removed)) continue;
+                molecule.updateCenterOfMass();
+                moleculeDipole(molecule, _vec);
+                const debye = _vec.length() * DEBYE_PER_E_ANGSTROM;
+                if(debye < MIN_MOLECULE_DIPOLE) continue;
+                this._updateMoleculeArrow(used++, molecule.centerOfMass, _vec, debye);
+            }
+        }
+        while(this._molArrows.length > used) {
+            const entry = this._molArrows.pop();
+            this._disposeArrow(entry.arrow);
+            this._disposeSprite(entry.label);
+        }
+    }
+
+    _updateMoleculeArrow(index, origin, dipole, debye) {
+        let entry = this._molArrows[index];
+        if(!entry) {
+            const arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), origin, 1, MOLECULE_ARROW_COLOR);
+            this._setOnTop(arrow);
+            const label = makeTextSprite('');
+            this.group.add(arrow, label);
+            entry = { arrow, label };
+            this._molArrows[index] = entry;
+        }
+        const length = Math.max(0.5, debye * ARROW_WU_PER_DEBYE);
+        _dir.copy(dipole).normalize();
+        entry.arrow.position.copy(origin);
+        entry.arrow.setDirection(_dir);
+        entry.arrow.setLength(length, Math.min(0.5, length * 0.3), 0.25);
+
+        setSpriteText(entry.label, `μ ${debye.toFixed(2)} D`, '#ff99ff');
+        entry.label.position.copy(_dir).multiplyScalar(length + 0.5).add(origin);
+    }
+
+    // Flechas visibles a través de las nubes de electrones
+    _setOnTop(arrow) {
+        arrow.traverse(obj => {
+            if(!obj.material) return;
+            obj.material.depthTest = false;
+            obj.material.transparent = true;
+            obj.renderOrder = 6;
+        });
+    }
+
+    /**
+     * Quita todo (al apagar ambas capas o al limpiar la escena)
+     */
+    clear() {
+        this._halos.forEach(entry => this._disposeHalo(entry));
+        this._halos.clear();
+        this._arrows.forEach(arrow => this._disposeArrow(arrow));
+        this._arrows.clear();
+        this._molArrows.forEach(entry => {
+            this._disposeArrow(entry.arrow);
+            this._disposeSprite(entry.label);
+        });
+        this._molArrows = [];
+        this._molecules = [];
+        this._topology = '';
+    }
+
+    _disposeHalo(entry) {
+        this.group.remove(entry.halo);
+        entry.halo.material.dispose();   // la geometría es compartida
+        if(entry.label) this._disposeSprite(entry.label);
+    }
+
+    _disposeSprite(sprite) {
+        this.group.remove(sprite);
+        disposeTextSprite(sprite);
+    }
+
+    // three r128: ArrowHelper no tiene dispose() y comparte las geometrías
+    _disposeArrow(arrow) {
+        this.group.remove(arrow);
+        arrow.line.material.dispose();
+        arrow.cone.material.dispose();
+    }
+}
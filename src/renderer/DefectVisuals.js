@@ -0,0 +1,99 @@
+/**
+ * DefectVisuals.js
+ * Defectos puntuales de los cristales (CrystalGenerator.applyDefects):
+ *   - dopante       → halo magenta alrededor del átomo sustituido
+ *   - intersticial  → halo verde alrededor del átomo en el hueco
+ *   - vacante       → esfera de alambre roja en el sitio vacío
+ *
+ * Las vacantes siguen a su átomo ancla (simulation.vacancies): si el
+ * cristal se arrastra o se descongela, el hueco va con él.
+ */
+
+const HALO_SCALE     = 2.2;    // × radio del núcleo
+const VACANCY_RADIUS = 0.35;   // wu
+const COLORS = {
+    dopant:       0xff4dd2,
+    interstitial: 0x4dffa6,
+    vacancy:      0xff5555
+};
+
+const _haloGeometry    = new THREE.SphereGeometry(1, 16, 12);
+const _vacancyGeometry = new THREE.SphereGeometry(VACANCY_RADIUS, 10, 8);
+
+export class DefectVisuals {
+    constructor(scene) {
+        this.scene = scene;
+        this.visible = true;
+
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+
+        this._materials = {
+            dopant: this._haloMaterial(COLORS.dopant),
+            interstitial: this._haloMaterial(COLORS.interstitial),
+            vacancy: new THREE.MeshBasicMaterial({
+                color: COLORS.vacancy, wireframe: true, transparent: true, opacity: 0.7
+            })
+        };
+        this._halos = [];       // Mesh[] reutilizados por índice
+        this._vacancies = [];
+    }
+
+    _haloMaterial(color) {
+        return new THREE.MeshBasicMaterial({
+            color, transparent: true, opacity: 0.3, depthWrite: false
+        });
+    }
+
+    setVisible(show) {
+        this.visible = show;
+        if(!show) this.clear();
+    }
+
+    /**
+     * Llamar una vez por frame (SceneRenderer.sync)
+     */
+    sync(simulation) {
+        if(!this.visible) return;
+
+        let halos = 0;
+        for(const atom of simulation.atoms) {
+            if(!atom.defect || atom.removed) continue;
+            const halo = this._mesh(this._halos, halos++, _haloGeometry, this._materials[atom.defect]);
+            halo.position.copy(atom.position);
+            halo.scale.setScalar(atom.nucleusRadius * HALO_SCALE);
+        }
+
+        let vacancies = 0;
+        for(const { anchor, offset } of simulation.vacancies) {
+            if(anchor.removed) continue;
+            const mesh = this._mesh(this._vacancies, vacancies++, _vacancyGeometry, this._materials.vacancy);
+            mesh.position.copy(anchor.position).add(offset);
+        }
+
+        while(this._halos.length > halos) this.group.remove(this._halos.pop());
+        while(this._vacancies.length > vacancies) this.group.remove(this._vacancies.pop());
+    }
+
+    _mesh(list, index, geometry, material) {
+        let mesh = list[index];
+        if(!mesh) {
+            mesh = new THREE.Mesh(geometry, material);
+            mesh.renderOrder = 4;
+            this.group.add(mesh);
+            list[index] = mesh;
+        }
+        mesh.material = material;
+        return mesh;
+    }
+
+    /**
+     * Quita todo (al apagar la capa)
+     */
+    clear() {
+        this._halos.forEach(mesh => this.group.remove(mesh));
+        this._vacancies.forEach(mesh => this.group.remove(mesh));
+        this._halos = [];
+        this._vacancies = [];
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * LonePairVisuals.js
+ * Pares libres (VSEPR, physics/VSEPR.js) como lóbulos sobre el átomo central:
+ *   - un lóbulo por par libre, en la dirección que deja la repulsión con los
+ *     enlaces (H₂O: dos lóbulos fuera del plano → por eso es angular)
+ *   - etiqueta "AX₂E₂" bajo cada átomo central (escenas de hasta
+ *     MAX_LABELED_ATOMS átomos)
+ *
+ * Solo átomos con 2 o más enlaces (la A de AXₙEₘ). Las direcciones se
+ * recalculan cada frame desde las posiciones.
+ */
+
+import { vseprGeometry, lonePairDirections } from '../physics/VSEPR.js';
+import { makeTextSprite, setSpriteText, disposeTextSprite } from './textSprite.js';
+
+const MAX_LABELED_ATOMS = 40;
+const LOBE_LENGTH = 0.45;   // semieje a lo largo del par (wu)
+const LOBE_WIDTH  = 0.22;
+const LOBE_COLOR  = 0xffd24d;
+
+// Reusable objects
+const _up = new THREE.Vector3(0, 1, 0);
+
+const _lobeGeometry = new THREE.SphereGeometry(1, 16, 12);
+
+export class LonePairVisuals {
+    constructor(scene) {
+        this.scene = scene;
+        this.visible = false;
+
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+
+        this._material = new THREE.MeshPhongMaterial({
+            color: LOBE_COLOR, emissive: LOBE_COLOR, emissiveIntensity: 0.3,
+            transparent: true, opacity: 0.45, depthWrite: false
+        });
+        this._lobes  = [];           // Mesh[] reutilizados por índice
+        this._labels = new Map();    // Atom → Sprite
+        this._dirs   = [];
+    }
+
+    setVisible(show) {
+        this.visible = show;
+        if(!show) this.clear();
+    }
+
+    /**
+     * Llamar una vez por frame (SceneRenderer.sync)
+     */
+    sync(simulation) {
+        if(!this.visible) return;
+
+        const labeled = simulation.atoms.length <= MAX_LABELED_ATOMS;
+        const seen = new Set();
+        let used = 0;
+
+        for(const atom of simulation.atoms) {
+            if(atom.removed || atom.bonds.length < 2) continue;
+            const geometry = vseprGeometry(atom);
+            if(!geometry) continue;
+
+            lonePairDirections(atom, geometry.lonePairs, this._dirs);
+            for(const dir of this._dirs) this._updateLobe(used++, atom, dir);
+
+            if(labeled) {
+                seen.add(atom);
+                this._updateLabel(atom, geometry);
+            }
+        }
+
+        while(this._lobes.length > used) this.group.remove(this._lobes.pop());
+        for(const [atom, label] of this._labels) {
+            if(!seen.has(atom)) this._removeLabel(atom, label);
+        }
+    }
+
+    _updateLobe(index, atom, dir) {
+        let lobe = this._lobes[index];
+        if(!lobe) {
+            lobe = new THREE.Mesh(_lobeGeometry, this._material);
+            lobe.scale.set(LOBE_WIDTH, LOBE_LENGTH, LOBE_WIDTH);
+            lobe.renderOrder = 4;
+            this.group.add(lobe);
+            this._lobes[index] = lobe;
+        }
+        lobe.quaternion.setFromUnitVectors(_up, dir);
+        lobe.position.copy(dir).multiplyScalar(atom.nucleusRadius + LOBE_LENGTH).add(atom.position);
+    }
+
+    _updateLabel(atom, geometry) {
+        let label = this._labels.get(atom);
+        if(!label) {
+            label = makeTextSprite('');
+            this.group.add(label);
+            this._labels.set(atom, label);
+        }
+        setSpriteText(label, geometry.notation, '#ffe08a');
+        label.position.copy(atom.position);
+        label.position.y -= atom.nucleusRadius + 0.7;
+    }
+
+    _removeLabel(atom, label) {
+        this.group.remove(label);
+        disposeTextSprite(label);
+        this._labels.delete(atom);
+    }
+
+    /**
+     * Quita todo (al apagar la capa)
+     */
+    clear() {
+        this._lobes.forEach(lobe => this.group.remove(lobe));
+        this._lobes = [];
+        for(const [atom, label] of this._labels) this._removeLabel(atom, label);
+    }
+}
@@ -1 +1,83 @@
+/**
+ * Scene.js
+ * Capa de render: THREE.Scene + WebGLRenderer + visuals sincronizados
+ * desde una Simulation headless.
+ *
+ *   const view = new SceneRenderer(document.body);
+ *   // cada frame:
+ *   simulation.update();
+ *   view.sync(simulation);
+ *   view.render(camera);
+ *
+ * La simulación nunca conoce la escena: los meshes se crean/borran aquí
+ * comparando con simulation.atoms / simulation.bonds.
+ */
 
+import { AtomVisuals } from './AtomVisuals.js';
+import { BondVisuals } from './BondVisuals.js';
+import { ChargeVisuals } from './ChargeVisuals.js';
+import { LonePairVisuals } from './LonePairVisuals.js';
+import { DefectVisuals } from './DefectVisuals.js';
+
+const NEUTRAL_AMBIENT_RGB = '5, 5, 15';
+
+export class SceneRenderer {
+    constructor(container = document.body, { maxBonds = 32000 } = {}) {
+        this.scene = new THREE.Scene();
+        this.scene.fog = new THREE.FogExp2(0x000000, 0.015);
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setClearColor(0x000000, 0);
+        container.appendChild(this.renderer.domElement);
+
+        this.scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+        const pointLight = new THREE.PointLight(0x64c8ff, 1, 100);
+        pointLight.position.set(10, 10, 10);
+        this.scene.add(pointLight);
+
+        this.atomVisuals = new AtomVisuals(this.scene);
+        this.bondVisuals = new BondVisuals(this.scene, maxBonds);
+        this.chargeVisuals = new ChargeVisuals(this.scene);
+        this.lonePairVisuals = new LonePairVisuals(this.scene);
+        this.defectVisuals = new DefectVisuals(this.scene);
+        this._ambientRGB = null;
+    }
+
+    get domElement() {
+        return this.renderer.domElement;
+    }
+
+    /**
+     * Copia el estado de la simulación a los meshes (una vez por frame).
+     */
+    sync(simulation) {
+        this.atomVisuals.sync(simulation.atoms, simulation.config);
+        const hb = simulation.hydrogenBonds;
+        this.bondVisuals.sync(simulation.bonds, hb.enabled ? hb.bonds : []);
+        this.chargeVisuals.sync(simulation);
+        this.lonePairVisuals.sync(simulation);
+        this.defectVisuals.sync(simulation);
+        this._syncAmbient(simulation.temperature);
+    }
+
+    render(camera) {
+        this.renderer.render(this.scene, camera);
+    }
+
+    setSize(width, height) {
+        this.renderer.setSize(width, height);
+    }
+
+    /**
+     * Gradiente de fondo según la temperatura medida (variable CSS del panel)
+     */
+    _syncAmbient(temperature) {
+        const rgb = temperature && temperature.enabled && temperature.colorAmbient
+            ? temperature.ambientRGB
+            : NEUTRAL_AMBIENT_RGB;
+        if(rgb === this._ambientRGB) return;
+        this._ambientRGB = rgb;
+        document.documentElement.style.setProperty('--ambient-temp-rgb', rgb);
+    }
+}
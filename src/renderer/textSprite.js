@@ -0,0 +1,51 @@
+/**
+ * textSprite.js
+ * Shared helper: sprite with a text label drawn on a 128×48 canvas
+ * (cargas parciales, dipolos, carga de los iones).
+ *
+ * The text is redrawn only when it or its color changes.
+ */
+
+export function makeTextSprite(text, color = '#ffffff') {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 48;
+    const material = new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        depthTest: false
+    });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(1.6, 0.6, 1);
+    sprite.renderOrder = 5;
+    sprite.userData.canvas = canvas;
+    setSpriteText(sprite, text, color);
+    return sprite;
+}
+
+export function setSpriteText(sprite, text, color) {
+    if(sprite.userData.text === text && sprite.userData.color === color) return;
+    sprite.userData.text = text;
+    sprite.userData.color = color;
+
+    const canvas = sprite.userData.canvas;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = 'bold 30px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 5;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.strokeText(text, canvas.width / 2, canvas.height / 2);
+    ctx.fillStyle = color;
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+    sprite.material.map.needsUpdate = true;
+}
+
+/**
+ * Texture + material (the Sprite geometry is shared by all sprites in three)
+ */
+export function disposeTextSprite(sprite) {
+    sprite.material.map.dispose();
+    sprite.material.dispose();
+}
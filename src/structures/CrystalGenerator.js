@@ -1,10 +1,133 @@
 /**
  * CrystalGenerator.js
- * Generates crystal lattice structures
+ * Generates crystal lattice structures from unit cells (data/crystal-structures.json)
+ *
+ * ── CELDA UNIDAD ────────────────────────────────────────────────────────────
+ *   {
+ *     "name": "Sal de mesa (halita)", "label": "NaCl", "icon": "🧂",
+ *     "cell": { "a": 5.64, "b": 5.64, "c": 5.64, "alpha": 90, "beta": 90, "gamma": 90 },
+ *     "centering": "F",                                  ← opcional: P I F A B C
+ *     "basis": [ { "element": "Na", "position": [0, 0, 0] },     ← fraccionarias
+ *                { "element": "Cl", "position": [0.5, 0.5, 0.5] } ],
+ *     "bond_cutoff": 3.0,                                ← opcional (Å; 0 = sin enlaces)
+ *     "pair_cutoffs": { "Sr-O": 3.0 }                    ← opcional: corte de un par de elementos
+ *   }
+ *   a, b, c en Å (= world units), ángulos en grados. El centrado suma sus
+ *   traslaciones a cada átomo de la base (F: +½½0, +½0½, +0½½); los sitios
+ *   repetidos se descartan → NaCl necesita 2 átomos de base, no 8.
+ *
+ * ── ALEACIONES ──────────────────────────────────────────────────────────────
+ *   Ordenada: un elemento por sitio (Cu₃Au L1₂: Au en 0 0 0, Cu en las caras).
+ *   Al azar: el sitio lleva "occupancy" y generate() reparte sus copias con
+ *   la semilla, en cantidades exactas:
+ *     { "element": "Cu", "position": [0, 0, 0], "occupancy": { "Cu": 0.7, "Zn": 0.3 } }
+ *   Todos metales → una sola nube con el espaciado de cada par (MetallicCloud).
+ *
+ * ── SUPERCELDA ──────────────────────────────────────────────────────────────
+ *   N×M×K celdas completas (sin cerrar las caras → estequiometría exacta),
+ *   centradas en el origen. a sobre x, b en el plano horizontal, c hacia
+ *   arriba (y): las capas de grafito y hielo quedan horizontales.
+ *   En las redes no metálicas de varios elementos se quitan los sitios del
+ *   borde sin ningún vecino de otro elemento al alcance de un enlace (el F de
+ *   una esquina de la fluorita, cuyos Ca quedaron fuera): serían átomos
+ *   sueltos y neutros.
+ *
+ * ── ENLACES ─────────────────────────────────────────────────────────────────
+ *   Los átomos nacen sin auto-bonding; strengthenCrystalBonds() enlaza los
+ *   pares a ≤ CRYSTAL_BOND_TOLERANCE × la distancia al primer vecino (o
+ *   bond_cutoff): Na–Cl sí, Na–Na no; en el hielo solo O–H (los puentes de
+ *   hidrógeno los dibuja physics/HydrogenBonds.js). pair_cutoffs alarga el
+ *   corte de un par sin tocar los demás: en la perovskita el Sr está a a/√2
+ *   de sus O, igual que O–O. Metales → nube metálica (MetallicCloud) en lugar
+ *   de enlaces.
+ *
+ * ── DEFECTOS ────────────────────────────────────────────────────────────────
+ *   applyDefects() entre generate() y strengthenCrystalBonds(), con semilla:
+ *     dopantes      → fracción de los sitios de un elemento, sustituidos
+ *                     (B o P en Si, Ni en Fe)
+ *     vacantes      → fracción de los sitios, quitados; el hueco queda en
+ *                     simulation.vacancies (anclado al átomo más cercano)
+ *     intersticiales → en los huecos más grandes de la celda
+ *                     (interstitialSites: C en Fe → acero)
+ *   Los átomos nuevos llevan atom.defect; renderer/DefectVisuals.js los
+ *   resalta. Una red metálica con defectos no metálicos sigue siendo nube
+ *   (solo los metales) y el C o el B se enlazan a sus vecinos. Un
+ *   intersticial toma sus vecinos del más cercano al más lejano y solo
+ *   comparte electrones hasta su valencia (H en NaCl → 1 enlace, C en Fe → 4);
+ *   los iónicos no cuentan, como en la red.
  */
 
-import { Bond } from '../core/Bond.js';
-import { MetallicCloud } from '../core/MetallicCloud.js';
+import { Atom } from '../core/Atom.js';
+import { Bond, BOND_TYPES, getBondType } from '../core/Bond.js';
+import { MetallicCloud, isMetal } from '../core/MetallicCloud.js';
+import { SpatialHash } from '../physics/SpatialHash.js';
+import { SeededRandom } from '../utils/random.js';
+
+// Traslaciones de centrado (fraccionarias) que se suman a cada átomo de la base
+const CENTERING_TRANSLATIONS = {
+    P: [[0, 0, 0]],
+    I: [[0, 0, 0], [0.5, 0.5, 0.5]],
+    F: [[0, 0, 0], [0, 0.5, 0.5], [0.5, 0, 0.5], [0.5, 0.5, 0]],
+    A: [[0, 0, 0], [0, 0.5, 0.5]],
+    B: [[0, 0, 0], [0.5, 0, 0.5]],
+    C: [[0, 0, 0], [0.5, 0.5, 0]]
+};
+
+const SITE_TOLERANCE         = 1e-3;   // Sitios fraccionarios iguales (mód 1)
+const CRYSTAL_BOND_TOLERANCE = 1.1;    // × distancia al primer vecino
+const NEIGHBOR_SEARCH_RADIUS = 4.5;    // wu — alcance para buscar el primer vecino
+const VOID_GRID              = 12;     // Puntos por eje al buscar huecos (divisible por 3 y 4)
+const VOID_TOLERANCE         = 0.05;   // Huecos dentro del 5 % del mayor
+const VOID_MERGE_DISTANCE    = 0.5;    // wu — máximos más cercanos = el mismo hueco
+
+/**
+ * Vectores de red a, b, c (world units) desde a/b/c/α/β/γ.
+ * a sobre x, b en el plano xz, c con componente +y.
+ * @param {{a: number, b: number, c: number, alpha: number, beta: number, gamma: number}} cell
+ * @returns {Array<THREE.Vector3>} [a, b, c]
+ */
+export function latticeVectors(cell) {
+    const rad = Math.PI / 180;
+    const { a, b, c } = cell;
+    const cosA = Math.cos((cell.alpha ?? 90) * rad);
+    const cosB = Math.cos((cell.beta  ?? 90) * rad);
+    const cosG = Math.cos((cell.gamma ?? 90) * rad);
+    const sinG = Math.sin((cell.gamma ?? 90) * rad);
+
+    // Convención cristalográfica (c casi sobre z) girada −90° en x → c hacia arriba
+    const cx = c * cosB;
+    const cy = c * (cosA - cosB * cosG) / sinG;
+    const cz = Math.sqrt(Math.max(0, c * c - cx * cx - cy * cy));
+    return [
+        new THREE.Vector3(a, 0, 0),
+        new THREE.Vector3(b * cosG, 0, -b * sinG),
+        new THREE.Vector3(cx, cz, -cy)
+    ];
+}
+
+/**
+ * Base con el centrado aplicado, sin sitios repetidos
+ * @param {object} structure - entrada de crystal-structures.json
+ * @returns {Array<{element: string, position: Array<number>, occupancy?: object}>} fraccionarias en [0, 1)
+ */
+export function expandBasis(structure) {
+    const translations = CENTERING_TRANSLATIONS[structure.centering || 'P'];
+    if(!translations) throw new Error(`Centrado desconocido: ${structure.centering}`);
+
+    const sites = [];
+    for(const site of structure.basis) {
+        for(const t of translations) {
+            const position = site.position.map((f, k) => _wrap(f + t[k]));
+            const duplicate = sites.some(other => other.position.every((f, k) =>
+                _fractionalGap(f, position[k]) < SITE_TOLERANCE));
+            if(duplicate) continue;
+            sites.push(site.occupancy
+                ? { element: site.element, position, occupancy: site.occupancy }
+                : { element: site.element, position });
+        }
+    }
+    return sites;
+}
 
 export class CrystalGenerator {
     constructor(simulation) {
@@ -12,216 +135,158 @@ export class CrystalGenerator {
     }
     
     /**
-     * Generate NaCl (Rock Salt) - Simple Cubic
-     * Alternating Na and Cl in cubic pattern
+     * Supercelda N×M×K de una celda unidad, centrada en el origen
+     * @param {object} structure - entrada de data/crystal-structures.json
+     * @param {number|Array<number>} [size=2] - celdas por eje (N o [N, M, K])
+     * @param {object} [options]
+     * @param {number} [options.seed] - reparto de los sitios con occupancy (aleaciones al azar)
+     * @returns {Array<Atom>} átomos creados (isCrystal, sin enlaces)
      */
-    generateNaCl(size = 3) {
-        const elementDatabase = window.elementDatabase || {};
-        const Na = elementDatabase['Na'];
-        const Cl = elementDatabase['Cl'];
-
-        // Usar lattice_constant_pm si está disponible en datos avanzados.
-        // NaCl tiene lattice constant = 564 pm → distancia Na-Cl = 282 pm = 2.82 wu.
-        // Esto coincide exactamente con targetDist del Bond, garantizando F=0 desde el inicio.
-        let spacing;
-        if(Na?.lattice_constant_pm) {
-            // lattice_constant es el lado del cubo — distancia entre iones = la mitad
-            spacing = (Na.lattice_constant_pm / 2) / 100; // pm → world units
-        } else {
-            // Fallback: suma de radios covalentes + 5%
-            const rNa = Na?.radius_covalent_pm || 166;
-            const rCl = Cl?.radius_covalent_pm || 99;
-            spacing = ((rNa + rCl) / 100) * 1.05;
-        }
-        
-        const offset = -(size - 1) * spacing / 2; // Center the crystal
-        const atoms = [];
-        
-        for(let x = 0; x < size; x++) {
-            for(let y = 0; y < size; y++) {
-                for(let z = 0; z < size; z++) {
-                    const position = new THREE.Vector3(
-                        offset + x * spacing,
-                        offset + y * spacing,
-                        offset + z * spacing
-                    );
-                    
-                    // Alternate Na and Cl based on position
-                    const isNa = (x + y + z) % 2 === 0;
-                    const element = isNa ? 'Na' : 'Cl';
-                    
-                    const atom = this.simulation.addAtom(position, element);
-                    atom.isCrystal = true; // Mark as crystal atom
-                    atoms.push(atom);
+    generate(structure, size = 2, { seed } = {}) {
+        const frame = _latticeFrame(structure, size);
+        const [nx, ny, nz] = frame.dims;
+        const db = this.simulation.elementDatabase;
+
+        const slots = [];
+        for(let i = 0; i < nx; i++) {
+            for(let j = 0; j < ny; j++) {
+                for(let k = 0; k < nz; k++) {
+                    for(const site of frame.sites) {
+                        slots.push({ site, element: site.element, position: frame.toWorld(i, j, k, site.position) });
+                    }
                 }
             }
         }
-        
+        const mixed = _assignOccupancy(slots, new SeededRandom(seed));
+        const kept = _dropIsolatedSites(slots, structure, db);
+
+        const atoms = kept.map(({ element, position }) => {
+            const atom = new Atom(position, element, db);
+            atom.isCrystal = true;
+            this.simulation.atoms.push(atom);
+            return atom;
+        });
+
+        const occupancy = mixed ? ` (sitios mixtos, semilla ${seed ?? 'al azar'})` : '';
+        const dropped = slots.length - kept.length;
+        const isolated = dropped > 0 ? `, ${dropped} sitios del borde sin vecinos quitados` : '';
+        console.log(`💎 ${structure.name}: ${nx}×${ny}×${nz} celdas, ${frame.sites.length} átomos/celda → ${atoms.length} átomos${occupancy}${isolated}`);
         return atoms;
     }
-    
+
     /**
-     * Generate BCC (Body-Centered Cubic) - Iron, Chromium
+     * Defectos puntuales sobre un cristal recién generado (antes de
+     * strengthenCrystalBonds). Cada tipo de defecto tiene su propia semilla
+     * (la de la opción o, si falta, options.seed): misma semilla → mismos sitios,
+     * y cambiar la de uno no mueve los otros.
+     * @param {Array<Atom>} atoms - salida de generate()
+     * @param {object} structure - la misma entrada de generate()
+     * @param {number|Array<number>} size - el mismo tamaño de generate()
+     * @param {object} [options]
+     * @param {number} [options.vacancies=0] - fracción de sitios vacíos
+     * @param {number} [options.vacancySeed]
+     * @param {{element: string, fraction: number, seed?: number}} [options.interstitial] - fracción respecto de los sitios
+     * @param {{element: string, fraction: number, seed?: number, host?: string}} [options.dopant] - fracción de los
+     *        sitios de host (por defecto el elemento más abundante)
+     * @param {number} [options.seed] - semilla de las opciones que no traen la suya
+     * @returns {{atoms: Array<Atom>, vacancies: number, interstitials: Array<Atom>, dopants: Array<Atom>}}
+     *          atoms: el cristal con los defectos
      */
-    generateBCC(size = 3, element = 'Fe') {
-        // Calculate ideal spacing from covalent radius
-        const elementDatabase = window.elementDatabase || {};
-        const el = elementDatabase[element];
-        const radius = el?.radius_covalent_pm || 132; // Fe default
-        const spacing = (radius * 2 * 1.1) / 100; // Metallic lattice spacing
-        
-        const offset = -(size - 1) * spacing / 2;
-        const atoms = [];
-        
-        for(let x = 0; x < size; x++) {
-            for(let y = 0; y < size; y++) {
-                for(let z = 0; z < size; z++) {
-                    // Corner atoms
-                    const corner = new THREE.Vector3(
-                        offset + x * spacing,
-                        offset + y * spacing,
-                        offset + z * spacing
-                    );
-                    const atom1 = this.simulation.addAtom(corner, element);
-                    atom1.isCrystal = true;
-                    atoms.push(atom1);
-                    
-                    // Center atom (between corners)
-                    if(x < size - 1 && y < size - 1 && z < size - 1) {
-                        const center = new THREE.Vector3(
-                            corner.x + spacing / 2,
-                            corner.y + spacing / 2,
-                            corner.z + spacing / 2
-                        );
-                        const atom2 = this.simulation.addAtom(center, element);
-                        atom2.isCrystal = true;
-                        atoms.push(atom2);
-                    }
-                }
+    applyDefects(atoms, structure, size, { vacancies = 0, vacancySeed, interstitial = null, dopant = null, seed } = {}) {
+        const random = {
+            dopant:       new SeededRandom(dopant?.seed ?? seed),
+            vacancies:    new SeededRandom(vacancySeed ?? seed),
+            interstitial: new SeededRandom(interstitial?.seed ?? seed)
+        };
+        const db = this.simulation.elementDatabase;
+        let crystal = atoms.slice();
+        const dopants = [];
+        const interstitials = [];
+
+        // 1. Sustitución: el dopante ocupa el lugar (y el índice) del átomo
+        if(dopant?.fraction > 0 && db[dopant.element]) {
+            const host = dopant.host || _mostAbundant(crystal);
+            const hosts = crystal.filter(a => a.symbol === host);
+            for(const atom of _pick(hosts, dopant.fraction, random.dopant)) {
+                const substitute = new Atom(atom.position, dopant.element, db);
+                substitute.isCrystal = true;
+                substitute.defect = 'dopant';
+                this.simulation.atoms[this.simulation.atoms.indexOf(atom)] = substitute;
+                crystal[crystal.indexOf(atom)] = substitute;
+                atom.remove();
+                dopants.push(substitute);
             }
         }
-        
-        return atoms;
-    }
-    
-    /**
-     * Generate FCC (Face-Centered Cubic) - Diamond, Gold
-     */
-    generateFCC(size = 3, element = 'C') {
-        // Calculate ideal spacing from covalent radius
-        const elementDatabase = window.elementDatabase || {};
-        const el = elementDatabase[element];
-        const radius = el?.radius_covalent_pm || 76; // C default
-        const spacing = (radius * 2 * 1.1) / 100; // FCC lattice spacing
-        
-        const offset = -(size - 1) * spacing / 2;
-        const atoms = [];
-        
-        for(let x = 0; x < size; x++) {
-            for(let y = 0; y < size; y++) {
-                for(let z = 0; z < size; z++) {
-                    const base = new THREE.Vector3(
-                        offset + x * spacing,
-                        offset + y * spacing,
-                        offset + z * spacing
-                    );
-                    
-                    // Corner atom
-                    const atom1 = this.simulation.addAtom(base, element);
-                    atom1.isCrystal = true;
-                    atoms.push(atom1);
-                    
-                    // Face-centered atoms
-                    const faceOffsets = [
-                        [spacing/2, spacing/2, 0], // XY face
-                        [spacing/2, 0, spacing/2], // XZ face
-                        [0, spacing/2, spacing/2]  // YZ face
-                    ];
-                    
-                    faceOffsets.forEach(([dx, dy, dz]) => {
-                        if((dx > 0 && x === size - 1) ||
-                           (dy > 0 && y === size - 1) ||
-                           (dz > 0 && z === size - 1)) {
-                            return; // Skip if outside bounds
-                        }
-                        
-                        const facePos = new THREE.Vector3(
-                            base.x + dx,
-                            base.y + dy,
-                            base.z + dz
-                        );
-                        const atom = this.simulation.addAtom(facePos, element);
-                        atom.isCrystal = true;
-                        atoms.push(atom);
-                    });
+
+        // 2. Vacantes: sitios de la red (no dopantes) que se quitan
+        const removed = vacancies > 0 ? _pick(crystal.filter(a => !a.defect), vacancies, random.vacancies) : [];
+        if(removed.length) {
+            const gone = new Set(removed);
+            crystal = crystal.filter(a => !gone.has(a));
+            for(const atom of removed) {
+                const anchor = _nearestAtom(atom.position, crystal);
+                if(anchor) {
+                    this.simulation.vacancies.push({ anchor, offset: atom.position.clone().sub(anchor.position) });
                 }
+                this.simulation.removeAtom(atom);
             }
         }
-        
-        return atoms;
-    }
-    
-    /**
-     * Generate Hexagonal (Ice-like)
-     */
-    generateHexagonal(size = 3, element = 'O') {
-        // Calculate ideal spacing from covalent radius
-        const elementDatabase = window.elementDatabase || {};
-        const el = elementDatabase[element];
-        const radius = el?.radius_covalent_pm || 66; // O default
-        const spacing = (radius * 2 * 1.15) / 100; // Hexagonal lattice spacing (slightly larger)
-        
-        const offset = -(size - 1) * spacing / 2;
-        const atoms = [];
-        
-        const hexAngle = Math.PI / 3; // 60 degrees
-        
-        for(let layer = 0; layer < size; layer++) {
-            for(let ring = 0; ring < size; ring++) {
-                const ringRadius = ring * spacing;
-                const numAtoms = ring === 0 ? 1 : 6 * ring;
-                
-                for(let i = 0; i < numAtoms; i++) {
-                    const angle = (i / numAtoms) * Math.PI * 2;
-                    const position = new THREE.Vector3(
-                        offset + Math.cos(angle) * ringRadius,
-                        offset + layer * spacing,
-                        offset + Math.sin(angle) * ringRadius
-                    );
-                    
-                    const atom = this.simulation.addAtom(position, element);
-                    atom.isCrystal = true;
-                    atoms.push(atom);
+
+        // 3. Intersticiales en los huecos más grandes de la red
+        if(interstitial?.fraction > 0 && db[interstitial.element]) {
+            const frame = _latticeFrame(structure, size);
+            const [nx, ny, nz] = frame.dims;
+            const voids = [];
+            for(const position of interstitialSites(structure)) {
+                for(let i = 0; i < nx; i++) {
+                    for(let j = 0; j < ny; j++) {
+                        for(let k = 0; k < nz; k++) voids.push(frame.toWorld(i, j, k, position));
+                    }
                 }
             }
+            const count = Math.min(voids.length, Math.round(interstitial.fraction * atoms.length));
+            for(const position of _pick(voids, count / Math.max(1, voids.length), random.interstitial)) {
+                const atom = new Atom(position, interstitial.element, db);
+                atom.isCrystal = true;
+                atom.defect = 'interstitial';
+                this.simulation.atoms.push(atom);
+                crystal.push(atom);
+                interstitials.push(atom);
+            }
         }
-        
-        return atoms;
+
+        console.log(`🕳️ Defectos: ${removed.length} vacantes (semilla ${random.vacancies.initialSeed}), ` +
+            `${interstitials.length} intersticiales (semilla ${random.interstitial.initialSeed}), ` +
+            `${dopants.length} dopantes (semilla ${random.dopant.initialSeed})`);
+        return { atoms: crystal, vacancies: removed.length, interstitials, dopants };
     }
     
     /**
      * Strengthen crystal bonds (prevent collapse)
+     * @param {Array<Atom>} atoms
+     * @param {object} [options]
+     * @param {number} [options.maxBondDist] - bond_cutoff de la estructura (wu; 0 = sin enlaces)
+     * @param {object} [options.pairCutoffs] - pair_cutoffs de la estructura ({ "Sr-O": 3.0 })
      */
-    strengthenCrystalBonds(atoms) {
+    strengthenCrystalBonds(atoms, { maxBondDist = null, pairCutoffs = null } = {}) {
         if(atoms.length === 0) return [];
         
-        // Detect if this is a PURE metallic crystal
-        // ALL atoms must be metals (not just the first one - NaCl fix)
-        const isMetallic = atoms.every(atom => {
-            const el = atom.element;
-            return el && 
-                el.electronegativity && 
-                el.electronegativity < 2.0 &&
-                el.category && 
-                el.category.includes('metal');
-        });
+        // Metallic crystal: the LATTICE (defects aside) must be all metals
+        // (not just the first atom - NaCl fix). Non-metal dopants and
+        // interstitials (C in Fe) bond to their neighbors instead
+        const lattice = atoms.filter(atom => !atom.defect);
+        const isMetallic = lattice.length > 0 && lattice.every(atom => isMetal(atom.element));
         
         if(isMetallic) {
-            // METALLIC: remove any auto-bonds created during addAtom()
+            const metals = atoms.filter(atom => isMetal(atom.element));
+            const impurities = atoms.filter(atom => !isMetal(atom.element));
+            const species = [...new Set(metals.map(atom => atom.symbol))].join('-');
+            
+            // METALLIC: remove any bonds between the atoms (e.g. added by hand)
             // then create electron sea cloud instead
-            console.log(`⚗️ Metallic crystal detected (${atoms[0].symbol}) → creating electron sea`);
+            console.log(`⚗️ Metallic crystal detected (${species}) → creating electron sea`);
             
-            const atomSet = new Set(atoms);
+            const atomSet = new Set(metals);
             
             // Find and remove bonds between metal atoms
             const bondsToRemove = this.simulation.bonds.filter(bond => 
@@ -230,7 +295,7 @@ export class CrystalGenerator {
             );
             
             bondsToRemove.forEach(bond => {
-                bond.remove(); // removes mesh from scene
+                bond.remove(); // el renderer borra su cilindro al no verlo en simulation.bonds
                 // Remove from atom.bonds arrays
                 bond.atom1.bonds = bond.atom1.bonds.filter(b => b !== bond);
                 bond.atom2.bonds = bond.atom2.bonds.filter(b => b !== bond);
@@ -240,15 +305,15 @@ export class CrystalGenerator {
             this.simulation.bonds = this.simulation.bonds.filter(b => !bondsToRemove.includes(b));
             
             // Now create the electron sea
-            const cloud = new MetallicCloud(atoms, this.simulation.scene);
+            const cloud = new MetallicCloud(metals);
             // Register cloud reference in each atom so drag system can move all together
-            atoms.forEach(atom => { atom.metallicCloud = cloud; });
+            metals.forEach(atom => { atom.metallicCloud = cloud; });
             this.simulation.bonds.push(cloud);
-            return [cloud];
+            return [cloud, ...this._bondDefects(impurities, metals)];
         }
         
         // NON-METALLIC: use regular bonds
-        this.forceConnectCrystal(atoms);
+        this.forceConnectCrystal(atoms, maxBondDist, pairCutoffs);
         
         const crystalBonds = [];
         this.simulation.bonds.forEach(bond => {
@@ -262,53 +327,107 @@ export class CrystalGenerator {
             bond.isCrystalBond = true;
         });
         
+        // Defectos que quedaron fuera del corte (hueco grande) → a sus vecinos
+        const lonely = atoms.filter(atom => atom.defect && atom.bonds.length === 0);
+        crystalBonds.push(...this._bondDefects(lonely, atoms.filter(atom => !atom.defect)));
+        
+        _balanceIonicCharges(atoms);
+        const netCharge = atoms.reduce((sum, atom) => sum + atom.formalCharge, 0);
+        if(netCharge !== 0) console.warn(`⚠️ Crystal bonding: carga neta ${netCharge > 0 ? '+' : ''}${netCharge}`);
+        
         return crystalBonds;
     }
     
+    /**
+     * Enlaza cada átomo defecto a los de la red a ≤ CRYSTAL_BOND_TOLERANCE ×
+     * su vecino más cercano (C intersticial → sus Fe alrededor), del más
+     * cercano al más lejano mientras le quede valencia (_hasSharingRoom)
+     * @returns {Array<Bond>}
+     */
+    _bondDefects(defects, lattice) {
+        const bonds = [];
+        for(const defect of defects) {
+            const nearest = _nearestAtom(defect.position, lattice);
+            if(!nearest) continue;
+            const maxDist = defect.position.distanceTo(nearest.position) * CRYSTAL_BOND_TOLERANCE;
+            const neighbors = lattice
+                .map(other => ({ other, dist: defect.position.distanceTo(other.position) }))
+                .filter(({ dist }) => dist <= maxDist)
+                .sort((a, b) => a.dist - b.dist);
+            for(const { other } of neighbors) {
+                if(!_hasSharingRoom(defect, other)) continue;
+                const bond = new Bond(defect, other);
+                bond.springConstant = 0.01;
+                bond.isCrystalBond = true;
+                this.simulation.bonds.push(bond);
+                bonds.push(bond);
+            }
+        }
+        return bonds;
+    }
+    
     /**
      * Force connect all nearby atoms in crystal
+     * @param {Array<Atom>} atoms
+     * @param {number} [maxBondDist] - wu; por defecto CRYSTAL_BOND_TOLERANCE × primer vecino.
+     *                                0 → sin enlaces (gases nobles)
+     * @param {object} [pairCutoffs] - corte propio de algunos pares ({ "Sr-O": 3.0 }, wu)
      */
-    forceConnectCrystal(atoms) {
-        if(atoms.length === 0) return;
+    forceConnectCrystal(atoms, maxBondDist = null, pairCutoffs = null) {
+        if(atoms.length === 0 || (maxBondDist === 0 && !pairCutoffs)) return;
         
-        // Calculate appropriate bond distance based on element
-        const firstAtom = atoms[0];
-        const element = firstAtom.element;
-        const radius = element.radius_covalent_pm || 100;
-        const expectedSpacing = (radius * 2 * 1.1) / 100; // Same as crystal generation
-        
-        // maxBondDist = spacing * 1.4 (catches direct neighbors but not next-nearest)
-        const maxBondDist = expectedSpacing * 1.09;
+        if(maxBondDist == null) {
+            // Los defectos no cuentan: un intersticial cerca acortaría el corte
+            const lattice = atoms.filter(atom => !atom.defect);
+            maxBondDist = _autoBondDistance(lattice.length > 1 ? lattice : atoms);
+            if(maxBondDist === Infinity) {
+                console.warn(`⚠️ Crystal bonding: ningún vecino a menos de ${NEIGHBOR_SEARCH_RADIUS} wu`);
+                return;
+            }
+        }
+        const { reach, cutoff } = _pairCutoff(maxBondDist, pairCutoffs);
         
-        console.log(`🔗 Crystal bonding: ${element.symbol}, radius=${radius}pm, spacing=${expectedSpacing.toFixed(2)}, maxDist=${maxBondDist.toFixed(2)}`);
+        console.log(`🔗 Crystal bonding: ${atoms.length} atoms, maxDist=${maxBondDist.toFixed(2)}`);
         
         let bondCount = 0;
-        
-        for(let i = 0; i < atoms.length; i++) {
-            for(let j = i + 1; j < atoms.length; j++) {
-                const a1 = atoms[i];
-                const a2 = atoms[j];
-                const dist = a1.group.position.distanceTo(a2.group.position);
-                
-                if(dist < maxBondDist && dist > 0.1) {
-                    // Check if bond already exists
-                    const bondExists = a1.bonds.some(b => 
-                        (b.atom1 === a1 && b.atom2 === a2) || 
-                        (b.atom1 === a2 && b.atom2 === a1)
-                    );
-                    
-                    if(!bondExists) {
-                        const bond = new Bond(a1, a2, this.simulation.scene);
-                        bondCount++;
-                        // Solo forzar color cristalino en enlaces homoatómicos (Fe-Fe, C-C...)
-                        // Los iónicos (Na-Cl) ya tienen su color correcto del constructor
-                        if(a1.symbol === a2.symbol) {
-                            bond.setCrystalType();
-                        }
-                        this.simulation.bonds.push(bond);
-                    }
+        const connect = (a1, a2) => {
+            // Check if bond already exists
+            const bondExists = a1.bonds.some(b => 
+                (b.atom1 === a1 && b.atom2 === a2) || 
+                (b.atom1 === a2 && b.atom2 === a1)
+            );
+            
+            if(!bondExists) {
+                const bond = new Bond(a1, a2);
+                bondCount++;
+                // Solo forzar color cristalino en enlaces homoatómicos (Fe-Fe, C-C...)
+                // Los iónicos (Na-Cl) ya tienen su color correcto del constructor
+                if(a1.symbol === a2.symbol) {
+                    bond.setCrystalType();
                 }
+                this.simulation.bonds.push(bond);
+            }
+        };
+        
+        // Los intersticiales, al final y del par más corto al más largo:
+        // el tope de valencia se queda con los vecinos más cercanos
+        const interstitialPairs = [];
+        
+        // Solo pares vecinos vía grilla (un 10×10×10 son ~500k pares si no)
+        const grid = new SpatialHash().rebuild(atoms, reach);
+        grid.forEachPair(reach, (a1, a2) => {
+            const dist = a1.position.distanceTo(a2.position);
+            if(dist <= 0.1 || dist > cutoff(a1.symbol, a2.symbol)) return;
+            if(a1.defect === 'interstitial' || a2.defect === 'interstitial') {
+                interstitialPairs.push({ a1, a2, dist });
+                return;
             }
+            connect(a1, a2);
+        });
+        
+        interstitialPairs.sort((p, q) => p.dist - q.dist);
+        for(const { a1, a2 } of interstitialPairs) {
+            if(_hasSharingRoom(a1, a2) && _hasSharingRoom(a2, a1)) connect(a1, a2);
         }
         
         console.log(`✅ Created ${bondCount} bonds for ${atoms.length} atoms (avg ${(bondCount*2/atoms.length).toFixed(1)} bonds/atom)`);
@@ -326,4 +445,302 @@ export class CrystalGenerator {
             }
         });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Distancia al primer vecino más cercano del cristal (Infinity si no hay
+ * pares a menos de NEIGHBOR_SEARCH_RADIUS)
+ * @param {Array<Atom>} atoms
+ * @returns {number}
+ */
+export function nearestNeighborDistance(atoms) {
+    let nearest = Infinity;
+    const grid = new SpatialHash().rebuild(atoms, NEIGHBOR_SEARCH_RADIUS);
+    grid.forEachPair(NEIGHBOR_SEARCH_RADIUS, (a1, a2) => {
+        const dist = a1.position.distanceTo(a2.position);
+        if(dist > 0.1 && dist < nearest) nearest = dist;
+    });
+    return nearest;
+}
+
+// Corte automático: CRYSTAL_BOND_TOLERANCE × primer vecino (Infinity si no hay)
+function _autoBondDistance(atoms) {
+    return nearestNeighborDistance(atoms) * CRYSTAL_BOND_TOLERANCE;
+}
+
+/**
+ * Corte de cada par: pair_cutoffs["Sr-O"] (en cualquier orden) o el general
+ * @returns {{reach: number, cutoff: function(string, string): number}}
+ *          reach = el mayor de todos (radio de la grilla)
+ */
+function _pairCutoff(maxBondDist, pairCutoffs) {
+    if(!pairCutoffs) return { reach: maxBondDist, cutoff: () => maxBondDist };
+    return {
+        reach: Math.max(maxBondDist, ...Object.values(pairCutoffs)),
+        cutoff: (s1, s2) => pairCutoffs[`${s1}-${s2}`] ?? pairCutoffs[`${s2}-${s1}`] ?? maxBondDist
+    };
+}
+
+/**
+ * Sitios de la supercelda (tras repartir occupancy) sin los del borde que no
+ * tienen ningún vecino de otro elemento al alcance de un enlace. Solo en redes
+ * no metálicas de más de un elemento: en Fe o en el diamante todos los
+ * vecinos son iguales, y las aleaciones usan la nube.
+ */
+function _dropIsolatedSites(slots, structure, db) {
+    const elements = new Set(slots.map(slot => slot.element));
+    if(elements.size < 2 || structure.bond_cutoff === 0) return slots;
+    if([...elements].every(symbol => isMetal(db[symbol]))) return slots;
+
+    const maxBondDist = structure.bond_cutoff ?? _autoBondDistance(slots);
+    if(maxBondDist === Infinity) return slots;
+    const { reach, cutoff } = _pairCutoff(maxBondDist, structure.pair_cutoffs);
+
+    const bonded = new Set();
+    new SpatialHash().rebuild(slots, reach).forEachPair(reach, (s1, s2) => {
+        if(s1.element === s2.element) return;
+        if(s1.position.distanceTo(s2.position) > cutoff(s1.element, s2.element)) return;
+        bonded.add(s1);
+        bonded.add(s2);
+    });
+    return slots.filter(slot => bonded.has(slot));
+}
+
+/**
+ * Huecos más grandes de la celda (fraccionarias): máximos locales de la
+ * distancia al átomo más cercano en una grilla de VOID_GRID³ puntos, dentro
+ * de VOID_TOLERANCE del mayor. fcc → octaédricos (½ 0 0), bcc → tetraédricos
+ * (½ ¼ 0), diamante → (½ ½ ½) y (¾ ¾ ¾)
+ * @param {object} structure - entrada de crystal-structures.json
+ * @returns {Array<Array<number>>}
+ */
+export function interstitialSites(structure) {
+    const [va, vb, vc] = latticeVectors(structure.cell);
+    const toCartesian = (f, out) => out.set(0, 0, 0)
+        .addScaledVector(va, f[0]).addScaledVector(vb, f[1]).addScaledVector(vc, f[2]);
+
+    // Átomos de la celda y sus imágenes vecinas
+    const images = [];
+    for(const site of expandBasis(structure)) {
+        for(let i = -1; i <= 1; i++) {
+            for(let j = -1; j <= 1; j++) {
+                for(let k = -1; k <= 1; k++) {
+                    const [x, y, z] = site.position;
+                    images.push(toCartesian([x + i, y + j, z + k], new THREE.Vector3()));
+                }
+            }
+        }
+    }
+
+    const n = VOID_GRID;
+    const point = new THREE.Vector3();
+    const clearance = new Float64Array(n * n * n);
+    const index = (i, j, k) => ((i + n) % n) * n * n + ((j + n) % n) * n + ((k + n) % n);
+    for(let i = 0; i < n; i++) {
+        for(let j = 0; j < n; j++) {
+            for(let k = 0; k < n; k++) {
+                toCartesian([i / n, j / n, k / n], point);
+                let nearest = Infinity;
+                for(const image of images) nearest = Math.min(nearest, point.distanceToSquared(image));
+                clearance[index(i, j, k)] = Math.sqrt(nearest);
+            }
+        }
+    }
+
+    const maxima = [];
+    for(let i = 0; i < n; i++) {
+        for(let j = 0; j < n; j++) {
+            for(let k = 0; k < n; k++) {
+                const value = clearance[index(i, j, k)];
+                let isMax = true;
+                for(let di = -1; di <= 1 && isMax; di++) {
+                    for(let dj = -1; dj <= 1 && isMax; dj++) {
+                        for(let dk = -1; dk <= 1 && isMax; dk++) {
+                            if(clearance[index(i + di, j + dj, k + dk)] > value + 1e-9) isMax = false;
+                        }
+                    }
+                }
+                if(isMax) maxima.push({ position: [i / n, j / n, k / n], value });
+            }
+        }
+    }
+
+    const largest = Math.max(...maxima.map(m => m.value));
+    const sites = [];
+    for(const { position, value } of maxima) {
+        if(value < largest * (1 - VOID_TOLERANCE)) continue;
+        const duplicate = sites.some(other => {
+            const gap = other.map((f, k) => {
+                const d = position[k] - f;
+                return d - Math.round(d);
+            });
+            return toCartesian(gap, point).length() < VOID_MERGE_DISTANCE;
+        });
+        if(!duplicate) sites.push(position);
+    }
+    return sites;
+}
+
+/**
+ * Geometría de la supercelda: sitios de la celda, celdas por eje y
+ * posición (centrada en el origen) de un sitio fraccionario de la celda i, j, k
+ */
+function _latticeFrame(structure, size) {
+    const dims = Array.isArray(size) ? size : [size, size, size];
+    const vectors = latticeVectors(structure.cell);
+    const sites = expandBasis(structure);
+
+    // Centro = promedio de los sitios: (n − 1)/2 celdas + la fracción media
+    const center = new THREE.Vector3();
+    vectors.forEach((v, axis) => {
+        const meanFraction = sites.reduce((sum, site) => sum + site.position[axis], 0) / Math.max(1, sites.length);
+        center.addScaledVector(v, (dims[axis] - 1) / 2 + meanFraction);
+    });
+
+    const toWorld = (i, j, k, [fx, fy, fz]) => new THREE.Vector3()
+        .addScaledVector(vectors[0], i + fx)
+        .addScaledVector(vectors[1], j + fy)
+        .addScaledVector(vectors[2], k + fz)
+        .sub(center);
+    return { dims, sites, toWorld };
+}
+
+/**
+ * Reparte los elementos de los sitios con occupancy entre todas sus copias
+ * (las del centrado comparten el objeto occupancy del sitio de la base):
+ * cantidades exactas (mayor resto) y posiciones al azar → 30 % Zn da 30 % Zn.
+ * Lo que no suma 1 queda para site.element.
+ * @returns {boolean} true si hubo sitios mixtos
+ */
+function _assignOccupancy(slots, random) {
+    const bySite = new Map();   // occupancy → copias
+    for(const slot of slots) {
+        const occupancy = slot.site.occupancy;
+        if(!occupancy) continue;
+        if(!bySite.has(occupancy)) bySite.set(occupancy, []);
+        bySite.get(occupancy).push(slot);
+    }
+
+    for(const [occupancy, copies] of bySite) {
+        const site = copies[0].site;
+        const fractions = { ...occupancy };
+        const listed = Object.values(fractions).reduce((sum, f) => sum + f, 0);
+        if(listed < 1) fractions[site.element] = (fractions[site.element] || 0) + 1 - listed;
+
+        // Cantidades enteras por mayor resto
+        const shares = Object.entries(fractions).map(([element, f]) => {
+            const exact = f / Math.max(1, listed) * copies.length;
+            return { element, count: Math.floor(exact), rest: exact - Math.floor(exact) };
+        });
+        let missing = copies.length - shares.reduce((sum, share) => sum + share.count, 0);
+        [...shares].sort((a, b) => b.rest - a.rest).forEach(share => {
+            if(missing-- > 0) share.count++;
+        });
+
+        const shuffled = _pick(copies, 1, random);
+        let next = 0;
+        for(const share of shares) {
+            for(let n = 0; n < share.count; n++) shuffled[next++].element = share.element;
+        }
+    }
+    return bySite.size > 0;
+}
+
+/**
+ * Cada Bond iónico transfiere al formarse lo que catión y anión todavía
+ * admiten, en el orden en que se crean: un Na puede quedar neutro con sus
+ * seis Cl ya llenos. Camino alternante catión con lugar → anión lleno → el
+ * catión que le cedió → ... → anión con lugar: un electrón más por camino,
+ * las cargas intermedias no cambian y el total sigue en 0.
+ */
+function _balanceIonicCharges(atoms) {
+    for(const atom of atoms) {
+        while(atom.ionCapacity(+1) > 0 && _augmentTransfer(atom)) { /* un electrón por vuelta */ }
+    }
+}
+
+// BFS sobre cationes; true si encontró (y aplicó) un camino
+function _augmentTransfer(start) {
+    const previous = new Map([[start, null]]);   // catión → { from, give, takeBack }
+    const visited = new Set();                   // aniones
+    const queue = [start];
+    while(queue.length > 0) {
+        const cation = queue.shift();
+        for(const give of cation.bonds) {
+            if(give.sharesElectrons) continue;
+            const [from, anion] = give.ionPair();
+            if(from !== cation || visited.has(anion)) continue;
+            visited.add(anion);
+
+            if(anion.ionCapacity(-1) > 0) {
+                give.shiftElectrons(1);
+                for(let step = previous.get(cation); step; step = previous.get(step.from)) {
+                    step.takeBack.shiftElectrons(-1);
+                    step.give.shiftElectrons(1);
+                }
+                return true;
+            }
+            // Anión lleno: otro catión que le cedió puede cederle uno menos
+            for(const takeBack of anion.bonds) {
+                if(takeBack.sharesElectrons || takeBack.electronTransfer <= 0) continue;
+                const [other] = takeBack.ionPair();
+                if(other === anion || previous.has(other)) continue;
+                previous.set(other, { from: cation, give, takeBack });
+                queue.push(other);
+            }
+        }
+    }
+    return false;
+}
+
+// `fraction` de la lista al azar (Fisher-Yates parcial con la semilla)
+function _pick(list, fraction, random) {
+    const pool = list.slice();
+    const count = Math.min(pool.length, Math.round(pool.length * fraction));
+    for(let i = 0; i < count; i++) {
+        const j = i + Math.floor(random.next() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+}
+
+function _mostAbundant(atoms) {
+    const counts = new Map();
+    atoms.forEach(atom => counts.set(atom.symbol, (counts.get(atom.symbol) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+// ¿Puede el intersticial `atom` enlazarse a `other`? Los enlaces que
+// comparten electrones se limitan a su valencia (max_bonds); los iónicos no
+function _hasSharingRoom(atom, other) {
+    if(atom.defect !== 'interstitial') return true;
+    if(getBondType(atom, other) === BOND_TYPES.IONIC) return true;
+    const el = atom.element;
+    const shared = atom.bonds
+        .filter(bond => bond.bondType !== BOND_TYPES.IONIC)
+        .reduce((sum, bond) => sum + bond.order, 0);
+    return shared < (el.max_bonds || el.valence || 4);
+}
+
+function _nearestAtom(position, atoms) {
+    let best = null;
+    let bestDist = Infinity;
+    for(const atom of atoms) {
+        const dist = position.distanceToSquared(atom.position);
+        if(dist > 1e-6 && dist < bestDist) {
+            best = atom;
+            bestDist = dist;
+        }
+    }
+    return best;
+}
+
+function _wrap(f) {
+    const w = f - Math.floor(f);
+    return w > 1 - SITE_TOLERANCE ? 0 : w;
+}
+
+function _fractionalGap(f1, f2) {
+    const d = Math.abs(f1 - f2) % 1;
+    return Math.min(d, 1 - d);
+}
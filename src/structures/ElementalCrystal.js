@@ -0,0 +1,175 @@
+/**
+ * ElementalCrystal.js
+ * Celda unidad del elemento puro (entrada de crystal-structures.json) desde
+ * su red real: lattice_structure + lattice_constant_pm de los datos avanzados
+ *
+ *   const structure = elementalStructure(elementDatabase['Fe'], lattices);
+ *   crystalGenerator.generate(structure, 3);
+ *
+ * ── TIPO DE RED ─────────────────────────────────────────────────────────────
+ *   data/elemental-lattices.json:
+ *     aliases  → "body_centered_cubic", "hexagonal_close-packed", "fcc"... → tipo
+ *     types    → prototipo de cada tipo en unidades de a (b/a, c/a, ángulos,
+ *                centrado, base): bcc, fcc, hcp, dhcp, diamond, sc,
+ *                rhombohedral (tipo As), orthorhombic (tipo α-U), tetragonal,
+ *                hexagonal
+ *     elements → lo que el prototipo no cubre: Ga, P negro, I₂, α-B₁₂, Se/Te
+ *                helicoidales, β-Sn, Hg, c/a de Zn y Cd, lantánidos sin
+ *                lattice_structure...
+ *   Tipo desconocido ("none", "monoclinic" sin override) → fcc aproximada.
+ *
+ * ── CONSTANTE DE RED ────────────────────────────────────────────────────────
+ *   1. lattice_constant_pm del override (null → saltar el dato)
+ *   2. lattice_constant_pm del elemento
+ *   3. densidad (sólidos): a³ = Z·M / (ρ·N_A) / V₁   (V₁ = volumen con a = 1)
+ *        Å³ por átomo = M [g/mol] / (ρ [g/cm³] × 0.60221)
+ *   4. radio: primer vecino = 2 × radio atómico (2 × Van der Waals en
+ *      moléculas y gases nobles)
+ *   La fuente queda en structure.note.
+ *
+ * ── MOLÉCULAS ───────────────────────────────────────────────────────────────
+ *   H₂, N₂, O₂, F₂, Cl₂, Br₂: cada sitio de la red es el centro de una
+ *   molécula, dos átomos a ± bond_length/2 sobre la diagonal [111] de la
+ *   celda; bond_cutoff enlaza solo los de la misma molécula. Los gases nobles
+ *   llevan bond_cutoff 0 (sin enlaces).
+ */
+
+import { latticeVectors, expandBasis } from './CrystalGenerator.js';
+
+const AVOGADRO_ANGSTROM = 0.60221;   // N_A × 10⁻²⁴ (cm³ → Å³)
+const MOLECULE_CUTOFF   = 1.2;       // × longitud de enlace de la molécula
+const FALLBACK_TYPE     = 'fcc';
+
+/**
+ * Tipo de red del elemento ('bcc', 'hcp'...; null si no hay dato o no se conoce)
+ * @param {object} element - entrada de elementDatabase
+ * @param {object} lattices - data/elemental-lattices.json
+ * @returns {string|null}
+ */
+export function latticeType(element, lattices) {
+    const override = lattices.elements[element.symbol];
+    if(override?.type) return override.type;
+    return lattices.aliases[element.lattice_structure] || null;
+}
+
+/**
+ * Entrada de crystal-structures.json con la red real del elemento
+ * @param {object} element - entrada de elementDatabase con los datos avanzados
+ *        (elementLoader.getElement(symbol, true)); sin ellos cae en fcc aproximada
+ * @param {object} lattices - data/elemental-lattices.json
+ * @returns {object} { id, name, label, icon, formula, cell, centering?, basis, bond_cutoff?, note }
+ */
+export function elementalStructure(element, lattices) {
+    const symbol = element.symbol;
+    const override = lattices.elements[symbol] || {};
+    const notes = [];
+
+    let type = latticeType(element, lattices);
+    if(!lattices.types[type]) {
+        notes.push(`red ${element.lattice_structure || 'desconocida'} → ${FALLBACK_TYPE} aproximada`);
+        type = FALLBACK_TYPE;
+    }
+    const prototype = lattices.types[type];
+    const ratios = override.cell || prototype.cell;
+    const centering = override.centering || prototype.centering;
+    const molecule = override.molecule || null;
+    const noble = element.category === 'noble_gas';
+
+    // Base en unidades de a; en las moléculas cada sitio es un centro
+    const unitCell = { a: 1, ...ratios };
+    const centers = (override.basis || prototype.basis).map(position => ({ element: symbol, position }));
+    const centerSites = expandBasis({ basis: centers, centering });
+    const atomsPerCell = centerSites.length * (molecule ? 2 : 1);
+
+    const { a, source } = _latticeConstant(element, override, unitCell, centerSites, atomsPerCell, molecule || noble);
+    notes.push(source);
+    if(override.note) notes.push(override.note);
+
+    const bondLength = molecule ? molecule.bond_length_pm / 100 : 0;
+    const basis = molecule ? _moleculeBasis(centers, unitCell, bondLength / a) : centers;
+
+    const structure = {
+        id: `element-${symbol}`,
+        name: `${element.name} (${override.name || prototype.name})`,
+        label: symbol,
+        icon: '⚛️',
+        formula: molecule ? `${symbol}₂` : symbol,
+        cell: { a, b: a * ratios.b, c: a * ratios.c, alpha: ratios.alpha, beta: ratios.beta, gamma: ratios.gamma },
+        basis,
+        note: notes.join(', ')
+    };
+    if(centering) structure.centering = centering;
+    if(molecule) structure.bond_cutoff = bondLength * MOLECULE_CUTOFF;
+    else if(noble) structure.bond_cutoff = 0;
+    return structure;
+}
+
+/**
+ * a en Å y de dónde salió
+ * @returns {{a: number, source: string}}
+ */
+function _latticeConstant(element, override, unitCell, sites, atomsPerCell, molecular) {
+    const fixed = 'lattice_constant_pm' in override ? override.lattice_constant_pm : element.lattice_constant_pm;
+    if(fixed > 0) return { a: fixed / 100, source: `a = ${_pm(fixed / 100)} (dato)` };
+
+    const state = element.standard_state;
+    if(element.density_g_cm3 > 0 && element.mass > 0 && state !== 'gas' && state !== 'liquid') {
+        const [va, vb, vc] = latticeVectors(unitCell);
+        const unitVolume = Math.abs(va.dot(new THREE.Vector3().crossVectors(vb, vc)));
+        const atomVolume = element.mass / (element.density_g_cm3 * AVOGADRO_ANGSTROM);
+        const a = Math.cbrt(atomsPerCell * atomVolume / unitVolume);
+        return { a, source: `a = ${_pm(a)} (densidad)` };
+    }
+
+    // Primer vecino a 2 radios; las moléculas se tocan por Van der Waals
+    const radius = molecular
+        ? (element.vanderwaals_radius_pm || element.radius_atomic_pm)
+        : (element.radius_atomic_pm || element.radius_covalent_pm);
+    const unitNearest = _nearestSiteDistance(sites, unitCell);
+    const a = (2 * (radius || 150) / 100) / unitNearest;
+    return { a, source: `a = ${_pm(a)} (radio)` };
+}
+
+/**
+ * Distancia al primer vecino con a = 1 (entre centros, en las moléculas)
+ */
+function _nearestSiteDistance(sites, unitCell) {
+    const [va, vb, vc] = latticeVectors(unitCell);
+    const cartesian = ([x, y, z]) => new THREE.Vector3()
+        .addScaledVector(va, x).addScaledVector(vb, y).addScaledVector(vc, z);
+
+    let nearest = Infinity;
+    for(const p of sites) {
+        const origin = cartesian(p.position);
+        for(const q of sites) {
+            for(let i = -1; i <= 1; i++) {
+                for(let j = -1; j <= 1; j++) {
+                    for(let k = -1; k <= 1; k++) {
+                        const [x, y, z] = q.position;
+                        const d = cartesian([x + i, y + j, z + k]).distanceTo(origin);
+                        if(d > 1e-6 && d < nearest) nearest = d;
+                    }
+                }
+            }
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Cada sitio → dos átomos a ± bondLength/2 sobre la diagonal [111] de la celda
+ * (bondLength en unidades de a)
+ */
+function _moleculeBasis(basis, cell, bondLength) {
+    const [va, vb, vc] = latticeVectors(cell);
+    const diagonal = new THREE.Vector3().add(va).add(vb).add(vc).length();
+    const delta = bondLength / 2 / diagonal;   // fraccionaria, igual en los tres ejes
+    return basis.flatMap(site => [-delta, delta].map(d => ({
+        element: site.element,
+        position: site.position.map(f => f + d)
+    })));
+}
+
+function _pm(angstrom) {
+    return `${Math.round(angstrom * 1000) / 10} pm`;
+}
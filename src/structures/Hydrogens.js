@@ -0,0 +1,88 @@
+/**
+ * Hydrogens.js
+ * Completar con hidrógenos / quitar hidrógenos (esqueletos rápidos)
+ *
+ * ── VALENCIA RESTANTE ───────────────────────────────────────────────────────
+ *   enlaces = min(max_bonds (o valence), electrones que faltan para el octeto)
+ *             (MoleculeBuilder.octetBonds); con menos de 4 de valencia,
+ *             tampoco más que esos electrones
+ *   H nuevos = enlaces − Σ órdenes de los enlaces actuales
+ *   El octeto (2 para H y He) con la capa externa de atom.getElectronShells()
+ *   → cuenta la carga del ion. max_bonds solo no sirve: N, S y Cl admiten
+ *   4, 6 y 7 (hipervalentes) y darían NH₄, SH₆, ClH₇
+ *     C → CH₄   N → NH₃   O → H₂O   B → BH₃   Al → AlH₃   CH₂=CH → CH₂=CH₂
+ *
+ * ── POSICIONES ──────────────────────────────────────────────────────────────
+ *   MoleculeBuilder.attachAtoms: dominios VSEPR nuevos (physics/VSEPR.js
+ *   domainDirections), los H y los pares libres que quedan repartidos lejos de
+ *   los enlaces actuales, a la suma de radios covalentes (idealBondLength).
+ *   El H nace con la velocidad de su átomo → no calienta la molécula.
+ *
+ * Sin VSEPR (metales de transición, nube metálica, red iónica) no se agregan H.
+ */
+
+import { electronDomains } from '../physics/VSEPR.js';
+import { attachAtoms, octetBonds } from './MoleculeBuilder.js';
+
+/**
+ * H que le faltan al átomo (0 si VSEPR no aplica o ya está completo)
+ * @param {Atom} atom
+ * @returns {number}
+ */
+export function missingHydrogens(atom) {
+    if(!electronDomains(atom)) return 0;
+    return Math.max(0, octetBonds(atom) - atom.getBondOrderSum());
+}
+
+/**
+ * Agrega los H que faltan a cada átomo de la lista
+ * @param {Simulation} simulation
+ * @param {Array<Atom>} atoms - un átomo, una molécula o simulation.atoms
+ * @returns {Array<Atom>} H creados
+ */
+export function addHydrogens(simulation, atoms) {
+    const added = [];
+    if(!simulation.elementDatabase['H']) return added;
+
+    // Copia: los H nuevos entran en simulation.atoms (puede ser la misma lista)
+    for(const atom of [...atoms]) {
+        if(atom.removed) continue;
+        const count = missingHydrogens(atom);
+        if(count > 0) added.push(...attachAtoms(simulation, atom, 'H', count));
+    }
+
+    if(added.length) console.log(`💧 ${added.length} H agregado(s)`);
+    return added;
+}
+
+/**
+ * Quita los H terminales (un solo enlace, a un átomo que no es H) de la lista
+ * o unidos a ella. H₂ y los H sueltos se quedan.
+ * @param {Simulation} simulation
+ * @param {Array<Atom>} atoms
+ * @returns {number} H eliminados
+ */
+export function stripHydrogens(simulation, atoms) {
+    const targets = new Set();
+    for(const atom of atoms) {
+        if(atom.symbol === 'H') {
+            if(_isTerminalHydrogen(atom)) targets.add(atom);
+            continue;
+        }
+        for(const bond of atom.bonds) {
+            const other = bond.atom1 === atom ? bond.atom2 : bond.atom1;
+            if(other.symbol === 'H' && _isTerminalHydrogen(other)) targets.add(other);
+        }
+    }
+
+    targets.forEach(hydrogen => simulation.removeAtom(hydrogen));
+    if(targets.size) console.log(`✂️ ${targets.size} H eliminado(s)`);
+    return targets.size;
+}
+
+function _isTerminalHydrogen(hydrogen) {
+    if(hydrogen.bonds.length !== 1 || hydrogen.metallicCloud) return false;
+    const bond = hydrogen.bonds[0];
+    const other = bond.atom1 === hydrogen ? bond.atom2 : bond.atom1;
+    return other.symbol !== 'H';
+}
@@ -1 +1,172 @@
+/**
+ * MoleculeBuilder.js
+ * Modo Construir: moléculas enlace por enlace, sin depender del auto-bonding
+ *
+ *   tocar un átomo          → vecino nuevo del elemento elegido (grow)
+ *   arrastrar átomo → átomo → enlace nuevo / sube el orden / lo quita
+ *                             (sin enlace → 1 → 2 → 3 → sin enlace)
+ *   exportar                → entrada de data/moleculas.json (exportMolecule)
+ *
+ * ── POSICIÓN DEL VECINO ─────────────────────────────────────────────────────
+ *   Dirección: dominios VSEPR nuevos (physics/VSEPR.js domainDirections) para
+ *   TODOS los enlaces que el átomo tendrá con el octeto completo más sus pares
+ *   libres; el vecino toma el primero → C–C–C sale en zigzag a 109.5° (los H
+ *   que faltan ya tienen lugar), el O deja sitio a sus dos pares libres.
+ *   Distancia: idealBondLength (suma de radios covalentes). Nace con la
+ *   velocidad del átomo del que crece.
+ *
+ * ── VALENCIA ────────────────────────────────────────────────────────────────
+ *   Libre = max_bonds (o valence) − Σ órdenes, la misma cuenta que
+ *   Simulation.addAtom: el constructor permite hipervalentes (SF₆, PCl₅).
+ *   structures/Hydrogens.js completa solo hasta el octeto.
+ */
 
+import { Atom } from '../core/Atom.js';
+import { Bond, idealBondLength, MAX_BOND_ORDER } from '../core/Bond.js';
+import { electronDomains, domainDirections } from '../physics/VSEPR.js';
+import { buildMolData, internalBonds } from '../io/molData.js';
+
+const EXPORT_DECIMALS = 4;
+
+/**
+ * Enlaces que aún admite el átomo (max_bonds o valence − Σ órdenes)
+ * @param {Atom} atom
+ * @returns {number}
+ */
+export function freeValence(atom) {
+    const el = atom.element;
+    const maxBonds = el.max_bonds || el.valence || 4;
+    return Math.max(0, maxBonds - atom.getBondOrderSum());
+}
+
+/**
+ * Enlaces que completan el octeto (2 para H y He), sin pasar de max_bonds:
+ * C 4, N 3, O 2, NH₄⁺ 4 (cuenta la carga del ion). Con menos de 4 electrones
+ * de valencia el átomo no llega al octeto: no forma más enlaces que
+ * electrones tiene → B 3 y Al 3 (BH₃, AlH₃), Be 2, Li 1
+ * @param {Atom} atom
+ * @returns {number}
+ */
+export function octetBonds(atom) {
+    const el = atom.element;
+    const shells = atom.getElectronShells();
+    const valence = shells.length ? shells[shells.length - 1] : 0;
+    const octet = el.number <= 2 ? 2 : 8;
+    const maxBonds = el.max_bonds || el.valence || 4;
+    const missing = valence < 4 ? Math.min(valence, octet - valence) : octet - valence;
+    return Math.max(0, Math.min(maxBonds, missing));
+}
+
+/**
+ * Crea `count` átomos de `symbol` enlazados a `atom` (enlace simple), en
+ * direcciones VSEPR y a la longitud de enlace ideal. No revisa valencias.
+ * @param {Simulation} simulation
+ * @param {Atom} atom
+ * @param {string} symbol
+ * @param {number} [count=1]
+ * @returns {Array<Atom>} átomos creados
+ */
+export function attachAtoms(simulation, atom, symbol, count = 1) {
+    const db = simulation.elementDatabase;
+    if(!db[symbol] || count <= 0) return [];
+
+    // Dominios con el octeto completo: enlaces por venir + pares libres
+    // (sin VSEPR: solo los nuevos). Los átomos nuevos ocupan los primeros.
+    let bonding = count;
+    let lonePairs = 0;
+    if(electronDomains(atom)) {
+        const shells = atom.getElectronShells();
+        const valence = shells.length ? shells[shells.length - 1] : 0;
+        const orderSum = atom.getBondOrderSum();
+        bonding = Math.max(count, octetBonds(atom) - orderSum);
+        lonePairs = Math.max(0, Math.floor((valence - orderSum - bonding) / 2));
+    }
+    const dirs = domainDirections(atom, bonding, lonePairs);
+
+    const created = [];
+    for(let k = 0; k < count; k++) {
+        const other = new Atom(atom.position.clone(), symbol, db);
+        other.position.addScaledVector(dirs[k], idealBondLength(atom, other));
+        other.velocity.copy(atom.velocity);
+        other.frozen = atom.frozen;
+        simulation.atoms.push(other);
+        simulation.bonds.push(new Bond(atom, other));
+        created.push(other);
+    }
+    return created;
+}
+
+export class MoleculeBuilder {
+    constructor(simulation) {
+        this.simulation = simulation;
+    }
+
+    /**
+     * Vecino nuevo de `symbol` enlazado a `atom`
+     * @returns {Atom|null} null si alguno de los dos no tiene valencia libre
+     */
+    grow(atom, symbol) {
+        const db = this.simulation.elementDatabase;
+        if(!db[symbol] || atom.removed || atom.metallicCloud) return null;
+        if(freeValence(atom) < 1) return null;
+        const el = db[symbol];
+        if((el.max_bonds || el.valence || 4) < 1) return null;
+
+        const [created] = attachAtoms(this.simulation, atom, symbol);
+        console.log(`🔧 ${atom.symbol}–${symbol}`);
+        return created;
+    }
+
+    /**
+     * Arrastre de atom1 a atom2: sin enlace → simple; con enlace → un orden
+     * más; si ya es triple o no hay valencia para subir → se quita.
+     * @returns {{action: 'created'|'order'|'removed', bond: Bond|null, order: number}|null}
+     *          null si no hay valencia para un enlace nuevo
+     */
+    connect(atom1, atom2) {
+        if(atom1 === atom2 || atom1.removed || atom2.removed) return null;
+        if(atom1.metallicCloud || atom2.metallicCloud) return null;
+
+        const bond = atom1.bonds.find(b => b.atom1 === atom2 || b.atom2 === atom2);
+        if(!bond) {
+            if(freeValence(atom1) < 1 || freeValence(atom2) < 1) return null;
+            const created = new Bond(atom1, atom2);
+            // Nace a la distancia de enlace, no a la del arrastre: el XPBD los acerca
+            created.targetDist = idealBondLength(atom1, atom2, created.order);
+            this.simulation.bonds.push(created);
+            return { action: 'created', bond: created, order: created.order };
+        }
+
+        const canRaise = bond.sharesElectrons && bond.order < MAX_BOND_ORDER &&
+            freeValence(atom1) >= 1 && freeValence(atom2) >= 1;
+        if(canRaise) {
+            bond.setOrder(bond.order + 1);
+            return { action: 'order', bond, order: bond.order };
+        }
+        this.simulation.removeBond(bond);
+        return { action: 'removed', bond: null, order: 0 };
+    }
+
+    /**
+     * La molécula de `atom` como entrada de data/moleculas.json
+     * (centrada, posiciones en Å con EXPORT_DECIMALS decimales)
+     * @param {Atom} atom
+     * @param {object} [options]
+     * @param {string} [options.name]
+     * @param {string} [options.icon]
+     * @returns {object} { name, formula, icon, atoms, bonds }
+     */
+    exportMolecule(atom, { name = '', icon = '🧪' } = {}) {
+        const atoms = this.simulation.findMoleculeContaining(atom).atoms;
+        const round = v => Number(v.toFixed(EXPORT_DECIMALS));
+        const molData = buildMolData(
+            name,
+            atoms.map(a => ({ element: a.symbol, position: a.position.toArray() })),
+            internalBonds(atoms).map(({ from, to, order }) => order > 1 ? { from, to, order } : { from, to })
+        );
+        molData.name = name || molData.formula;
+        molData.icon = icon;
+        molData.atoms.forEach(a => { a.position = a.position.map(round); });
+        return molData;
+    }
+}
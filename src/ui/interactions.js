@@ -4,9 +4,12 @@
  */
 
 import { checkAllFragmentation } from '../physics/MoleculeFragmentation.js';
+import { Atom } from '../core/Atom.js';
+import { Bond } from '../core/Bond.js';
+import { clampCameraZoom } from '../renderer/Camera.js';
 
 // Imports will be added when integrating
-let simulation, camera, scene, renderer;
+let simulation, camera, scene, renderer, atomVisuals;
 let getWorldPosition, findAtomAtPoint, updateStats, playSound, showHint;
 
 // State
@@ -30,17 +33,26 @@ let previousMouse = { x: 0, y: 0 };
 let mouseButton = 0; // 0=left, 1=middle, 2=right
 const DRAG_THRESHOLD = 15;
 
+// Modo Construir: átomo donde empezó el gesto + línea de vista previa
+let moleculeBuilder = null;
+let buildStart = null;
+let buildPointer = { x: 0, y: 0 };
+let buildMoved = 0;
+let buildLine = null;
+
 export function initInteractions(deps) {
     // Inject dependencies
     simulation = deps.simulation;
     camera = deps.camera;
     scene = deps.scene;
     renderer = deps.renderer;
+    atomVisuals = deps.atomVisuals;
     getWorldPosition = deps.getWorldPosition;
     findAtomAtPoint = deps.findAtomAtPoint;
     updateStats = deps.updateStats;
     playSound = deps.playSound;
     showHint = deps.showHint;
+    moleculeBuilder = deps.moleculeBuilder;
     
     // Setup event listeners
     renderer.domElement.addEventListener('mousedown', handlePointerDown);
@@ -60,7 +72,7 @@ function findAtomAtPointMouse(e) {
         (e.clientX / window.innerWidth) * 2 - 1,
         -(e.clientY / window.innerHeight) * 2 + 1
     );
-    return findAtomAtPoint(mouse.x, mouse.y, camera, simulation.atoms);
+    return findAtomAtPoint(mouse.x, mouse.y, camera, atomVisuals);
 }
 
 function handlePointerDown(e) {
@@ -83,6 +95,11 @@ function handlePointerDown(e) {
             deleteAtomOrMolecule(atom);
             return;
         }
+
+        if(atom && simulation.config.interactionMode === 'build') {
+            startBuild(atom, e.clientX, e.clientY);
+            return;
+        }
         
         if(atom && simulation.config.interactionMode === 'add') {
             // Drag mode
@@ -92,17 +109,8 @@ function handlePointerDown(e) {
                     atoms: atom.metallicCloud.atoms,
                     cloud: atom.metallicCloud,
                     moveAll(delta) {
-                        this.atoms.forEach(a => a.group.position.add(delta));
-                        // Also move free electrons so they don't pile up at bounds
-                        if(this.cloud.electronPoints && this.cloud.electronData) {
-                            const arr = this.cloud.electronPoints.geometry.attributes.position.array;
-                            for(let i = 0; i < this.cloud.electronData.length; i++) {
-                                arr[i*3]   += delta.x;
-                                arr[i*3+1] += delta.y;
-                                arr[i*3+2] += delta.z;
-                            }
-                            this.cloud.electronPoints.geometry.attributes.position.needsUpdate = true;
-                        }
+                        // Los electrones libres siguen al cristal (MetallicCloudVisual)
+                        this.atoms.forEach(a => a.position.add(delta));
                     }
                 };
                 draggedObject.atoms.forEach(a => a.isDragging = true);
@@ -141,14 +149,16 @@ function handlePointerDown(e) {
 }
 
 function handlePointerMove(e) {
-    if(draggedObject) {
+    if(buildStart) {
+        updateBuild(e.clientX, e.clientY);
+    } else if(draggedObject) {
         // Dragging atom/molecule
         const currentWorld = getWorldPosition(e.clientX, e.clientY, camera, scene);
         if(currentWorld) {
             const delta = currentWorld.clone().sub(dragStartWorld);
             
-            if(draggedObject.group) { // It's an Atom
-                draggedObject.group.position.add(delta);
+            if(draggedObject instanceof Atom) {
+                draggedObject.position.add(delta);
                 // Update velocity so nucleus glows during drag
                 draggedObject.velocity.copy(delta).multiplyScalar(10);
             } else if(draggedObject.atoms) { // It's a Molecule or metallic cloud
@@ -182,7 +192,9 @@ function handlePointerMove(e) {
 }
 
 function handlePointerUp(e) {
-    if(draggedObject) {
+    if(buildStart) {
+        finishBuild();
+    } else if(draggedObject) {
         // Release dragged object
         if(draggedObject.atoms) { // Molecule or metallic cloud
             draggedObject.highlight?.(0);  // optional - metallic cloud doesn't have this
@@ -196,7 +208,7 @@ function handlePointerUp(e) {
         }
         draggedObject = null;
         dragStartWorld = null;
-    } else if(isPointerDown && pointerMoved < DRAG_THRESHOLD && e && e.target === renderer.domElement && simulation.config.interactionMode === 'add') {
+    } else if(isPointerDown && pointerMoved < DRAG_THRESHOLD && e && e.target === renderer.domElement && canPlaceAtoms()) {
         // Add new atom
         const selectedElement = getSelectedElement();
         if(selectedElement) {
@@ -224,13 +236,19 @@ function handleTouchStart(e) {
             -(touch.clientY / window.innerHeight) * 2 + 1
         );
         
-        const atom = findAtomAtPoint(mouse.x, mouse.y, camera, simulation.atoms);
+        const atom = findAtomAtPoint(mouse.x, mouse.y, camera, atomVisuals);
         
         if(atom && simulation.config.interactionMode === 'delete') {
             deleteAtomOrMolecule(atom);
             touchState.mode = null;
             return;
         }
+
+        if(atom && simulation.config.interactionMode === 'build') {
+            touchState.mode = 'build';
+            startBuild(atom, touch.clientX, touch.clientY);
+            return;
+        }
         
         if(atom && simulation.config.interactionMode === 'add') {
             // Drag mode
@@ -240,17 +258,8 @@ function handleTouchStart(e) {
                     atoms: atom.metallicCloud.atoms,
                     cloud: atom.metallicCloud,
                     moveAll(delta) {
-                        this.atoms.forEach(a => a.group.position.add(delta));
-                        // Also move free electrons so they don't pile up at bounds
-                        if(this.cloud.electronPoints && this.cloud.electronData) {
-                            const arr = this.cloud.electronPoints.geometry.attributes.position.array;
-                            for(let i = 0; i < this.cloud.electronData.length; i++) {
-                                arr[i*3]   += delta.x;
-                                arr[i*3+1] += delta.y;
-                                arr[i*3+2] += delta.z;
-                            }
-                            this.cloud.electronPoints.geometry.attributes.position.needsUpdate = true;
-                        }
+                        // Los electrones libres siguen al cristal (MetallicCloudVisual)
+                        this.atoms.forEach(a => a.position.add(delta));
                     }
                 };
                 draggedObject.atoms.forEach(a => a.isDragging = true);
@@ -304,7 +313,9 @@ function handleTouchMove(e) {
     e.preventDefault();
     const touches = Array.from(e.touches);
     
-    if(touches.length === 1 && touchState.mode === 'drag' && draggedObject) {
+    if(touches.length === 1 && touchState.mode === 'build' && buildStart) {
+        updateBuild(touches[0].clientX, touches[0].clientY);
+    } else if(touches.length === 1 && touchState.mode === 'drag' && draggedObject) {
         // Dragging atom/molecule
         touchState.hasMoved = true;
         const touch = touches[0];
@@ -312,8 +323,8 @@ function handleTouchMove(e) {
         if(currentWorld) {
             const delta = currentWorld.clone().sub(dragStartWorld);
             
-            if(draggedObject.group) { // It's an Atom
-                draggedObject.group.position.add(delta);
+            if(draggedObject instanceof Atom) {
+                draggedObject.position.add(delta);
                 // Update velocity so nucleus glows during drag
                 draggedObject.velocity.copy(delta).multiplyScalar(10);
             } else if(draggedObject.atoms) { // It's a Molecule or metallic cloud
@@ -372,7 +383,7 @@ function handleTouchMove(e) {
         if(touchState.gestureType === 'pinch') {
             const scale = currentDistance / touchState.initialDistance;
             camera.position.z = touchState.initialCameraZ / scale;
-            camera.position.z = Math.max(5, Math.min(50, camera.position.z));
+            clampCameraZoom(camera);
         } else if(touchState.gestureType === 'pan') {
             const deltaX = (center.x - oldCenter.x) * 0.02;
             const deltaY = (center.y - oldCenter.y) * 0.02;
@@ -388,6 +399,7 @@ function handleTouchEnd(e) {
     e.preventDefault();
     
     if(e.touches.length === 0) {
+        if(buildStart) finishBuild();
         if(draggedObject) {
             if(draggedObject.atoms) {
                 draggedObject.highlight?.(0);  // optional - metallic cloud doesn't have this
@@ -408,7 +420,7 @@ function handleTouchEnd(e) {
             !touchState.hasMoved && 
             !touchState.wasTwoFinger &&
             pointerMoved < DRAG_THRESHOLD &&
-            simulation.config.interactionMode === 'add'
+            canPlaceAtoms()
         );
         
         if(shouldPlaceAtom) {
@@ -448,7 +460,7 @@ function handleTouchEnd(e) {
 function handleWheel(e) {
     e.preventDefault();
     camera.position.z += e.deltaY * 0.01;
-    camera.position.z = Math.max(5, Math.min(50, camera.position.z));
+    clampCameraZoom(camera);
 }
 
 // Helper functions
@@ -461,52 +473,15 @@ function deleteAtomOrMolecule(atom) {
         if(atom.metallicCloud) {
             const cloud = atom.metallicCloud;
             
-            // Remove structure lines connected to this atom
-            if(cloud.structureLines && Array.isArray(cloud.structureLines)) {
-                const linesToRemove = cloud.structureLines.filter(line => {
-                    const { atom1, atom2 } = line.userData;
-                    return atom1 === atom || atom2 === atom;
-                });
-                
-                linesToRemove.forEach(line => {
-                    scene.remove(line);
-                    if(line.geometry) line.geometry.dispose();
-                    if(line.material) line.material.dispose();
-                });
-                
-                // Keep only lines that don't involve this atom
-                cloud.structureLines = cloud.structureLines.filter(line => {
-                    const { atom1, atom2 } = line.userData;
-                    return atom1 !== atom && atom2 !== atom;
-                });
-            }
-            
             // IMPORTANT: Remove atom from simulation FIRST
             simulation.removeAtom(atom);
             
-            // Then remove from cloud's atoms array
+            // Then remove from cloud's atoms array (the renderer rebuilds its structure lines)
             cloud.atoms = cloud.atoms.filter(a => a !== atom);
             
             // If cloud has 2 or fewer atoms, destroy it and convert to normal bonds
             if(cloud.atoms.length <= 2) {
-                // Remove cloud visualization
-                if(cloud.electronPoints) {
-                    scene.remove(cloud.electronPoints);
-                    cloud.electronPoints.geometry.dispose();
-                    cloud.electronPoints.material.dispose();
-                }
-                
-                // Remove structure lines (array of Line objects)
-                if(cloud.structureLines && Array.isArray(cloud.structureLines)) {
-                    cloud.structureLines.forEach(line => {
-                        scene.remove(line);
-                        if(line.geometry) line.geometry.dispose();
-                        if(line.material) line.material.dispose();
-                    });
-                    cloud.structureLines = [];
-                }
-                
-                // Remove cloud from simulation.bonds
+                // Remove cloud from simulation.bonds (its visual goes with it)
                 simulation.bonds = simulation.bonds.filter(b => b !== cloud);
                 
                 // Clear metallicCloud reference from remaining atoms
@@ -515,14 +490,9 @@ function deleteAtomOrMolecule(atom) {
                 // If exactly 2 atoms remain, create a normal bond between them
                 if(cloud.atoms.length === 2) {
                     const [a1, a2] = cloud.atoms;
-                    const Bond = window.Bond; // Access Bond class from global
-                    if(Bond) {
-                        const bond = new Bond(a1, a2, scene);
-                        simulation.bonds.push(bond);
-                        showHint('⚛️ Átomo eliminado (cristal → enlace metálico)');
-                    } else {
-                        showHint('⚛️ Átomo eliminado (cristal disuelto)');
-                    }
+                    const bond = new Bond(a1, a2);
+                    simulation.bonds.push(bond);
+                    showHint('⚛️ Átomo eliminado (cristal → enlace metálico)');
                 } else {
                     showHint('⚛️ Átomo eliminado (cristal metálico destruido)');
                 }
@@ -553,24 +523,7 @@ function deleteAtomOrMolecule(atom) {
             simulation.removeAtom(a);
         });
         
-        // Remove the cloud itself from scene
-        if(cloud.electronPoints) {
-            scene.remove(cloud.electronPoints);
-            cloud.electronPoints.geometry.dispose();
-            cloud.electronPoints.material.dispose();
-        }
-        
-        // Remove structure lines (array of Line objects)
-        if(cloud.structureLines && Array.isArray(cloud.structureLines)) {
-            cloud.structureLines.forEach(line => {
-                scene.remove(line);
-                if(line.geometry) line.geometry.dispose();
-                if(line.material) line.material.dispose();
-            });
-            cloud.structureLines = [];
-        }
-        
-        // Remove from simulation.bonds
+        // Remove from simulation.bonds (the renderer drops its electron sea)
         simulation.bonds = simulation.bonds.filter(b => b !== cloud);
         
         showHint(`🧲 Cristal metálico eliminado (${atomCount} átomos)`);
@@ -586,6 +539,86 @@ function deleteAtomOrMolecule(atom) {
     playSound('delete');
 }
 
+// Tocar el vacío agrega un átomo suelto en los modos Agregar y Construir
+function canPlaceAtoms() {
+    const mode = simulation.config.interactionMode;
+    return mode === 'add' || mode === 'build';
+}
+
+// ── Modo Construir (structures/MoleculeBuilder.js) ─────────────────────────
+function startBuild(atom, clientX, clientY) {
+    buildStart = atom;
+    buildPointer = { x: clientX, y: clientY };
+    buildMoved = 0;
+    if(window.setLastTouchedAtom) window.setLastTouchedAtom(atom);
+
+    const geometry = new THREE.BufferGeometry().setFromPoints([atom.position, atom.position]);
+    buildLine = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+        color: 0xffdd55, depthTest: false, transparent: true
+    }));
+    buildLine.renderOrder = 6;
+    scene.add(buildLine);
+}
+
+function updateBuild(clientX, clientY) {
+    buildMoved += Math.hypot(clientX - buildPointer.x, clientY - buildPointer.y);
+    buildPointer = { x: clientX, y: clientY };
+
+    const end = getWorldPosition(clientX, clientY, camera, scene);
+    const positions = buildLine.geometry.attributes.position;
+    positions.setXYZ(0, buildStart.position.x, buildStart.position.y, buildStart.position.z);
+    positions.setXYZ(1, end.x, end.y, end.z);
+    positions.needsUpdate = true;
+}
+
+/**
+ * Tocar un átomo → vecino nuevo; soltar sobre otro → enlace / orden / quitar
+ */
+function finishBuild() {
+    const start = buildStart;
+    const target = findAtomAtPoint(
+        (buildPointer.x / window.innerWidth) * 2 - 1,
+        -(buildPointer.y / window.innerHeight) * 2 + 1,
+        camera, atomVisuals
+    );
+    scene.remove(buildLine);
+    buildLine.geometry.dispose();
+    buildLine.material.dispose();
+    buildLine = null;
+    buildStart = null;
+
+    if(target && target !== start) {
+        const result = moleculeBuilder.connect(start, target);
+        const pair = `${start.symbol}–${target.symbol}`;
+        if(!result) {
+            showHint(`⚠️ ${pair}: sin valencia libre`, 'warning');
+            return;
+        }
+        if(result.action === 'removed') {
+            showHint(`✂️ Enlace ${pair} quitado`);
+            playSound('delete');
+        } else {
+            showHint(`🔗 Enlace ${pair} de orden ${result.order}`);
+            playSound('bond');
+        }
+        updateStats();
+    } else if(buildMoved < DRAG_THRESHOLD) {
+        const symbol = getSelectedElement();
+        if(!symbol) {
+            showHint('🧪 Elige un elemento para agregarlo al átomo');
+            return;
+        }
+        const grown = moleculeBuilder.grow(start, symbol);
+        if(!grown) {
+            showHint(`⚠️ ${start.symbol} no admite otro enlace con ${symbol}`, 'warning');
+            return;
+        }
+        showHint(`🔧 ${start.symbol}–${symbol}`);
+        updateStats();
+        playSound('add');
+    }
+}
+
 function getSelectedElement() {
     const selectedBtn = document.querySelector('.element-btn.selected');
     if(!selectedBtn) return null;
@@ -45,3 +45,27 @@ export async function loadJSON(url) {
     const response = await fetch(url);
     return await response.json();
 }
+
+/**
+ * Descarga un texto como archivo (export XYZ, snapshots...)
+ */
+export function downloadText(filename, text, mimeType = 'text/plain') {
+    const blob = new Blob([text], { type: mimeType });
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href     = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload  = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
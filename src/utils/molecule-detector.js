@@ -1 +1,241 @@
+/**
+ * molecule-detector.js
+ * Reconoce las especies de la escena y avisa cuando se forma una nueva
+ *
+ *   const detector = new MoleculeDetector({ molecules, library });
+ *   const { summary, formed } = detector.detect(simulation);
+ *   summary → "H₂O ×12, NaCl cristal ×1"
+ *
+ * ── COMPONENTES ─────────────────────────────────────────────────────────────
+ *   simulation.findComponents() (la DFS de getStats). Un componente con
+ *   átomos de cristal (isCrystal / nube metálica) es "cristal" y se nombra por
+ *   su proporción, catión primero, sin buscar el grafo: el 3×3×3 de NaCl
+ *   tiene Na₁₄Cl₁₃ (los bordes) → "NaCl cristal".
+ *
+ * ── RECONOCIMIENTO ──────────────────────────────────────────────────────────
+ *   Clave = fórmula de Hill + hash de Weisfeiler-Lehman del grafo (elemento
+ *   de cada átomo refinado con los de sus vecinos, tantas vueltas como
+ *   átomos, hasta MAX_WL_ROUNDS) → etanol CCO ≠ dimetil éter COC aunque
+ *   ambos sean C₂H₆O. Los órdenes de enlace no entran en la clave: lo que se
+ *   arma tocando átomos nace con enlaces simples.
+ *   Referencias: data/moleculas.json (primero; las entradas sin "bonds" solo
+ *   por fórmula) y data/molecule-library.json (SMILES, io/SMILESFormat.js).
+ *   La etiqueta usa el "formula" de la referencia (HCl, no ClH de Hill).
+ *
+ * ── ESPECIE FORMADA ─────────────────────────────────────────────────────────
+ *   Un componente reconocido con átomos que ya estaban en la detección
+ *   anterior, pero ninguno en esa misma especie → se formó en la escena
+ *   (enlaces, H agregados, reacción), aunque ya hubiera otra igual. Las
+ *   moléculas agregadas enteras (botón, archivo, escena cargada) no cuentan.
+ */
 
+import { hillFormula, subscriptFormula } from '../io/molData.js';
+import { parseSMILES } from '../io/SMILESFormat.js';
+
+const MAX_WL_ROUNDS   = 8;
+const MAX_GRAPH_ATOMS = 200;   // Más grande → solo fórmula
+const MAX_SUMMARY     = 6;     // Especies en el resumen
+const RATIO_TOLERANCE = 0.15;  // Desvío relativo aceptado en la proporción de un cristal
+const MAX_RATIO_MULTIPLIER = 4;
+
+export class MoleculeDetector {
+    /**
+     * @param {object} [references]
+     * @param {Array<object>} [references.molecules] - moleculas.json (molData)
+     * @param {Array<{name: string, formula: string, smiles: string}>} [references.library] - molecule-library.json
+     */
+    constructor({ molecules = [], library = [] } = {}) {
+        this._byGraph   = new Map();   // clave de grafo → referencia
+        this._byFormula = new Map();   // fórmula de Hill → referencia (entradas sin bonds)
+        this._previousKeys = new Map();   // Atom → clave de su especie en la detección anterior
+
+        molecules.forEach(mol => this.addReference(mol));
+        for(const entry of library) {
+            try {
+                this.addReference({ ...entry, ...parseSMILES(entry.smiles) });
+            } catch(error) {
+                console.warn(`⚠️ molecule-library: ${entry.name}: ${error.message}`);
+            }
+        }
+        console.log(`🔎 MoleculeDetector: ${this._byGraph.size} grafos, ${this._byFormula.size} solo fórmula`);
+    }
+
+    /**
+     * Agrega una referencia (molData: { name, icon?, atoms, bonds? }).
+     * La primera con la misma clave gana.
+     */
+    addReference(molData) {
+        const symbols = molData.atoms.map(a => a.element);
+        const formula = hillFormula(symbols);
+        const reference = {
+            name: molData.name,
+            icon: molData.icon || '',
+            formula: molData.formula || subscriptFormula(formula)
+        };
+
+        if(!molData.bonds || molData.bonds.length === 0) {
+            if(symbols.length > 1 && !this._byFormula.has(formula)) this._byFormula.set(formula, reference);
+            return;
+        }
+        const neighbors = symbols.map(() => []);
+        molData.bonds.forEach(({ from, to }) => {
+            if(!neighbors[from] || !neighbors[to]) return;
+            neighbors[from].push(to);
+            neighbors[to].push(from);
+        });
+        const key = graphKey(symbols, neighbors);
+        if(!this._byGraph.has(key)) this._byGraph.set(key, reference);
+    }
+
+    /**
+     * Especies de la escena
+     * @param {Simulation} simulation
+     * @returns {{species: Array<object>, summary: string, formed: Array<object>}}
+     *          species: { key, label, name, formula, icon, count, crystal, recognized }
+     *          formed:  especies formadas desde la detección anterior (una por clave)
+     */
+    detect(simulation) {
+        const byKey = new Map();
+        const keys = new Map();
+        const formed = [];
+
+        for(const atoms of simulation.findComponents()) {
+            const species = this.identify(atoms);
+            const entry = byKey.get(species.key);
+            if(entry) {
+                entry.count++;
+            } else {
+                byKey.set(species.key, { ...species, count: 1 });
+            }
+            atoms.forEach(a => keys.set(a, species.key));
+
+            if(species.recognized && !species.crystal &&
+               !formed.some(f => f.key === species.key) &&
+               atoms.some(a => this._previousKeys.has(a)) &&
+               !atoms.some(a => this._previousKeys.get(a) === species.key)) {
+                formed.push(species);
+            }
+        }
+        this._previousKeys = keys;
+
+        const species = [...byKey.values()].sort((a, b) =>
+            b.count - a.count || a.label.localeCompare(b.label));
+        formed.forEach(s => console.log(`🎉 Especie nueva: ${s.name} (${s.formula})`));
+        return { species, summary: formatSpecies(species), formed };
+    }
+
+    /**
+     * Olvida la escena anterior (tras cargar o limpiar: nada cuenta como formado)
+     */
+    reset() {
+        this._previousKeys = new Map();
+    }
+
+    /**
+     * Especie de un componente (la lista de átomos de findComponents)
+     * @param {Array<Atom>} atoms
+     * @returns {{key, label, name, formula, icon, crystal, recognized}}
+     */
+    identify(atoms) {
+        const symbols = atoms.map(a => a.symbol);
+
+        if(atoms.some(a => a.isCrystal || a.metallicCloud)) {
+            const formula = subscriptFormula(crystalFormula(atoms));
+            return {
+                key: `crystal:${formula}`, label: `${formula} cristal`, name: `Cristal de ${formula}`,
+                formula, icon: '💎', crystal: true, recognized: true
+            };
+        }
+
+        const hill = hillFormula(symbols);
+        const formula = subscriptFormula(hill);
+        let reference = null;
+        if(atoms.length > 1 && atoms.length <= MAX_GRAPH_ATOMS) {
+            const index = new Map(atoms.map((a, i) => [a, i]));
+            const neighbors = atoms.map(atom => atom.bonds
+                .map(bond => index.get(bond.atom1 === atom ? bond.atom2 : bond.atom1))
+                .filter(i => i !== undefined));
+            const key = graphKey(symbols, neighbors);
+            reference = this._byGraph.get(key) || this._byFormula.get(hill) || null;
+            if(reference) {
+                return {
+                    key, label: reference.formula, name: reference.name, formula: reference.formula,
+                    icon: reference.icon, crystal: false, recognized: true
+                };
+            }
+        }
+        return {
+            key: `formula:${hill}`, label: formula, name: formula,
+            formula, icon: '', crystal: false, recognized: false
+        };
+    }
+}
+
+/**
+ * Clave canónica de un grafo: fórmula de Hill + etiquetas de Weisfeiler-Lehman
+ * @param {Array<string>} symbols - elemento de cada átomo
+ * @param {Array<Array<number>>} neighbors - índices de los vecinos de cada átomo
+ * @returns {string}
+ */
+export function graphKey(symbols, neighbors) {
+    let labels = symbols.slice();
+    const rounds = Math.min(symbols.length, MAX_WL_ROUNDS);
+    for(let r = 0; r < rounds; r++) {
+        labels = labels.map((label, i) => {
+            const around = neighbors[i].map(j => labels[j]).sort().join(',');
+            return _hash(`${label}(${around})`);
+        });
+    }
+    return `${hillFormula(symbols)}|${labels.sort().join('.')}`;
+}
+
+/**
+ * Proporción de un cristal, catión (menor electronegatividad) primero:
+ * conteos / el menor, por el multiplicador más chico (1–4) que los deja
+ * enteros dentro de RATIO_TOLERANCE → Na₁₄Cl₁₃ → NaCl, Ca₁₄F₂₇ → CaF₂
+ * @param {Array<Atom>} atoms
+ * @returns {string} "NaCl", "CaF2", "Fe"
+ */
+export function crystalFormula(atoms) {
+    const counts = new Map();
+    const chi = new Map();
+    for(const atom of atoms) {
+        counts.set(atom.symbol, (counts.get(atom.symbol) || 0) + 1);
+        chi.set(atom.symbol, atom.element?.electronegativity ?? 0);
+    }
+    const symbols = [...counts.keys()].sort((a, b) => chi.get(a) - chi.get(b) || a.localeCompare(b));
+    const min = Math.min(...counts.values());
+    const ratios = symbols.map(s => counts.get(s) / min);
+
+    let multiplier = 1;
+    for(let m = 1; m <= MAX_RATIO_MULTIPLIER; m++) {
+        if(ratios.every(r => Math.abs(r * m - Math.round(r * m)) <= RATIO_TOLERANCE * r * m)) {
+            multiplier = m;
+            break;
+        }
+    }
+    return symbols.map((s, i) => {
+        const n = Math.max(1, Math.round(ratios[i] * multiplier));
+        return s + (n > 1 ? n : '');
+    }).join('');
+}
+
+/**
+ * "H₂O ×12, NaCl cristal ×1" (las MAX_SUMMARY más abundantes)
+ */
+export function formatSpecies(species) {
+    if(species.length === 0) return '-';
+    const shown = species.slice(0, MAX_SUMMARY).map(s => `${s.label} ×${s.count}`);
+    if(species.length > MAX_SUMMARY) shown.push(`+${species.length - MAX_SUMMARY} más`);
+    return shown.join(', ');
+}
+
+// FNV-1a de 32 bits → base 36 (etiquetas cortas de WL)
+function _hash(text) {
+    let h = 0x811c9dc5;
+    for(let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+}
@@ -0,0 +1,81 @@
+/**
+ * random.js
+ * Generador pseudoaleatorio con semilla (mulberry32) para todo lo que
+ * afecta a la simulación: velocidades Maxwell-Boltzmann, posición de las
+ * moléculas nuevas, "Randomizar física". Misma semilla + mismas entradas
+ * → misma corrida (ver io/InputLog.js).
+ *
+ * Lo puramente visual (partículas de fondo, renderer) sigue con Math.random().
+ *
+ *   import { rng } from './utils/random.js';
+ *   rng.seed(1234);
+ *   rng.range(-5, 5);
+ *   rng.gaussian();
+ */
+
+export class SeededRandom {
+    constructor(seed = randomSeed()) {
+        this.seed(seed);
+    }
+
+    /**
+     * Reinicia la secuencia. Acepta cualquier número (se usa como entero de 32 bits).
+     */
+    seed(seed) {
+        this.initialSeed = seed >>> 0;
+        this._state = this.initialSeed;
+        this._spare = null;
+        return this;
+    }
+
+    /** Uniforme en [0, 1) */
+    next() {
+        let t = (this._state = (this._state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /** Uniforme en [min, max) */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /** Normal estándar (Box-Muller; el segundo valor queda guardado) */
+    gaussian() {
+        if(this._spare !== null) {
+            const spare = this._spare;
+            this._spare = null;
+            return spare;
+        }
+        const u = Math.max(1e-10, this.next());
+        const v = this.next();
+        const r = Math.sqrt(-2 * Math.log(u));
+        this._spare = r * Math.sin(2 * Math.PI * v);
+        return r * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Estado completo (JSON) para retomar la secuencia exactamente donde estaba
+     */
+    getState() {
+        return { seed: this.initialSeed, state: this._state, spare: this._spare };
+    }
+
+    setState({ seed, state, spare = null }) {
+        this.initialSeed = seed >>> 0;
+        this._state = state >>> 0;
+        this._spare = spare;
+        return this;
+    }
+}
+
+/**
+ * Semilla nueva de 32 bits (para cuando el usuario no fija una)
+ */
+export function randomSeed() {
+    return (Math.random() * 4294967296) >>> 0;
+}
+
+// Instancia compartida por toda la app (y por el worker, en su propio hilo)
+export const rng = new SeededRandom();
@@ -24,27 +24,15 @@ export function getWorldPosition(clientX, clientY, camera, scene) {
     return localPosition;
 }
 
-export function findAtomAtPoint(mouseX, mouseY, camera, atoms) {
+/**
+ * @param {AtomVisuals} atomVisuals - renderer/AtomVisuals.js (dueño de los meshes de núcleo)
+ * @returns {Atom|null}
+ */
+export function findAtomAtPoint(mouseX, mouseY, camera, atomVisuals) {
     const mouse = new THREE.Vector2(mouseX, mouseY);
     
     const raycaster = new THREE.Raycaster();
     raycaster.setFromCamera(mouse, camera);
     
-    // Collect all nucleus meshes
-    const nucleusMeshes = [];
-    atoms.forEach(atom => {
-        if(atom.nucleus) {
-            nucleusMeshes.push(atom.nucleus);
-        }
-    });
-    
-    // Intersect with meshes
-    const intersects = raycaster.intersectObjects(nucleusMeshes);
-    
-    if(intersects.length > 0) {
-        const intersectedMesh = intersects[0].object;
-        return atoms.find(atom => atom.nucleus === intersectedMesh);
-    }
-    
-    return null;
+    return atomVisuals.pick(raycaster);
 }
@@ -0,0 +1,241 @@
+/**
+ * PhysicsWorkerClient.js
+ * Lado del hilo principal de physics.worker.js.
+ *
+ * La escena sigue viviendo en `simulation` (UI, renderer, guardado, reacciones
+ * la leen y modifican como siempre). Cada frame, sync():
+ *   1. compara simulation.atoms / simulation.bonds con lo que ya tiene el worker
+ *      y manda 'add', 'delete' o — si el cambio es otro — 'load' completo
+ *   2. manda los ajustes del Laboratorio si cambiaron
+ *   3. manda los átomos arrastrados ('drag')
+ *   4. copia posiciones y velocidades del último paso del worker a los átomos
+ *      y marca los enlaces que el termostato quiere romper
+ * Si llegó un tick nuevo, app.js llama simulation.stepChemistry() (disociación,
+ * reacciones, grabación): la química avanza al ritmo de la física, no de la pantalla.
+ *
+ * Mientras el worker no está listo (o si falla) `active` es false y app.js
+ * sigue con simulation.advance() en el hilo principal; lo mismo mientras está
+ * suspendido (grabación / replay de io/InputLog.js) → `running`.
+ */
+
+import { createSettings } from '../io/SceneSnapshot.js';
+import { SceneChangeTracker, collectPins } from '../io/SceneChanges.js';
+import { MSG, stateLength, canShareMemory, readState } from './protocol.js';
+
+export class PhysicsWorkerClient {
+    /**
+     * @param {Simulation} simulation
+     * @param {object} [options]
+     * @param {Function} [options.createWorker] - () => Worker (tests / bundlers)
+     */
+    constructor(simulation, { createWorker = null } = {}) {
+        this.simulation = simulation;
+        this.active    = false;   // true tras 'ready'
+        this.suspended = false;   // física en el hilo principal (suspend / resume)
+        this.failed    = false;
+        this.shared    = canShareMemory();
+
+        this._tracker  = new SceneChangeTracker(simulation);   // topología que ya tiene el worker
+        this._elements = new Set();    // símbolos ya enviados
+        this._hidden   = false;        // pestaña oculta (setPaused)
+        this._settings = '';
+        this._pinned   = new Set();    // átomos arrastrados el frame anterior
+        this._state    = null;         // Float64Array compartido o último buffer transferido
+        this._marked   = [];
+        this._lastStep = -1;
+
+        try {
+            this.worker = createWorker
+                ? createWorker()
+                : new Worker(new URL('./physics.worker.js', import.meta.url), { type: 'module' });
+        } catch(error) {
+            this._fail(error);
+            return;
+        }
+
+        this.worker.onmessage = (e) => this._onMessage(e.data);
+        this.worker.onerror = (e) => {
+            e.preventDefault?.();
+            this._fail(e.message || e);
+        };
+
+        if(this.shared) {
+            this._state = new Float64Array(new SharedArrayBuffer(stateLength(1024) * 8));
+            this.worker.postMessage({ type: MSG.INIT, buffer: this._state.buffer });
+        } else {
+            this.worker.postMessage({ type: MSG.INIT });
+        }
+    }
+
+    /**
+     * ¿Simula el worker? Si no, app.js usa simulation.advance()
+     */
+    get running() {
+        return this.active && !this.suspended;
+    }
+
+    /**
+     * Llamar una vez por frame en lugar de simulation.advance()
+     * (seguido de simulation.stepChemistry() si devuelve true).
+     * @param {Array<Atom>} [pinned] - átomos que el hilo principal mueve este frame
+     *                                 además de los isDragging (p. ej. TrajectoryPlayer)
+     * @returns {boolean} true si llegó un tick nuevo del worker
+     */
+    sync(pinned = null) {
+        if(!this.running) return false;
+        this._pushTopology();
+        this._pushSettings();
+        this._pushPins(pinned);
+        return this._pull(pinned);
+    }
+
+    /**
+     * Pestaña oculta → el worker deja de simular (como requestAnimationFrame)
+     */
+    setPaused(paused) {
+        this._hidden = paused;
+        if(this.running) this.worker.postMessage({ type: paused ? MSG.PAUSE : MSG.RESUME });
+    }
+
+    /**
+     * Física de vuelta al hilo principal: el worker corre a su propio ritmo y
+     * una grabación de entradas (io/InputLog.js) no se podría repetir igual.
+     */
+    suspend() {
+        if(this.suspended) return;
+        this.suspended = true;
+        if(this.active) this.worker.postMessage({ type: MSG.PAUSE });
+    }
+
+    /**
+     * El worker retoma con un 'load' de la escena actual
+     */
+    resume() {
+        if(!this.suspended) return;
+        this.suspended = false;
+        if(!this.active) return;
+        this._tracker.reset();
+        if(!this._hidden) this.worker.postMessage({ type: MSG.RESUME });
+    }
+
+    terminate() {
+        this.worker?.terminate();
+        this.active = false;
+    }
+
+    // ── Mensajes del worker ─────────────────────────────────────────────────
+
+    _onMessage(msg) {
+        switch(msg.type) {
+            case MSG.READY:
+                this.active = true;
+                this._tracker.reset();
+                if(this.suspended) this.worker.postMessage({ type: MSG.PAUSE });
+                console.log(`🧵 Física en Web Worker (${this.shared ? 'SharedArrayBuffer' : 'buffers transferibles'})`);
+                break;
+
+            case MSG.FRAME:
+                if(msg.buffer) {
+                    // Solo interesa el último: el anterior vuelve al pool del worker
+                    if(this._state) this._recycle(this._state.buffer);
+                    this._state = new Float64Array(msg.buffer);
+                }
+                if(msg.version !== this._tracker.version || this.suspended) break;
+                this._marked.push(...msg.marked);
+                this.simulation.time = msg.time;
+                if(this.simulation.temperature) {
+                    this.simulation.temperature.currentTemperature = msg.temperature;
+                    this.simulation.temperature.ambientRGB = msg.ambientRGB;
+                }
+                break;
+
+            case MSG.ERROR:
+                this._fail(msg.message);
+                break;
+        }
+    }
+
+    _fail(error) {
+        console.warn('⚠️ Física en Web Worker no disponible, sigue en el hilo principal:', error);
+        this.failed = true;
+        this.active = false;
+        this.worker?.terminate();
+    }
+
+    _recycle(buffer) {
+        this.worker.postMessage({ type: MSG.RECYCLE, buffer }, [buffer]);
+    }
+
+    // ── Estado del worker → átomos ──────────────────────────────────────────
+
+    _pull(pinned) {
+        const sim = this.simulation;
+        const extra = pinned ? new Set(pinned) : null;
+        let fresh = false;
+
+        if(this._state) {
+            const step = readState(this._state, sim.atoms, this._tracker.version,
+                atom => atom.isDragging || (extra !== null && extra.has(atom)));
+            const ok = step !== null;
+            fresh = ok && step !== this._lastStep;
+            if(fresh) this._lastStep = step;
+            // Buffer transferido ya leído → devolverlo
+            if(ok && !this.shared) {
+                this._recycle(this._state.buffer);
+                this._state = null;
+            }
+        }
+
+        // Disociación térmica: el worker marca, stepChemistry() rompe
+        this._marked.forEach(i => {
+            const bond = this._tracker.bondAt(i);
+            if(bond) bond._markedForThermalBreak = true;
+        });
+        this._marked.length = 0;
+        return fresh;
+    }
+
+    // ── Átomos → worker ─────────────────────────────────────────────────────
+
+    _pushPins(pinned) {
+        const extra = pinned ? new Set(pinned) : null;
+        const { pins, held } = collectPins(this.simulation.atoms, extra && (atom => extra.has(atom)), this._pinned);
+        this._pinned = held;
+        if(pins) this.worker.postMessage({ type: MSG.DRAG, pins }, [pins.buffer]);
+    }
+
+    _pushSettings() {
+        const settings = createSettings(this.simulation);
+        const json = JSON.stringify(settings);
+        if(json === this._settings) return;
+        this._settings = json;
+        this.worker.postMessage({ type: MSG.SETTINGS, settings });
+    }
+
+    _pushTopology() {
+        const change = this._tracker.take();
+        if(!change) return;
+
+        const atoms = this.simulation.atoms;
+        this._growSharedBuffer(atoms.length);
+        this.worker.postMessage({ ...change, elements: this._newElements(atoms) }, [change.state.buffer]);
+        // Lo que hubiera en el buffer describe la topología anterior
+        this._marked.length = 0;
+    }
+
+    _newElements(atoms) {
+        const elements = {};
+        atoms.forEach(atom => {
+            if(this._elements.has(atom.symbol)) return;
+            this._elements.add(atom.symbol);
+            elements[atom.symbol] = atom.element;
+        });
+        return elements;
+    }
+
+    _growSharedBuffer(count) {
+        if(!this.shared || this._state.length >= stateLength(count)) return;
+        this._state = new Float64Array(new SharedArrayBuffer(stateLength(count * 2) * 8));
+        this.worker.postMessage({ type: MSG.BUFFER, buffer: this._state.buffer });
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * physics.worker.js
+ * Simulation.stepDynamics() en un Web Worker (módulo), un tick cada TICK_MS.
+ *
+ * El worker tiene su propia copia de la escena, alineada por índice con
+ * simulation.atoms / simulation.bonds del hilo principal. Nunca cambia la
+ * topología por su cuenta: los enlaces que el termostato marca para romper
+ * viajan en cada 'frame' y los rompe el hilo principal (stepChemistry), que
+ * luego manda el 'delete' correspondiente. Protocolo en protocol.js.
+ *
+ *   const worker = new Worker(new URL('./physics.worker.js', import.meta.url), { type: 'module' });
+ */
+
+// Los workers no ven el THREE global de la página: copia local.
+// Es UMD → en un módulo (sin exports/define) se cuelga de globalThis.THREE.
+import '../../lib/three.min.js';
+
+import { Simulation, TICK_MS } from '../core/Simulation.js';
+import { TemperatureSystem } from '../physics/Temperature.js';
+import { restoreSettings } from '../io/SceneSnapshot.js';
+import { applySceneChange, applyPins } from '../io/SceneChanges.js';
+import { MSG, stateLength, writeState } from './protocol.js';
+
+const elementDatabase = {};
+const simulation = new Simulation(elementDatabase);
+simulation.temperature = new TemperatureSystem(simulation.physics);
+
+let version = 0;
+let step    = 0;
+let running = true;
+let shared  = null;      // Float64Array sobre SharedArrayBuffer
+const pool  = [];        // ArrayBuffers devueltos por el hilo principal (modo transferencia)
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    try {
+        handle(msg);
+    } catch(error) {
+        console.error('❌ Physics worker:', error);
+        self.postMessage({ type: MSG.ERROR, message: error.message });
+    }
+};
+
+function handle(msg) {
+    switch(msg.type) {
+        case MSG.INIT:
+            shared = msg.buffer ? new Float64Array(msg.buffer) : null;
+            // Hasta acá no se sabe si publicar en memoria compartida o transferir
+            loop();
+            break;
+
+        case MSG.BUFFER:
+            shared = new Float64Array(msg.buffer);
+            break;
+
+        case MSG.LOAD:
+        case MSG.ADD:
+        case MSG.DELETE:
+            Object.assign(elementDatabase, msg.elements);
+            applySceneChange(simulation, msg);
+            version = msg.version;
+            break;
+
+        case MSG.DRAG:
+            applyPins(simulation, msg.pins);
+            break;
+
+        case MSG.SETTINGS:
+            restoreSettings(simulation, msg.settings);
+            break;
+
+        case MSG.PAUSE:  running = false; break;
+        case MSG.RESUME: running = true;  break;
+
+        case MSG.RECYCLE:
+            pool.push(msg.buffer);
+            break;
+    }
+}
+
+function publish() {
+    const atoms = simulation.atoms;
+
+    // Enlaces que el termostato quiere romper → los rompe el hilo principal
+    const marked = [];
+    simulation.bonds.forEach((bond, i) => {
+        if(!bond._markedForThermalBreak) return;
+        marked.push(i);
+        bond._markedForThermalBreak = false;
+    });
+
+    const frame = {
+        type:        MSG.FRAME,
+        version,
+        step,
+        time:        simulation.time,
+        temperature: simulation.temperature.currentTemperature,
+        ambientRGB:  simulation.temperature.ambientRGB,
+        marked
+    };
+
+    if(shared) {
+        writeState(shared, atoms, version, step);
+        self.postMessage(frame);
+        return;
+    }
+
+    // Sin memoria compartida: buffer propio que viaja transferido (sin copia)
+    let buffer = pool.pop();
+    if(!buffer || buffer.byteLength < stateLength(atoms.length) * 8) {
+        buffer = new ArrayBuffer(stateLength(Math.max(64, atoms.length * 2)) * 8);
+    }
+    writeState(new Float64Array(buffer), atoms, version, step);
+    frame.buffer = buffer;
+    self.postMessage(frame, [buffer]);
+}
+
+function loop() {
+    const start = performance.now();
+    if(running) {
+        simulation.stepDynamics();
+        step++;
+        publish();
+    }
+    setTimeout(loop, Math.max(0, TICK_MS - (performance.now() - start)));
+}
+
+self.postMessage({ type: MSG.READY });
@@ -0,0 +1,52 @@
+/**
+ * protocol.js
+ * Mensajes y formato del buffer entre el hilo principal y physics.worker.js
+ *
+ * ── MENSAJES (principal → worker) ───────────────────────────────────────────
+ *   init     { buffer? }                         SharedArrayBuffer si hay aislamiento COOP/COEP; arranca el bucle
+ *   buffer   { buffer }                          buffer compartido más grande (la escena creció)
+ *   load / add / delete                          cambio de topología de io/SceneChanges.js
+ *            + { elements } con los elementos que el worker todavía no conoce
+ *   drag     { pins }                            átomos que mueve el usuario (collectPins)
+ *   settings { settings }                        createSettings() — sliders del Laboratorio
+ *   pause / resume                               pestaña oculta / visible
+ *   recycle  { buffer }                          devuelve un buffer transferido (modo sin SAB)
+ *
+ * ── MENSAJES (worker → principal) ───────────────────────────────────────────
+ *   ready                                        módulos cargados, listo para 'load'
+ *   frame    { version, step, time, temperature, ambientRGB, marked, buffer? }
+ *            time = tiempo simulado (fs) del worker
+ *            marked = índices de enlaces con _markedForThermalBreak
+ *   error    { message }
+ *
+ * `version` sube con cada cambio de topología (load/add/delete). Un frame con
+ * otra versión describe átomos que ya no coinciden por índice → se descarta.
+ * Buffer de estado: ver io/SceneChanges.js.
+ */
+
+export const MSG = {
+    INIT:     'init',
+    BUFFER:   'buffer',
+    LOAD:     'load',
+    ADD:      'add',
+    DELETE:   'delete',
+    DRAG:     'drag',
+    SETTINGS: 'settings',
+    PAUSE:    'pause',
+    RESUME:   'resume',
+    RECYCLE:  'recycle',
+    READY:    'ready',
+    FRAME:    'frame',
+    ERROR:    'error'
+};
+
+// Buffer de estado y pins: mismo formato que los cambios de io/SceneChanges.js
+export { HEADER_SIZE, ATOM_STRIDE, PIN_STRIDE, stateLength, writeState, readState } from '../io/SceneChanges.js';
+
+/**
+ * ¿Hay memoria compartida? Requiere que la página se sirva con
+ * Cross-Origin-Opener-Policy: same-origin + Cross-Origin-Embedder-Policy: require-corp
+ */
+export function canShareMemory() {
+    return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+}